@@ -0,0 +1,139 @@
+import fs from "fs";
+import path from "path";
+import yauzl from "yauzl";
+import { createExtractorFromData } from "node-unrar-js";
+import { createError } from "../utils/errors.js";
+
+const PAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp", ".gif", ".avif", ".tif", ".tiff"]);
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+/** "page2" before "page10", case-insensitively — how readers order files */
+export const naturalCompare = (a, b) => collator.compare(a, b);
+
+/** Image entries that are pages; skips folders, dotfiles and macOS resource forks */
+export function isPageEntry(name) {
+  const parts = name.split(/[\\/]/);
+  if (parts.some(part => part === "__MACOSX" || part.startsWith("."))) return false;
+  return PAGE_EXTENSIONS.has(path.extname(name).toLowerCase());
+}
+
+export const isComicInfoEntry = name => path.basename(name).toLowerCase() === "comicinfo.xml";
+
+/** Identify an upload by its magic bytes rather than its (user-supplied) name */
+export async function detectFormat(file) {
+  const handle = await fs.promises.open(file, "r");
+  try {
+    const header = Buffer.alloc(8);
+    await handle.read(header, 0, header.length, 0);
+
+    if (header.subarray(0, 4).equals(Buffer.from("PK\x03\x04", "latin1"))) return "cbz";
+    if (header.subarray(0, 6).equals(Buffer.from("Rar!\x1a\x07", "latin1"))) return "cbr";
+    if (header.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/* -----------------------------------------------------------
+   📂 Archive Readers
+
+   CBZ (zip) and CBR (rar) behind one shape:
+
+     entries        → [{ name, size }] files only
+     read(name)     → Buffer
+     close()
+
+   Sizes are checked against `maxEntrySize` before anything is
+   inflated, so a zip bomb fails fast instead of filling memory.
+----------------------------------------------------------- */
+export async function openArchive(file, { format, maxEntrySize = 50 * 1024 * 1024 } = {}) {
+  format = format || (await detectFormat(file));
+  if (format === "cbz") return openZip(file, { maxEntrySize });
+  if (format === "cbr") return openRar(file, { maxEntrySize });
+  throw createError(415, "Unsupported archive: expected a CBZ/ZIP or CBR/RAR file");
+}
+
+function checkSize(name, size, maxEntrySize) {
+  if (size > maxEntrySize) {
+    throw createError(413, `${name} is larger than ${Math.round(maxEntrySize / 1024 / 1024)}MB`);
+  }
+}
+
+async function openZip(file, { maxEntrySize }) {
+  const zip = await new Promise((resolve, reject) =>
+    yauzl.open(file, { lazyEntries: true, autoClose: false }, (error, zipfile) =>
+      error ? reject(createError(422, `Unreadable zip archive: ${error.message}`)) : resolve(zipfile)
+    )
+  );
+
+  const byName = new Map();
+  await new Promise((resolve, reject) => {
+    zip.on("entry", entry => {
+      if (!entry.fileName.endsWith("/")) byName.set(entry.fileName, entry);
+      zip.readEntry();
+    });
+    zip.on("end", resolve);
+    zip.on("error", error => reject(createError(422, `Unreadable zip archive: ${error.message}`)));
+    zip.readEntry();
+  });
+
+  return {
+    format: "cbz",
+    entries: [...byName.values()].map(entry => ({ name: entry.fileName, size: entry.uncompressedSize })),
+
+    async read(name) {
+      const entry = byName.get(name);
+      if (!entry) throw createError(404, `No such entry: ${name}`);
+      checkSize(name, entry.uncompressedSize, maxEntrySize);
+
+      const stream = await new Promise((resolve, reject) =>
+        zip.openReadStream(entry, (error, readStream) => (error ? reject(error) : resolve(readStream)))
+      );
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    },
+
+    close() {
+      zip.close();
+    }
+  };
+}
+
+async function openRar(file, { maxEntrySize }) {
+  const data = await fs.promises.readFile(file);
+  let extractor;
+  let entries;
+  try {
+    extractor = await createExtractorFromData({ data: data.buffer.slice(data.byteOffset, data.byteOffset + data.length) });
+    const { fileHeaders } = extractor.getFileList();
+    entries = [...fileHeaders]
+      .filter(header => !header.flags.directory)
+      .map(header => ({ name: header.name, size: header.unpSize, encrypted: header.flags.encrypted }));
+  } catch (error) {
+    throw createError(422, `Unreadable rar archive: ${error.message}`);
+  }
+
+  if (entries.some(entry => entry.encrypted)) {
+    throw createError(422, "Password-protected archives are not supported");
+  }
+
+  return {
+    format: "cbr",
+    entries: entries.map(({ name, size }) => ({ name, size })),
+
+    async read(name) {
+      const entry = entries.find(candidate => candidate.name === name);
+      if (!entry) throw createError(404, `No such entry: ${name}`);
+      checkSize(name, entry.size, maxEntrySize);
+
+      // One entry at a time keeps only a single page unpacked
+      const [extracted] = [...extractor.extract({ files: [name] }).files];
+      return Buffer.from(extracted.extraction);
+    },
+
+    close() {}
+  };
+}
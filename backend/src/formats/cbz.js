@@ -0,0 +1,192 @@
+import fs from "fs";
+import archiver from "archiver";
+import { isSpread } from "./spreads.js";
+
+export const escapeXml = value =>
+  String(value).replace(/[<>&'"]/g, char => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[char]);
+
+const list = value => (Array.isArray(value) ? value : value ? [value] : []).filter(Boolean).join(", ");
+
+/** Page file name, zero-padded so every reader sorts pages correctly */
+export function pageFileName(index, total, extension = "jpg") {
+  const width = Math.max(3, String(total).length);
+  return `${String(index + 1).padStart(width, "0")}.${extension}`;
+}
+
+/**
+ * ComicInfo.xml (ComicRack schema v2.0) for an issue. Elements are
+ * written in schema order; empty ones are left out.
+ * `pages` is `[{ width, height, size }]` in reading order.
+ */
+export function buildComicInfoXml(metadata, pages = []) {
+  const date = metadata.publicationDate ? new Date(metadata.publicationDate) : null;
+  const validDate = date && !Number.isNaN(date.getTime());
+
+  const fields = [
+    ["Title", metadata.name],
+    ["Series", metadata.series],
+    ["Number", metadata.issueNumber],
+    ["Summary", metadata.description],
+    ["Notes", metadata.notes],
+    ["Year", validDate && date.getUTCFullYear()],
+    ["Month", validDate && date.getUTCMonth() + 1],
+    ["Day", validDate && date.getUTCDate()],
+    ["Writer", list(metadata.writers)],
+    ["Penciller", list(metadata.pencillers || metadata.artists)],
+    ["Inker", list(metadata.inkers)],
+    ["Colorist", list(metadata.colorists)],
+    ["Letterer", list(metadata.letterers)],
+    ["CoverArtist", list(metadata.coverArtists)],
+    ["Editor", list(metadata.editors)],
+    ["Publisher", metadata.publisher],
+    ["Genre", list(metadata.genres)],
+    ["Web", metadata.web],
+    ["PageCount", pages.length || metadata.pageCount],
+    ["LanguageISO", metadata.language],
+    // Comic readers flip page order and spreads for right-to-left issues
+    ["Manga", metadata.readingDirection === "rtl" ? "YesAndRightToLeft" : metadata.manga],
+    ["AgeRating", metadata.ageRating]
+  ];
+
+  const lines = fields
+    .filter(([, value]) => value !== undefined && value !== null && value !== false && value !== "")
+    .map(([tag, value]) => `  <${tag}>${escapeXml(value)}</${tag}>`);
+
+  if (pages.length) {
+    lines.push("  <Pages>");
+    pages.forEach((page, index) => {
+      const attributes = [
+        `Image="${index}"`,
+        index === 0 && 'Type="FrontCover"',
+        page.size && `ImageSize="${page.size}"`,
+        page.width && `ImageWidth="${page.width}"`,
+        page.height && `ImageHeight="${page.height}"`,
+        isSpread(page) && 'DoublePage="true"'
+      ].filter(Boolean);
+      lines.push(`    <Page ${attributes.join(" ")} />`);
+    });
+    lines.push("  </Pages>");
+  }
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    ...lines,
+    "</ComicInfo>",
+    ""
+  ].join("\n");
+}
+
+const unescapeXml = value =>
+  value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&(lt|gt|apos|quot);/g, (_, name) => ({ lt: "<", gt: ">", apos: "'", quot: '"' })[name])
+    .replace(/&amp;/g, "&");
+
+const split = value => (value ? value.split(/[,;]/).map(name => name.trim()).filter(Boolean) : []);
+
+/**
+ * Read a ComicInfo.xml back into issue metadata — the inverse of
+ * buildComicInfoXml. The schema is flat, so each field is a simple
+ * element; unknown or empty ones are ignored. `coverIndex` is the
+ * page marked FrontCover (0 when none is marked).
+ */
+export function parseComicInfoXml(xml) {
+  const text = tag => {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    const value = match && unescapeXml(match[1]).trim();
+    return value || null;
+  };
+
+  const year = Number(text("Year"));
+  const month = Number(text("Month")) || 1;
+  const day = Number(text("Day")) || 1;
+  const pencillers = split(text("Penciller"));
+  const inkers = split(text("Inker"));
+  const cover = xml.match(/<Page\b[^>]*\bType="FrontCover"[^>]*>/);
+  const coverImage = cover && cover[0].match(/\bImage="(\d+)"/);
+
+  return {
+    title: text("Title"),
+    series: text("Series"),
+    issueNumber: text("Number"),
+    summary: text("Summary"),
+    notes: text("Notes"),
+    publicationDate: year ? new Date(Date.UTC(year, month - 1, day)).toISOString() : null,
+    writers: split(text("Writer")),
+    artists: [...new Set([...pencillers, ...inkers])],
+    pencillers,
+    inkers,
+    colorists: split(text("Colorist")),
+    letterers: split(text("Letterer")),
+    coverArtists: split(text("CoverArtist")),
+    editors: split(text("Editor")),
+    publisher: text("Publisher"),
+    genres: split(text("Genre")),
+    web: text("Web"),
+    language: text("LanguageISO"),
+    ageRating: text("AgeRating"),
+    manga: text("Manga"),
+    readingDirection: text("Manga") === "YesAndRightToLeft" ? "rtl" : "ltr",
+    coverIndex: coverImage ? Number(coverImage[1]) : 0
+  };
+}
+
+/* -----------------------------------------------------------
+   🗜️ CBZ Writer
+
+   Streams a .cbz (zip) to `file` as pages arrive: each page is
+   written before the next is accepted, so only one page image
+   is held in memory at a time. ComicInfo.xml is added last,
+   once page sizes are known. JPEGs are stored, not deflated —
+   they don't compress further.
+----------------------------------------------------------- */
+export class CBZWriter {
+  constructor(file, metadata, { totalPages }) {
+    this.file = file;
+    this.metadata = metadata;
+    this.totalPages = totalPages;
+    this.pages = [];
+
+    this.archive = archiver("zip", { zlib: { level: 9 } });
+    this.output = fs.createWriteStream(file);
+    this.closed = new Promise((resolve, reject) => {
+      this.output.on("close", resolve);
+      this.output.on("error", reject);
+      this.archive.on("error", reject);
+    });
+    this.closed.catch(() => {}); // surfaced by addPage()/finalize()
+    this.archive.pipe(this.output);
+  }
+
+  /** Append the next page image (Buffer) */
+  async addPage(buffer, { width, height, extension = "jpg" } = {}) {
+    const name = pageFileName(this.pages.length, this.totalPages, extension);
+    this.pages.push({ name, width, height, size: buffer.length });
+
+    const written = new Promise(resolve => this.archive.once("entry", resolve));
+    this.archive.append(buffer, { name, store: true });
+    await Promise.race([
+      written,
+      this.closed.then(() => {
+        throw new Error("CBZ archive closed early");
+      })
+    ]);
+  }
+
+  /** Write ComicInfo.xml, close the archive; resolves with its size */
+  async finalize() {
+    this.archive.append(buildComicInfoXml(this.metadata, this.pages), { name: "ComicInfo.xml" });
+    await this.archive.finalize();
+    await this.closed;
+    return { file: this.file, size: this.archive.pointer(), pages: this.pages.map(page => page.name) };
+  }
+
+  /** Stop writing and delete the partial file */
+  async abort() {
+    this.archive.abort();
+    await fs.promises.rm(this.file, { force: true });
+  }
+}
@@ -0,0 +1,244 @@
+import fs from "fs";
+import archiver from "archiver";
+import { randomUUID } from "crypto";
+import { escapeXml, pageFileName } from "./cbz.js";
+import { isSpread } from "./spreads.js";
+
+const list = value => (Array.isArray(value) ? value : value ? [value] : []).filter(Boolean);
+
+const MEDIA_TYPES = { jpg: "image/jpeg", png: "image/png", webp: "image/webp" };
+
+// MARC relator codes for dc:creator roles
+const CREATOR_ROLES = [
+  ["writers", "aut"],
+  ["artists", "art"],
+  ["pencillers", "art"],
+  ["inkers", "ink"],
+  ["colorists", "clr"],
+  ["letterers", "ill"],
+  ["coverArtists", "cov"],
+  ["editors", "edt"]
+];
+
+const xhtml = (title, head, body) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<!DOCTYPE html>",
+    '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+    "<head>",
+    '  <meta charset="UTF-8" />',
+    `  <title>${escapeXml(title)}</title>`,
+    ...head,
+    "</head>",
+    "<body>",
+    ...body,
+    "</body>",
+    "</html>",
+    ""
+  ].join("\n");
+
+/** OPF dc:creator entries, one per person, each with its role */
+function creatorsXml(metadata) {
+  const seen = new Set();
+  const lines = [];
+  for (const [field, role] of CREATOR_ROLES) {
+    for (const name of list(metadata[field])) {
+      const key = `${name}:${role}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const id = `creator${seen.size}`;
+      lines.push(`    <dc:creator id="${id}">${escapeXml(name)}</dc:creator>`);
+      lines.push(`    <meta refines="#${id}" property="role" scheme="marc:relators">${role}</meta>`);
+    }
+  }
+  return lines;
+}
+
+/* -----------------------------------------------------------
+   📘 EPUB Writer
+
+   Streams an EPUB3 fixed-layout ("pre-paginated") book: one
+   XHTML page per image, sized to the image through its viewport
+   so e-readers show each page whole. The first page is the
+   cover; `metadata.readingDirection` ("ltr" | "rtl") sets the
+   spine's page-progression-direction. Same interface as the
+   CBZ writer — addPage() per page, then finalize().
+----------------------------------------------------------- */
+export class EPUBWriter {
+  constructor(file, metadata, { totalPages }) {
+    this.file = file;
+    this.metadata = metadata;
+    this.totalPages = totalPages;
+    this.pages = [];
+
+    this.archive = archiver("zip", { zlib: { level: 9 } });
+    this.output = fs.createWriteStream(file);
+    this.closed = new Promise((resolve, reject) => {
+      this.output.on("close", resolve);
+      this.output.on("error", reject);
+      this.archive.on("error", reject);
+    });
+    this.closed.catch(() => {}); // surfaced by addPage()/finalize()
+    this.archive.pipe(this.output);
+
+    // The mimetype entry must come first and be stored uncompressed
+    this.archive.append("application/epub+zip", { name: "mimetype", store: true });
+    this.archive.append(this.containerXml(), { name: "META-INF/container.xml" });
+  }
+
+  get direction() {
+    return this.metadata.readingDirection === "rtl" ? "rtl" : "ltr";
+  }
+
+  async addPage(buffer, { width, height, extension = "jpg" } = {}) {
+    const index = this.pages.length;
+    const image = pageFileName(index, this.totalPages, extension);
+    const id = image.replace(/\.\w+$/, "");
+    const page = { id, image, document: `${id}.xhtml`, width, height, extension };
+    this.pages.push(page);
+
+    const title = index === 0 ? "Cover" : `Page ${index + 1}`;
+    const documentXml = xhtml(
+      title,
+      [
+        `  <meta name="viewport" content="width=${width}, height=${height}" />`,
+        `  <style>html, body { margin: 0; padding: 0; } img { display: block; width: ${width}px; height: ${height}px; }</style>`
+      ],
+      [`  <img src="../images/${image}" alt="${escapeXml(title)}" />`]
+    );
+
+    // Wait for the image itself; earlier entries may still be queued
+    const imagePath = `OEBPS/images/${image}`;
+    const written = new Promise(resolve => {
+      const onEntry = entry => {
+        if (entry.name !== imagePath) return;
+        this.archive.off("entry", onEntry);
+        resolve();
+      };
+      this.archive.on("entry", onEntry);
+    });
+    this.archive.append(documentXml, { name: `OEBPS/pages/${page.document}` });
+    this.archive.append(buffer, { name: imagePath, store: true });
+    await Promise.race([
+      written,
+      this.closed.then(() => {
+        throw new Error("EPUB archive closed early");
+      })
+    ]);
+  }
+
+  async finalize() {
+    this.archive.append(this.navXhtml(), { name: "OEBPS/nav.xhtml" });
+    this.archive.append(this.packageOpf(), { name: "OEBPS/package.opf" });
+    await this.archive.finalize();
+    await this.closed;
+    return { file: this.file, size: this.archive.pointer(), pages: this.pages.map(page => page.document) };
+  }
+
+  async abort() {
+    this.archive.abort();
+    await fs.promises.rm(this.file, { force: true });
+  }
+
+  containerXml() {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+      "  <rootfiles>",
+      '    <rootfile full-path="OEBPS/package.opf" media-type="application/oebps-package+xml" />',
+      "  </rootfiles>",
+      "</container>",
+      ""
+    ].join("\n");
+  }
+
+  navXhtml() {
+    const link = (page, label) => `<a href="pages/${page.document}">${escapeXml(label)}</a>`;
+    const [cover, firstStory] = this.pages;
+
+    return xhtml(
+      this.metadata.name || "Contents",
+      [],
+      [
+        '  <nav epub:type="toc" id="toc">',
+        "    <h1>Contents</h1>",
+        "    <ol>",
+        `      <li>${link(cover, "Cover")}</li>`,
+        ...(firstStory ? [`      <li>${link(firstStory, "Start reading")}</li>`] : []),
+        "    </ol>",
+        "  </nav>",
+        '  <nav epub:type="page-list" hidden="">',
+        "    <ol>",
+        ...this.pages.map((page, index) => `      <li>${link(page, String(index + 1))}</li>`),
+        "    </ol>",
+        "  </nav>",
+        '  <nav epub:type="landmarks" hidden="">',
+        "    <ol>",
+        `      <li><a epub:type="cover" href="pages/${cover.document}">Cover</a></li>`,
+        `      <li><a epub:type="bodymatter" href="pages/${(firstStory || cover).document}">Start reading</a></li>`,
+        "    </ol>",
+        "  </nav>"
+      ]
+    );
+  }
+
+  packageOpf() {
+    const { metadata } = this;
+    const date = metadata.publicationDate ? new Date(metadata.publicationDate) : null;
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, "Z");
+
+    const optional = [
+      metadata.description && `    <dc:description>${escapeXml(metadata.description)}</dc:description>`,
+      metadata.publisher && `    <dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>`,
+      date && !Number.isNaN(date.getTime()) && `    <dc:date>${date.toISOString().slice(0, 10)}</dc:date>`,
+      ...list(metadata.genres).map(genre => `    <dc:subject>${escapeXml(genre)}</dc:subject>`),
+      ...(metadata.series
+        ? [
+            `    <meta property="belongs-to-collection" id="series">${escapeXml(metadata.series)}</meta>`,
+            '    <meta refines="#series" property="collection-type">series</meta>',
+            metadata.issueNumber !== undefined &&
+              `    <meta refines="#series" property="group-position">${escapeXml(metadata.issueNumber)}</meta>`
+          ]
+        : [])
+    ].filter(Boolean);
+
+    const manifest = [
+      '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+      ...this.pages.flatMap((page, index) => [
+        `    <item id="img-${page.id}" href="images/${page.image}" media-type="${MEDIA_TYPES[page.extension]}"${index === 0 ? ' properties="cover-image"' : ""} />`,
+        `    <item id="page-${page.id}" href="pages/${page.document}" media-type="application/xhtml+xml" />`
+      ])
+    ];
+
+    // The cover and double-page spreads stand alone; the rest pair up as the reader's spread logic sees fit
+    const spine = this.pages.map(
+      (page, index) =>
+        `    <itemref idref="page-${page.id}"${index === 0 || isSpread(page) ? ' properties="rendition:page-spread-center"' : ""} />`
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" prefix="rendition: http://www.idpf.org/vocab/rendition/#">',
+      '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      `    <dc:identifier id="uid">${escapeXml(metadata.identifier || `urn:uuid:${randomUUID()}`)}</dc:identifier>`,
+      `    <dc:title>${escapeXml(metadata.name || "Untitled")}</dc:title>`,
+      `    <dc:language>${escapeXml(metadata.language || "en")}</dc:language>`,
+      ...creatorsXml(metadata),
+      ...optional,
+      `    <meta property="dcterms:modified">${modified}</meta>`,
+      '    <meta property="rendition:layout">pre-paginated</meta>',
+      '    <meta property="rendition:orientation">auto</meta>',
+      '    <meta property="rendition:spread">landscape</meta>',
+      `    <meta name="cover" content="img-${this.pages[0]?.id}" />`,
+      "  </metadata>",
+      "  <manifest>",
+      ...manifest,
+      "  </manifest>",
+      `  <spine page-progression-direction="${this.direction}">`,
+      ...spine,
+      "  </spine>",
+      "</package>",
+      ""
+    ].join("\n");
+  }
+}
@@ -0,0 +1,135 @@
+import fs from "fs";
+import sharp from "sharp";
+import { createError } from "../utils/errors.js";
+
+/*
+ * Upload checks for page and cover images. The type comes from the
+ * file's first bytes, never from the client's Content-Type or file
+ * name. Dimensions are read from the header before anything is
+ * decoded, so a small file claiming a huge canvas (a decompression
+ * bomb) is refused without allocating it. Accepted files are
+ * re-encoded in place: orientation applied, EXIF/GPS/XMP dropped,
+ * colors converted to sRGB.
+ */
+const SIGNATURES = [
+  { type: "image/jpeg", format: "jpeg", matches: head => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff },
+  {
+    type: "image/png",
+    format: "png",
+    matches: head => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    type: "image/webp",
+    format: "webp",
+    matches: head => head.toString("latin1", 0, 4) === "RIFF" && head.toString("latin1", 8, 12) === "WEBP"
+  }
+];
+
+// Near-lossless re-encodes: the renditions are made from these
+const ENCODERS = {
+  jpeg: image => image.jpeg({ quality: 95, chromaSubsampling: "4:4:4" }),
+  png: image => image.png(),
+  webp: image => image.webp({ quality: 95 })
+};
+
+/** Why a file was refused; `code` is stable for clients to match on */
+export const REJECTION = {
+  UNSUPPORTED_TYPE: "unsupported_type",
+  UNREADABLE: "unreadable",
+  TOO_SMALL: "too_small",
+  TOO_LARGE: "too_large",
+  TOO_MANY_PIXELS: "too_many_pixels"
+};
+
+const reject = (code, message) => createError(422, message, { code });
+
+/** Limits from the environment (IMAGE_MIN_SIZE, IMAGE_MAX_SIZE, IMAGE_MAX_PIXELS) */
+export function imageLimits() {
+  return {
+    minSize: Number(process.env.IMAGE_MIN_SIZE || 200),
+    maxSize: Number(process.env.IMAGE_MAX_SIZE || 12000),
+    maxPixels: Number(process.env.IMAGE_MAX_PIXELS || 60_000_000)
+  };
+}
+
+/** { type, format } of a JPEG, PNG or WebP from its first 12 bytes, else null */
+export function sniffImageType(head) {
+  const signature = SIGNATURES.find(({ matches }) => head.length >= 12 && matches(head));
+  return signature ? { type: signature.type, format: signature.format } : null;
+}
+
+async function readHead(file) {
+  const handle = await fs.promises.open(file, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check the image at `file` and rewrite it stripped and in sRGB.
+ * Returns { type, width, height, size } of the clean file; throws a
+ * 422 with `details.code` (see REJECTION) when the file is refused.
+ */
+export async function sanitizeImage(file, limits = imageLimits()) {
+  const kind = sniffImageType(await readHead(file));
+  if (!kind) throw reject(REJECTION.UNSUPPORTED_TYPE, "Not a JPEG, PNG or WebP image");
+
+  let meta;
+  try {
+    meta = await sharp(file).metadata();
+  } catch {
+    throw reject(REJECTION.UNREADABLE, "The image is damaged or truncated");
+  }
+
+  // EXIF orientations 5–8 turn the page sideways
+  const [width, height] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+  if (width * height > limits.maxPixels) {
+    throw reject(REJECTION.TOO_MANY_PIXELS, `${width}×${height} is more than ${limits.maxPixels} pixels`);
+  }
+  if (width > limits.maxSize || height > limits.maxSize) {
+    throw reject(REJECTION.TOO_LARGE, `${width}×${height} is larger than ${limits.maxSize}px on a side`);
+  }
+  if (width < limits.minSize || height < limits.minSize) {
+    throw reject(REJECTION.TOO_SMALL, `${width}×${height} is smaller than ${limits.minSize}px on a side`);
+  }
+
+  const clean = `${file}.clean`;
+  try {
+    // limitInputPixels again at decode time: the header is only a claim
+    const image = sharp(file, { limitInputPixels: limits.maxPixels }).rotate().toColourspace("srgb");
+    const info = await ENCODERS[kind.format](image).toFile(clean);
+    await fs.promises.rename(clean, file);
+    return { type: kind.type, width: info.width, height: info.height, size: info.size };
+  } catch {
+    await fs.promises.rm(clean, { force: true });
+    throw reject(REJECTION.UNREADABLE, "The image is damaged or truncated");
+  }
+}
+
+/**
+ * Sanitize every file of a request ([{ path, field, name }]). All
+ * are checked so the client hears about every bad file at once; if
+ * any is refused, a 422 lists them in `details.errors` as
+ * [{ field, file, code, message }].
+ */
+export async function sanitizeImages(files, limits = imageLimits()) {
+  const accepted = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      accepted.push({ ...file, ...(await sanitizeImage(file.path, limits)) });
+    } catch (error) {
+      if (!error.details?.code) throw error;
+      errors.push({ field: file.field, file: file.name, code: error.details.code, message: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw createError(422, `${errors.length} of ${files.length} file(s) rejected`, { errors });
+  }
+  return accepted;
+}
@@ -0,0 +1,180 @@
+import sharp from "sharp";
+import { createError } from "../utils/errors.js";
+
+/*
+ * Panel detection for the guided reader. Pages are cut along their
+ * gutters — rows or columns with (next to) no ink — recursively, the
+ * classic XY-cut: split into tiers top to bottom, split each tier into
+ * panels across (right to left for manga), and so on until nothing
+ * splits further. The
+ * gutter colour is whatever the page border is, so black-bleed pages
+ * work as well as white paper. Work happens on a small greyscale copy;
+ * boxes are returned normalized to the page (0..1) so they apply to
+ * every rendition of it. Pages without clear gutters (splash pages,
+ * full-bleed art) come back as a single whole-page panel.
+ */
+
+const ANALYSIS_WIDTH = 400;
+const INK_THRESHOLD = 48; // how far from the background a pixel must be to count as ink
+const GUTTER_INK = 0.02; // a line with at most this share of ink is still gutter
+const MIN_GUTTER = 0.008; // thinnest gutter, relative to the page side it runs across
+const MIN_PANEL = 0.06; // narrowest/shortest panel, relative to the page
+const MIN_AREA = 0.01; // smaller boxes are page numbers, signatures and specks
+const MAX_DEPTH = 6;
+
+export const MAX_PANELS = 60;
+
+export const WHOLE_PAGE = Object.freeze({ x: 0, y: 0, width: 1, height: 1 });
+
+const round = value => Math.round(value * 10000) / 10000;
+
+/** Most common value along the outermost ring of pixels */
+function borderColour(data, width, height) {
+  const counts = new Uint32Array(256);
+  for (let x = 0; x < width; x++) {
+    counts[data[x]]++;
+    counts[data[(height - 1) * width + x]]++;
+  }
+  for (let y = 0; y < height; y++) {
+    counts[data[y * width]]++;
+    counts[data[y * width + width - 1]]++;
+  }
+  return counts.indexOf(Math.max(...counts));
+}
+
+/** Ink per row (axis "y") or per column (axis "x") inside `region` */
+function profile(ink, pageWidth, region, axis) {
+  const { x, y, width, height } = region;
+  const lines = new Uint32Array(axis === "y" ? height : width);
+  for (let row = y; row < y + height; row++) {
+    for (let column = x; column < x + width; column++) {
+      if (ink[row * pageWidth + column]) lines[axis === "y" ? row - y : column - x]++;
+    }
+  }
+  return lines;
+}
+
+/** Shrink `region` to the ink it contains; null when it has none */
+function trim(ink, pageWidth, region) {
+  const rows = profile(ink, pageWidth, region, "y");
+  const columns = profile(ink, pageWidth, region, "x");
+  const top = rows.findIndex(Boolean);
+  if (top === -1) return null;
+  const left = columns.findIndex(Boolean);
+  const bottom = rows.findLastIndex(Boolean);
+  const right = columns.findLastIndex(Boolean);
+  return { x: region.x + left, y: region.y + top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Split `region` across its gutters along `axis`. Runs of content
+ * thinner than a panel are noise (stray marks in a gutter) and are
+ * dropped; gutters thinner than MIN_GUTTER don't split.
+ */
+function split(ink, page, region, axis) {
+  const lines = profile(ink, page.width, region, axis);
+  const across = axis === "y" ? region.width : region.height;
+  const side = axis === "y" ? page.height : page.width;
+  const minGutter = Math.max(2, Math.round(side * MIN_GUTTER));
+  const minPanel = Math.round(side * MIN_PANEL);
+  const limit = across * GUTTER_INK;
+
+  const segments = [];
+  let start = -1;
+  let gap = 0;
+  for (let i = 0; i <= lines.length; i++) {
+    const gutter = i === lines.length || lines[i] <= limit;
+    if (!gutter) {
+      if (start === -1) start = i;
+      gap = 0;
+      continue;
+    }
+    gap++;
+    if (start !== -1 && (gap >= minGutter || i === lines.length)) {
+      const end = i - gap + 1;
+      if (end - start >= minPanel) segments.push([start, end]);
+      start = -1;
+    }
+  }
+
+  return segments.map(([from, to]) =>
+    axis === "y"
+      ? { x: region.x, y: region.y + from, width: region.width, height: to - from }
+      : { x: region.x + from, y: region.y, width: to - from, height: region.height }
+  );
+}
+
+/** Tiers first, then panels within each tier, in reading order */
+function cut(ink, page, region, direction, depth = 0) {
+  const trimmed = trim(ink, page.width, region);
+  if (!trimmed) return [];
+  if (depth >= MAX_DEPTH) return [trimmed];
+
+  for (const axis of ["y", "x"]) {
+    const parts = split(ink, page, trimmed, axis);
+    // Right-to-left pages (manga) read each tier from its right-hand panel
+    if (axis === "x" && direction === "rtl") parts.reverse();
+    if (parts.length > 1) return parts.flatMap(part => cut(ink, page, part, direction, depth + 1));
+  }
+  return [trimmed];
+}
+
+/**
+ * Detect the panels of a page (path or Buffer). Returns
+ * [{ x, y, width, height }] normalized to the page, in reading order:
+ * top to bottom, then left to right — or right to left when
+ * `direction` is "rtl".
+ */
+export async function detectPanels(input, { direction = "ltr" } = {}) {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .greyscale()
+    .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const page = { width: info.width, height: info.height };
+  const background = borderColour(data, page.width, page.height);
+  const ink = new Uint8Array(page.width * page.height);
+  for (let i = 0; i < ink.length; i++) {
+    ink[i] = Math.abs(data[i] - background) > INK_THRESHOLD ? 1 : 0;
+  }
+
+  const boxes = cut(ink, page, { x: 0, y: 0, ...page }, direction)
+    .filter(box => (box.width * box.height) / (page.width * page.height) >= MIN_AREA)
+    .slice(0, MAX_PANELS);
+  if (boxes.length <= 1) return [{ ...WHOLE_PAGE }];
+
+  return boxes.map(box => ({
+    x: round(box.x / page.width),
+    y: round(box.y / page.height),
+    width: round(box.width / page.width),
+    height: round(box.height / page.height)
+  }));
+}
+
+/**
+ * Check panels sent by a creator: an array of normalized boxes that
+ * lie on the page. Returns them rounded and clamped to the page;
+ * throws a 400 naming the first bad box.
+ */
+export function normalizePanels(panels) {
+  if (!Array.isArray(panels)) throw createError(400, "panels must be an array of boxes");
+  if (panels.length > MAX_PANELS) throw createError(400, `A page can have at most ${MAX_PANELS} panels`);
+
+  return panels.map((panel, index) => {
+    const { x, y, width, height } = panel || {};
+    const valid =
+      [x, y, width, height].every(Number.isFinite) &&
+      x >= 0 && y >= 0 && width > 0 && height > 0 &&
+      x + width <= 1.001 && y + height <= 1.001;
+    if (!valid) throw createError(400, `Panel ${index + 1} must be { x, y, width, height } within the page (0..1)`);
+
+    return {
+      x: round(x),
+      y: round(y),
+      width: round(Math.min(width, 1 - x)),
+      height: round(Math.min(height, 1 - y))
+    };
+  });
+}
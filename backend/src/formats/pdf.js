@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { createError } from "../utils/errors.js";
+
+const require = createRequire(import.meta.url);
+const pdfjsRoot = path.dirname(require.resolve("pdfjs-dist/package.json"));
+
+/* -----------------------------------------------------------
+   📄 PDF Rasterizer
+
+   Renders each PDF page to a PNG with pdf.js on a native
+   canvas. Pages are rendered one at a time and yielded, so a
+   long PDF never holds more than one bitmap. `dpi` sets the
+   resolution (72 = 1:1 with PDF points); `maxDimension` caps
+   oversized pages such as posters or full-bleed scans.
+----------------------------------------------------------- */
+async function loadDocument(file) {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const data = new Uint8Array(await fs.promises.readFile(file));
+
+  try {
+    return await getDocument({
+      data,
+      standardFontDataUrl: `${path.join(pdfjsRoot, "standard_fonts")}/`,
+      cMapUrl: `${path.join(pdfjsRoot, "cmaps")}/`,
+      cMapPacked: true,
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
+  } catch (error) {
+    if (error.name === "PasswordException") throw createError(422, "Password-protected PDFs are not supported");
+    throw createError(422, `Unreadable PDF: ${error.message}`);
+  }
+}
+
+/** Title/author from the document info dictionary, plus the page count */
+export async function readPdfInfo(file) {
+  const document = await loadDocument(file);
+  try {
+    const { info } = await document.getMetadata();
+    return { pageCount: document.numPages, title: info?.Title || null, author: info?.Author || null };
+  } finally {
+    await document.destroy();
+  }
+}
+
+export async function* rasterizePdf(file, { dpi = 150, maxDimension = 4096, maxPages = Infinity } = {}) {
+  const document = await loadDocument(file);
+  try {
+    if (document.numPages > maxPages) {
+      throw createError(413, `PDF has ${document.numPages} pages; the limit is ${maxPages}`);
+    }
+
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const base = page.getViewport({ scale: 1 });
+      const scale = Math.min(dpi / 72, maxDimension / Math.max(base.width, base.height));
+      const viewport = page.getViewport({ scale });
+
+      const { canvas, context } = document.canvasFactory.create(Math.round(viewport.width), Math.round(viewport.height));
+      // Comic pages are opaque; PDF pages without a background would otherwise render transparent
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+
+      const buffer = await canvas.encode("png");
+      yield { index: number - 1, buffer, width: canvas.width, height: canvas.height };
+
+      document.canvasFactory.destroy({ canvas, context });
+      page.cleanup();
+    }
+  } finally {
+    await document.destroy();
+  }
+}
+
+// JPEG colour components → PDF colour space
+const COLOR_SPACES = { 1: "/DeviceGray", 3: "/DeviceRGB", 4: "/DeviceCMYK" };
+
+/** PDF text string: UTF-16BE with a byte-order mark, hex-encoded */
+const pdfString = value => `<FEFF${Buffer.from(String(value), "utf16le").swap16().toString("hex").toUpperCase()}>`;
+
+/* -----------------------------------------------------------
+   🖨️ PDF Writer
+
+   Streams a PDF with one page per image. JPEG pages are embedded
+   as-is (DCTDecode), so the print renditions keep their quality
+   and nothing is re-encoded; each page is flushed before the
+   next is accepted. Page size follows the image at `dpi`
+   (300 → a 2048px-wide rendition prints ~6.8in wide).
+   Same interface as the CBZ writer.
+----------------------------------------------------------- */
+export class PDFWriter {
+  constructor(file, metadata, { dpi = 300 } = {}) {
+    this.file = file;
+    this.metadata = metadata;
+    this.dpi = dpi;
+    this.offsets = [];
+    this.pageIds = [];
+    this.position = 0;
+    // Objects 1 and 2 are the catalog and page tree, written last
+    this.nextId = 3;
+
+    this.output = fs.createWriteStream(file);
+    this.closed = new Promise((resolve, reject) => {
+      this.output.on("close", resolve);
+      this.output.on("error", reject);
+    });
+    this.closed.catch(() => {}); // surfaced by addPage()/finalize()
+    this.write(Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1"));
+  }
+
+  write(chunk) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, "latin1");
+    this.position += buffer.length;
+    return this.output.write(buffer);
+  }
+
+  /** Write an object; `stream` (Buffer) follows its dictionary */
+  writeObject(id, dictionary, stream) {
+    this.offsets[id] = this.position;
+    if (!stream) return this.write(`${id} 0 obj\n${dictionary}\nendobj\n`);
+
+    this.write(`${id} 0 obj\n${dictionary}\nstream\n`);
+    this.write(stream);
+    return this.write("\nendstream\nendobj\n");
+  }
+
+  async addPage(buffer, { width, height, channels = 3, extension = "jpg" } = {}) {
+    if (extension !== "jpg") throw new Error("PDF pages must be JPEG renditions");
+
+    const [imageId, contentId, pageId] = [this.nextId++, this.nextId++, this.nextId++];
+    const pageWidth = +((width * 72) / this.dpi).toFixed(2);
+    const pageHeight = +((height * 72) / this.dpi).toFixed(2);
+    const content = Buffer.from(`q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`, "latin1");
+    // Adobe CMYK JPEGs store inverted values
+    const decode = channels === 4 ? " /Decode [1 0 1 0 1 0 1 0]" : "";
+
+    this.writeObject(
+      imageId,
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${COLOR_SPACES[channels] || "/DeviceRGB"} /BitsPerComponent 8 /Filter /DCTDecode${decode} /Length ${buffer.length} >>`,
+      buffer
+    );
+    this.writeObject(contentId, `<< /Length ${content.length} >>`, content);
+    const flushed = this.writeObject(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+    this.pageIds.push(pageId);
+
+    if (!flushed) {
+      await Promise.race([
+        new Promise(resolve => this.output.once("drain", resolve)),
+        this.closed.then(() => {
+          throw new Error("PDF closed early");
+        })
+      ]);
+    }
+  }
+
+  async finalize() {
+    const { metadata } = this;
+    const infoId = this.nextId++;
+    const authors = [...new Set([...(metadata.writers || []), ...(metadata.artists || [])])];
+    const info = [
+      metadata.name && `/Title ${pdfString(metadata.name)}`,
+      authors.length && `/Author ${pdfString(authors.join(", "))}`,
+      metadata.description && `/Subject ${pdfString(metadata.description)}`,
+      `/Creator ${pdfString("Comic Pad")}`
+    ].filter(Boolean);
+
+    this.writeObject(2, `<< /Type /Pages /Kids [${this.pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${this.pageIds.length} >>`);
+    this.writeObject(
+      1,
+      `<< /Type /Catalog /Pages 2 0 R /PageLayout /SinglePage${metadata.readingDirection === "rtl" ? " /ViewerPreferences << /Direction /R2L >>" : ""} >>`
+    );
+    this.writeObject(infoId, `<< ${info.join(" ")} >>`);
+
+    const xref = this.position;
+    const entries = ["0000000000 65535 f "];
+    for (let id = 1; id < this.nextId; id++) entries.push(`${String(this.offsets[id]).padStart(10, "0")} 00000 n `);
+    this.write(`xref\n0 ${this.nextId}\n${entries.join("\n")}\n`);
+    this.write(`trailer\n<< /Size ${this.nextId} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    this.output.end();
+    await this.closed;
+    return { file: this.file, size: this.position, pages: this.pageIds.length };
+  }
+
+  async abort() {
+    this.output.destroy();
+    await fs.promises.rm(this.file, { force: true });
+  }
+}
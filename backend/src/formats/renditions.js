@@ -0,0 +1,92 @@
+import sharp from "sharp";
+
+/*
+ * Responsive page images: every page is encoded at several widths
+ * in each format, so readers can pick through <picture>/srcset —
+ * AVIF where the browser has it, WebP next, JPEG for everyone else —
+ * and a phone never downloads a desktop-sized page. The matrix is
+ * RENDITION_WIDTHS × RENDITION_FORMATS; widths wider than the
+ * source are capped at the source width rather than upscaled.
+ */
+export const RENDITION_FORMATS = {
+  avif: { mediaType: "image/avif", extension: "avif", encode: image => image.avif({ quality: 50, effort: 4 }) },
+  webp: { mediaType: "image/webp", extension: "webp", encode: image => image.webp({ quality: 75 }) },
+  jpeg: { mediaType: "image/jpeg", extension: "jpg", encode: image => image.jpeg({ quality: 80, progressive: true, mozjpeg: true }) }
+};
+
+const list = value =>
+  String(value || "")
+    .split(",")
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+
+/** The configured matrix: { widths: [480, 960, 1440], formats: ["avif", "webp", "jpeg"] } */
+export function renditionMatrix() {
+  const widths = list(process.env.RENDITION_WIDTHS || "480,960,1440")
+    .map(Number)
+    .filter(width => Number.isInteger(width) && width > 0)
+    .sort((a, b) => a - b);
+
+  if (widths.length === 0) throw new Error("RENDITION_WIDTHS must list at least one width in pixels");
+
+  const formats = list(process.env.RENDITION_FORMATS || "avif,webp,jpeg");
+  const unknown = formats.filter(format => !RENDITION_FORMATS[format]);
+  if (unknown.length > 0) throw new Error(`Unknown rendition format(s): ${unknown.join(", ")}`);
+
+  // JPEG is the <img> fallback every browser can show, so it is always made
+  if (!formats.includes("jpeg")) formats.push("jpeg");
+  return { widths: [...new Set(widths)], formats: [...new Set(formats)] };
+}
+
+/**
+ * Widths to render for a source `sourceWidth` wide: the configured
+ * ones that fit, topped up with the source's own width when a larger
+ * one was asked for.
+ */
+export function widthsFor(sourceWidth, widths) {
+  const fitting = widths.filter(width => width <= sourceWidth);
+  return fitting.length < widths.length && !fitting.includes(sourceWidth) ? [...fitting, sourceWidth] : fitting;
+}
+
+/**
+ * Encode `input` (path or Buffer) at every width × format.
+ * Returns [{ format, mediaType, extension, width, height, buffer }],
+ * narrowest first within each format.
+ */
+export async function renderRenditions(input, matrix = renditionMatrix()) {
+  const { width: sourceWidth } = await sharp(input).rotate().metadata();
+  const renditions = [];
+
+  for (const format of matrix.formats) {
+    const { mediaType, extension, encode } = RENDITION_FORMATS[format];
+    for (const width of widthsFor(sourceWidth, matrix.widths)) {
+      const { data, info } = await encode(sharp(input).rotate().resize({ width, withoutEnlargement: true }))
+        .toBuffer({ resolveWithObject: true });
+      renditions.push({ format, mediaType, extension, width: info.width, height: info.height, buffer: data });
+    }
+  }
+  return renditions;
+}
+
+/**
+ * A comic's cover for listings and shelves: page one's fallback URL
+ * and its renditions (gateway URLs, for srcset). Comics published
+ * before renditions existed have an empty list.
+ */
+export function coverOf(comic) {
+  const page = comic?.pagesResult?.pages?.[0];
+  if (!page) return null;
+
+  return {
+    url: page.thumbnail?.url || page.web?.url || null,
+    width: page.width ?? null,
+    height: page.height ?? null,
+    renditions: (page.renditions || []).map(({ format, mediaType, width, height, url }) => ({
+      format,
+      mediaType,
+      width,
+      height,
+      url
+    }))
+  };
+}
@@ -0,0 +1,11 @@
+/*
+ * Double-page spreads: art drawn across two facing pages and
+ * uploaded as one wide image. Readers show a spread on its own, at
+ * full width, instead of pairing it with a neighbouring page, and
+ * the CBZ/EPUB exports mark it so comic readers and e-readers do
+ * the same. A page is a spread when it is clearly wider than tall.
+ */
+export const SPREAD_RATIO = 1.2;
+
+/** Whether a page `{ width, height }` is a double-page spread */
+export const isSpread = ({ width, height } = {}) => Boolean(width && height) && width / height >= SPREAD_RATIO;
@@ -0,0 +1,88 @@
+import fs from "fs";
+import { createHash } from "crypto";
+import { CID } from "multiformats/cid";
+import { sha256 } from "multiformats/hashes/sha2";
+import * as Digest from "multiformats/hashes/digest";
+import * as raw from "multiformats/codecs/raw";
+import { importByteStream } from "ipfs-unixfs-importer";
+import { fixedSize } from "ipfs-unixfs-importer/chunker";
+import { balanced } from "ipfs-unixfs-importer/layout";
+
+/*
+ * Content is addressed the way `ipfs add --cid-version=1` does it
+ * (Kubo's defaults, which Pinata follows): 256 KiB chunks as raw
+ * leaves under a balanced UnixFS DAG of up to 174 links per node.
+ * A file that fits in one chunk is just its raw block ("bafkrei…");
+ * larger files get a dag-pb root ("bafybei…"). Computing the same
+ * CID locally lets us check what providers report and verify what
+ * they return.
+ */
+const UNIXFS_V1 = {
+  cidVersion: 1,
+  rawLeaves: true,
+  chunker: fixedSize({ chunkSize: 262144 }),
+  layout: balanced({ maxChildrenPerNode: 174 }),
+  reduceSingleLeafToSelf: true
+};
+
+// CIDv0 ("Qm…") content was added with protobuf leaves
+const UNIXFS_V0 = { ...UNIXFS_V1, cidVersion: 0, rawLeaves: false };
+
+// Only the root CID is wanted, so blocks are hashed and dropped
+const discardBlocks = { put: async cid => cid };
+
+/** Buffer, file path or async iterable of chunks → async iterable of Uint8Arrays */
+const bytesOf = content => {
+  if (Buffer.isBuffer(content) || content instanceof Uint8Array) return [content];
+  if (typeof content === "string") return fs.createReadStream(content);
+  return content;
+};
+
+/**
+ * CIDv1 of a Buffer, a file (by path, streamed) or a stream,
+ * matching what Kubo and Pinata report for the same bytes.
+ */
+export async function computeCid(content, { version = 1 } = {}) {
+  const { cid } = await importByteStream(bytesOf(content), discardBlocks, version === 0 ? UNIXFS_V0 : UNIXFS_V1);
+  return cid.toString();
+}
+
+/** CIDv1 of a single raw block (sha2-256), e.g. "bafkrei…", whatever its size */
+export function rawCid(buffer) {
+  return rawCidFromDigest(createHash("sha256").update(buffer).digest());
+}
+
+/** Same CID from a precomputed sha2-256 digest */
+export function rawCidFromDigest(digest) {
+  return CID.createV1(raw.code, Digest.create(sha256.code, digest)).toString();
+}
+
+/** Loose syntax check (base32 CIDv1 or base58 CIDv0); keeps CIDs safe as file names */
+export function isCid(value) {
+  return typeof value === "string" && (/^b[a-z2-7]{50,}$/.test(value) || /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(value));
+}
+
+/** Same content address, whatever the CID version or base encoding */
+export function sameCid(a, b) {
+  try {
+    return CID.parse(a).toV1().equals(CID.parse(b).toV1());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that `buffer` is the content `cid` addresses. Raw CIDs
+ * are a hash of the whole buffer; UnixFS (dag-pb) CIDs are rebuilt
+ * with the import settings matching their version.
+ */
+export async function verifyCid(cid, buffer) {
+  const parsed = CID.parse(cid);
+  if (parsed.code === raw.code) {
+    return parsed.multihash.code === sha256.code && sameCid(cid, rawCid(buffer));
+  }
+  return sameCid(cid, await computeCid(buffer, { version: parsed.version }));
+}
+
+/** ipfs:// URI for metadata: independent of any gateway */
+export const ipfsUri = cid => `ipfs://${cid}`;
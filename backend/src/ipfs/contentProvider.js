@@ -0,0 +1,52 @@
+import fs from "fs";
+
+/* -----------------------------------------------------------
+   📦 Content Provider Interface
+
+   A provider stores immutable blobs addressed by CID and tells
+   clients where to fetch them. ipfsService talks only to this
+   interface, so Pinata, a Kubo node and the local filesystem
+   store are interchangeable (and can back each other up).
+
+     add(buffer, { name, metadata }) → { cid, size }
+     addFile(path, { name, metadata }) → { cid, size } (streams if the provider can)
+     get(cid)                        → Buffer
+     has(cid)                        → boolean
+     pin(cid, { name })              → { cid, pinnedAt }
+     unpin(cid)                      → true if it was held, false if not
+     url(cid)                        → gateway URL for clients
+----------------------------------------------------------- */
+export class ContentProvider {
+  constructor(name, { gatewayUrl }) {
+    this.name = name;
+    this.gatewayUrl = gatewayUrl.endsWith("/") ? gatewayUrl : `${gatewayUrl}/`;
+    this.isReady = false;
+  }
+
+  /** Check connectivity / prepare storage. Throws if unusable. */
+  async initialize() {
+    this.isReady = true;
+    return true;
+  }
+
+  url(cid) {
+    return `${this.gatewayUrl}${cid}`;
+  }
+
+  async add() { throw new Error(`${this.name}: add() not implemented`); }
+
+  async addFile(file, options) {
+    return this.add(await fs.promises.readFile(file), options);
+  }
+
+  async get() { throw new Error(`${this.name}: get() not implemented`); }
+  async has() { throw new Error(`${this.name}: has() not implemented`); }
+  async pin() { throw new Error(`${this.name}: pin() not implemented`); }
+  async unpin() { throw new Error(`${this.name}: unpin() not implemented`); }
+
+  getStatus() {
+    return { provider: this.name, ready: this.isReady, gatewayUrl: this.gatewayUrl };
+  }
+}
+
+export default ContentProvider;
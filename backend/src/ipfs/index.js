@@ -0,0 +1,47 @@
+import { PinataProvider } from "./pinataProvider.js";
+import { KuboProvider } from "./kuboProvider.js";
+import { LocalProvider } from "./localProvider.js";
+
+const hasPinataCredentials = env =>
+  !!env.PINATA_API_KEY && env.PINATA_API_KEY !== "your_pinata_api_key";
+
+/**
+ * Build a content provider by name (pinata | kubo | local).
+ */
+export function createContentProvider(name, env = process.env) {
+  switch (name.toLowerCase()) {
+    case "pinata":
+      return new PinataProvider({
+        apiKey: env.PINATA_API_KEY,
+        secretKey: env.PINATA_SECRET_API_KEY || env.PINATA_SECRET_KEY,
+        gatewayUrl: env.IPFS_GATEWAY_URL || "https://ipfs.io/ipfs/"
+      });
+    case "kubo":
+      return new KuboProvider({
+        apiUrl: env.KUBO_API_URL || "http://127.0.0.1:5001",
+        gatewayUrl: env.KUBO_GATEWAY_URL || "http://127.0.0.1:8080/ipfs/"
+      });
+    case "local":
+      return new LocalProvider({
+        dir: env.LOCAL_IPFS_DIR || "./src/data/ipfs",
+        gatewayUrl:
+          env.LOCAL_IPFS_GATEWAY_URL ||
+          `${env.PUBLIC_API_URL || `http://localhost:${env.PORT || 3001}`}/ipfs/`
+      });
+    default:
+      throw new Error(`Unknown IPFS_PROVIDER "${name}". Use "pinata", "kubo" or "local".`);
+  }
+}
+
+/**
+ * Providers selected by IPFS_PROVIDER and IPFS_FALLBACK_PROVIDER.
+ * Without IPFS_PROVIDER, Pinata is used when it has credentials,
+ * otherwise the local store — so the backend works offline.
+ */
+export function createContentProviders(env = process.env) {
+  const primary = env.IPFS_PROVIDER || (hasPinataCredentials(env) ? "pinata" : "local");
+  const names = [primary, env.IPFS_FALLBACK_PROVIDER].filter(
+    (name, index, all) => name && all.indexOf(name) === index
+  );
+  return names.map(name => createContentProvider(name, env));
+}
@@ -0,0 +1,82 @@
+import fs from "fs";
+import axios from "axios";
+import FormData from "form-data";
+import { ContentProvider } from "./contentProvider.js";
+
+/* -----------------------------------------------------------
+   🛰️ Kubo Provider
+
+   Talks to a Kubo (go-ipfs) node over its RPC API — e.g. the
+   `ipfs` service in docker-compose. Every RPC call is a POST.
+----------------------------------------------------------- */
+export class KuboProvider extends ContentProvider {
+  constructor({ apiUrl = "http://127.0.0.1:5001", gatewayUrl = "http://127.0.0.1:8080/ipfs/", timeoutMs = 60 * 1000 } = {}) {
+    super("kubo", { gatewayUrl });
+    this.apiUrl = apiUrl.replace(/\/$/, "");
+    this.http = axios.create({
+      baseURL: `${this.apiUrl}/api/v0`,
+      timeout: timeoutMs,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
+  }
+
+  async initialize() {
+    try {
+      const { data } = await this.http.post("/version");
+      console.log(`🛰️  Kubo ${data.Version} at ${this.apiUrl}`);
+    } catch (error) {
+      throw new Error(`Kubo node unreachable at ${this.apiUrl}: ${error.message}`);
+    }
+    return super.initialize();
+  }
+
+  async add(buffer, options) {
+    return this.upload(buffer, options);
+  }
+
+  /** Streams the file instead of reading it into memory */
+  async addFile(file, options) {
+    return this.upload(fs.createReadStream(file), options);
+  }
+
+  async upload(content, { name = "file" } = {}) {
+    const formData = new FormData();
+    formData.append("file", content, { filename: name });
+
+    const { data } = await this.http.post("/add", formData, {
+      headers: formData.getHeaders(),
+      params: { "cid-version": 1, pin: true }
+    });
+    return { cid: data.Hash, size: Number(data.Size) };
+  }
+
+  async get(cid) {
+    const { data } = await this.http.post("/cat", null, { params: { arg: cid }, responseType: "arraybuffer" });
+    return Buffer.from(data);
+  }
+
+  async has(cid) {
+    try {
+      await this.http.post("/pin/ls", null, { params: { arg: cid, type: "recursive" } });
+      return true;
+    } catch (error) {
+      if (error.response?.status === 500) return false; // "not pinned"
+      throw error;
+    }
+  }
+
+  async pin(cid) {
+    await this.http.post("/pin/add", null, { params: { arg: cid } });
+    return { cid, pinnedAt: new Date().toISOString() };
+  }
+
+  /** The node's own GC reclaims the blocks later */
+  async unpin(cid) {
+    if (!(await this.has(cid))) return false;
+    await this.http.post("/pin/rm", null, { params: { arg: cid } });
+    return true;
+  }
+}
+
+export default KuboProvider;
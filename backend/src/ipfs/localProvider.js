@@ -0,0 +1,126 @@
+import fs from "fs";
+import path from "path";
+import { ContentProvider } from "./contentProvider.js";
+import { computeCid, isCid } from "./cid.js";
+import { createError } from "../utils/errors.js";
+
+/* -----------------------------------------------------------
+   💽 Local Provider
+
+   Content-addressed store on the local filesystem, served by
+   the backend at /ipfs/:cid. Needs no network, so it is the
+   default when nothing else is configured and a natural
+   fallback. CIDs are the ones Kubo and Pinata would give the same
+   bytes (see cid.js), so content moves between providers without
+   changing address. Blobs are sharded by the next-to-last two CID
+   characters (like Kubo's flatfs); a JSON sidecar keeps the
+   original name for Content-Type and downloads.
+----------------------------------------------------------- */
+export class LocalProvider extends ContentProvider {
+  constructor({ dir = "./src/data/ipfs", gatewayUrl = "http://localhost:3001/ipfs/" } = {}) {
+    super("local", { gatewayUrl });
+    this.dir = path.resolve(dir);
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    return super.initialize();
+  }
+
+  pathFor(cid) {
+    if (!isCid(cid)) throw createError(400, `Invalid CID: ${cid}`);
+    return path.join(this.dir, cid.slice(-3, -1), cid);
+  }
+
+  async add(buffer, { name = "file", metadata = {} } = {}) {
+    const cid = await computeCid(buffer);
+    const file = this.pathFor(cid);
+
+    if (!fs.existsSync(file)) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename so readers never see a partial blob
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await this.commit(tmp, file, { name, size: buffer.length, metadata });
+    }
+    return { cid, size: buffer.length };
+  }
+
+  /** Copy a file into the store; the copy is what gets hashed, so it can't change underneath */
+  async addFile(source, { name = path.basename(source), metadata = {} } = {}) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const tmp = path.join(this.dir, `.incoming-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+    try {
+      await fs.promises.copyFile(source, tmp);
+      const [cid, { size }] = await Promise.all([computeCid(tmp), fs.promises.stat(tmp)]);
+      const file = this.pathFor(cid);
+      if (fs.existsSync(file)) {
+        await fs.promises.rm(tmp, { force: true });
+      } else {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await this.commit(tmp, file, { name, size, metadata });
+      }
+      return { cid, size };
+    } catch (error) {
+      await fs.promises.rm(tmp, { force: true });
+      throw error;
+    }
+  }
+
+  async commit(tmp, file, { name, size, metadata }) {
+    await fs.promises.rename(tmp, file);
+    await fs.promises.writeFile(
+      `${file}.json`,
+      JSON.stringify({ name, size, metadata, addedAt: new Date().toISOString() })
+    );
+  }
+
+  async get(cid) {
+    try {
+      return await fs.promises.readFile(this.pathFor(cid));
+    } catch (error) {
+      if (error.code === "ENOENT") throw createError(404, `Content not found: ${cid}`);
+      throw error;
+    }
+  }
+
+  async has(cid) {
+    return fs.existsSync(this.pathFor(cid));
+  }
+
+  /** Everything in the local store is kept; pinning is a no-op */
+  async pin(cid) {
+    if (!(await this.has(cid))) throw createError(404, `Content not found: ${cid}`);
+    return { cid, pinnedAt: new Date().toISOString() };
+  }
+
+  /** Nothing else holds the content, so unpinning deletes it */
+  async unpin(cid) {
+    const file = this.pathFor(cid);
+    if (!fs.existsSync(file)) return false;
+    await Promise.all([fs.promises.rm(file, { force: true }), fs.promises.rm(`${file}.json`, { force: true })]);
+    return true;
+  }
+
+  /** Size and original name, for serving */
+  async stat(cid) {
+    const file = this.pathFor(cid);
+    try {
+      const [{ size }, sidecar] = await Promise.all([
+        fs.promises.stat(file),
+        fs.promises.readFile(`${file}.json`, "utf8").then(JSON.parse).catch(() => ({}))
+      ]);
+      return { cid, size, name: sidecar.name || cid, path: file };
+    } catch (error) {
+      if (error.code === "ENOENT") throw createError(404, `Content not found: ${cid}`);
+      throw error;
+    }
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), dir: this.dir };
+  }
+}
+
+export default LocalProvider;
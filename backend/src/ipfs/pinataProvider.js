@@ -0,0 +1,86 @@
+import fs from "fs";
+import axios from "axios";
+import FormData from "form-data";
+import { ContentProvider } from "./contentProvider.js";
+
+const PINATA_API = "https://api.pinata.cloud";
+
+/* -----------------------------------------------------------
+   📌 Pinata Provider
+
+   Pins through the Pinata API and serves from the configured
+   gateway (public ipfs.io by default, or a dedicated gateway).
+----------------------------------------------------------- */
+export class PinataProvider extends ContentProvider {
+  constructor({ apiKey, secretKey, gatewayUrl = "https://ipfs.io/ipfs/", apiUrl = PINATA_API }) {
+    super("pinata", { gatewayUrl });
+    this.apiKey = apiKey;
+    this.secretKey = secretKey;
+    this.http = axios.create({
+      baseURL: apiUrl,
+      headers: { pinata_api_key: apiKey, pinata_secret_api_key: secretKey },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
+  }
+
+  async initialize() {
+    if (!this.apiKey || !this.secretKey || this.apiKey === "your_pinata_api_key") {
+      throw new Error("Pinata credentials not configured");
+    }
+    try {
+      await this.http.get("/data/testAuthentication");
+    } catch (error) {
+      throw new Error(`Pinata connection failed: ${error.message}`);
+    }
+    return super.initialize();
+  }
+
+  async add(buffer, options) {
+    return this.upload(buffer, options);
+  }
+
+  /** Streams the file instead of reading it into memory */
+  async addFile(file, options) {
+    return this.upload(fs.createReadStream(file), options);
+  }
+
+  async upload(content, { name = "file", metadata = {} } = {}) {
+    const formData = new FormData();
+    formData.append("file", content, { filename: name });
+    formData.append("pinataMetadata", JSON.stringify({ name, keyvalues: metadata }));
+    formData.append("pinataOptions", JSON.stringify({ cidVersion: 1 }));
+
+    const { data } = await this.http.post("/pinning/pinFileToIPFS", formData, {
+      headers: formData.getHeaders()
+    });
+    return { cid: data.IpfsHash, size: data.PinSize };
+  }
+
+  async get(cid) {
+    const { data } = await axios.get(this.url(cid), { responseType: "arraybuffer" });
+    return Buffer.from(data);
+  }
+
+  async has(cid) {
+    const { data } = await this.http.get("/data/pinList", { params: { cid, status: "pinned" } });
+    return data.count > 0;
+  }
+
+  async pin(cid, { name = cid } = {}) {
+    await this.http.post("/pinning/pinByHash", { hashToPin: cid, pinataMetadata: { name } });
+    return { cid, pinnedAt: new Date().toISOString() };
+  }
+
+  async unpin(cid) {
+    try {
+      await this.http.delete(`/pinning/unpin/${cid}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) return false;
+      throw error;
+    }
+  }
+}
+
+export default PinataProvider;
@@ -0,0 +1,61 @@
+import fs from "fs";
+import comicService from "../services/comicService.js";
+import uploadService from "../services/uploadService.js";
+
+export const PUBLISH_COMIC = "publish-comic";
+
+/**
+ * Publish an issue: the stages of comicService.createComic, run
+ * by the job queue. Input is the createComic data (page files
+ * by path) plus the `uploadId` of the resumable upload they came
+ * from, if any, which is removed once the comic is recorded, as
+ * are `temporaryFiles` (multipart uploads nothing else owns).
+ */
+export default {
+  type: PUBLISH_COMIC,
+  stages: [
+    {
+      name: "content",
+      run: ({ input, progress }) =>
+        comicService.uploadComicContent(input, {
+          onProgress: (page, totalPages) => progress(page, totalPages, `Page ${page} of ${totalPages}`)
+        })
+    },
+    {
+      name: "metadata",
+      run: ({ input, results }) => comicService.uploadComicMetadata(input, results.content)
+    },
+    {
+      name: "mint",
+      run: ({ input, results }) => comicService.mintComic(input, results.metadata)
+    },
+    {
+      name: "deliver",
+      run: ({ input, results }) =>
+        comicService.deliverToCreator(input.collectionId, results.mint.serialNumber, input.creator)
+    },
+    {
+      name: "record",
+      run: async ({ input, results }) => {
+        const { uploadId, temporaryFiles = [], ...comicData } = input;
+        const comic = await comicService.recordComic(comicData, {
+          pagesResult: results.content,
+          metadataResult: results.metadata,
+          minted: results.mint,
+          owner: results.deliver
+        });
+
+        if (uploadId) await uploadService.discard(uploadId, input.creator).catch(() => {});
+        await Promise.all(temporaryFiles.map(file => fs.promises.rm(file, { force: true })));
+        return comic;
+      }
+    }
+  ],
+  // The stored comic is large; the job only needs to point at it
+  result: ({ record }) => ({
+    comicId: record.id,
+    tokenId: record.tokenId,
+    serialNumber: record.serialNumber,
+    metadataUri: record.metadataUri
+  })
+};
@@ -0,0 +1,62 @@
+import ipfsService from "../services/ipfsService.js";
+import pinService, { PIN_STATUS } from "../services/pinService.js";
+
+export const RECONCILE_PINS = "reconcile-pins";
+
+/**
+ * Bring the pin registry and the providers back in line: unpin
+ * orphans past their grace period, check every remaining CID is
+ * still on the primary provider (re-pinning or restoring it from
+ * a fallback when it isn't), then report storage per creator.
+ * Queued every PIN_RECONCILE_INTERVAL_MS, or by an admin.
+ */
+export default {
+  type: RECONCILE_PINS,
+  stages: [
+    {
+      name: "collect",
+      run: async () => {
+        const unpinned = [];
+        let bytesFreed = 0;
+        for (const pin of await pinService.orphans()) {
+          await ipfsService.unpinHash(pin.cid);
+          unpinned.push(pin.cid);
+          bytesFreed += pin.size;
+        }
+        if (unpinned.length > 0) console.log(`🧹 Unpinned ${unpinned.length} orphaned CID(s)`);
+        return { unpinned, bytesFreed };
+      }
+    },
+    {
+      name: "verify",
+      run: async ({ progress }) => {
+        const pins = await pinService.pinsToVerify();
+        const repinned = [];
+        const missing = [];
+
+        for (const [index, pin] of pins.entries()) {
+          const { status } = await ipfsService.ensurePinned(pin.cid, pin.name);
+          await pinService.markVerified(pin.cid, status === "missing" ? PIN_STATUS.MISSING : PIN_STATUS.PINNED);
+          if (status === "repinned") repinned.push(pin.cid);
+          if (status === "missing") missing.push(pin.cid);
+          progress(index + 1, pins.length, `Checked ${index + 1} of ${pins.length}`);
+        }
+
+        if (missing.length > 0) console.error(`❌ ${missing.length} pinned CID(s) are missing everywhere`);
+        return { checked: pins.length, repinned, missing };
+      }
+    },
+    {
+      name: "report",
+      run: () => pinService.usage()
+    }
+  ],
+  result: ({ collect, verify, report }) => ({
+    unpinned: collect.unpinned.length,
+    bytesFreed: collect.bytesFreed,
+    checked: verify.checked,
+    repinned: verify.repinned.length,
+    missing: verify.missing,
+    usage: report
+  })
+};
@@ -0,0 +1,41 @@
+import authService from "../services/authService.js";
+
+function readBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+/**
+ * Require a valid access token. Sets `req.user` to `{ accountId, roles }`.
+ */
+export function authenticate(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+    });
+  }
+
+  try {
+    req.user = authService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Identify the caller when a token is sent, but let anonymous
+ * requests through. An invalid token is still rejected.
+ */
+export function optionalAuth(req, res, next) {
+  if (!readBearerToken(req)) return next();
+  return authenticate(req, res, next);
+}
+
+export default authenticate;
@@ -0,0 +1,61 @@
+import authService from "../services/authService.js";
+import storage from "../storage/index.js";
+import { hasPermission, ROLES } from "../utils/roles.js";
+import { discardUploads } from "./validateUploads.js";
+
+function deny(req, res, status, error) {
+  discardUploads(req);
+  return res.status(status).json({
+    success: false,
+    error,
+  });
+}
+
+/**
+ * Require a permission. Runs after `authenticate`; roles are read
+ * from storage so role changes apply without waiting for the access
+ * token to expire. Sets `req.user.roles`.
+ */
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      req.user.roles = await authService.getRoles(req.user.accountId);
+      if (!hasPermission(req.user.roles, permission)) {
+        return deny(req, res, 403, `Missing permission: ${permission}`);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Only the creator of the collection (or an admin) may continue.
+ * `getTokenId` reads the collection token ID from the request; place
+ * this after multer so multipart bodies are parsed.
+ */
+export function requireCollectionCreator(getTokenId) {
+  return async (req, res, next) => {
+    try {
+      const tokenId = getTokenId(req);
+      if (!tokenId) return deny(req, res, 400, "Collection token ID is required");
+
+      const collection = await storage.findById("collections", tokenId);
+      if (!collection) return deny(req, res, 404, "Collection not found");
+
+      req.user.roles = await authService.getRoles(req.user.accountId);
+      const isAdmin = req.user.roles.includes(ROLES.ADMIN);
+      if (collection.creator !== req.user.accountId && !isAdmin) {
+        return deny(req, res, 403, "Only the collection's creator can do this");
+      }
+
+      req.collection = collection;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default requirePermission;
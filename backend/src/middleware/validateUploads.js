@@ -0,0 +1,34 @@
+import fs from "fs";
+import { sanitizeImages } from "../formats/imageValidation.js";
+
+/** Every file multer stored for this request */
+const uploadedFiles = req =>
+  [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())].filter(file => file?.path);
+
+/** Drop files multer already wrote for a request that is being rejected */
+export function discardUploads(req) {
+  for (const file of uploadedFiles(req)) {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+}
+
+/**
+ * Check and sanitize the images multer stored (see
+ * formats/imageValidation.js). Runs after multer; if any file is
+ * refused, all of the request's files are removed and the response
+ * is a 422 with one entry per bad file in `errors`.
+ */
+export async function validateImageUploads(req, res, next) {
+  try {
+    await sanitizeImages(uploadedFiles(req).map(file => ({ path: file.path, field: file.fieldname, name: file.originalname })));
+    next();
+  } catch (error) {
+    discardUploads(req);
+    if (error.status !== 422) return next(error);
+    res.status(422).json({
+      success: false,
+      error: error.message,
+      errors: error.details.errors,
+    });
+  }
+}
@@ -0,0 +1,188 @@
+import express from "express";
+import authService from "../services/authService.js";
+import settingsService from "../services/settingsService.js";
+import pinService from "../services/pinService.js";
+import jobService from "../services/jobService.js";
+import { RECONCILE_PINS } from "../jobs/reconcilePins.js";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import { describeRoles, PERMISSIONS } from "../utils/roles.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/admin/roles
+ * List roles and the permissions each grants
+ */
+router.get("/roles", requirePermission(PERMISSIONS.VIEW_USERS), (req, res) => {
+  res.json({
+    success: true,
+    data: describeRoles(),
+  });
+});
+
+/**
+ * GET /api/admin/users
+ * List accounts and their roles (filter with ?role=)
+ */
+router.get("/users", requirePermission(PERMISSIONS.VIEW_USERS), async (req, res) => {
+  try {
+    const { role, limit = 50, offset = 0 } = req.query;
+
+    const result = await authService.listUsers({
+      role,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("List users error:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:accountId/roles
+ * Replace an account's roles
+ */
+router.put("/users/:accountId/roles", requirePermission(PERMISSIONS.MANAGE_ROLES), async (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles) || roles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "roles must be a non-empty array",
+      });
+    }
+
+    const user = await authService.setRoles(req.params.accountId, roles, req.user.accountId);
+
+    res.json({
+      success: true,
+      data: user,
+      message: "Roles updated successfully",
+    });
+  } catch (error) {
+    console.error("Update roles error:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/settings
+ * Current platform settings
+ */
+router.get("/settings", requirePermission(PERMISSIONS.MANAGE_SETTINGS), (req, res) => {
+  res.json({
+    success: true,
+    data: settingsService.getAll(),
+  });
+});
+
+/**
+ * PUT /api/admin/settings
+ * Change platform settings (fees, auction rules)
+ */
+router.put("/settings", requirePermission(PERMISSIONS.MANAGE_SETTINGS), async (req, res) => {
+  try {
+    const settings = await settingsService.update(req.body, req.user.accountId);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: "Settings updated successfully",
+    });
+  } catch (error) {
+    console.error("Update settings error:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/pins
+ * The pin registry (filters: status, creator, kind, owned)
+ */
+router.get("/pins", requirePermission(PERMISSIONS.MANAGE_STORAGE), async (req, res) => {
+  try {
+    const { status, creator, kind, owned, limit = 50, offset = 0 } = req.query;
+
+    const result = await pinService.listPins({
+      status,
+      creator,
+      kind,
+      owned: owned === undefined ? undefined : owned === "true",
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("List pins error:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/pins/usage
+ * Stored bytes per creator, by kind, with orphaned and missing counts
+ */
+router.get("/pins/usage", requirePermission(PERMISSIONS.MANAGE_STORAGE), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await pinService.usage(),
+    });
+  } catch (error) {
+    console.error("Pin usage error:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/pins/reconcile
+ * Run pin reconciliation now; follow it at /api/jobs/:jobId/events
+ */
+router.post("/pins/reconcile", requirePermission(PERMISSIONS.MANAGE_STORAGE), async (req, res) => {
+  try {
+    const job = await jobService.enqueue(RECONCILE_PINS, {}, { owner: req.user.accountId });
+
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+      success: true,
+      data: job,
+      message: "Pin reconciliation queued",
+    });
+  } catch (error) {
+    console.error("Reconcile pins error:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+export default router;
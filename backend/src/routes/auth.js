@@ -1,61 +1,56 @@
-
 import express from "express";
 import hederaService from "../services/hederaService.js";
-import comicService from "../services/comicService.js";
+import authService from "../services/authService.js";
+import { authenticate } from "../middleware/auth.js";
 
 const authRouter = express.Router();
 
-// 🧠 Temporary in-memory sessions (replace with JWT or database in production)
-const sessions = new Map();
-
 /**
- * POST /api/auth/connect
- * Connect wallet and create/retrieve user session
+ * POST /api/auth/challenge
+ * Issue a single-use message for the wallet to sign
  */
-authRouter.post("/connect", async (req, res) => {
+authRouter.post("/challenge", async (req, res) => {
   try {
-    const { walletAddress, publicKey } = req.body;
+    const challenge = await authService.createChallenge(req.body.accountId);
 
-    if (!walletAddress) {
-      return res.status(400).json({
-        success: false,
-        error: "Wallet address is required",
-      });
-    }
+    res.json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    console.error("Create challenge error:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-    // Verify wallet exists on Hedera
-    try {
-      await hederaService.getAccountBalance(walletAddress);
-    } catch (error) {
+/**
+ * POST /api/auth/login
+ * Verify the signed challenge and start a session
+ */
+authRouter.post("/login", async (req, res) => {
+  try {
+    const { accountId, nonce, signature, publicKey } = req.body;
+
+    if (!accountId || !nonce || !signature) {
       return res.status(400).json({
         success: false,
-        error: "Invalid Hedera account ID",
+        error: "Account ID, nonce and signature are required",
       });
     }
 
-    // Create or retrieve user session
-    let user = sessions.get(walletAddress);
-
-    if (!user) {
-      user = {
-        wallet: walletAddress,
-        publicKey,
-        connectedAt: new Date().toISOString(),
-        lastActive: new Date().toISOString(),
-      };
-      sessions.set(walletAddress, user);
-    } else {
-      user.lastActive = new Date().toISOString();
-    }
+    const session = await authService.login({ accountId, nonce, signature, publicKey });
 
     res.json({
       success: true,
-      user,
+      data: session,
       message: "Wallet connected successfully",
     });
   } catch (error) {
-    console.error("Connect wallet error:", error);
-    res.status(500).json({
+    console.error("Login error:", error.message);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
@@ -63,36 +58,20 @@ authRouter.post("/connect", async (req, res) => {
 });
 
 /**
- * GET /api/auth/profile/:wallet
- * Get user profile and owned comics
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access + refresh token pair
  */
-authRouter.get("/profile/:wallet", async (req, res) => {
+authRouter.post("/refresh", async (req, res) => {
   try {
-    const { wallet } = req.params;
-
-    const user = sessions.get(wallet);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: "User session not found",
-      });
-    }
-
-    const balance = await hederaService.getAccountBalance(wallet);
-    const comics = await comicService.getWalletComics(wallet);
+    const session = await authService.refresh(req.body.refreshToken);
 
     res.json({
       success: true,
-      profile: {
-        ...user,
-        balance: balance.hbar,
-        totalComics: comics.totalCollections,
-        collections: comics.collections,
-      },
+      data: session,
     });
   } catch (error) {
-    console.error("Get profile error:", error);
-    res.status(500).json({
+    console.error("Refresh token error:", error.message);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
@@ -100,29 +79,56 @@ authRouter.get("/profile/:wallet", async (req, res) => {
 });
 
 /**
- * POST /api/auth/disconnect
- * Disconnect wallet
+ * POST /api/auth/logout
+ * Revoke the session's refresh tokens
  */
-authRouter.post("/disconnect", (req, res) => {
+authRouter.post("/logout", async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    await authService.logout(req.body.refreshToken);
 
-    if (!walletAddress) {
-      return res.status(400).json({
-        success: false,
-        error: "Wallet address is required",
-      });
-    }
+    res.json({
+      success: true,
+      message: "Wallet disconnected successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Check that the access token is still valid
+ */
+authRouter.post("/verify", authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user,
+  });
+});
 
-    sessions.delete(walletAddress);
+/**
+ * GET /api/auth/profile
+ * Get the signed-in user's profile and balance
+ */
+authRouter.get("/profile", authenticate, async (req, res) => {
+  try {
+    const profile = await authService.getProfile(req.user.accountId);
+    const balance = await hederaService.getBalance(req.user.accountId);
 
     res.json({
       success: true,
-      message: "Wallet disconnected successfully",
+      data: {
+        ...profile,
+        balance: balance.hbar,
+      },
     });
   } catch (error) {
-    console.error("Disconnect wallet error:", error);
-    res.status(500).json({
+    console.error("Get profile error:", error.message);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
@@ -130,22 +136,22 @@ authRouter.post("/disconnect", (req, res) => {
 });
 
 /**
- * GET /api/auth/verify/:wallet
- * Verify if wallet session is active
+ * PUT /api/auth/profile
+ * Update username, bio or avatar
  */
-authRouter.get("/verify/:wallet", (req, res) => {
+authRouter.put("/profile", authenticate, async (req, res) => {
   try {
-    const { wallet } = req.params;
-    const user = sessions.get(wallet);
+    const { username, bio, avatar } = req.body;
+    const profile = await authService.updateProfile(req.user.accountId, { username, bio, avatar });
 
     res.json({
       success: true,
-      isConnected: !!user,
-      ...(user && { user }),
+      data: profile,
+      message: "Profile updated successfully",
     });
   } catch (error) {
-    console.error("Verify session error:", error);
-    res.status(500).json({
+    console.error("Update profile error:", error.message);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
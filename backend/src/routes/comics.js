@@ -1,7 +1,19 @@
 import express from "express";
 import multer from "multer";
 import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
 import comicService from "../services/comicService.js";
+import uploadService from "../services/uploadService.js";
+import jobService from "../services/jobService.js";
+import { PUBLISH_COMIC } from "../jobs/publishComic.js";
+import { authenticate } from "../middleware/auth.js";
+import { requireCollectionCreator, requirePermission } from "../middleware/authorize.js";
+import { PERMISSIONS, hasPermission } from "../utils/roles.js";
+import { parseReadingDirection } from "../utils/readingDirection.js";
+import { maxFileSize } from "../utils/sizes.js";
+import { sanitizeImages } from "../formats/imageValidation.js";
+import { discardUploads, validateImageUploads } from "../middleware/validateUploads.js";
 
 const router = express.Router();
 
@@ -12,71 +24,87 @@ if (!fs.existsSync(uploadPath)) {
   console.log("📁 Created uploads directory");
 }
 
-// ✅ Configure multer for file uploads
+// ✅ Configure multer for file uploads. Stored names are random: the
+// client's file name never reaches the disk, and the type is decided
+// from the content by validateImageUploads, not the declared MIME type
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadPath);
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, file.fieldname + "-" + uniqueSuffix + "-" + file.originalname);
+    cb(null, `${file.fieldname}-${randomUUID()}`);
   }
 });
 
 const upload = multer({
   storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ["image/jpeg", "image/png", "image/webp", "application/octet-stream"];
-    if (!allowedTypes.includes(file.mimetype)) {
-      return cb(new Error("Invalid file type. Only JPEG, PNG, and WEBP allowed."));
-    }
-    cb(null, true);
-  }
+  limits: { fileSize: maxFileSize() } // MAX_FILE_SIZE, 50MB by default
 });
 
 /**
  * POST /api/comics/collections
- * Create a new comic collection
+ * Create a new comic collection (creators only)
  */
-router.post("/collections", upload.single("coverImage"), async (req, res) => {
-  try {
-    // Collect data from either JSON body or form-data
-    const data = req.body;
+router.post(
+  "/collections",
+  authenticate,
+  requirePermission(PERMISSIONS.CREATE_COLLECTION),
+  upload.single("coverImage"),
+  validateImageUploads,
+  async (req, res) => {
+    try {
+      // Collect data from either JSON body or form-data
+      const data = req.body;
 
-    // If a file was uploaded, set its path
-    if (req.file) data.coverImage = req.file.path;
+      // If a file was uploaded, set its path
+      if (req.file) data.coverImage = req.file.path;
 
-    // Create the collection via comicService
-    const collection = await comicService.createCollection({
-      ...data,
-      creator: data.creator || "0.0.1234"
-    });
+      // Create the collection via comicService
+      const collection = await comicService.createCollection({
+        ...data,
+        creator: req.user.accountId
+      });
 
-    res.status(201).json({
-      success: true,
-      message: "Collection created successfully",
-      data: collection
-    });
-  } catch (error) {
-    console.error("❌ Error creating collection:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to create collection"
-    });
+      res.status(201).json({
+        success: true,
+        message: "Collection created successfully",
+        data: collection
+      });
+    } catch (error) {
+      console.error("❌ Error creating collection:", error);
+      discardUploads(req);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to create collection"
+      });
+    }
   }
-});
+);
+
+// Credits arrive as JSON arrays, or comma-separated in form-data
+const listOf = value =>
+  Array.isArray(value) ? value : String(value || "").split(",").map(item => item.trim()).filter(Boolean);
 
 /**
  * POST /api/comics
- * Create and mint a new comic
+ * Create and mint a new comic (collection creator only).
+ * Either multipart (coverImage + pages) or JSON with the `uploadId`
+ * of a completed resumable upload (see routes/uploads.js).
+ * `readingDirection` is "ltr" (default) or "rtl" for manga; `webtoon`
+ * marks a vertical-scroll series, which readers open in continuous view.
+ * Publishing runs as a background job: responds 202 with the job,
+ * whose progress streams from /api/jobs/:jobId/events.
  */
 router.post(
   "/",
+  authenticate,
+  requirePermission(PERMISSIONS.PUBLISH_COMICS),
   upload.fields([
     { name: "coverImage", maxCount: 1 },
     { name: "pages", maxCount: 50 }
   ]),
+  requireCollectionCreator(req => req.body.collectionTokenId),
+  validateImageUploads,
   async (req, res) => {
     try {
       const {
@@ -86,43 +114,72 @@ router.post(
         genre,
         issueNumber,
         copies,
-        attributes
+        attributes,
+        writers,
+        artists,
+        readingDirection,
+        webtoon,
+        uploadId
       } = req.body;
 
-      const creator = "0.0.1234"; // Placeholder until authentication added
-      const coverImage = req.files.coverImage?.[0]?.path;
-      const pages = req.files.pages?.map(file => file.path) || [];
+      const creator = req.user.accountId;
+      const direction = parseReadingDirection(readingDirection);
+      const uploaded = uploadId ? await uploadService.claim(uploadId, creator) : null;
+      const coverImage = uploaded ? uploaded.cover : req.files?.coverImage?.[0]?.path;
+      const pages = uploaded ? uploaded.pages : req.files?.pages?.map(file => file.path) || [];
 
       if (!collectionTokenId || !title || !coverImage || pages.length === 0) {
+        discardUploads(req);
         return res.status(400).json({
           success: false,
           message: "Collection ID, title, cover image, and pages are required"
         });
       }
 
-      const comic = await comicService.createComic({
-        collectionTokenId,
-        title,
-        description,
-        coverImage,
-        pages,
-        creator,
-        genre,
-        issueNumber: parseInt(issueNumber) || 1,
-        copies: parseInt(copies) || 1,
-        attributes: attributes ? JSON.parse(attributes) : []
-      });
+      // Multipart files were checked by validateImageUploads; resumable ones are checked here
+      if (uploaded) {
+        await sanitizeImages(
+          uploaded.files.map(file => ({ path: file.path, field: file.role === "cover" ? "coverImage" : "pages", name: file.name }))
+        );
+      }
 
-      res.status(201).json({
+      // Files are stored by absolute path: the job may run after a restart.
+      // Multipart files belong to the job, which removes them once recorded
+      const job = await jobService.enqueue(
+        PUBLISH_COMIC,
+        {
+          collectionId: collectionTokenId,
+          title,
+          description,
+          coverImage: path.resolve(coverImage),
+          pages: pages.map(page => path.resolve(page)),
+          creator,
+          genre,
+          issueNumber: parseInt(issueNumber) || 1,
+          copies: parseInt(copies) || 1,
+          attributes: typeof attributes === "string" ? JSON.parse(attributes) : attributes || [],
+          writers: listOf(writers),
+          artists: listOf(artists),
+          readingDirection: direction,
+          webtoon: webtoon === true || webtoon === "true",
+          uploadId,
+          temporaryFiles: uploaded ? [] : [coverImage, ...pages].map(file => path.resolve(file))
+        },
+        { owner: creator }
+      );
+
+      res.status(202).location(`/api/jobs/${job.id}`).json({
         success: true,
-        message: "Comic created and minted successfully",
-        data: comic
+        message: "Comic queued for publishing",
+        data: job
       });
     } catch (error) {
       console.error("❌ Error creating comic:", error);
-      res.status(500).json({
+      discardUploads(req);
+      res.status(error.status || 500).json({
         success: false,
-        message: error.message || "Failed to create comic"
+        message: error.message || "Failed to create comic",
+        ...(error.details?.errors && { errors: error.details.errors })
       });
     }
   }
@@ -130,39 +187,77 @@ router.post(
 
 /**
  * POST /api/comics/:tokenId/mint
- * Mint additional copies of existing comic
+ * Mint additional copies of an issue in the collection (collection
+ * creator only). Body: { comicId, quantity }
  */
-router.post("/:tokenId/mint", async (req, res) => {
-  try {
-    const { tokenId } = req.params;
-    const { metadataIPFSHash, copies } = req.body;
+router.post(
+  "/:tokenId/mint",
+  authenticate,
+  requirePermission(PERMISSIONS.PUBLISH_COMICS),
+  requireCollectionCreator(req => req.params.tokenId),
+  async (req, res) => {
+    try {
+      const { tokenId } = req.params;
+      const { comicId } = req.body;
+      const quantity = Number(req.body.quantity);
+
+      if (!comicId || !Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Comic ID and a positive number of copies are required"
+        });
+      }
+
+      const result = await comicService.batchMintComic(comicId, quantity, { tokenId });
 
-    if (!metadataIPFSHash || !copies) {
-      return res.status(400).json({
+      res.status(200).json({
+        success: true,
+        message: `Minted ${quantity} additional copies`,
+        data: result
+      });
+    } catch (error) {
+      console.error("❌ Error minting copies:", error);
+      res.status(error.status || 500).json({
         success: false,
-        message: "Metadata IPFS hash and number of copies are required"
+        message: error.message || "Failed to mint copies"
       });
     }
+  }
+);
 
-    const result = await comicService.mintAdditionalCopies({
-      tokenId,
-      metadataIPFSHash,
-      copies: parseInt(copies)
-    });
+/**
+ * PUT /api/comics/issues/:comicId/pages/:pageNumber/panels
+ * Correct the detected panels of a page (the comic's creator, or an
+ * account that may moderate comics).
+ * Body: { panels: [{ x, y, width, height }] }, normalized to the page
+ * and in reading order.
+ */
+router.put(
+  "/issues/:comicId/pages/:pageNumber/panels",
+  authenticate,
+  requirePermission(PERMISSIONS.PUBLISH_COMICS),
+  async (req, res) => {
+    try {
+      const { comicId, pageNumber } = req.params;
+      const page = await comicService.updatePanels(comicId, pageNumber, req.body.panels, {
+        editor: req.user.accountId,
+        isAdmin: hasPermission(req.user.roles, PERMISSIONS.MODERATE_COMICS)
+      });
 
-    res.status(200).json({
-      success: true,
-      message: `Minted ${copies} additional copies`,
-      data: result
-    });
-  } catch (error) {
-    console.error("❌ Error minting copies:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to mint copies"
-    });
+      res.status(200).json({
+        success: true,
+        message: "Panels updated",
+        data: page
+      });
+    } catch (error) {
+      console.error("❌ Error updating panels:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.message || "Failed to update panels"
+      });
+    }
   }
-});
+);
 
 /**
  * GET /api/comics/:tokenId
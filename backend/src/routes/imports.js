@@ -0,0 +1,124 @@
+import express from "express";
+import multer from "multer";
+import os from "os";
+import fs from "fs";
+import path from "path";
+import importService from "../services/importService.js";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import { PERMISSIONS } from "../utils/roles.js";
+
+const router = express.Router();
+
+const IMPORT_EXTENSIONS = [".cbz", ".zip", ".cbr", ".rar", ".pdf"];
+
+// Archives are only needed until their pages are extracted, so they go to the OS temp dir
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: Number(process.env.IMPORT_MAX_SIZE_MB || 200) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new Error("Invalid file type. Only CBZ, ZIP, CBR, RAR and PDF allowed."));
+    }
+    cb(null, true);
+  },
+});
+
+/** Run multer, answering upload errors (size, type) as 4xx JSON */
+const receiveArchive = (req, res, next) =>
+  upload.single("archive")(req, res, error => {
+    if (!error) return next();
+    res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+      success: false,
+      error: error.message,
+    });
+  });
+
+/**
+ * POST /api/comics/import
+ * Upload a CBZ/ZIP, CBR/RAR or PDF (field "archive"); extracts and
+ * stages its pages for review. Metadata is prefilled from
+ * ComicInfo.xml when the archive has one.
+ */
+router.post(
+  "/",
+  authenticate,
+  requirePermission(PERMISSIONS.PUBLISH_COMICS),
+  receiveArchive,
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: "An archive file is required",
+      });
+    }
+
+    try {
+      const manifest = await importService.importFile(req.file.path, {
+        originalName: req.file.originalname,
+        owner: req.user.accountId,
+      });
+
+      res.status(201).json({ success: true, data: manifest });
+    } catch (error) {
+      console.error("Import error:", error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    } finally {
+      fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+    }
+  }
+);
+
+/**
+ * GET /api/comics/import/:importId
+ * The staged import's pages and prefilled metadata
+ */
+router.get("/:importId", authenticate, async (req, res) => {
+  try {
+    const manifest = await importService.getImport(req.params.importId, req.user.accountId);
+    res.json({ success: true, data: manifest });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/comics/import/:importId/pages/:index
+ * One staged page image (0-based index, in reading order)
+ */
+router.get("/:importId/pages/:index", authenticate, async (req, res) => {
+  try {
+    const file = await importService.getPagePath(req.params.importId, req.params.index, req.user.accountId);
+    res.set("Cache-Control", "private, max-age=3600");
+    res.sendFile(file);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/comics/import/:importId
+ * Discard a staged import
+ */
+router.delete("/:importId", authenticate, async (req, res) => {
+  try {
+    await importService.discard(req.params.importId, req.user.accountId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+export default router;
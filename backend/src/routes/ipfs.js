@@ -0,0 +1,55 @@
+import express from "express";
+import path from "path";
+import ipfsService from "../services/ipfsService.js";
+
+const router = express.Router();
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".json": "application/json",
+  ".pdf": "application/pdf",
+  ".cbz": "application/vnd.comicbook+zip",
+  ".epub": "application/epub+zip",
+};
+
+/**
+ * GET /ipfs/:cid
+ * Serve content from the local content-addressed store.
+ * CIDs never change content, so responses are cached forever.
+ */
+router.get("/:cid", async (req, res) => {
+  try {
+    const local = ipfsService.getLocalProvider();
+    if (!local) {
+      return res.status(404).json({
+        success: false,
+        error: "Local IPFS store is not enabled",
+      });
+    }
+
+    const { size, name, path: file } = await local.stat(req.params.cid);
+
+    res.set({
+      "Content-Type": CONTENT_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream",
+      "Content-Length": size,
+      "Cache-Control": "public, max-age=31536000, immutable",
+      ETag: `"${req.params.cid}"`,
+      // Pages are embedded by the frontend on another origin
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    });
+    if (req.query.download) res.attachment(name);
+
+    res.sendFile(file);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+export default router;
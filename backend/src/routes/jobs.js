@@ -0,0 +1,102 @@
+import express from "express";
+import jobService from "../services/jobService.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Comment lines keep idle proxies from closing the stream
+const HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * GET /api/jobs
+ * Your most recent jobs
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const jobs = await jobService.listJobs(req.user.accountId, {
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    });
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * A job's status, stages and progress
+ */
+router.get("/:jobId", authenticate, async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId, req.user.accountId);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events: a `job` event with the current state, then
+ * one per change until the job completes or fails.
+ */
+router.get("/:jobId/events", authenticate, async (req, res) => {
+  let job;
+  try {
+    job = await jobService.getJob(req.params.jobId, req.user.accountId);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = update => res.write(`event: job\ndata: ${JSON.stringify(update)}\n\n`);
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+  const unsubscribe = jobService.subscribe(job.id, update => {
+    send(update);
+    if (jobService.isFinished(update)) close();
+  });
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+
+  req.on("close", close);
+  send(job);
+  if (jobService.isFinished(job)) close();
+});
+
+/**
+ * POST /api/jobs/:jobId/retry
+ * Run a failed job again from the stage that failed
+ */
+router.post("/:jobId/retry", authenticate, async (req, res) => {
+  try {
+    const job = await jobService.retry(req.params.jobId, req.user.accountId);
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+export default router;
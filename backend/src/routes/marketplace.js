@@ -1,10 +1,17 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import hederaService from '../services/hederaService.js';
-import comicService from '../services/comicService.js';
+import marketplaceService from '../services/marketplaceService.js';
+import auctionService from '../services/auctionService.js';
+import authService from '../services/authService.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { hasPermission, PERMISSIONS } from '../utils/roles.js';
 
 const router = express.Router();
 
+// Buying, selling and bidding
+const canTrade = [authenticate, requirePermission(PERMISSIONS.TRADE)];
+
 // Validation middleware
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -17,59 +24,117 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * @route POST /api/marketplace/approve
+ * @desc Start approving the marketplace to transfer one NFT, which listing
+ *       requires. Returns an AccountAllowanceApproveTransaction for the
+ *       seller's wallet to sign.
+ * @access Private
+ */
+router.post('/approve', canTrade, [
+  body('tokenId').isString().notEmpty().withMessage('Token ID is required'),
+  body('serialNumber').isInt({ min: 1 }).withMessage('Serial number must be a positive integer')
+], validateRequest, async (req, res) => {
+  try {
+    const { tokenId, serialNumber } = req.body;
+
+    const approval = await marketplaceService.prepareApproval({
+      seller: req.user.accountId,
+      tokenId,
+      serialNumber
+    });
+
+    res.json({
+      success: true,
+      data: approval,
+      message: 'Sign the transaction to let the marketplace transfer this comic when it sells'
+    });
+  } catch (error) {
+    console.error('Error preparing approval:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/marketplace/approve/confirm
+ * @desc Submit the seller-signed allowance
+ * @access Private
+ */
+router.post('/approve/confirm', canTrade, [
+  body('tokenId').isString().notEmpty().withMessage('Token ID is required'),
+  body('serialNumber').isInt({ min: 1 }).withMessage('Serial number must be a positive integer'),
+  body('approvalId').notEmpty().withMessage('Approval ID is required'),
+  body('signedTransaction').notEmpty().withMessage('Signed transaction is required')
+], validateRequest, async (req, res) => {
+  try {
+    const { tokenId, serialNumber, approvalId, signedTransaction } = req.body;
+
+    const approval = await marketplaceService.completeApproval({
+      seller: req.user.accountId,
+      tokenId,
+      serialNumber,
+      approvalId,
+      signedTransaction
+    });
+
+    res.json({
+      success: true,
+      data: approval,
+      message: 'Marketplace approved. You can now list this comic.'
+    });
+  } catch (error) {
+    console.error('Error confirming approval:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route POST /api/marketplace/list
  * @desc List a comic for sale
- * @access Public
+ * @access Private
  */
-router.post('/list', [
+router.post('/list', canTrade, [
   body('comicId').notEmpty().withMessage('Comic ID is required'),
-  body('seller').notEmpty().withMessage('Seller address is required'),
+  body('tokenId').optional().isString().withMessage('Token ID must be a string'),
+  body('serialNumber').optional().isInt({ min: 1 }).withMessage('Serial number must be a positive integer'),
   body('price').isInt({ min: 0 }).withMessage('Price must be a non-negative integer'),
   body('currency').optional().isIn(['HBAR', 'USDC']).withMessage('Currency must be HBAR or USDC'),
   body('type').isIn(['fixed', 'auction']).withMessage('Type must be fixed or auction'),
-  body('duration').optional().isInt({ min: 3600, max: 604800 }).withMessage('Duration must be between 1 hour and 7 days')
+  body('duration').optional().isInt({ min: 3600, max: 604800 }).withMessage('Duration must be between 1 hour and 7 days'),
+  body('reservePrice').optional().isInt({ min: 0 }).withMessage('Reserve price must be a non-negative integer')
 ], validateRequest, async (req, res) => {
   try {
     const {
       comicId,
-      seller,
+      tokenId,
+      serialNumber,
       price,
       currency = 'HBAR',
       type = 'fixed',
       duration = 86400, // 24 hours default
-      description = ''
+      description = '',
+      reservePrice
     } = req.body;
 
-    // Get comic information
-    const comic = await comicService.getComic(comicId);
-    if (!comic) {
-      return res.status(404).json({
-        success: false,
-        error: 'Comic not found'
-      });
-    }
-
-    // Create listing
-    const listing = {
-      id: `${comicId}-${Date.now()}`,
+    const listing = await marketplaceService.createListing({
       comicId,
-      seller,
+      seller: req.user.accountId,
+      tokenId,
+      serialNumber,
       price,
       currency,
       type,
       duration,
       description,
-      status: 'active',
-      createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + duration * 1000).toISOString(),
-      bids: [],
-      highestBid: null
-    };
-
-    // In a real implementation, you would store this in a database
-    // For now, we'll simulate the listing creation
-    
+      reservePrice
+    });
+
     res.status(201).json({
       success: true,
       data: listing,
@@ -77,7 +142,7 @@ router.post('/list', [
     });
   } catch (error) {
     console.error('Error listing comic:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -86,49 +151,122 @@ router.post('/list', [
 
 /**
  * @route POST /api/marketplace/buy
- * @desc Buy a comic at fixed price
- * @access Public
+ * @desc Start a fixed-price purchase. Returns one TransferTransaction
+ *       (HBAR payment, seller proceeds, platform fee and the NFT) for the
+ *       buyer's wallet to sign.
+ * @access Private
  */
-router.post('/buy', [
-  body('listingId').notEmpty().withMessage('Listing ID is required'),
-  body('buyer').notEmpty().withMessage('Buyer address is required'),
-  body('tokenId').notEmpty().withMessage('Token ID is required'),
-  body('serialNumber').isInt({ min: 1 }).withMessage('Serial number must be a positive integer')
+router.post('/buy', canTrade, [
+  body('listingId').notEmpty().withMessage('Listing ID is required')
 ], validateRequest, async (req, res) => {
   try {
-    const {
-      listingId,
-      buyer,
-      tokenId,
-      serialNumber,
-      seller
-    } = req.body;
+    const purchase = await marketplaceService.preparePurchase(req.body.listingId, req.user.accountId);
 
-    // Verify ownership (in a real implementation, you would check the actual listing)
-    const ownership = await hederaService.checkNFTOwnership(seller, tokenId, serialNumber);
-    if (!ownership) {
-      return res.status(400).json({
-        success: false,
-        error: 'Seller does not own this NFT'
-      });
-    }
+    res.json({
+      success: true,
+      data: purchase,
+      message: 'Sign the transaction to complete the purchase'
+    });
+  } catch (error) {
+    console.error('Error buying comic:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Transfer NFT
-    const transferResult = await hederaService.transferNFT(
-      tokenId,
-      serialNumber,
-      seller,
-      buyer
-    );
+/**
+ * @route POST /api/marketplace/buy/confirm
+ * @desc Submit the buyer-signed purchase transaction and record the receipt
+ * @access Private
+ */
+router.post('/buy/confirm', canTrade, [
+  body('listingId').notEmpty().withMessage('Listing ID is required'),
+  body('purchaseId').notEmpty().withMessage('Purchase ID is required'),
+  body('signedTransaction').notEmpty().withMessage('Signed transaction is required')
+], validateRequest, async (req, res) => {
+  try {
+    const { listingId, purchaseId, signedTransaction } = req.body;
+
+    const listing = await marketplaceService.completePurchase(listingId, {
+      buyer: req.user.accountId,
+      purchaseId,
+      signedTransaction
+    });
 
     res.json({
       success: true,
-      data: transferResult,
+      data: listing,
       message: 'Comic purchased successfully'
     });
   } catch (error) {
-    console.error('Error buying comic:', error);
-    res.status(500).json({
+    console.error('Error confirming purchase:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/marketplace/bid/approve
+ * @desc Start approving the marketplace to spend up to `amount` HBAR of the
+ *       bidder's, which bidding requires so a won auction settles without
+ *       them. Returns an AccountAllowanceApproveTransaction to sign.
+ * @access Private
+ */
+router.post('/bid/approve', canTrade, [
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer')
+], validateRequest, async (req, res) => {
+  try {
+    const approval = await auctionService.prepareBidAllowance({
+      bidder: req.user.accountId,
+      amount: req.body.amount
+    });
+
+    res.json({
+      success: true,
+      data: approval,
+      message: 'Sign the transaction to let the marketplace collect your winning bids'
+    });
+  } catch (error) {
+    console.error('Error preparing bid allowance:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/marketplace/bid/approve/confirm
+ * @desc Submit the bidder-signed HBAR allowance
+ * @access Private
+ */
+router.post('/bid/approve/confirm', canTrade, [
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer'),
+  body('approvalId').notEmpty().withMessage('Approval ID is required'),
+  body('signedTransaction').notEmpty().withMessage('Signed transaction is required')
+], validateRequest, async (req, res) => {
+  try {
+    const { amount, approvalId, signedTransaction } = req.body;
+
+    const approval = await auctionService.completeBidAllowance({
+      bidder: req.user.accountId,
+      amount,
+      approvalId,
+      signedTransaction
+    });
+
+    res.json({
+      success: true,
+      data: approval,
+      message: 'Marketplace approved. You can now bid.'
+    });
+  } catch (error) {
+    console.error('Error confirming bid allowance:', error);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -138,97 +276,74 @@ router.post('/buy', [
 /**
  * @route POST /api/marketplace/bid
  * @desc Place a bid on an auction
- * @access Public
+ * @access Private
  */
-router.post('/bid', [
+router.post('/bid', canTrade, [
   body('listingId').notEmpty().withMessage('Listing ID is required'),
-  body('bidder').notEmpty().withMessage('Bidder address is required'),
   body('amount').isInt({ min: 0 }).withMessage('Bid amount must be a non-negative integer'),
   body('currency').optional().isIn(['HBAR', 'USDC']).withMessage('Currency must be HBAR or USDC')
 ], validateRequest, async (req, res) => {
   try {
     const {
       listingId,
-      bidder,
       amount,
       currency = 'HBAR'
     } = req.body;
 
-    // In a real implementation, you would:
-    // 1. Verify the listing exists and is an auction
-    // 2. Check if the bid is higher than the current highest bid
-    // 3. Check if the auction is still active
-    // 4. Store the bid in the database
-
-    const bid = {
-      id: `${listingId}-${Date.now()}`,
+    const result = await auctionService.placeBid({
       listingId,
-      bidder,
+      bidder: req.user.accountId,
       amount,
-      currency,
-      timestamp: new Date().toISOString(),
-      status: 'active'
-    };
+      currency
+    });
 
     res.status(201).json({
       success: true,
-      data: bid,
-      message: 'Bid placed successfully'
+      data: {
+        ...result.bid,
+        auctionEndsAt: result.listing.expiresAt,
+        extended: result.extended,
+        reserveMet: result.listing.reserveMet,
+        minimumNextBid: auctionService.getMinimumBid(result.listing)
+      },
+      message: result.extended
+        ? 'Bid placed successfully. Auction extended.'
+        : 'Bid placed successfully'
     });
   } catch (error) {
     console.error('Error placing bid:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.details && { details: error.details })
     });
   }
 });
 
 /**
  * @route POST /api/marketplace/accept-bid
- * @desc Accept a bid and complete the sale
- * @access Public
+ * @desc Accept the highest bid and end the auction, settling it at once
+ * @access Private
  */
-router.post('/accept-bid', [
-  body('bidId').notEmpty().withMessage('Bid ID is required'),
-  body('seller').notEmpty().withMessage('Seller address is required'),
-  body('tokenId').notEmpty().withMessage('Token ID is required'),
-  body('serialNumber').isInt({ min: 1 }).withMessage('Serial number must be a positive integer')
+router.post('/accept-bid', canTrade, [
+  body('bidId').notEmpty().withMessage('Bid ID is required')
 ], validateRequest, async (req, res) => {
   try {
-    const {
-      bidId,
-      seller,
-      tokenId,
-      serialNumber,
-      buyer
-    } = req.body;
-
-    // Verify ownership
-    const ownership = await hederaService.checkNFTOwnership(seller, tokenId, serialNumber);
-    if (!ownership) {
-      return res.status(400).json({
-        success: false,
-        error: 'Seller does not own this NFT'
-      });
-    }
-
-    // Transfer NFT
-    const transferResult = await hederaService.transferNFT(
-      tokenId,
-      serialNumber,
-      seller,
-      buyer
-    );
+    const listing = await auctionService.acceptBid({
+      bidId: req.body.bidId,
+      seller: req.user.accountId
+    });
 
     res.json({
       success: true,
-      data: transferResult,
-      message: 'Bid accepted and NFT transferred successfully'
+      data: listing,
+      message: listing.status === 'sold'
+        ? 'Bid accepted. The comic has been transferred to the winning bidder.'
+        : 'Bid accepted. The transfer to the winning bidder will be retried shortly.'
     });
   } catch (error) {
     console.error('Error accepting bid:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -248,22 +363,25 @@ router.get('/listings', async (req, res) => {
       minPrice,
       maxPrice,
       seller,
+      status = 'active',
       limit = 20,
       offset = 0
     } = req.query;
 
-    // In a real implementation, you would query the database
-    // For now, return mock data
-    const listings = [];
+    const result = await marketplaceService.getListings({
+      type,
+      currency,
+      minPrice,
+      maxPrice,
+      seller,
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
 
     res.json({
       success: true,
-      data: {
-        listings,
-        total: listings.length,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      }
+      data: result
     });
   } catch (error) {
     console.error('Error getting listings:', error);
@@ -281,15 +399,7 @@ router.get('/listings', async (req, res) => {
  */
 router.get('/listings/:id', async (req, res) => {
   try {
-    // In a real implementation, you would fetch from database
-    const listing = null;
-
-    if (!listing) {
-      return res.status(404).json({
-        success: false,
-        error: 'Listing not found'
-      });
-    }
+    const listing = await marketplaceService.getListing(req.params.id);
 
     res.json({
       success: true,
@@ -297,7 +407,73 @@ router.get('/listings/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting listing:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/marketplace/listings/:id
+ * @desc Edit an active listing (price, description, duration)
+ * @access Private
+ */
+router.patch('/listings/:id', canTrade, [
+  body('price').optional().isInt({ min: 0 }).withMessage('Price must be a non-negative integer'),
+  body('duration').optional().isInt({ min: 3600, max: 604800 }).withMessage('Duration must be between 1 hour and 7 days')
+], validateRequest, async (req, res) => {
+  try {
+    const { price, description, duration } = req.body;
+
+    const listing = await marketplaceService.updateListing(req.params.id, req.user.accountId, {
+      price,
+      description,
+      duration
+    });
+
+    res.json({
+      success: true,
+      data: listing,
+      message: 'Listing updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating listing:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/marketplace/listings/:id/cancel
+ * @desc Cancel an active listing. Moderators may take down any listing
+ *       (optional `reason`), including auctions that have bids.
+ * @access Private (seller or moderator)
+ */
+router.post('/listings/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const { accountId } = req.user;
+    const existing = await marketplaceService.getListing(req.params.id);
+    const roles = await authService.getRoles(accountId);
+    const moderating = existing.seller !== accountId && hasPermission(roles, PERMISSIONS.MODERATE_LISTINGS);
+
+    const listing = await marketplaceService.cancelListing(req.params.id, accountId, {
+      ...(moderating && { moderatedBy: accountId, reason: req.body.reason })
+    });
+    if (moderating && listing.type === 'auction') {
+      await auctionService.closeBids(listing.id, null);
+    }
+
+    res.json({
+      success: true,
+      data: listing,
+      message: 'Listing cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Error cancelling listing:', error);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -311,8 +487,7 @@ router.get('/listings/:id', async (req, res) => {
  */
 router.get('/bids/:listingId', async (req, res) => {
   try {
-    // In a real implementation, you would fetch from database
-    const bids = [];
+    const bids = await auctionService.getBids(req.params.listingId);
 
     res.json({
       success: true,
@@ -337,17 +512,16 @@ router.get('/user/:address/listings', async (req, res) => {
     const { address } = req.params;
     const { status = 'active', limit = 20, offset = 0 } = req.query;
 
-    // In a real implementation, you would query the database
-    const listings = [];
+    const result = await marketplaceService.getListings({
+      seller: address,
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
 
     res.json({
       success: true,
-      data: {
-        listings,
-        total: listings.length,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      }
+      data: result
     });
   } catch (error) {
     console.error('Error getting user listings:', error);
@@ -368,17 +542,15 @@ router.get('/user/:address/bids', async (req, res) => {
     const { address } = req.params;
     const { status = 'active', limit = 20, offset = 0 } = req.query;
 
-    // In a real implementation, you would query the database
-    const bids = [];
+    const result = await auctionService.getUserBids(address, {
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
 
     res.json({
       success: true,
-      data: {
-        bids,
-        total: bids.length,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      }
+      data: result
     });
   } catch (error) {
     console.error('Error getting user bids:', error);
@@ -396,16 +568,7 @@ router.get('/user/:address/bids', async (req, res) => {
  */
 router.get('/stats', async (req, res) => {
   try {
-    // In a real implementation, you would calculate from database
-    const stats = {
-      totalListings: 0,
-      activeListings: 0,
-      totalVolume: 0,
-      averagePrice: 0,
-      totalSales: 0,
-      topCollections: [],
-      recentActivity: []
-    };
+    const stats = await marketplaceService.getStats();
 
     res.json({
       success: true,
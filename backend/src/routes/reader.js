@@ -1,23 +1,36 @@
 import express from "express";
 import comicService from "../services/comicService.js";
+import libraryService from "../services/libraryService.js";
+import readingService from "../services/readingService.js";
 import ipfsService from "../services/ipfsService.js";
+import { authenticate } from "../middleware/auth.js";
 
 const router = express.Router();
 
 /**
  * GET /api/reader/library/:wallet
- * Get all comics owned by wallet (reader's library)
+ * Comics held by the wallet, grouped by series with reading progress.
+ * Pass ?refresh=true to re-read holdings immediately.
  */
-router.get("/library/:wallet", async (req, res) => {
+router.get("/library/:wallet", authenticate, async (req, res) => {
   try {
     const { wallet } = req.params;
 
-    const result = await comicService.getWalletComics(wallet);
+    if (wallet !== req.user.accountId) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only view your own library",
+      });
+    }
 
-    res.json(result);
+    const library = await libraryService.getLibrary(wallet, {
+      refresh: req.query.refresh === "true",
+    });
+
+    res.json({ success: true, data: library });
   } catch (error) {
     console.error("Get library error:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
@@ -28,11 +41,12 @@ router.get("/library/:wallet", async (req, res) => {
  * POST /api/reader/access
  * Verify access and get comic content
  */
-router.post("/access", async (req, res) => {
+router.post("/access", authenticate, async (req, res) => {
   try {
-    const { wallet, tokenId, serialNumber } = req.body;
+    const { tokenId, serialNumber } = req.body;
+    const wallet = req.user.accountId;
 
-    if (!wallet || !tokenId || !serialNumber) {
+    if (!tokenId || !serialNumber) {
       return res.status(400).json({
         success: false,
         error: "Missing required fields",
@@ -55,7 +69,7 @@ router.post("/access", async (req, res) => {
     }
 
     // Get comic details with pages
-    const comic = await comicService.getComicDetails(
+    const { comic } = await comicService.getComicDetails(
       tokenId,
       parseInt(serialNumber)
     );
@@ -67,7 +81,7 @@ router.post("/access", async (req, res) => {
     });
   } catch (error) {
     console.error("Access verification error:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
@@ -78,25 +92,22 @@ router.post("/access", async (req, res) => {
  * GET /api/reader/comic/:tokenId/:serialNumber
  * Get comic reader data
  */
-router.get("/comic/:tokenId/:serialNumber", async (req, res) => {
+router.get("/comic/:tokenId/:serialNumber", authenticate, async (req, res) => {
   try {
     const { tokenId, serialNumber } = req.params;
-    const { wallet } = req.query;
-
-    // Verify ownership if wallet provided
-    if (wallet) {
-      const ownership = await comicService.verifyOwnership(
-        wallet,
-        tokenId,
-        parseInt(serialNumber)
-      );
-
-      if (!ownership.isOwner) {
-        return res.status(403).json({
-          success: false,
-          error: "Access denied. You must own this comic to read it.",
-        });
-      }
+
+    // Only the holder of this NFT may read it
+    const ownership = await comicService.verifyOwnership(
+      req.user.accountId,
+      tokenId,
+      parseInt(serialNumber)
+    );
+
+    if (!ownership.isOwner) {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied. You must own this comic to read it.",
+      });
     }
 
     // Get comic details
@@ -108,7 +119,136 @@ router.get("/comic/:tokenId/:serialNumber", async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error("Get comic error:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/reader/progress
+ * Recently read comics for the signed-in account
+ */
+router.get("/progress", authenticate, async (req, res) => {
+  try {
+    const { limit = 20, offset = 0 } = req.query;
+    const progress = await readingService.listProgress(req.user.accountId, {
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: parseInt(offset) || 0,
+    });
+
+    res.json({ success: true, data: progress });
+  } catch (error) {
+    console.error("List progress error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/reader/progress/:comicId
+ * Where the reader left off in a comic, plus its bookmarks
+ */
+router.get("/progress/:comicId", authenticate, async (req, res) => {
+  try {
+    const { comicId } = req.params;
+    const [progress, bookmarks] = await Promise.all([
+      readingService.getProgress(req.user.accountId, comicId),
+      readingService.listBookmarks(req.user.accountId, { comicId }),
+    ]);
+
+    res.json({ success: true, data: { progress, bookmarks } });
+  } catch (error) {
+    console.error("Get progress error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/reader/progress
+ * Save the current page and time spent reading
+ */
+router.post("/progress", authenticate, async (req, res) => {
+  try {
+    const { comicId, currentPage, totalPages, readTime } = req.body;
+    const progress = await readingService.saveProgress(req.user.accountId, {
+      comicId,
+      currentPage,
+      totalPages,
+      readTime,
+    });
+
+    res.json({ success: true, data: progress });
+  } catch (error) {
+    console.error("Save progress error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/reader/bookmarks
+ * Bookmarks of the signed-in account (?comicId= for one comic)
+ */
+router.get("/bookmarks", authenticate, async (req, res) => {
+  try {
+    const bookmarks = await readingService.listBookmarks(req.user.accountId, {
+      comicId: req.query.comicId,
+    });
+
+    res.json({ success: true, data: bookmarks });
+  } catch (error) {
+    console.error("List bookmarks error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/reader/bookmark
+ * Bookmark a page, with an optional note
+ */
+router.post("/bookmark", authenticate, async (req, res) => {
+  try {
+    const { comicId, pageNumber, note } = req.body;
+    const bookmark = await readingService.addBookmark(req.user.accountId, {
+      comicId,
+      pageNumber,
+      note,
+    });
+
+    res.status(201).json({ success: true, data: bookmark });
+  } catch (error) {
+    console.error("Add bookmark error:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/reader/bookmark/:id
+ * Remove one of your bookmarks
+ */
+router.delete("/bookmark/:id", authenticate, async (req, res) => {
+  try {
+    const bookmark = await readingService.removeBookmark(req.user.accountId, req.params.id);
+
+    res.json({ success: true, data: bookmark });
+  } catch (error) {
+    console.error("Remove bookmark error:", error);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
@@ -0,0 +1,97 @@
+import express from "express";
+import uploadService from "../services/uploadService.js";
+import { authenticate } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/authorize.js";
+import { PERMISSIONS } from "../utils/roles.js";
+
+const router = express.Router();
+
+/** Answer with the error's status, plus where the file stands when the client needs to resync */
+const sendError = (res, error) =>
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { ...error.details }),
+  });
+
+/** Chunk bodies arrive as raw bytes, whatever Content-Type the client sends */
+const receiveChunk = (req, res, next) =>
+  express.raw({ type: () => true, limit: uploadService.limits.chunkSize })(req, res, error => {
+    if (!error) return next();
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.type === "entity.too.large" ? "Chunk too large" : error.message,
+    });
+  });
+
+/**
+ * POST /api/uploads
+ * Start a resumable upload. Body: { files: [{ name, size, type,
+ * sha256, role: "cover" | "page" }] }. Returns the session id and
+ * the chunk size to send.
+ */
+router.post("/", authenticate, requirePermission(PERMISSIONS.PUBLISH_COMICS), async (req, res) => {
+  try {
+    const session = await uploadService.createSession(req.user.accountId, req.body);
+    res.status(201).json({ success: true, data: session });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/uploads/:uploadId
+ * Where each file stands (offset, complete) — resume from there
+ */
+router.get("/:uploadId", authenticate, async (req, res) => {
+  try {
+    const session = await uploadService.getSession(req.params.uploadId, req.user.accountId);
+    res.json({ success: true, data: session });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * PUT /api/uploads/:uploadId/files/:index
+ * Send the next chunk of a file. Headers: Upload-Offset (byte the
+ * chunk starts at) and Upload-Checksum ("sha256 <hex>" of the chunk).
+ * 409 carries the offset to continue from; 422 means resend the chunk.
+ */
+router.put("/:uploadId/files/:index", authenticate, receiveChunk, async (req, res) => {
+  try {
+    const [algorithm, checksum] = String(req.get("Upload-Checksum") || "").split(" ");
+    if (algorithm !== "sha256" || !checksum) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Checksum must be "sha256 <hex digest>"',
+      });
+    }
+
+    const file = await uploadService.writeChunk(req.params.uploadId, req.user.accountId, req.params.index, {
+      offset: req.get("Upload-Offset"),
+      checksum,
+      data: Buffer.isBuffer(req.body) ? req.body : null,
+    });
+
+    res.set("Upload-Offset", String(file.offset));
+    res.json({ success: true, data: file });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/uploads/:uploadId
+ * Abandon an upload and remove its chunks
+ */
+router.delete("/:uploadId", authenticate, async (req, res) => {
+  try {
+    await uploadService.discard(req.params.uploadId, req.user.accountId);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -8,12 +8,25 @@ import rateLimit from "express-rate-limit";
 // Import services
 import hederaService from "./services/hederaService.js";
 import ipfsService from "./services/ipfsService.js";
+import comicService from "./services/comicService.js";
+import auctionService from "./services/auctionService.js";
+import settingsService from "./services/settingsService.js";
+import jobService from "./services/jobService.js";
+import publishComicJob from "./jobs/publishComic.js";
+import reconcilePinsJob, { RECONCILE_PINS } from "./jobs/reconcilePins.js";
+import storage from "./storage/index.js";
 
 // Import routes
 import comicsRoutes from "./routes/comics.js";
 import marketplaceRoutes from "./routes/marketplace.js";
 import readerRoutes from "./routes/reader.js";
 import authRoutes from "./routes/auth.js";
+import adminRoutes from "./routes/admin.js";
+import ipfsRoutes from "./routes/ipfs.js";
+import importRoutes from "./routes/imports.js";
+import uploadRoutes from "./routes/uploads.js";
+import jobRoutes from "./routes/jobs.js";
+import { maxFileSize, formatSize } from "./utils/sizes.js";
 
 // Load environment variables
 dotenv.config();
@@ -50,18 +63,44 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100,
   message: "Too many requests from this IP, please try again later.",
+  // A resumable upload is one request per chunk; opening the session is what's limited.
+  // Reading progress has its own limiter below
+  skip: req =>
+    (req.method === "PUT" && req.path.startsWith("/uploads/")) ||
+    (req.method === "POST" && req.path === "/reader/progress"),
 });
 app.use("/api/", limiter);
 
+// Progress is saved each time a reader settles on a page, so it gets a looser budget
+const progressLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 600,
+  message: "Too many progress updates from this IP, please try again later.",
+});
+app.post("/api/reader/progress", progressLimiter);
+
+// Challenges are issued without authentication and each one is stored until
+// it expires, so issuing them is held to a tighter budget
+const challengeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: "Too many sign-in attempts from this IP, please try again later.",
+});
+app.post("/api/auth/challenge", challengeLimiter);
+
 // Upload-specific limiter
 const uploadLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 10,
   message: "Too many uploads from this IP, please try again later.",
 });
-app.use("/api/comics/collections", uploadLimiter);
-app.use("/api/comics/issues", uploadLimiter);
-app.use("/api/comics/upload-pages", uploadLimiter);
+// Only the requests that carry files: creating a collection and publishing an
+// issue, not edits such as the panels PUT under /api/comics/issues
+app.post("/api/comics/collections", uploadLimiter);
+app.post("/api/comics", uploadLimiter);
+// Only the archive upload itself; reviewing the staged pages is many small GETs
+app.post("/api/comics/import", uploadLimiter);
+app.post("/api/uploads", uploadLimiter);
 
 // ============================================
 // ROUTES
@@ -83,6 +122,7 @@ app.get("/health", async (req, res) => {
     services: {
       hedera: "unknown",
       ipfs: "unknown",
+      database: "unknown",
       api: "healthy",
     },
     uptimeSeconds: process.uptime(),
@@ -97,8 +137,13 @@ app.get("/health", async (req, res) => {
 
     // IPFS
     const ipfsStatus = ipfsService.getStatus();
-    result.services.ipfs = ipfsStatus.isInitialized ? "healthy" : "unhealthy";
-    if (!ipfsStatus.isInitialized) result.success = false;
+    const ipfsReady = ipfsStatus.isInitialized && ipfsStatus.providers.some(p => p.ready);
+    result.services.ipfs = ipfsReady ? "healthy" : "unhealthy";
+    if (!ipfsReady) result.success = false;
+
+    // Database
+    result.services.database = storage.isConnected ? "healthy" : "unhealthy";
+    if (!storage.isConnected) result.success = false;
 
     res.status(result.success ? 200 : 503).json(result);
   } catch (error) {
@@ -112,10 +157,18 @@ app.get("/health", async (req, res) => {
 });
 
 // Register API routes
+// Mounted before /api/comics so "import" isn't read as a token ID
+app.use("/api/comics/import", importRoutes);
 app.use("/api/comics", comicsRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/jobs", jobRoutes);
 app.use("/api/marketplace", marketplaceRoutes);
 app.use("/api/reader", readerRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/admin", adminRoutes);
+
+// Content from the local IPFS store (IPFS_PROVIDER=local)
+app.use("/ipfs", ipfsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -133,7 +186,7 @@ app.use((err, req, res, next) => {
   if (err.code === "LIMIT_FILE_SIZE") {
     return res.status(413).json({
       success: false,
-      error: "File too large. Max size: 50MB.",
+      error: `File too large. Max size: ${formatSize(maxFileSize())}.`,
     });
   }
 
@@ -152,12 +205,28 @@ async function initializeServices() {
   console.log("🚀 Initializing Comic Pad services...\n");
 
   try {
+    console.log(`🗄️  Connecting to database (${storage.driver})...`);
+    await storage.initialize();
+    await settingsService.load();
+    await comicService.initialize();
+
     console.log("📡 Connecting to Hedera...");
     await hederaService.initialize();
 
-    console.log("📦 Connecting to IPFS (Pinata/Web3.Storage)...");
+    console.log("📦 Connecting to IPFS providers...");
     await ipfsService.initialize();
 
+    console.log("🔨 Starting auction settlement...");
+    auctionService.start();
+
+    console.log("🧵 Starting job queue...");
+    jobService.register(publishComicJob);
+    jobService.register(reconcilePinsJob);
+    await jobService.start();
+
+    const reconcileEveryMs = Number(process.env.PIN_RECONCILE_INTERVAL_MS || 24 * 60 * 60 * 1000);
+    if (reconcileEveryMs > 0) jobService.schedule(RECONCILE_PINS, reconcileEveryMs);
+
     console.log("✅ All services initialized successfully!\n");
   } catch (error) {
     console.error("❌ Service initialization failed:", error.message);
@@ -185,13 +254,17 @@ async function startServer() {
 }
 
 // Graceful shutdown
-process.on("SIGTERM", () => {
+process.on("SIGTERM", async () => {
   console.log("⚠️ SIGTERM received, shutting down gracefully...");
+  auctionService.stop();
+  await storage.close();
   process.exit(0);
 });
 
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
   console.log("\n⚠️ SIGINT received, shutting down gracefully...");
+  auctionService.stop();
+  await storage.close();
   process.exit(0);
 });
 
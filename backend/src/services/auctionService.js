@@ -0,0 +1,435 @@
+import storage from "../storage/index.js";
+import hederaService from "./hederaService.js";
+import marketplaceService, { LISTING_STATUS, toTinybars } from "./marketplaceService.js";
+import settingsService from "./settingsService.js";
+import { createError } from "../utils/errors.js";
+
+export const BID_STATUS = {
+  ACTIVE: "active", // current highest bid
+  OUTBID: "outbid",
+  WON: "won",
+  LOST: "lost"
+};
+
+/* -----------------------------------------------------------
+   🔨 Auction Service (English auction)
+
+   - Bids must beat the current highest by a minimum increment
+   - A bid in the final minutes pushes the end time out (anti-sniping)
+   - Bidders first grant the marketplace an HBAR allowance covering
+     their bids, as sellers grant one for the NFT before listing
+   - Ended auctions settle on a timer: the operator moves the winning
+     bid and the NFT in one transfer under those allowances, or the
+     listing expires if the reserve was not met / nobody bid / the
+     transfer kept failing
+----------------------------------------------------------- */
+class AuctionService {
+  constructor() {
+    this.storage = storage;
+    this.settleIntervalMs = Number(process.env.AUCTION_SETTLE_INTERVAL_MS || 30 * 1000);
+    // Sweeps that try a failed settlement transfer before the lot is released
+    this.settlementAttempts = Number(process.env.AUCTION_SETTLEMENT_ATTEMPTS || 3);
+    this.timer = null;
+  }
+
+  // Bidding rules are admin-editable platform settings
+  get minIncrement() {
+    return settingsService.get("auctionMinIncrement");
+  }
+
+  get minIncrementPercent() {
+    return settingsService.get("auctionMinIncrementPercent");
+  }
+
+  get extensionWindowMs() {
+    return settingsService.get("auctionExtensionWindowMs");
+  }
+
+  /** Start the background settlement sweep */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.settleEndedAuctions().catch(error =>
+        console.error("❌ Auction settlement sweep failed:", error.message)
+      );
+    }, this.settleIntervalMs);
+    this.timer.unref();
+    console.log(`✅ Auction settlement running every ${this.settleIntervalMs / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /** Smallest amount the next bid may be */
+  getMinimumBid(listing) {
+    if (!listing.highestBid) return listing.price;
+    const current = listing.highestBid.amount;
+    const increment = Math.max(
+      this.minIncrement,
+      Math.ceil((current * this.minIncrementPercent) / 100)
+    );
+    return current + increment;
+  }
+
+  /* -----------------------------------------------------------
+     🙋 Place Bid
+  ----------------------------------------------------------- */
+  async placeBid({ listingId, bidder, amount, currency = "HBAR" }) {
+    const listing = await this.storage.findById("listings", listingId);
+    if (!listing) throw createError(404, "Listing not found");
+    if (listing.type !== "auction") throw createError(400, "Listing is not an auction");
+    if (listing.status !== LISTING_STATUS.ACTIVE) {
+      throw createError(409, `Auction is ${listing.status}`);
+    }
+
+    const now = Date.now();
+    if (now >= new Date(listing.expiresAt).getTime()) {
+      throw createError(409, "Auction has ended");
+    }
+    if (bidder === listing.seller) throw createError(400, "Sellers cannot bid on their own auction");
+    if (currency !== listing.currency) {
+      throw createError(400, `This auction accepts ${listing.currency} only`);
+    }
+
+    const bidAmount = Number(amount);
+    const minimum = this.getMinimumBid(listing);
+    if (bidAmount < minimum) {
+      throw createError(400, `Bid must be at least ${minimum} ${listing.currency}`, {
+        minimumBid: minimum
+      });
+    }
+
+    // Settlement takes the bid under the bidder's allowance, which has to cover all they're leading
+    const required = await this.getRequiredAllowance(bidder, bidAmount, listingId);
+    const allowance = await hederaService.getHbarAllowance(bidder);
+    if (allowance < toTinybars(required)) {
+      throw createError(409, `Approve the marketplace to spend ${required} HBAR before bidding`, {
+        requiredAllowance: required
+      });
+    }
+
+    const bid = {
+      id: `${listingId}-${now}-${Math.round(Math.random() * 1e6)}`,
+      listingId,
+      bidder,
+      amount: bidAmount,
+      currency,
+      status: BID_STATUS.ACTIVE,
+      timestamp: new Date(now).toISOString(),
+      createdAt: new Date(now).toISOString()
+    };
+
+    // Anti-sniping: a bid inside the final window extends the auction
+    const endsAt = new Date(listing.expiresAt).getTime();
+    const extended = endsAt - now < this.extensionWindowMs;
+    const newEndsAt = extended ? now + this.extensionWindowMs : endsAt;
+
+    // Compare-and-set on the current highest bid so concurrent bids can't both win
+    const previous = listing.highestBid;
+    const updated = await this.storage.update(
+      "listings",
+      listingId,
+      {
+        highestBid: { id: bid.id, bidder, amount: bidAmount, placedAt: bid.createdAt },
+        bidCount: (listing.bidCount || 0) + 1,
+        reserveMet: listing.reservePrice ? bidAmount >= listing.reservePrice : true,
+        expiresAt: new Date(newEndsAt).toISOString(),
+        ...(extended && { extensions: (listing.extensions || 0) + 1 })
+      },
+      {
+        where: {
+          status: LISTING_STATUS.ACTIVE,
+          ...(previous ? { "highestBid.id": previous.id } : { highestBid: null })
+        }
+      }
+    );
+    if (!updated) throw createError(409, "A higher bid was just placed. Please try again.");
+
+    await this.storage.insert("bids", bid);
+    if (previous) {
+      await this.storage.update("bids", previous.id, {
+        status: BID_STATUS.OUTBID,
+        outbidAt: bid.createdAt
+      });
+    }
+
+    if (extended) {
+      console.log(`⏱️  Auction ${listingId} extended to ${updated.expiresAt}`);
+    }
+
+    return { bid, listing: updated, extended };
+  }
+
+  /**
+   * HBAR a bidder's allowance must cover to bid `amount` here: this bid
+   * plus every other auction they currently lead.
+   */
+  async getRequiredAllowance(bidder, amount, listingId) {
+    const leading = await this.storage.find("bids", { bidder, status: BID_STATUS.ACTIVE });
+    return leading
+      .filter(bid => bid.listingId !== listingId)
+      .reduce((total, bid) => total + bid.amount, Number(amount));
+  }
+
+  /* -----------------------------------------------------------
+     ✅ Bid Allowance
+     The HBAR allowance bidding needs: step 1 builds it for the
+     bidder's wallet to sign, step 2 submits it. Hedera replaces the
+     previous allowance, so `amount` is the total the marketplace
+     may take (see getRequiredAllowance).
+  ----------------------------------------------------------- */
+  async prepareBidAllowance({ bidder, amount }) {
+    const prepared = await hederaService.buildHbarAllowanceTransaction({
+      ownerId: bidder,
+      amount: toTinybars(amount)
+    });
+    return {
+      approvalId: prepared.transactionId,
+      transactionBytes: prepared.transactionBytes,
+      spender: prepared.allowance.spender,
+      amount: Number(amount)
+    };
+  }
+
+  async completeBidAllowance({ bidder, amount, approvalId, signedTransaction }) {
+    const allowance = {
+      owner: bidder,
+      spender: hederaService.getOperatorAccountId(),
+      amount: toTinybars(amount)
+    };
+
+    try {
+      const result = await hederaService.executeAllowanceTransaction(signedTransaction, {
+        transactionId: approvalId,
+        allowance
+      });
+      return { ...allowance, amount: Number(amount), transactionId: result.transactionId, status: result.status };
+    } catch (error) {
+      throw createError(400, `Approval failed: ${error.message}`);
+    }
+  }
+
+  /* -----------------------------------------------------------
+     🤝 Accept Bid (seller ends the auction early)
+  ----------------------------------------------------------- */
+  async acceptBid({ bidId, seller }) {
+    const bid = await this.storage.findById("bids", bidId);
+    if (!bid) throw createError(404, "Bid not found");
+
+    const listing = await this.storage.findById("listings", bid.listingId);
+    if (!listing) throw createError(404, "Listing not found");
+    if (listing.seller !== seller) throw createError(403, "Only the seller can accept bids");
+    if (listing.status !== LISTING_STATUS.ACTIVE) {
+      throw createError(409, `Auction is ${listing.status}`);
+    }
+    if (listing.highestBid?.id !== bidId) {
+      throw createError(409, "Only the current highest bid can be accepted");
+    }
+
+    return this.settleAuction(listing.id, { acceptedBy: seller });
+  }
+
+  /* -----------------------------------------------------------
+     🏁 Settlement
+  ----------------------------------------------------------- */
+  async settleEndedAuctions(now = new Date()) {
+    // Read before settling, so an auction failing its first transfer now isn't retried in the same sweep
+    const settling = await this.storage.find("listings", {
+      type: "auction",
+      status: LISTING_STATUS.SETTLING
+    });
+    const ended = await this.storage.find("listings", {
+      type: "auction",
+      status: LISTING_STATUS.ACTIVE,
+      expiresAt: { $lte: now.toISOString() }
+    });
+
+    const results = [];
+    for (const listing of ended) {
+      try {
+        results.push(await this.settleAuction(listing.id));
+      } catch (error) {
+        console.error(`❌ Failed to settle auction ${listing.id}:`, error.message);
+      }
+    }
+
+    for (const listing of settling) {
+      try {
+        const recovered = await this.recoverSettlement(listing, now);
+        if (recovered) results.push(recovered);
+      } catch (error) {
+        console.error(`❌ Failed to recover auction ${listing.id}:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Settle one auction. Ended auctions settle on their own; passing
+   * `acceptedBy` lets the seller settle early on the current high bid.
+   * A winning bid is claimed (settling), then paid for and delivered
+   * in one transfer; if that fails the sweep tries again.
+   */
+  async settleAuction(listingId, { acceptedBy } = {}) {
+    const listing = await this.storage.findById("listings", listingId);
+    if (!listing) throw createError(404, "Listing not found");
+
+    const ended = Date.now() >= new Date(listing.expiresAt).getTime();
+    if (!ended && !acceptedBy) throw createError(409, "Auction has not ended yet");
+
+    const winning = listing.highestBid;
+    const reserveMet = !listing.reservePrice || (winning && winning.amount >= listing.reservePrice);
+
+    if (!winning || (!reserveMet && !acceptedBy)) {
+      const result = winning ? "reserve_not_met" : "no_bids";
+      const expired = await this.closeWithoutSale(listing, result, LISTING_STATUS.ACTIVE);
+      console.log(`🏁 Auction ${listingId} closed without sale (${result})`);
+      return expired;
+    }
+
+    // Claim the listing for this winner, so two sweeps (or a late bid) never race the settlement
+    const claimed = await this.storage.update(
+      "listings",
+      listingId,
+      {
+        status: LISTING_STATUS.SETTLING,
+        settlement: {
+          winningBidId: winning.id,
+          ...(acceptedBy && { acceptedBy }),
+          attempts: 0,
+          claimedAt: new Date().toISOString()
+        }
+      },
+      { where: { status: LISTING_STATUS.ACTIVE, "highestBid.id": winning.id } }
+    );
+    if (!claimed) throw createError(409, "Auction is already settled or settling");
+
+    return this.transferToWinner(claimed);
+  }
+
+  /**
+   * Move the winning bid to the seller and the NFT to the winner, on
+   * the operator's signature under both allowances. A failure is
+   * recorded and left settling for the sweep to retry, until the
+   * attempts run out and the lot is released.
+   */
+  async transferToWinner(listing) {
+    const winning = listing.highestBid;
+
+    try {
+      const sold = await marketplaceService.sellWithAllowances(listing, {
+        buyer: winning.bidder,
+        price: winning.amount,
+        settlement: { ...listing.settlement, result: "sold", settledAt: new Date().toISOString() }
+      });
+      await this.closeBids(listing.id, winning.id);
+      console.log(`🏁 Auction ${listing.id} settled: ${winning.amount} ${listing.currency} → ${winning.bidder}`);
+      return sold;
+    } catch (error) {
+      const attempts = (listing.settlement?.attempts || 0) + 1;
+      console.error(`❌ Auction ${listing.id} settlement attempt ${attempts} failed:`, error.message);
+
+      if (attempts >= this.settlementAttempts) {
+        const expired = await this.closeWithoutSale(
+          { ...listing, settlement: { ...listing.settlement, attempts, error: error.message } },
+          "settlement_failed",
+          LISTING_STATUS.SETTLING
+        );
+        console.log(`🏁 Auction ${listing.id} closed without sale (settlement_failed)`);
+        return expired;
+      }
+
+      return this.storage.update(
+        "listings",
+        listing.id,
+        { settlement: { ...listing.settlement, attempts, error: error.message, failedAt: new Date().toISOString() } },
+        { where: { status: LISTING_STATUS.SETTLING } }
+      );
+    }
+  }
+
+  /**
+   * Look after an auction left settling. A transfer that reached the
+   * ledger but was never recorded (the server stopped in between) is
+   * recorded now; otherwise the transfer is tried again.
+   */
+  async recoverSettlement(listing, now = new Date()) {
+    const winning = listing.highestBid;
+    if (!winning) return this.closeWithoutSale(listing, "no_bids", LISTING_STATUS.SETTLING);
+
+    const { owns } = await hederaService.checkNFTOwnership({
+      accountId: winning.bidder,
+      tokenId: listing.tokenId,
+      serial: listing.serialNumber
+    });
+    if (owns) {
+      const sold = await marketplaceService.markSold(
+        listing.id,
+        {
+          buyer: winning.bidder,
+          price: winning.amount,
+          transactionId: null,
+          settlement: { ...listing.settlement, result: "sold", recovered: true, settledAt: now.toISOString() }
+        },
+        { fromStatus: LISTING_STATUS.SETTLING }
+      );
+      await this.closeBids(listing.id, winning.id);
+      console.log(`🏁 Auction ${listing.id} recorded as sold to ${winning.bidder}`);
+      return sold;
+    }
+
+    return this.transferToWinner(listing);
+  }
+
+  async closeWithoutSale(listing, result, fromStatus) {
+    const expired = await this.storage.update(
+      "listings",
+      listing.id,
+      {
+        status: LISTING_STATUS.EXPIRED,
+        expiredAt: new Date().toISOString(),
+        settlement: { ...listing.settlement, result, settledAt: new Date().toISOString() }
+      },
+      { where: { status: fromStatus } }
+    );
+    if (!expired) throw createError(409, "Auction is already settled or settling");
+
+    await this.closeBids(listing.id, null);
+    return expired;
+  }
+
+  /** Mark the winning bid won and every other open bid lost */
+  async closeBids(listingId, winningBidId) {
+    const bids = await this.storage.find("bids", {
+      listingId,
+      status: { $in: [BID_STATUS.ACTIVE, BID_STATUS.OUTBID] }
+    });
+
+    for (const bid of bids) {
+      await this.storage.update("bids", bid.id, {
+        status: bid.id === winningBidId ? BID_STATUS.WON : BID_STATUS.LOST,
+        closedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  /* -----------------------------------------------------------
+     🔍 Queries
+  ----------------------------------------------------------- */
+  async getBids(listingId) {
+    return this.storage.find("bids", { listingId }, { sort: { amount: -1 } });
+  }
+
+  async getUserBids(bidder, { status = BID_STATUS.ACTIVE, limit = 20, offset = 0 } = {}) {
+    const filter = { bidder, ...(status && status !== "all" && { status }) };
+    const [bids, total] = await Promise.all([
+      this.storage.find("bids", filter, { sort: { createdAt: -1 }, limit, offset }),
+      this.storage.count("bids", filter)
+    ]);
+    return { bids, total, limit, offset, hasMore: offset + limit < total };
+  }
+}
+
+export default new AuctionService();
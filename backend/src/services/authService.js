@@ -0,0 +1,376 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { PublicKey } from "@hashgraph/sdk";
+import storage from "../storage/index.js";
+import hederaService from "./hederaService.js";
+import { createError } from "../utils/errors.js";
+import { DEFAULT_ROLES, ROLES, isValidRole, permissionsFor } from "../utils/roles.js";
+
+const ACCOUNT_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/** Prefix Hedera wallets (HashPack, WalletConnect) add before signing a message */
+const HEDERA_MESSAGE_PREFIX = "\x19Hedera Signed Message:\n";
+
+const PROFILE_FIELDS = ["username", "bio", "avatar"];
+
+const sha256 = value => crypto.createHash("sha256").update(value).digest("hex");
+
+/* -----------------------------------------------------------
+   🔐 Auth Service (wallet sign-in)
+
+   1. Client asks for a challenge: a single-use nonce bound to
+      its account ID
+   2. Wallet signs the challenge message with the account key
+   3. Server checks the signature against the key the ledger
+      holds for that account, then issues a short-lived JWT
+      plus a rotating refresh token
+----------------------------------------------------------- */
+class AuthService {
+  constructor() {
+    this.storage = storage;
+    this.challengeTtlMs = Number(process.env.AUTH_CHALLENGE_TTL_MS || 5 * 60 * 1000);
+    this.accessTokenTtl = process.env.JWT_EXPIRES_IN || "15m";
+    this.refreshTokenTtlMs = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+    this.secret = process.env.JWT_SECRET;
+    // Accounts that are always admins (bootstraps the first admin)
+    this.adminAccountIds = (process.env.ADMIN_ACCOUNT_IDS || "")
+      .split(",")
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    if (!this.secret) {
+      console.warn("⚠️  JWT_SECRET not set — using a random secret, sessions will not survive a restart");
+      this.secret = crypto.randomBytes(32).toString("hex");
+    }
+  }
+
+  /* -----------------------------------------------------------
+     🎲 Challenge
+  ----------------------------------------------------------- */
+  async createChallenge(accountId) {
+    if (!ACCOUNT_ID_PATTERN.test(accountId || "")) {
+      throw createError(400, "A valid Hedera account ID is required");
+    }
+
+    // Challenges stay independent per nonce, so requesting one for an
+    // account never cancels a sign-in already under way; expired ones are
+    // swept here instead
+    await this.purgeExpiredChallenges();
+
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.challengeTtlMs);
+    const message = [
+      "Sign in to Comic Pad",
+      `Account: ${accountId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`
+    ].join("\n");
+
+    await this.storage.insert("auth_challenges", {
+      id: nonce,
+      accountId,
+      message,
+      createdAt: issuedAt.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    });
+
+    return { nonce, message, expiresAt: expiresAt.toISOString() };
+  }
+
+  async purgeExpiredChallenges() {
+    const expired = await this.storage.find("auth_challenges", {
+      expiresAt: { $lte: new Date().toISOString() }
+    });
+    for (const challenge of expired) {
+      await this.storage.delete("auth_challenges", challenge.id);
+    }
+    return expired.length;
+  }
+
+  /* -----------------------------------------------------------
+     ✍️ Login
+  ----------------------------------------------------------- */
+  async login({ accountId, nonce, signature, publicKey }) {
+    const challenge = await this.storage.findById("auth_challenges", nonce);
+    if (!challenge || challenge.accountId !== accountId) {
+      throw createError(401, "Unknown or already used challenge");
+    }
+
+    // Consume first so a nonce can never be replayed, even on failure
+    const consumed = await this.storage.delete("auth_challenges", nonce);
+    if (!consumed) throw createError(401, "Unknown or already used challenge");
+    if (new Date(challenge.expiresAt).getTime() <= Date.now()) {
+      throw createError(401, "Challenge expired, request a new one");
+    }
+
+    const key = await this.resolveAccountKey(accountId, publicKey);
+    if (!this.verifySignature(key, challenge.message, signature)) {
+      throw createError(401, "Invalid signature");
+    }
+
+    const now = new Date().toISOString();
+    const existing = await this.storage.findById("users", accountId);
+    const roles = this.withBootstrapRoles(accountId, existing ? this.rolesOf(existing) : DEFAULT_ROLES);
+    const user = existing
+      ? await this.storage.update("users", accountId, {
+          publicKey: key.toStringDer(),
+          roles,
+          lastLoginAt: now
+        })
+      : await this.storage.insert("users", {
+          id: accountId,
+          accountId,
+          publicKey: key.toStringDer(),
+          username: `reader-${accountId.split(".").pop()}`,
+          bio: "",
+          avatar: null,
+          roles,
+          createdAt: now,
+          lastLoginAt: now
+        });
+
+    console.log(`🔐 ${accountId} signed in`);
+    return { user: this.toProfile(user), ...(await this.issueTokens(user)) };
+  }
+
+  /**
+   * The key that must have produced the signature. On a live network
+   * it comes from the ledger. In demo mode there is no ledger to ask:
+   * the first sign-in trusts the client's key and every later one must
+   * use that same key. A server that only fell back to demo mode
+   * because Hedera failed to initialize refuses sign-in instead.
+   */
+  async resolveAccountKey(accountId, publicKey) {
+    let supplied = null;
+    if (publicKey) {
+      try {
+        supplied = PublicKey.fromString(publicKey);
+      } catch {
+        throw createError(400, "Invalid public key");
+      }
+    }
+
+    const accountKey = await hederaService.getAccountKey(accountId);
+    if (!accountKey) {
+      if (!hederaService.demoMode || hederaService.demoFallback) {
+        throw createError(503, "Account keys cannot be verified right now, please try again later");
+      }
+
+      const user = await this.storage.findById("users", accountId);
+      const pinned = user?.publicKey ? PublicKey.fromString(user.publicKey) : null;
+      if (pinned) {
+        if (supplied && supplied.toStringRaw() !== pinned.toStringRaw()) {
+          throw createError(401, "Public key does not match the account");
+        }
+        return pinned;
+      }
+
+      if (!supplied) throw createError(400, "Public key is required");
+      return supplied;
+    }
+
+    if (!(accountKey instanceof PublicKey)) {
+      throw createError(401, "Accounts controlled by a key list cannot sign in yet");
+    }
+    if (supplied && supplied.toStringRaw() !== accountKey.toStringRaw()) {
+      throw createError(401, "Public key does not match the account");
+    }
+    return accountKey;
+  }
+
+  /** Accepts hex or base64 signatures over the raw or wallet-prefixed message */
+  verifySignature(publicKey, message, signature) {
+    if (!signature) return false;
+
+    const bytes = /^[0-9a-f]+$/i.test(signature)
+      ? Buffer.from(signature, "hex")
+      : Buffer.from(signature, "base64");
+    if (bytes.length === 0) return false;
+
+    const candidates = [message, `${HEDERA_MESSAGE_PREFIX}${message.length}${message}`];
+    return candidates.some(candidate => {
+      try {
+        return publicKey.verify(Buffer.from(candidate, "utf8"), bytes);
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /* -----------------------------------------------------------
+     🎟️ Tokens
+  ----------------------------------------------------------- */
+  async issueTokens(user, family = crypto.randomUUID()) {
+    const token = jwt.sign({ roles: this.rolesOf(user) }, this.secret, {
+      subject: user.accountId,
+      expiresIn: this.accessTokenTtl
+    });
+
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const expiresAt = new Date(Date.now() + this.refreshTokenTtlMs).toISOString();
+    await this.storage.insert("refresh_tokens", {
+      id: sha256(refreshToken), // only the hash is stored
+      accountId: user.accountId,
+      family,
+      revokedAt: null,
+      createdAt: new Date().toISOString(),
+      expiresAt
+    });
+
+    const { exp } = jwt.decode(token);
+    return {
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      refreshToken,
+      refreshExpiresAt: expiresAt
+    };
+  }
+
+  /**
+   * Decode an access token into `{ accountId, roles }`. The roles are a
+   * snapshot from sign-in; guards re-read them with `getRoles`.
+   */
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.secret);
+      return { accountId: payload.sub, roles: payload.roles || [] };
+    } catch (error) {
+      throw createError(401, error.name === "TokenExpiredError" ? "Token expired" : "Invalid token");
+    }
+  }
+
+  /**
+   * Rotate a refresh token. Presenting one that was already rotated
+   * means it leaked, so the whole chain it belongs to is revoked.
+   */
+  async refresh(refreshToken) {
+    const record = refreshToken && (await this.storage.findById("refresh_tokens", sha256(refreshToken)));
+    if (!record) throw createError(401, "Invalid refresh token");
+
+    if (record.revokedAt) {
+      await this.revokeFamily(record.family);
+      console.warn(`⚠️  Refresh token reuse for ${record.accountId}, session revoked`);
+      throw createError(401, "Refresh token already used");
+    }
+    if (new Date(record.expiresAt).getTime() <= Date.now()) {
+      throw createError(401, "Refresh token expired");
+    }
+
+    const rotated = await this.storage.update(
+      "refresh_tokens",
+      record.id,
+      { revokedAt: new Date().toISOString() },
+      { where: { revokedAt: null } }
+    );
+    if (!rotated) throw createError(401, "Refresh token already used");
+
+    const user = await this.storage.findById("users", record.accountId);
+    if (!user) throw createError(401, "User not found");
+
+    return { user: this.toProfile(user), ...(await this.issueTokens(user, record.family)) };
+  }
+
+  async logout(refreshToken) {
+    const record = refreshToken && (await this.storage.findById("refresh_tokens", sha256(refreshToken)));
+    if (record) await this.revokeFamily(record.family);
+  }
+
+  async revokeFamily(family) {
+    const active = await this.storage.find("refresh_tokens", { family, revokedAt: null });
+    for (const token of active) {
+      await this.storage.update("refresh_tokens", token.id, { revokedAt: new Date().toISOString() });
+    }
+  }
+
+  /* -----------------------------------------------------------
+     👤 Profile
+  ----------------------------------------------------------- */
+  async getProfile(accountId) {
+    const user = await this.storage.findById("users", accountId);
+    if (!user) throw createError(404, "User not found");
+    return this.toProfile(user);
+  }
+
+  async updateProfile(accountId, changes) {
+    const updates = Object.fromEntries(
+      Object.entries(changes).filter(([field, value]) => PROFILE_FIELDS.includes(field) && value !== undefined)
+    );
+
+    if (updates.username) {
+      const taken = await this.storage.findOne("users", {
+        username: { $ieq: updates.username },
+        id: { $ne: accountId }
+      });
+      if (taken) throw createError(409, "Username is already taken");
+    }
+
+    const user = await this.storage.update("users", accountId, {
+      ...updates,
+      updatedAt: new Date().toISOString()
+    });
+    if (!user) throw createError(404, "User not found");
+    return this.toProfile(user);
+  }
+
+  toProfile(user) {
+    const { id, publicKey, role, ...profile } = user;
+    const roles = this.rolesOf(user);
+    return { ...profile, roles, permissions: permissionsFor(roles) };
+  }
+
+  /* -----------------------------------------------------------
+     🛡️ Roles
+  ----------------------------------------------------------- */
+  rolesOf(user) {
+    // Accounts created before roles were introduced carry a single `role`
+    return user.roles || (user.role ? [user.role] : [...DEFAULT_ROLES]);
+  }
+
+  withBootstrapRoles(accountId, roles) {
+    return this.adminAccountIds.includes(accountId) && !roles.includes(ROLES.ADMIN)
+      ? [...roles, ROLES.ADMIN]
+      : roles;
+  }
+
+  /** Current roles for an account (unknown accounts get the defaults) */
+  async getRoles(accountId) {
+    const user = await this.storage.findById("users", accountId);
+    return this.withBootstrapRoles(accountId, user ? this.rolesOf(user) : [...DEFAULT_ROLES]);
+  }
+
+  async setRoles(accountId, roles, changedBy) {
+    const invalid = roles.filter(role => !isValidRole(role));
+    if (invalid.length > 0) throw createError(400, `Unknown role(s): ${invalid.join(", ")}`);
+    if (accountId === changedBy && !roles.includes(ROLES.ADMIN)) {
+      throw createError(409, "Admins cannot remove their own admin role");
+    }
+
+    const user = await this.storage.update("users", accountId, {
+      roles: [...new Set(roles)],
+      rolesUpdatedAt: new Date().toISOString(),
+      rolesUpdatedBy: changedBy
+    });
+    if (!user) throw createError(404, "User not found");
+
+    console.log(`🛡️  ${changedBy} set roles of ${accountId}: ${user.roles.join(", ")}`);
+    return this.toProfile(user);
+  }
+
+  async listUsers({ role, limit = 50, offset = 0 } = {}) {
+    const filter = role ? { roles: { $has: role } } : {};
+    const [users, total] = await Promise.all([
+      this.storage.find("users", filter, { sort: { createdAt: -1 }, limit, offset }),
+      this.storage.count("users", filter)
+    ]);
+    return {
+      users: users.map(user => this.toProfile(user)),
+      total,
+      limit,
+      offset,
+      hasMore: offset + limit < total
+    };
+  }
+}
+
+export default new AuthService();
@@ -1,42 +1,12 @@
-import fs from "fs";
-import path from "path";
 import hederaService from "./hederaService.js";
 import ipfsService from "./ipfsService.js";
-
-/* -----------------------------------------------------------
-   🧠 Local Data Storage Helpers
------------------------------------------------------------ */
-const dataFile = path.join(process.cwd(), "src/data/comicsData.json");
-
-function ensureDataFile() {
-  const dir = path.dirname(dataFile);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  if (!fs.existsSync(dataFile)) {
-    fs.writeFileSync(
-      dataFile,
-      JSON.stringify({ collections: [], comics: [] }, null, 2)
-    );
-  }
-}
-
-function loadData() {
-  ensureDataFile();
-  const data = fs.readFileSync(dataFile, "utf8");
-  try {
-    return JSON.parse(data || "{}");
-  } catch {
-    return { collections: [], comics: [] };
-  }
-}
-
-function saveData(collections, comics) {
-  ensureDataFile();
-  const data = {
-    collections: Array.from(collections.values()),
-    comics: Array.from(comics.values())
-  };
-  fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
-}
+import pinService from "./pinService.js";
+import libraryService from "./libraryService.js";
+import storage from "../storage/index.js";
+import { importLegacyJson } from "../storage/jsonImporter.js";
+import { normalizePanels } from "../formats/panels.js";
+import { READING_DIRECTIONS } from "../utils/readingDirection.js";
+import { createError } from "../utils/errors.js";
 
 /* -----------------------------------------------------------
    🚀 Comic Service
@@ -44,18 +14,17 @@ function saveData(collections, comics) {
 class ComicService {
   constructor() {
     this.isInitialized = false;
-    this.comics = new Map();
-    this.collections = new Map();
-
-    // Load persisted data
-    const { collections, comics } = loadData();
-    collections.forEach(c => this.collections.set(c.id, c));
-    comics.forEach(c => this.comics.set(c.id, c));
+    this.storage = storage;
   }
 
   async initialize() {
     try {
       console.log("Initializing Comic service...");
+      if (!this.storage.isConnected) await this.storage.initialize();
+
+      // Pull in comics saved by the old JSON-file storage (runs once)
+      await importLegacyJson(this.storage);
+
       this.isInitialized = true;
       console.log("✅ Comic service initialized");
       return true;
@@ -98,14 +67,15 @@ class ComicService {
 
       const metadataResult = await ipfsService.uploadMetadata(
         metadata,
-        `${symbol}-collection-metadata.json`
+        `${symbol}-collection-metadata.json`,
+        { creator }
       );
 
       // Create NFT collection on Hedera
-      const hederaCollection = await hederaService.createNFTCollection({
+      const hederaCollection = await hederaService.createCollection({
         name,
         symbol,
-        metadata: metadataResult.url,
+        metadata: metadataResult.uri,
         royaltyPercentage,
         maxSupply
       });
@@ -114,15 +84,15 @@ class ComicService {
       const collection = {
         id: hederaCollection.tokenId,
         ...collectionData,
-        metadataUri: metadataResult.url,
+        metadataUri: metadataResult.uri,
         metadataHash: metadataResult.hash,
         createdAt: new Date().toISOString(),
         totalComics: 0,
         totalMinted: 0
       };
 
-      this.collections.set(collection.id, collection);
-      saveData(this.collections, this.comics);
+      await this.storage.upsert("collections", collection);
+      await pinService.claim([metadataResult.hash], `collection:${collection.id}`, { creator });
 
       return collection;
     } catch (error) {
@@ -133,144 +103,241 @@ class ComicService {
 
   /* -----------------------------------------------------------
      📘 Create Comic
+
+     Publishing runs in stages — content, metadata, mint, delivery,
+     record — each taking what the earlier ones returned. The
+     publish-comic job (jobs/publishComic.js) runs them one at a
+     time so each can be retried and resumed on its own;
+     createComic runs them back to back.
   ----------------------------------------------------------- */
   async createComic(comicData) {
     try {
-      const {
-        collectionId,
-        title,
-        description,
-        creator,
-        pages = [],
-        issueNumber,
-        series,
-        genres = [],
-        rarity = "Standard",
-        edition = "First Print",
-        artists = [],
-        publicationDate,
-        mintPrice,
-        maxSupply,
-        royaltyPercentage = 10
-      } = comicData;
+      const pagesResult = await this.uploadComicContent(comicData);
+      const metadataResult = await this.uploadComicMetadata(comicData, pagesResult);
+      const minted = await this.mintComic(comicData, metadataResult);
+      const owner = await this.deliverToCreator(comicData.collectionId, minted.serialNumber, comicData.creator);
+      return await this.recordComic(comicData, { pagesResult, metadataResult, minted, owner });
+    } catch (error) {
+      console.error("❌ Failed to create comic:", error);
+      throw error;
+    }
+  }
 
-      // Validate collection
-      const collection = this.collections.get(collectionId);
-      if (!collection) throw new Error("Collection not found");
+  /** Page renditions and CBZ/EPUB/PDF downloads, on IPFS. `onProgress(page, totalPages)` after each page */
+  async uploadComicContent(comicData, { onProgress } = {}) {
+    const {
+      collectionId,
+      title,
+      description,
+      creator,
+      pages = [],
+      issueNumber,
+      series,
+      genres = [],
+      artists = [],
+      publicationDate,
+      readingDirection = READING_DIRECTIONS.LTR
+    } = comicData;
+
+    // Validate collection
+    const collection = await this.storage.findById("collections", collectionId);
+    if (!collection) throw new Error("Collection not found");
 
-      // Upload comic pages to IPFS
-      const pagesResult = await ipfsService.uploadComicPages(pages, {
+    // Upload comic pages to IPFS
+    // Also drives the CBZ's ComicInfo.xml and the EPUB/PDF metadata
+    return ipfsService.uploadComicPages(
+      pages,
+      {
         name: title,
-        series,
+        series: series || collection.name,
         issueNumber,
-        creator
-      });
-
-      // Create metadata
-      const comicMetadata = {
-        name: `${title} #${issueNumber}`,
+        creator,
         description,
-        image: pagesResult.pages[0]?.web?.url || "",
-        external_url: "",
-        attributes: [
-          { trait_type: "Series", value: series },
-          { trait_type: "Issue Number", value: issueNumber },
-          { trait_type: "Creator", value: creator },
-          { trait_type: "Rarity", value: rarity },
-          { trait_type: "Edition", value: edition },
-          { trait_type: "Publication Date", value: publicationDate },
-          { trait_type: "Pages", value: pages.length },
-          { trait_type: "Artists", value: artists.join(", ") }
-        ],
-        properties: {
-          series,
-          issue_number: issueNumber,
-          publication_date: publicationDate,
-          edition,
-          rarity,
-          pages: pages.length,
-          genre: genres,
-          artists,
-          variant: "Standard Cover"
-        },
-        content: {
-          pages: pagesResult.pages.map(p => p.web.url),
-          thumbnails: pagesResult.pages.map(p => p.thumbnail.url),
-          print: pagesResult.pages.map(p => p.print.url),
-          format: "CBZ",
-          resolution: "2048x3072",
-          download: pagesResult.cbz.url
-        },
-        royalty: {
-          percentage: royaltyPercentage,
-          recipient: creator
-        }
-      };
+        publicationDate,
+        genres: genres.length ? genres : [comicData.genre].filter(Boolean),
+        writers: comicData.writers,
+        artists,
+        notes: `Hedera token ${collectionId}`,
+        identifier: `urn:comicpad:${collectionId}:${issueNumber}`,
+        readingDirection
+      },
+      { onProgress }
+    );
+  }
 
-      const metadataResult = await ipfsService.uploadMetadata(
-        comicMetadata,
-        `${series}-${issueNumber}-metadata.json`
-      );
+  /** The NFT metadata JSON, on IPFS */
+  async uploadComicMetadata(comicData, pagesResult) {
+    const {
+      title,
+      description,
+      creator,
+      pages = [],
+      issueNumber,
+      series,
+      genres = [],
+      rarity = "Standard",
+      edition = "First Print",
+      artists = [],
+      publicationDate,
+      royaltyPercentage = 10,
+      readingDirection = READING_DIRECTIONS.LTR,
+      webtoon = false
+    } = comicData;
+
+    // Create metadata. Content is referenced by ipfs:// URI so any
+    // gateway (ours today, another tomorrow) can resolve it
+    const comicMetadata = {
+      name: `${title} #${issueNumber}`,
+      description,
+      image: pagesResult.pages[0]?.web?.uri || "",
+      external_url: "",
+      attributes: [
+        { trait_type: "Series", value: series },
+        { trait_type: "Issue Number", value: issueNumber },
+        { trait_type: "Creator", value: creator },
+        { trait_type: "Rarity", value: rarity },
+        { trait_type: "Edition", value: edition },
+        { trait_type: "Publication Date", value: publicationDate },
+        { trait_type: "Pages", value: pages.length },
+        { trait_type: "Artists", value: artists.join(", ") }
+      ],
+      properties: {
+        series,
+        issue_number: issueNumber,
+        publication_date: publicationDate,
+        edition,
+        rarity,
+        pages: pages.length,
+        genre: genres,
+        artists,
+        variant: "Standard Cover",
+        reading_direction: readingDirection,
+        // Pages are one vertical strip, read by scrolling
+        webtoon
+      },
+      content: {
+        pages: pagesResult.pages.map(p => p.web.uri),
+        thumbnails: pagesResult.pages.map(p => p.thumbnail.uri),
+        print: pagesResult.pages.map(p => p.print.uri),
+        // Per page, every width × format (AVIF/WebP/JPEG) for responsive readers
+        renditions: pagesResult.pages.map(p =>
+          (p.renditions || []).map(({ format, mediaType, width, height, uri }) => ({ format, mediaType, width, height, uri }))
+        ),
+        resolution: "2048x3072",
+        download: pagesResult.cbz.uri,
+        // Every download format, for e-readers and tablets as well as comic readers
+        downloads: ["cbz", "epub", "pdf"].map(key => ({
+          format: pagesResult[key].format,
+          mediaType: pagesResult[key].mediaType,
+          uri: pagesResult[key].uri,
+          hash: pagesResult[key].hash,
+          size: pagesResult[key].size
+        }))
+      },
+      royalty: {
+        percentage: royaltyPercentage,
+        recipient: creator
+      }
+    };
 
-      // Mint on Hedera
-      const mintResult = await hederaService.mintNFT(
-        collectionId,
-        metadataResult.url
-      );
+    return ipfsService.uploadMetadata(comicMetadata, `${series}-${issueNumber}-metadata.json`, { creator });
+  }
 
-      // Store comic locally
-      const comic = {
-        id: `${collectionId}-${mintResult.serialNumber}`,
-        collectionId,
-        tokenId: collectionId,
-        serialNumber: mintResult.serialNumber,
-        ...comicData,
-        metadataUri: metadataResult.url,
-        metadataHash: metadataResult.hash,
-        pagesResult,
-        mintedAt: new Date().toISOString(),
-        currentSupply: 1,
-        maxSupply,
-        mintPrice,
-        isLive: false,
-        createdAt: new Date().toISOString()
-      };
+  /** Mint one NFT (into the treasury) pointing at the metadata */
+  async mintComic(comicData, metadataResult) {
+    const mintResult = await hederaService.mintNFT({
+      tokenId: comicData.collectionId,
+      metadataURIs: [metadataResult.uri]
+    });
+    return { serialNumber: Number(mintResult.serials[0]), transactionId: mintResult.transactionId };
+  }
+
+  /** Store the minted comic and bump its collection's counts */
+  async recordComic(comicData, { pagesResult, metadataResult, minted, owner }) {
+    const { collectionId, maxSupply, mintPrice } = comicData;
+
+    // Store comic locally
+    const comic = {
+      id: `${collectionId}-${minted.serialNumber}`,
+      ...comicData,
+      collectionId,
+      tokenId: collectionId,
+      serialNumber: minted.serialNumber,
+      owner,
+      mintTransactionId: minted.transactionId,
+      metadataUri: metadataResult.uri,
+      metadataHash: metadataResult.hash,
+      pagesResult,
+      mintedAt: new Date().toISOString(),
+      currentSupply: 1,
+      maxSupply,
+      mintPrice,
+      isLive: false,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.storage.insert("comics", comic);
+    await this.storage.increment("collections", collectionId, "totalComics");
+    await this.storage.increment("collections", collectionId, "totalMinted");
+    // Claimed only now: content from a publish that failed before this stays unowned
+    await pinService.claim(contentCids(pagesResult, metadataResult), `comic:${comic.id}`, { creator: comic.creator });
+
+    return comic;
+  }
 
-      this.comics.set(comic.id, comic);
-      collection.totalComics++;
-      collection.totalMinted++;
+  /**
+   * Move a freshly minted NFT from the treasury to the creator so they
+   * can list it. If the creator's account can't receive it yet (e.g.
+   * not associated) it stays in the treasury.
+   */
+  async deliverToCreator(tokenId, serial, creator) {
+    const treasury = hederaService.getOperatorAccountId();
+    if (!creator || creator === treasury) return treasury;
 
-      saveData(this.collections, this.comics);
-      return comic;
+    try {
+      await hederaService.transferNFT({
+        tokenId,
+        serial,
+        fromAccountId: treasury,
+        toAccountId: creator
+      });
+      return creator;
     } catch (error) {
-      console.error("❌ Failed to create comic:", error);
-      throw error;
+      console.warn(`⚠️  ${tokenId}:${serial} kept in treasury: ${error.message}`);
+      return treasury;
     }
   }
 
   /* -----------------------------------------------------------
      🔁 Batch Mint
   ----------------------------------------------------------- */
-  async batchMintComic(comicId, quantity) {
+  /**
+   * Mint `quantity` more copies of an issue to its creator. Passing
+   * `tokenId` also checks the issue belongs to that collection.
+   */
+  async batchMintComic(comicId, quantity, { tokenId } = {}) {
     try {
-      const comic = this.comics.get(comicId);
-      if (!comic) throw new Error("Comic not found");
+      const comic = await this.storage.findById("comics", comicId);
+      if (!comic || (tokenId && comic.tokenId !== tokenId)) throw createError(404, "Comic not found");
       if (comic.currentSupply + quantity > comic.maxSupply)
-        throw new Error("Exceeds maximum supply");
+        throw createError(400, "Exceeds maximum supply");
 
       const metadataUris = Array(quantity).fill(comic.metadataUri);
-      const mintResult = await hederaService.batchMintNFTs(
-        comic.tokenId,
-        metadataUris
-      );
+      const mintResult = await hederaService.mintNFT({
+        tokenId: comic.tokenId,
+        metadataURIs: metadataUris
+      });
+      for (const serial of mintResult.serials) {
+        await this.deliverToCreator(comic.tokenId, Number(serial), comic.creator);
+      }
 
-      comic.currentSupply += quantity;
-      saveData(this.collections, this.comics);
+      await this.storage.increment("comics", comicId, "currentSupply", quantity);
+      await this.storage.increment("collections", comic.collectionId, "totalMinted", quantity);
 
       return {
         comicId,
         quantity,
-        serialNumbers: mintResult.serialNumbers,
+        serialNumbers: mintResult.serials.map(Number),
         mintedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -283,7 +350,7 @@ class ComicService {
      🔍 Getters
   ----------------------------------------------------------- */
   async getComic(comicId) {
-    const comic = this.comics.get(comicId);
+    const comic = await this.storage.findById("comics", comicId);
     if (!comic) throw new Error("Comic not found");
 
     const nftInfo = await hederaService.getNFTInfo(
@@ -295,28 +362,64 @@ class ComicService {
   }
 
   async getCollection(collectionId) {
-    const collection = this.collections.get(collectionId);
+    const collection = await this.storage.findById("collections", collectionId);
     if (!collection) throw new Error("Collection not found");
     return collection;
   }
 
   async getComicsByCollection(collectionId) {
-    return Array.from(this.comics.values())
-      .filter(c => c.collectionId === collectionId)
-      .sort((a, b) => a.issueNumber - b.issueNumber);
+    return this.storage.find(
+      "comics",
+      { collectionId },
+      { sort: { issueNumber: 1 } }
+    );
   }
 
   async getComicsByCreator(creator) {
-    return Array.from(this.comics.values())
-      .filter(c => c.creator === creator)
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return this.storage.find(
+      "comics",
+      { creator },
+      { sort: { createdAt: -1 } }
+    );
+  }
+
+  /** Comic record for a token serial (reader access) */
+  async getComicDetails(tokenId, serialNumber) {
+    // Batch-minted copies share their issue's catalog entry
+    const comic = await libraryService.findCatalogEntry({ tokenId, serial: serialNumber });
+    if (!comic) throw createError(404, "Comic not found");
+
+    return {
+      success: true,
+      comic: {
+        ...comic,
+        // Issues published before directions were recorded read left to right
+        readingDirection: comic.readingDirection || READING_DIRECTIONS.LTR,
+        webtoon: !!comic.webtoon,
+        pages: comic.pagesResult?.pages || [],
+        totalPages: comic.pagesResult?.totalPages || 0
+      }
+    };
+  }
+
+  async verifyOwnership(wallet, tokenId, serialNumber) {
+    // Check the exact serial when we have one, else any serial of the token
+    const ownership = serialNumber
+      ? await hederaService.checkNFTOwnership({ accountId: wallet, tokenId, serial: serialNumber })
+      : await hederaService.checkOwnership({ accountId: wallet, tokenId });
+
+    return {
+      wallet,
+      tokenId,
+      serialNumber,
+      isOwner: !!ownership.owns
+    };
   }
 
   /* -----------------------------------------------------------
      🔎 Search
   ----------------------------------------------------------- */
   async searchComics(searchParams) {
-    let comics = Array.from(this.comics.values());
     const {
       query,
       genre,
@@ -329,49 +432,44 @@ class ComicService {
       offset = 0
     } = searchParams;
 
+    const filter = {};
+
     if (query)
-      comics = comics.filter(
-        c =>
-          c.title.toLowerCase().includes(query.toLowerCase()) ||
-          c.description.toLowerCase().includes(query.toLowerCase()) ||
-          c.series?.toLowerCase().includes(query.toLowerCase())
-      );
+      filter.$or = [
+        { title: { $contains: query } },
+        { description: { $contains: query } },
+        { series: { $contains: query } }
+      ];
 
-    if (genre)
-      comics = comics.filter(c =>
-        c.genres?.some(g => g.toLowerCase() === genre.toLowerCase())
-      );
+    if (genre) filter.genres = { $has: genre };
 
-    if (series)
-      comics = comics.filter(c =>
-        c.series?.toLowerCase().includes(series.toLowerCase())
-      );
+    if (series) filter.series = { $contains: series };
 
-    if (creator)
-      comics = comics.filter(
-        c => c.creator.toLowerCase() === creator.toLowerCase()
-      );
-
-    if (rarity)
-      comics = comics.filter(
-        c => c.rarity.toLowerCase() === rarity.toLowerCase()
-      );
+    if (creator) filter.creator = { $ieq: creator };
 
-    if (minPrice !== undefined)
-      comics = comics.filter(c => c.mintPrice >= minPrice);
+    if (rarity) filter.rarity = { $ieq: rarity };
 
-    if (maxPrice !== undefined)
-      comics = comics.filter(c => c.mintPrice <= maxPrice);
+    if (minPrice !== undefined || maxPrice !== undefined)
+      filter.mintPrice = {
+        ...(minPrice !== undefined && { $gte: minPrice }),
+        ...(maxPrice !== undefined && { $lte: maxPrice })
+      };
 
-    comics.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    const paginated = comics.slice(offset, offset + limit);
+    const [comics, total] = await Promise.all([
+      this.storage.find("comics", filter, {
+        sort: { createdAt: -1 },
+        limit,
+        offset
+      }),
+      this.storage.count("comics", filter)
+    ]);
 
     return {
-      comics: paginated,
-      total: comics.length,
+      comics,
+      total,
       limit,
       offset,
-      hasMore: offset + limit < comics.length
+      hasMore: offset + limit < total
     };
   }
 
@@ -379,27 +477,47 @@ class ComicService {
      ⚙️ Update Comic
   ----------------------------------------------------------- */
   async updateComic(comicId, updates) {
-    const comic = this.comics.get(comicId);
-    if (!comic) throw new Error("Comic not found");
-
-    Object.assign(comic, updates, {
+    const comic = await this.storage.update("comics", comicId, {
+      ...updates,
       updatedAt: new Date().toISOString()
     });
+    if (!comic) throw new Error("Comic not found");
 
-    this.comics.set(comicId, comic);
-    saveData(this.collections, this.comics);
     return comic;
   }
 
+  /**
+   * Replace the panel boxes of one page (see formats/panels.js) with
+   * the creator's corrections. Only the comic's creator, or an admin,
+   * may edit them. Returns the updated page.
+   */
+  async updatePanels(comicId, pageNumber, panels, { editor, isAdmin = false } = {}) {
+    const comic = await this.storage.findById("comics", comicId);
+    if (!comic) throw createError(404, "Comic not found");
+    if (comic.creator !== editor && !isAdmin) throw createError(403, "Only the comic's creator can edit its panels");
+
+    const pages = comic.pagesResult?.pages || [];
+    const page = pages.find(candidate => candidate.pageNumber === Number(pageNumber));
+    if (!page) throw createError(404, `Page ${pageNumber} not found`);
+
+    const updated = { ...page, panels: normalizePanels(panels), panelSource: "creator" };
+    await this.updateComic(comicId, {
+      pagesResult: { ...comic.pagesResult, pages: pages.map(candidate => (candidate === page ? updated : candidate)) }
+    });
+    return updated;
+  }
+
   /* -----------------------------------------------------------
      📊 Stats
   ----------------------------------------------------------- */
-  getStats() {
-    const comics = Array.from(this.comics.values());
-    const collections = Array.from(this.collections.values());
+  async getStats() {
+    const [comics, totalCollections] = await Promise.all([
+      this.storage.find("comics"),
+      this.storage.count("collections")
+    ]);
     return {
       totalComics: comics.length,
-      totalCollections: collections.length,
+      totalCollections,
       totalMinted: comics.reduce((s, c) => s + c.currentSupply, 0),
       totalSupply: comics.reduce((s, c) => s + (c.maxSupply || 0), 0),
       genres: [...new Set(comics.flatMap(c => c.genres || []))],
@@ -411,13 +529,25 @@ class ComicService {
   getStatus() {
     return {
       isInitialized: this.isInitialized,
-      totalComics: this.comics.size,
-      totalCollections: this.collections.size,
+      storage: this.storage.driver,
+      storageConnected: this.storage.isConnected,
       timestamp: new Date().toISOString()
     };
   }
 }
 
+/** Every CID an issue's content and metadata are stored under */
+const contentCids = (pagesResult, metadataResult) => [
+  ...pagesResult.pages.flatMap(page => [
+    page.thumbnail?.hash,
+    page.web?.hash,
+    page.print?.hash,
+    ...(page.renditions || []).map(rendition => rendition.hash)
+  ]),
+  ...["cbz", "epub", "pdf"].map(key => pagesResult[key]?.hash),
+  metadataResult.hash
+];
+
 /* -----------------------------------------------------------
    🧩 Export
 ----------------------------------------------------------- */
@@ -0,0 +1,374 @@
+import fs from "fs";
+import path from "path";
+import { createError } from "../utils/errors.js";
+
+const TINYBARS_PER_HBAR = 100_000_000;
+
+/** Ledger-style failure: the message starts with the Hedera status code */
+function ledgerError(code, message) {
+  return createError(400, `${code}: ${message}`, { code });
+}
+
+/* -----------------------------------------------------------
+   🧪 Demo Ledger
+
+   In-process stand-in for the Hedera network used by
+   hederaService in demo mode. It keeps just enough state for
+   the marketplace to behave like it would on testnet:
+
+   - entity IDs (tokens) and NFT serials are handed out in order
+   - every NFT has exactly one owner; HBAR balances are tracked
+   - receivers must be associated with a token (accounts get a
+     few automatic association slots, like wallet-created ones)
+   - max supply, balances and ownership are enforced, and a
+     transfer either applies completely or not at all
+   - NFT royalties are charged when HBAR changes hands
+   - an owner can approve a spender for one serial, or for an
+     amount of HBAR; approved transfers need that allowance (HBAR
+     ones spend it down), and moving the NFT clears its allowance
+   - each NFT keeps its mint/transfer history, like the mirror node
+
+   Accounts are opened on first use with a starting balance,
+   since demo wallets are generated in the browser.
+----------------------------------------------------------- */
+class DemoLedger {
+  constructor({
+    operatorId = "0.0.2",
+    startingBalanceHbar = Number(process.env.DEMO_STARTING_BALANCE_HBAR || 1000),
+    autoAssociations = 10,
+    file = null
+  } = {}) {
+    this.operatorId = operatorId;
+    this.startingBalance = startingBalanceHbar * TINYBARS_PER_HBAR;
+    this.autoAssociations = autoAssociations;
+    this.file = file;
+    this.reset();
+  }
+
+  reset() {
+    this.nextEntityNum = 5000;
+    this.lastTimestampNs = 0n;
+    this.accounts = new Map();
+    this.tokens = new Map();
+    this.nfts = new Map();
+  }
+
+  /* -----------------------------------------------------------
+     💾 Persistence (optional, keeps demo data across restarts)
+  ----------------------------------------------------------- */
+  load(file = this.file) {
+    this.file = file;
+    if (!file || !fs.existsSync(file)) return this;
+
+    const state = JSON.parse(fs.readFileSync(file, "utf8"));
+    this.nextEntityNum = state.nextEntityNum;
+    this.accounts = new Map(
+      state.accounts.map(account => [
+        account.id,
+        { ...account, associations: new Set(account.associations) }
+      ])
+    );
+    this.tokens = new Map(state.tokens.map(token => [token.tokenId, token]));
+    this.nfts = new Map(state.nfts.map(nft => [nftKey(nft.tokenId, nft.serial), nft]));
+    console.log(`🧪 Demo ledger loaded (${this.tokens.size} tokens, ${this.nfts.size} NFTs)`);
+    return this;
+  }
+
+  save() {
+    if (!this.file) return;
+
+    const state = {
+      nextEntityNum: this.nextEntityNum,
+      accounts: [...this.accounts.values()].map(account => ({
+        ...account,
+        associations: [...account.associations]
+      })),
+      tokens: [...this.tokens.values()],
+      nfts: [...this.nfts.values()]
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(state));
+  }
+
+  /* -----------------------------------------------------------
+     🧾 Transactions & receipts
+  ----------------------------------------------------------- */
+  /** Hedera-format transaction ID: payer@seconds.nanos, strictly increasing */
+  generateTransactionId(payerId = this.operatorId) {
+    let now = BigInt(Date.now()) * 1_000_000n;
+    if (now <= this.lastTimestampNs) now = this.lastTimestampNs + 1n;
+    this.lastTimestampNs = now;
+
+    const seconds = now / 1_000_000_000n;
+    const nanos = String(now % 1_000_000_000n).padStart(9, "0");
+    return `${payerId}@${seconds}.${nanos}`;
+  }
+
+  receipt(transactionId, fields = {}) {
+    this.save();
+    return { status: "SUCCESS", transactionId, ...fields };
+  }
+
+  /* -----------------------------------------------------------
+     👛 Accounts
+  ----------------------------------------------------------- */
+  account(accountId) {
+    if (!this.accounts.has(accountId)) {
+      this.accounts.set(accountId, {
+        id: accountId,
+        balance: this.startingBalance,
+        // Tinybars each spender may still move out of this account
+        hbarAllowances: {},
+        associations: new Set(),
+        autoAssociationsLeft: this.autoAssociations
+      });
+    }
+    return this.accounts.get(accountId);
+  }
+
+  getBalance(accountId) {
+    const account = this.account(accountId);
+    const tokens = {};
+    for (const tokenId of account.associations) {
+      tokens[tokenId] = this.ownedSerials(accountId, tokenId).length;
+    }
+    return { tinybars: account.balance, hbar: account.balance / TINYBARS_PER_HBAR, tokens };
+  }
+
+  associate(accountId, tokenId) {
+    this.requireToken(tokenId);
+    const account = this.account(accountId);
+    if (account.associations.has(tokenId)) {
+      throw ledgerError("TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT", `${accountId} is already associated with ${tokenId}`);
+    }
+    account.associations.add(tokenId);
+    return this.receipt(this.generateTransactionId(accountId));
+  }
+
+  /** Receiving a token needs an association, or a free automatic slot */
+  ensureCanReceive(accountId, tokenId) {
+    const account = this.account(accountId);
+    if (account.associations.has(tokenId)) return;
+    if (account.autoAssociationsLeft <= 0) {
+      throw ledgerError("TOKEN_NOT_ASSOCIATED_TO_ACCOUNT", `${accountId} is not associated with ${tokenId}`);
+    }
+    account.autoAssociationsLeft -= 1;
+    account.associations.add(tokenId);
+  }
+
+  /* -----------------------------------------------------------
+     🎨 Tokens & NFTs
+  ----------------------------------------------------------- */
+  createToken({ name, symbol, maxSupply = 0, royaltyPercentage = 0, treasuryId = this.operatorId, memo = "" }) {
+    if (!name) throw ledgerError("MISSING_TOKEN_NAME", "Token name is required");
+    if (!symbol) throw ledgerError("MISSING_TOKEN_SYMBOL", "Token symbol is required");
+
+    const tokenId = `0.0.${this.nextEntityNum++}`;
+    this.tokens.set(tokenId, {
+      tokenId,
+      name,
+      symbol,
+      memo,
+      treasury: treasuryId,
+      maxSupply: Number(maxSupply) || 0, // 0 = infinite
+      totalSupply: 0,
+      royalty: royaltyPercentage > 0
+        ? { numerator: Number(royaltyPercentage), denominator: 100, collector: treasuryId }
+        : null,
+      createdAt: new Date().toISOString()
+    });
+    this.account(treasuryId).associations.add(tokenId);
+
+    return this.receipt(this.generateTransactionId(), { tokenId });
+  }
+
+  mint(tokenId, metadata = []) {
+    const token = this.requireToken(tokenId);
+    if (metadata.length === 0) throw ledgerError("INVALID_TOKEN_MINT_METADATA", "Nothing to mint");
+    if (token.maxSupply && token.totalSupply + metadata.length > token.maxSupply) {
+      throw ledgerError(
+        "TOKEN_MAX_SUPPLY_REACHED",
+        `${tokenId} can mint ${token.maxSupply - token.totalSupply} more`
+      );
+    }
+
+    const transactionId = this.generateTransactionId();
+    const mintedAt = new Date().toISOString();
+    const serials = metadata.map(entry => {
+      const serial = ++token.totalSupply;
+      this.nfts.set(nftKey(tokenId, serial), {
+        tokenId,
+        serial,
+        owner: token.treasury,
+        metadata: String(entry),
+        mintedAt,
+        history: [{ transactionId, type: "TOKENMINT", sender: null, receiver: token.treasury, timestamp: mintedAt }]
+      });
+      return serial;
+    });
+
+    return this.receipt(transactionId, { serials });
+  }
+
+  getToken(tokenId) {
+    return this.tokens.get(tokenId) || null;
+  }
+
+  getNft(tokenId, serial) {
+    return this.nfts.get(nftKey(tokenId, serial)) || null;
+  }
+
+  /** Transfers of one serial, newest first (mirror node order) */
+  getNftHistory(tokenId, serial) {
+    const nft = this.getNft(tokenId, serial);
+    return nft ? [...(nft.history || [])].reverse() : [];
+  }
+
+  ownedSerials(accountId, tokenId) {
+    return [...this.nfts.values()]
+      .filter(nft => nft.tokenId === tokenId && nft.owner === accountId)
+      .map(nft => nft.serial);
+  }
+
+  requireToken(tokenId) {
+    const token = this.tokens.get(tokenId);
+    if (!token) throw ledgerError("INVALID_TOKEN_ID", `Token ${tokenId} does not exist`);
+    return token;
+  }
+
+  /* -----------------------------------------------------------
+     ✅ Allowances
+  ----------------------------------------------------------- */
+  /** The owner lets `spender` transfer one serial for them (AccountAllowanceApproveTransaction) */
+  approveNftAllowance({ tokenId, serial, owner, spender, transactionId }) {
+    this.requireToken(tokenId);
+    const nft = this.getNft(tokenId, serial);
+    if (!nft) throw ledgerError("INVALID_NFT_ID", `${tokenId}:${serial} does not exist`);
+    if (nft.owner !== owner) {
+      throw ledgerError("SENDER_DOES_NOT_OWN_NFT_SERIAL_NO", `${owner} does not own ${tokenId}:${serial}`);
+    }
+    nft.spender = spender;
+    return this.receipt(transactionId || this.generateTransactionId(owner));
+  }
+
+  /** The owner lets `spender` move up to `amount` tinybars for them; 0 removes the allowance */
+  approveHbarAllowance({ owner, spender, amount, transactionId }) {
+    const account = this.account(owner);
+    account.hbarAllowances = { ...account.hbarAllowances, [spender]: Number(amount) };
+    if (!account.hbarAllowances[spender]) delete account.hbarAllowances[spender];
+    return this.receipt(transactionId || this.generateTransactionId(owner));
+  }
+
+  getHbarAllowance(owner, spender) {
+    return this.account(owner).hbarAllowances?.[spender] || 0;
+  }
+
+  /* -----------------------------------------------------------
+     🔁 Transfers (atomic)
+  ----------------------------------------------------------- */
+  /**
+   * Apply HBAR legs (`{ accountId, amount }` in tinybars, summing to
+   * zero) and NFT legs (`{ tokenId, serial, sender, receiver }`) as one
+   * transaction. A leg with a `spender` is an approved transfer, made
+   * under the allowance its account gave that spender. Everything is
+   * validated before any state changes.
+   */
+  transfer({ hbar = [], nft = [], payerId = this.operatorId, transactionId } = {}) {
+    const sum = hbar.reduce((total, leg) => total + Number(leg.amount), 0);
+    if (sum !== 0) throw ledgerError("INVALID_ACCOUNT_AMOUNTS", "HBAR transfers must sum to zero");
+
+    // Net HBAR per account, including royalties charged on NFT sales
+    const net = new Map();
+    const credit = (accountId, amount) => net.set(accountId, (net.get(accountId) || 0) + amount);
+    for (const { accountId, amount } of hbar) credit(accountId, Number(amount));
+
+    const approvedHbar = hbar.filter(leg => leg.spender && Number(leg.amount) < 0);
+    for (const leg of approvedHbar) {
+      const allowance = this.getHbarAllowance(leg.accountId, leg.spender);
+      if (!allowance) {
+        throw ledgerError("SPENDER_DOES_NOT_HAVE_ALLOWANCE", `${leg.spender} has no allowance from ${leg.accountId}`);
+      }
+      if (allowance < -Number(leg.amount)) {
+        throw ledgerError("AMOUNT_EXCEEDS_ALLOWANCE", `${leg.spender} may move ${allowance} tinybars from ${leg.accountId}`);
+      }
+    }
+
+    const royalties = [];
+    for (const leg of nft) {
+      const token = this.requireToken(leg.tokenId);
+      const current = this.getNft(leg.tokenId, leg.serial);
+      if (!current) {
+        throw ledgerError("INVALID_NFT_ID", `${leg.tokenId}:${leg.serial} does not exist`);
+      }
+      if (current.owner !== leg.sender) {
+        throw ledgerError(
+          "SENDER_DOES_NOT_OWN_NFT_SERIAL_NO",
+          `${leg.sender} does not own ${leg.tokenId}:${leg.serial}`
+        );
+      }
+      if (leg.spender && current.spender !== leg.spender) {
+        throw ledgerError(
+          "SPENDER_DOES_NOT_HAVE_ALLOWANCE",
+          `${leg.spender} has no allowance for ${leg.tokenId}:${leg.serial}`
+        );
+      }
+
+      const received = hbar
+        .filter(h => h.accountId === leg.sender && Number(h.amount) > 0)
+        .reduce((total, h) => total + Number(h.amount), 0);
+      if (token.royalty && received > 0 && leg.sender !== token.royalty.collector) {
+        const fee = Math.floor((received * token.royalty.numerator) / token.royalty.denominator);
+        credit(leg.sender, -fee);
+        credit(token.royalty.collector, fee);
+        royalties.push({ tokenId: leg.tokenId, collector: token.royalty.collector, amount: fee });
+      }
+    }
+
+    for (const [accountId, amount] of net) {
+      if (this.account(accountId).balance + amount < 0) {
+        throw ledgerError("INSUFFICIENT_ACCOUNT_BALANCE", `${accountId} cannot pay ${-amount} tinybars`);
+      }
+    }
+
+    // Associations are checked last: auto-association consumes a slot
+    const receivers = nft.filter(leg => !this.account(leg.receiver).associations.has(leg.tokenId));
+    for (const leg of receivers) {
+      if (this.account(leg.receiver).autoAssociationsLeft <= 0) {
+        throw ledgerError(
+          "TOKEN_NOT_ASSOCIATED_TO_ACCOUNT",
+          `${leg.receiver} is not associated with ${leg.tokenId}`
+        );
+      }
+    }
+
+    // Validated — apply
+    const id = transactionId || this.generateTransactionId(payerId);
+    const timestamp = new Date().toISOString();
+    for (const leg of receivers) this.ensureCanReceive(leg.receiver, leg.tokenId);
+    for (const [accountId, amount] of net) this.account(accountId).balance += amount;
+    for (const leg of approvedHbar) {
+      const account = this.account(leg.accountId);
+      account.hbarAllowances = {
+        ...account.hbarAllowances,
+        [leg.spender]: account.hbarAllowances[leg.spender] + Number(leg.amount)
+      };
+    }
+    for (const leg of nft) {
+      const current = this.getNft(leg.tokenId, leg.serial);
+      current.owner = leg.receiver;
+      current.spender = null; // allowances don't survive a change of owner
+      current.history = [
+        ...(current.history || []),
+        { transactionId: id, type: "CRYPTOTRANSFER", sender: leg.sender, receiver: leg.receiver, timestamp }
+      ];
+    }
+
+    return this.receipt(id, { royalties });
+  }
+}
+
+function nftKey(tokenId, serial) {
+  return `${tokenId}:${Number(serial)}`;
+}
+
+export default DemoLedger;
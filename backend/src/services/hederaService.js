@@ -9,11 +9,20 @@ import {
   TokenAssociateTransaction,
   TransferTransaction,
   TokenInfoQuery,
+  NftId,
+  TokenId,
+  Transaction,
+  TransactionId,
   AccountBalanceQuery,
+  AccountInfoQuery,
+  AccountAllowanceApproveTransaction,
   CustomRoyaltyFee,
   CustomFixedFee,
   Hbar
 } from "@hashgraph/sdk";
+import { createError } from "../utils/errors.js";
+import DemoLedger from "./demoLedger.js";
+import mirrorNodeClient from "./mirrorNodeClient.js";
 
 class HederaService {
   constructor() {
@@ -22,6 +31,10 @@ class HederaService {
     this.operatorKey = null;
     this.treasuryId = null;
     this.demoMode = false; // ✅ fallback mode if env missing
+    // Demo mode forced by a failed initialization, not chosen by leaving out credentials
+    this.demoFallback = false;
+    this.ledger = new DemoLedger(); // simulated network used in demo mode
+    this.mirror = mirrorNodeClient; // read-side queries (holdings, history, fees)
   }
 
   /**
@@ -38,7 +51,7 @@ class HederaService {
 
       if (!accountId || !privateKey) {
         console.warn("⚠️  Hedera credentials not configured — running in DEMO MODE");
-        this.demoMode = true;
+        this.enableDemoMode();
         return true; // mark as “healthy”
       }
 
@@ -62,11 +75,28 @@ class HederaService {
       return true;
     } catch (error) {
       console.error("❌ Failed to initialize Hedera Service:", error.message);
-      this.demoMode = true; // fallback to demo
+      console.warn("⚠️  Falling back to DEMO MODE — wallet sign-in is disabled until Hedera is reachable");
+      this.enableDemoMode(); // fallback to demo
+      this.demoFallback = true;
       return true;
     }
   }
 
+  /**
+   * Switch to the simulated ledger. Its state is saved to
+   * DEMO_LEDGER_FILE so demo tokens survive a restart.
+   */
+  enableDemoMode() {
+    this.demoMode = true;
+    this.ledger.load(process.env.DEMO_LEDGER_FILE || "./src/data/demo-ledger.json");
+  }
+
+  /** Account that pays network fees and receives platform fees by default */
+  getOperatorAccountId() {
+    if (this.demoMode) return this.ledger.operatorId;
+    return this.operatorId?.toString() || null;
+  }
+
   /**
    * Create NFT Collection (Token)
    */
@@ -78,14 +108,21 @@ class HederaService {
     metadata = {}
   }) {
     if (this.demoMode) {
-      console.log("🧩 Demo mode: createCollection simulated");
+      const receipt = this.ledger.createToken({
+        name,
+        symbol,
+        maxSupply,
+        royaltyPercentage,
+        memo: JSON.stringify(metadata)
+      });
+      console.log(`🧩 Demo ledger: collection created ${receipt.tokenId}`);
       return {
-        tokenId: "0.0.999999",
+        tokenId: receipt.tokenId,
         name,
         symbol,
         maxSupply,
         royaltyPercentage,
-        transactionId: "demo-tx-create"
+        transactionId: receipt.transactionId
       };
     }
 
@@ -139,11 +176,12 @@ class HederaService {
    */
   async mintNFT({ tokenId, metadataURIs }) {
     if (this.demoMode) {
-      console.log("🧩 Demo mode: mintNFT simulated");
+      const receipt = this.ledger.mint(tokenId, metadataURIs);
+      console.log(`🧩 Demo ledger: minted ${receipt.serials.length} NFT(s) to ${tokenId}`);
       return {
         tokenId,
-        serials: ["1", "2"],
-        transactionId: "demo-tx-mint"
+        serials: receipt.serials.map(String),
+        transactionId: receipt.transactionId
       };
     }
 
@@ -163,6 +201,7 @@ class HederaService {
 
       const serials = receipt.serials.map(s => s.toString());
 
+      this.mirror.invalidate(tokenId);
       console.log(`✅ Minted ${serials.length} NFT(s) to ${tokenId}`);
       return {
         tokenId,
@@ -180,8 +219,8 @@ class HederaService {
    */
   async associateToken({ accountId, tokenId, accountPrivateKey }) {
     if (this.demoMode) {
-      console.log("🧩 Demo mode: associateToken simulated");
-      return { status: "SUCCESS", transactionId: "demo-tx-associate" };
+      const { status, transactionId } = this.ledger.associate(accountId, tokenId);
+      return { status, transactionId };
     }
 
     try {
@@ -210,28 +249,51 @@ class HederaService {
 
   /**
    * Transfer NFT
+   * Without `fromPrivateKey` the operator moves the NFT under the
+   * allowance the owner granted the marketplace (approved transfer).
    */
   async transferNFT({ tokenId, serial, fromAccountId, toAccountId, fromPrivateKey }) {
     if (this.demoMode) {
-      console.log("🧩 Demo mode: transferNFT simulated");
-      return {
-        status: "SUCCESS",
-        transactionId: "demo-tx-transfer"
-      };
+      const approved = !fromPrivateKey && fromAccountId !== this.ledger.operatorId;
+      const { status, transactionId } = this.ledger.transfer({
+        nft: [{
+          tokenId,
+          serial,
+          sender: fromAccountId,
+          receiver: toAccountId,
+          ...(approved && { spender: this.ledger.operatorId })
+        }]
+      });
+      console.log(`🧩 Demo ledger: ${tokenId}:${serial} ${fromAccountId} → ${toAccountId}`);
+      return { status, transactionId };
     }
 
     try {
       if (!this.client) await this.initialize();
 
-      const transaction = await new TransferTransaction()
-        .addNftTransfer(tokenId, serial, fromAccountId, toAccountId)
-        .freezeWith(this.client);
+      // The operator's own NFTs (e.g. fresh mints in the treasury) move directly
+      const ownedByOperator = fromAccountId === this.operatorId.toString();
 
-      const privateKey = PrivateKey.fromString(fromPrivateKey);
+      const transaction = new TransferTransaction();
+      if (fromPrivateKey || ownedByOperator) {
+        transaction.addNftTransfer(tokenId, serial, fromAccountId, toAccountId);
+      } else {
+        transaction.addApprovedNftTransfer(
+          new NftId(TokenId.fromString(tokenId), Number(serial)),
+          fromAccountId,
+          toAccountId
+        );
+      }
+      transaction.freezeWith(this.client);
+
+      const privateKey = fromPrivateKey
+        ? PrivateKey.fromString(fromPrivateKey)
+        : this.operatorKey;
       const signTx = await transaction.sign(privateKey);
       const txResponse = await signTx.execute(this.client);
       const receipt = await txResponse.getReceipt(this.client);
 
+      this.mirror.invalidate(tokenId); // cached holdings are now stale
       console.log(`✅ NFT transferred: ${tokenId}:${serial}`);
       console.log(`📤 From: ${fromAccountId} → To: ${toAccountId}`);
 
@@ -245,20 +307,357 @@ class HederaService {
     }
   }
 
+  /**
+   * Build the allowance a seller grants the marketplace before listing:
+   * it lets the operator move this one serial when it sells, without
+   * the seller online to sign. The seller pays for and signs it.
+   */
+  async buildNftAllowanceTransaction({ tokenId, serial, ownerId }) {
+    const allowance = { tokenId, serial: Number(serial), owner: ownerId, spender: this.getOperatorAccountId() };
+    return this.buildAllowanceTransaction(allowance, transaction =>
+      transaction.approveTokenNftAllowance(new NftId(TokenId.fromString(tokenId), Number(serial)), ownerId, allowance.spender)
+    );
+  }
+
+  /**
+   * Build the HBAR allowance a bidder grants the marketplace, so the
+   * operator can take a winning bid when the auction settles. Hedera
+   * replaces any earlier allowance, so `amount` (tinybars) is the total.
+   */
+  async buildHbarAllowanceTransaction({ ownerId, amount }) {
+    const allowance = { owner: ownerId, spender: this.getOperatorAccountId(), amount: Number(amount) };
+    return this.buildAllowanceTransaction(allowance, transaction =>
+      transaction.approveHbarAllowance(ownerId, allowance.spender, Hbar.fromTinybars(allowance.amount))
+    );
+  }
+
+  async buildAllowanceTransaction(allowance, approve) {
+    if (this.demoMode) {
+      const transactionId = this.ledger.generateTransactionId(allowance.owner);
+      return {
+        transactionId,
+        transactionBytes: Buffer.from(JSON.stringify({ transactionId, allowance })).toString("base64"),
+        allowance
+      };
+    }
+
+    try {
+      if (!this.client) await this.initialize();
+
+      const transaction = approve(
+        new AccountAllowanceApproveTransaction().setTransactionId(TransactionId.generate(allowance.owner))
+      ).freezeWith(this.client);
+
+      return {
+        transactionId: transaction.transactionId.toString(),
+        transactionBytes: Buffer.from(transaction.toBytes()).toString("base64"),
+        allowance
+      };
+    } catch (error) {
+      console.error("❌ Failed to build allowance transaction:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit an allowance its owner has signed. Like purchases, it must
+   * be exactly the one prepared: an NFT allowance (`tokenId`, `serial`)
+   * or an HBAR one (`amount`).
+   */
+  async executeAllowanceTransaction(signedBytes, { transactionId, allowance }) {
+    const mismatch = () => {
+      throw new Error("Signed transaction does not match the prepared approval");
+    };
+
+    if (this.demoMode) {
+      const decoded = JSON.parse(Buffer.from(signedBytes, "base64").toString("utf8"));
+      if (decoded.transactionId !== transactionId || JSON.stringify(decoded.allowance) !== JSON.stringify(allowance)) {
+        mismatch();
+      }
+      const { status } = allowance.tokenId
+        ? this.ledger.approveNftAllowance({ ...allowance, transactionId })
+        : this.ledger.approveHbarAllowance({ ...allowance, transactionId });
+      console.log(`🧩 Demo ledger: ${allowance.owner} approved ${allowance.spender} for ${allowance.tokenId ? `${allowance.tokenId}:${allowance.serial}` : `${allowance.amount} tinybars`}`);
+      return { status, transactionId };
+    }
+
+    try {
+      if (!this.client) await this.initialize();
+
+      const transaction = Transaction.fromBytes(Buffer.from(signedBytes, "base64"));
+      if (!(transaction instanceof AccountAllowanceApproveTransaction)) mismatch();
+      if (transaction.transactionId?.toString() !== transactionId) mismatch();
+      if (transaction.tokenApprovals.length > 0) mismatch();
+
+      const nftApprovals = transaction.tokenNftApprovals;
+      const hbarApprovals = transaction.hbarApprovals;
+      if (allowance.tokenId) {
+        const [approval] = nftApprovals;
+        if (
+          nftApprovals.length !== 1 ||
+          hbarApprovals.length > 0 ||
+          approval.tokenId.toString() !== allowance.tokenId ||
+          approval.ownerAccountId?.toString() !== allowance.owner ||
+          approval.spenderAccountId?.toString() !== allowance.spender ||
+          approval.serialNumbers?.length !== 1 ||
+          approval.serialNumbers[0].toString() !== String(allowance.serial)
+        ) {
+          mismatch();
+        }
+      } else {
+        const [approval] = hbarApprovals;
+        if (
+          hbarApprovals.length !== 1 ||
+          nftApprovals.length > 0 ||
+          approval.ownerAccountId?.toString() !== allowance.owner ||
+          approval.spenderAccountId?.toString() !== allowance.spender ||
+          approval.amount?.toTinybars().toString() !== String(allowance.amount)
+        ) {
+          mismatch();
+        }
+      }
+
+      const txResponse = await transaction.execute(this.client);
+      const receipt = await txResponse.getReceipt(this.client);
+
+      this.mirror.invalidate(allowance.tokenId || allowance.owner); // the mirror's view of the allowance is stale
+      console.log(`✅ Allowance granted by ${allowance.owner} to ${allowance.spender}`);
+      return {
+        status: receipt.status.toString(),
+        transactionId: txResponse.transactionId.toString()
+      };
+    } catch (error) {
+      console.error("❌ Failed to execute allowance:", error.message);
+      throw error;
+    }
+  }
+
+  /** Tinybars the marketplace may still take from an account (its HBAR allowance) */
+  async getHbarAllowance(ownerId) {
+    const spender = this.getOperatorAccountId();
+    if (this.demoMode) return this.ledger.getHbarAllowance(ownerId, spender);
+    return this.mirror.getHbarAllowance(ownerId, spender);
+  }
+
+  /**
+   * The legs of a purchase: the buyer's payment, the seller's proceeds,
+   * the platform fee, and the NFT, moved by the operator under the
+   * allowance the seller granted before listing. Amounts are in
+   * tinybars; an account that is both seller and fee account gets one
+   * combined leg, as Hedera allows each account only once. With
+   * `approvedPayment` the operator also takes the payment under the
+   * buyer's HBAR allowance, so the buyer needn't sign.
+   */
+  purchaseTransfers({ tokenId, serial, sellerId, buyerId, price, platformFee, feeAccountId }, { approvedPayment = false } = {}) {
+    const operator = this.getOperatorAccountId();
+    const legs = [
+      { accountId: buyerId, amount: -price, ...(approvedPayment && { spender: operator }) },
+      { accountId: sellerId, amount: price - platformFee },
+      ...(platformFee > 0 ? [{ accountId: feeAccountId, amount: platformFee }] : [])
+    ];
+    const hbar = [];
+    for (const leg of legs) {
+      const same = hbar.find(entry => entry.accountId === leg.accountId);
+      if (same) same.amount += leg.amount;
+      else hbar.push({ ...leg });
+    }
+
+    return {
+      hbar,
+      nft: { tokenId, serial: Number(serial), sender: sellerId, receiver: buyerId, spender: operator }
+    };
+  }
+
+  /** TransferTransaction for purchaseTransfers' legs, approved legs marked as such */
+  toTransferTransaction(transfers) {
+    const transaction = new TransferTransaction();
+    for (const { accountId, amount, spender } of transfers.hbar) {
+      if (spender) transaction.addApprovedHbarTransfer(accountId, Hbar.fromTinybars(amount));
+      else transaction.addHbarTransfer(accountId, Hbar.fromTinybars(amount));
+    }
+    const { tokenId, serial, sender, receiver } = transfers.nft;
+    transaction.addApprovedNftTransfer(new NftId(TokenId.fromString(tokenId), Number(serial)), sender, receiver);
+    return transaction;
+  }
+
+  /**
+   * Build an atomic purchase: the buyer's HBAR payment, the seller's
+   * proceeds, the platform fee and the NFT move in one TransferTransaction,
+   * so the sale either fully happens or not at all. Because HBAR changes
+   * hands alongside the NFT, the token's royalty fee is also charged
+   * on-chain by the network.
+   *
+   * The buyer pays the network fee and must sign the returned bytes;
+   * the operator co-signs the NFT leg under the seller's allowance.
+   */
+  async buildPurchaseTransaction(purchase) {
+    const { tokenId, serial, buyerId } = purchase;
+    const transfers = this.purchaseTransfers(purchase);
+
+    if (this.demoMode) {
+      // Demo "bytes" are the transfer itself; the ledger applies it on execute
+      const transactionId = this.ledger.generateTransactionId(buyerId);
+      return {
+        transactionId,
+        transactionBytes: Buffer.from(JSON.stringify({ transactionId, transfers })).toString("base64"),
+        transfers
+      };
+    }
+
+    try {
+      if (!this.client) await this.initialize();
+
+      const transaction = this.toTransferTransaction(transfers)
+        .setTransactionId(TransactionId.generate(buyerId))
+        .setTransactionMemo(`Comic Pad purchase ${tokenId}:${serial}`)
+        .freezeWith(this.client);
+
+      return {
+        transactionId: transaction.transactionId.toString(),
+        transactionBytes: Buffer.from(transaction.toBytes()).toString("base64"),
+        transfers
+      };
+    } catch (error) {
+      console.error("❌ Failed to build purchase transaction:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Carry out a purchase on the operator's signature alone: the payment
+   * under the buyer's HBAR allowance and the NFT under the seller's.
+   * Settles auctions without either party online.
+   */
+  async executeApprovedPurchase(purchase) {
+    const { tokenId, serial } = purchase;
+    const transfers = this.purchaseTransfers(purchase, { approvedPayment: true });
+
+    if (this.demoMode) {
+      const { status, transactionId } = this.ledger.transfer({ hbar: transfers.hbar, nft: [transfers.nft] });
+      console.log(`🧩 Demo ledger: approved purchase ${tokenId}:${serial} → ${transfers.nft.receiver}`);
+      return { status, transactionId, transfers };
+    }
+
+    try {
+      if (!this.client) await this.initialize();
+
+      const transaction = this.toTransferTransaction(transfers)
+        .setTransactionMemo(`Comic Pad auction ${tokenId}:${serial}`)
+        .freezeWith(this.client);
+      const signTx = await transaction.sign(this.operatorKey);
+      const txResponse = await signTx.execute(this.client);
+      const receipt = await txResponse.getReceipt(this.client);
+
+      this.mirror.invalidate(tokenId);
+      this.mirror.invalidate(transfers.nft.receiver); // their HBAR allowance was spent
+      console.log(`✅ Approved purchase settled: ${tokenId}:${serial} → ${transfers.nft.receiver}`);
+      return {
+        status: receipt.status.toString(),
+        transactionId: txResponse.transactionId.toString(),
+        transfers
+      };
+    } catch (error) {
+      console.error("❌ Failed to execute approved purchase:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a purchase the buyer has signed. The decoded transaction must
+   * match the one built by buildPurchaseTransaction exactly, otherwise a
+   * buyer could sign a cheaper variant.
+   */
+  async executePurchaseTransaction(signedBytes, expected) {
+    if (this.demoMode) {
+      const decoded = JSON.parse(Buffer.from(signedBytes, "base64").toString("utf8"));
+      if (
+        decoded.transactionId !== expected.transactionId ||
+        JSON.stringify(decoded.transfers) !== JSON.stringify(expected.transfers)
+      ) {
+        throw new Error("Signed transaction does not match the prepared purchase");
+      }
+
+      const { nft } = expected.transfers;
+      const { status, transactionId } = this.ledger.transfer({
+        hbar: expected.transfers.hbar,
+        nft: [nft],
+        transactionId: expected.transactionId
+      });
+      console.log(`🧩 Demo ledger: purchase settled ${nft.tokenId}:${nft.serial} → ${nft.receiver}`);
+      return { status, transactionId };
+    }
+
+    try {
+      if (!this.client) await this.initialize();
+
+      const transaction = Transaction.fromBytes(Buffer.from(signedBytes, "base64"));
+      this.assertPurchaseMatches(transaction, expected);
+
+      const signTx = await transaction.sign(this.operatorKey);
+      const txResponse = await signTx.execute(this.client);
+      const receipt = await txResponse.getReceipt(this.client);
+
+      this.mirror.invalidate(expected.transfers.nft.tokenId);
+      console.log(`✅ Purchase settled: ${expected.transfers.nft.tokenId}:${expected.transfers.nft.serial}`);
+      return {
+        status: receipt.status.toString(),
+        transactionId: txResponse.transactionId.toString()
+      };
+    } catch (error) {
+      console.error("❌ Failed to execute purchase:", error.message);
+      throw error;
+    }
+  }
+
+  assertPurchaseMatches(transaction, { transactionId, transfers }) {
+    const mismatch = () => {
+      throw new Error("Signed transaction does not match the prepared purchase");
+    };
+
+    if (!(transaction instanceof TransferTransaction)) mismatch();
+    if (transaction.transactionId?.toString() !== transactionId) mismatch();
+
+    const hbar = new Map(
+      [...transaction.hbarTransfers].map(([account, amount]) => [
+        account.toString(),
+        amount.toTinybars().toString()
+      ])
+    );
+    if (hbar.size !== transfers.hbar.length) mismatch();
+    for (const { accountId, amount } of transfers.hbar) {
+      if (hbar.get(accountId) !== String(amount)) mismatch();
+    }
+
+    const nftLegs = [...transaction.nftTransfers].flatMap(([token, legs]) =>
+      legs.map(leg => ({ token: token.toString(), ...leg }))
+    );
+    const [leg] = nftLegs;
+    if (
+      nftLegs.length !== 1 ||
+      leg.token !== transfers.nft.tokenId ||
+      leg.serial.toString() !== String(transfers.nft.serial) ||
+      leg.sender.toString() !== transfers.nft.sender ||
+      leg.recipient.toString() !== transfers.nft.receiver ||
+      !leg.isApproved
+    ) {
+      mismatch();
+    }
+  }
+
   /**
    * Get token info
    */
   async getTokenInfo(tokenId) {
     if (this.demoMode) {
-      console.log("🧩 Demo mode: getTokenInfo simulated");
+      const token = this.ledger.requireToken(tokenId);
       return {
         tokenId,
-        name: "Demo Comic",
-        symbol: "DEMO",
-        totalSupply: "1",
-        maxSupply: "100",
-        treasury: "0.0.0",
-        customFees: []
+        name: token.name,
+        symbol: token.symbol,
+        totalSupply: String(token.totalSupply),
+        maxSupply: String(token.maxSupply),
+        treasury: token.treasury,
+        customFees: token.royalty ? [{ type: "royalty", ...token.royalty }] : []
       };
     }
 
@@ -288,7 +687,8 @@ class HederaService {
    */
   async checkOwnership({ accountId, tokenId }) {
     if (this.demoMode) {
-      return { accountId, tokenId, owns: true, quantity: 1 };
+      const quantity = this.ledger.ownedSerials(accountId, tokenId).length;
+      return { accountId, tokenId, owns: quantity > 0, quantity };
     }
 
     try {
@@ -312,12 +712,123 @@ class HederaService {
     }
   }
 
+  /**
+   * Check that an account holds one specific serial.
+   * Reads the mirror node, which trails consensus by a few seconds.
+   */
+  async checkNFTOwnership({ accountId, tokenId, serial }) {
+    const nft = await this.getNFTInfo(tokenId, serial).catch(error => {
+      if (error.status === 404) return null;
+      throw error;
+    });
+    const owns = !!nft && !nft.deleted && nft.owner === accountId;
+    return {
+      accountId,
+      tokenId,
+      serial: Number(serial),
+      owns,
+      owner: nft?.owner || null,
+      // Account the owner approved to transfer this serial, if any
+      spender: owns ? nft.spender : null
+    };
+  }
+
+  /**
+   * Get one NFT: owner, metadata URI and timestamps
+   */
+  async getNFTInfo(tokenId, serial) {
+    if (this.demoMode) {
+      const nft = this.ledger.getNft(tokenId, serial);
+      if (!nft) throw createError(404, `NFT ${tokenId}:${serial} not found`);
+      return {
+        tokenId,
+        serial: nft.serial,
+        owner: nft.owner,
+        spender: nft.spender || null,
+        metadata: nft.metadata,
+        deleted: false,
+        createdAt: nft.mintedAt,
+        modifiedAt: nft.history?.at(-1)?.timestamp || nft.mintedAt
+      };
+    }
+
+    return this.mirror.getNft(tokenId, serial);
+  }
+
+  /**
+   * List the NFTs an account holds, optionally for a single token
+   */
+  async getAccountNFTs(accountId, { tokenId } = {}) {
+    if (this.demoMode) {
+      const tokenIds = tokenId ? [tokenId] : [...this.ledger.tokens.keys()];
+      return tokenIds.flatMap(id =>
+        this.ledger.ownedSerials(accountId, id).map(serial => ({
+          tokenId: id,
+          serial,
+          owner: accountId,
+          spender: null,
+          metadata: this.ledger.getNft(id, serial).metadata,
+          deleted: false
+        }))
+      );
+    }
+
+    return this.mirror.getAccountNfts(accountId, { tokenId });
+  }
+
+  /**
+   * Mint and transfer history of one NFT, newest first
+   */
+  async getNFTHistory(tokenId, serial) {
+    if (this.demoMode) {
+      if (!this.ledger.getNft(tokenId, serial)) throw createError(404, `NFT ${tokenId}:${serial} not found`);
+      return this.ledger.getNftHistory(tokenId, serial).map(entry => ({ ...entry, isApproval: false }));
+    }
+
+    return this.mirror.getNftTransactions(tokenId, serial);
+  }
+
+  /**
+   * Royalty and fixed fees attached to a token
+   */
+  async getTokenCustomFees(tokenId) {
+    if (this.demoMode) {
+      const { royalty } = this.ledger.requireToken(tokenId);
+      return {
+        tokenId,
+        royaltyFees: royalty ? [{ ...royalty, fallbackFee: null }] : [],
+        fixedFees: []
+      };
+    }
+
+    return this.mirror.getTokenCustomFees(tokenId);
+  }
+
+  /**
+   * Get the public key that controls an account.
+   * Returns null in demo mode (there is no ledger to ask).
+   */
+  async getAccountKey(accountId) {
+    if (this.demoMode) return null;
+
+    try {
+      if (!this.client) await this.initialize();
+
+      const info = await new AccountInfoQuery().setAccountId(accountId).execute(this.client);
+      return info.key;
+    } catch (error) {
+      console.error("❌ Failed to get account key:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get account balance
    */
   async getBalance(accountId) {
     if (this.demoMode) {
-      return { hbar: "100 Hbar", tokens: {} };
+      const { hbar, tokens } = this.ledger.getBalance(accountId);
+      return { hbar: `${hbar} ℏ`, tokens };
     }
 
     try {
@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { randomUUID } from "crypto";
+import { openArchive, detectFormat, isPageEntry, isComicInfoEntry, naturalCompare } from "../formats/archive.js";
+import { rasterizePdf, readPdfInfo } from "../formats/pdf.js";
+import { parseComicInfoXml, pageFileName } from "../formats/cbz.js";
+import { createError } from "../utils/errors.js";
+
+// Formats the publish flow accepts as-is; anything else is re-encoded to PNG
+const PASSTHROUGH_FORMATS = { jpeg: "jpg", png: "png", webp: "webp" };
+
+const IMPORT_ID = /^[0-9a-f-]{36}$/;
+
+/* -----------------------------------------------------------
+   📥 Import Service
+
+   Turns an uploaded CBZ/ZIP, CBR/RAR or PDF into a reviewable
+   set of pages. Archives are read entry by entry (image files
+   only, in natural order); PDFs are rasterized page by page.
+   Pages are staged under IMPORT_DIR/<importId>/ with a manifest,
+   so Creator Studio can show them for review and reordering
+   before anything is uploaded to IPFS or minted. Staged imports
+   expire after IMPORT_TTL_MS.
+----------------------------------------------------------- */
+class ImportService {
+  get dir() {
+    return path.resolve(process.env.IMPORT_DIR || "./src/data/imports");
+  }
+
+  get limits() {
+    return {
+      maxPages: Number(process.env.IMPORT_MAX_PAGES || 300),
+      maxPageSize: Number(process.env.IMPORT_MAX_PAGE_MB || 50) * 1024 * 1024,
+      pdfDpi: Number(process.env.IMPORT_PDF_DPI || 150),
+      ttlMs: Number(process.env.IMPORT_TTL_MS || 24 * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Extract the pages of an uploaded file. `owner` is the creator's
+   * account; only they can read the staged import back.
+   * Returns the manifest (see getImport).
+   */
+  async importFile(file, { originalName = path.basename(file), owner }) {
+    const format = await detectFormat(file);
+    if (!format) throw createError(415, "Unsupported file: upload a CBZ, ZIP, CBR, RAR or PDF");
+
+    await this.purgeExpired();
+
+    const id = randomUUID();
+    const stagingDir = path.join(this.dir, id);
+    await fs.promises.mkdir(stagingDir, { recursive: true });
+
+    try {
+      const extracted =
+        format === "pdf" ? await this.extractPdf(file, stagingDir) : await this.extractArchive(file, format, stagingDir);
+
+      if (extracted.pages.length === 0) throw createError(422, "No page images found in the upload");
+
+      const { limits } = this;
+      const createdAt = new Date();
+      const manifest = {
+        id,
+        owner,
+        format,
+        originalName,
+        hasComicInfo: extracted.hasComicInfo,
+        metadata: extracted.metadata,
+        pages: extracted.pages,
+        createdAt: createdAt.toISOString(),
+        expiresAt: new Date(createdAt.getTime() + limits.ttlMs).toISOString()
+      };
+      await fs.promises.writeFile(path.join(stagingDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+
+      console.log(`📥 Imported ${manifest.pages.length} pages from ${originalName} (${format})`);
+      return manifest;
+    } catch (error) {
+      await fs.promises.rm(stagingDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  async extractArchive(file, format, stagingDir) {
+    const { maxPages, maxPageSize } = this.limits;
+    const archive = await openArchive(file, { format, maxEntrySize: maxPageSize });
+
+    try {
+      const pageEntries = archive.entries
+        .filter(entry => isPageEntry(entry.name))
+        .sort((a, b) => naturalCompare(a.name, b.name));
+
+      if (pageEntries.length > maxPages) {
+        throw createError(413, `Archive has ${pageEntries.length} pages; the limit is ${maxPages}`);
+      }
+
+      const comicInfoEntry = archive.entries.find(entry => isComicInfoEntry(entry.name));
+      const metadata = comicInfoEntry
+        ? parseComicInfoXml((await archive.read(comicInfoEntry.name)).toString("utf8"))
+        : { coverIndex: 0 };
+
+      const pages = [];
+      for (const entry of pageEntries) {
+        const page = await this.stagePage(await archive.read(entry.name), {
+          stagingDir,
+          index: pages.length,
+          total: pageEntries.length,
+          source: entry.name
+        });
+        if (page) pages.push(page);
+      }
+
+      // The FrontCover index refers to ComicInfo's page list; clamp it to what was extracted
+      if (metadata.coverIndex >= pages.length) metadata.coverIndex = 0;
+
+      return { pages, metadata, hasComicInfo: Boolean(comicInfoEntry) };
+    } finally {
+      archive.close();
+    }
+  }
+
+  async extractPdf(file, stagingDir) {
+    const { maxPages, pdfDpi } = this.limits;
+    const info = await readPdfInfo(file);
+
+    const pages = [];
+    for await (const { index, buffer } of rasterizePdf(file, { dpi: pdfDpi, maxPages })) {
+      pages.push(
+        await this.stagePage(buffer, { stagingDir, index, total: info.pageCount, source: `page ${index + 1}` })
+      );
+    }
+
+    const metadata = {
+      title: info.title,
+      writers: info.author ? [info.author] : [],
+      artists: [],
+      coverIndex: 0
+    };
+    return { pages, metadata, hasComicInfo: false };
+  }
+
+  /**
+   * Validate one page image and write it to the staging dir.
+   * Images sharp can't decode are skipped rather than failing the
+   * whole import — archives often carry stray files.
+   */
+  async stagePage(buffer, { stagingDir, index, total, source }) {
+    let info;
+    try {
+      info = await sharp(buffer).metadata();
+    } catch {
+      console.warn(`⚠️ Skipping unreadable page ${source}`);
+      return null;
+    }
+
+    let extension = PASSTHROUGH_FORMATS[info.format];
+    if (!extension) {
+      buffer = await sharp(buffer).png().toBuffer();
+      extension = "png";
+    }
+
+    const name = pageFileName(index, total, extension);
+    await fs.promises.writeFile(path.join(stagingDir, name), buffer);
+    return { index, name, source, width: info.width, height: info.height, size: buffer.length };
+  }
+
+  /** The manifest of a staged import, if `owner` created it and it hasn't expired */
+  async getImport(id, owner) {
+    if (!IMPORT_ID.test(id)) throw createError(404, "Import not found");
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.promises.readFile(path.join(this.dir, id, "manifest.json"), "utf8"));
+    } catch {
+      throw createError(404, "Import not found");
+    }
+
+    if (manifest.owner !== owner || new Date(manifest.expiresAt) <= new Date()) {
+      throw createError(404, "Import not found");
+    }
+    return manifest;
+  }
+
+  /** Path of one staged page, for serving */
+  async getPagePath(id, index, owner) {
+    const manifest = await this.getImport(id, owner);
+    const page = manifest.pages[Number(index)];
+    if (!page) throw createError(404, "Page not found");
+    return path.join(this.dir, id, page.name);
+  }
+
+  async discard(id, owner) {
+    await this.getImport(id, owner);
+    await fs.promises.rm(path.join(this.dir, id), { recursive: true, force: true });
+  }
+
+  /** Remove staged imports past their expiry (and any left half-written) */
+  async purgeExpired() {
+    const entries = await fs.promises.readdir(this.dir).catch(() => []);
+    const now = Date.now();
+
+    for (const id of entries) {
+      const stagingDir = path.join(this.dir, id);
+      try {
+        const manifest = JSON.parse(await fs.promises.readFile(path.join(stagingDir, "manifest.json"), "utf8"));
+        if (new Date(manifest.expiresAt).getTime() > now) continue;
+      } catch {
+        // No manifest: an import still extracting, or one that crashed mid-way
+        const { mtimeMs } = await fs.promises.stat(stagingDir).catch(() => ({ mtimeMs: now }));
+        if (now - mtimeMs < this.limits.ttlMs) continue;
+      }
+      await fs.promises.rm(stagingDir, { recursive: true, force: true });
+    }
+  }
+}
+
+export default new ImportService();
@@ -1,118 +1,152 @@
 import axios from 'axios';
-import FormData from 'form-data';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
 import sharp from 'sharp';
-import archiver from 'archiver';
-import { Web3Storage, File } from 'web3.storage';
-
+import { createContentProviders } from '../ipfs/index.js';
+import { computeCid, verifyCid, sameCid, isCid, ipfsUri } from '../ipfs/cid.js';
+import { createError } from '../utils/errors.js';
+import pinService from './pinService.js';
+import { CBZWriter } from '../formats/cbz.js';
+import { EPUBWriter } from '../formats/epub.js';
+import { PDFWriter } from '../formats/pdf.js';
+import { renditionMatrix, renderRenditions } from '../formats/renditions.js';
+import { detectPanels } from '../formats/panels.js';
+import { isSpread } from '../formats/spreads.js';
+
+// Download formats built from the print renditions of every issue
+const EXPORT_FORMATS = [
+  { key: 'cbz', format: 'CBZ', extension: 'cbz', mediaType: 'application/vnd.comicbook+zip', Writer: CBZWriter },
+  { key: 'epub', format: 'EPUB', extension: 'epub', mediaType: 'application/epub+zip', Writer: EPUBWriter },
+  { key: 'pdf', format: 'PDF', extension: 'pdf', mediaType: 'application/pdf', Writer: PDFWriter },
+];
+
+/* -----------------------------------------------------------
+   🗂️ IPFS Service
+
+   Stores comic assets through content providers (see src/ipfs):
+   the primary from IPFS_PROVIDER and an optional
+   IPFS_FALLBACK_PROVIDER. Writes go to the first provider that
+   accepts them; reads try each in turn.
+
+   Nothing a provider says is taken on trust: the CID of every
+   upload is computed locally first and must match the one the
+   provider reports, and retrieved bytes are checked against
+   their CID. Metadata should reference `uri` (ipfs://…), not a
+   gateway `url`, so changing gateways never breaks a token.
+   Every upload and pin is recorded in the pin registry
+   (pinService) with its kind and creator.
+----------------------------------------------------------- */
 class IPFSService {
   constructor() {
-    this.pinataApiKey = process.env.PINATA_API_KEY;
-    this.pinataSecretKey = process.env.PINATA_SECRET_API_KEY;
-    this.web3Token = process.env.WEB3_STORAGE_TOKEN;
-    this.gatewayUrl = process.env.IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs/';
+    this.providers = createContentProviders();
     this.isInitialized = false;
-    this.web3Client = null;
   }
 
-  /** Initialize the service and test connections */
-  async initialize() {
-    try {
-      if (this.web3Token && this.web3Token !== 'your_web3_storage_token') {
-        this.web3Client = new Web3Storage({ token: this.web3Token });
-        console.log('✅ Web3.Storage initialized');
-      }
-
-      if (
-        this.pinataApiKey &&
-        this.pinataSecretKey &&
-        this.pinataApiKey !== 'your_pinata_api_key'
-      ) {
-        await this.testPinataConnection();
-        console.log('✅ Pinata IPFS service initialized');
-      } else {
-        console.log('⚠️  Pinata credentials not provided, using demo mode');
-      }
+  get gatewayUrl() {
+    return this.providers[0].gatewayUrl;
+  }
 
-      if (!this.web3Client && !this.pinataApiKey) {
-        console.log('⚠️  Running in local demo mode (no upload)');
+  /** Initialize providers; ones that fail stay as a last resort */
+  async initialize() {
+    for (const provider of this.providers) {
+      try {
+        await provider.initialize();
+        console.log(`✅ IPFS provider ready: ${provider.name} (${provider.gatewayUrl})`);
+      } catch (error) {
+        console.warn(`⚠️  IPFS provider ${provider.name} unavailable: ${error.message}`);
       }
+    }
 
-      this.isInitialized = true;
-      return true;
-    } catch (error) {
-      console.error('❌ Failed to initialize IPFS service:', error);
-      this.isInitialized = true; // still let app run in demo mode
-      return true;
+    if (!this.providers.some(provider => provider.isReady)) {
+      console.error('❌ No IPFS provider is available; uploads will fail');
     }
+    this.isInitialized = true;
+    return true;
   }
 
-  /** Verify Pinata API connection */
-  async testPinataConnection() {
-    try {
-      const response = await axios.get('https://api.pinata.cloud/data/testAuthentication', {
-        headers: {
-          pinata_api_key: this.pinataApiKey,
-          pinata_secret_api_key: this.pinataSecretKey,
-        },
-      });
-
-      if (response.status !== 200) throw new Error('Pinata authentication failed');
-    } catch (error) {
-      throw new Error(`Pinata connection failed: ${error.message}`);
-    }
+  /** Ready providers first, in configured order */
+  get orderedProviders() {
+    return [
+      ...this.providers.filter(provider => provider.isReady),
+      ...this.providers.filter(provider => !provider.isReady),
+    ];
   }
 
-  /** Upload a file (Buffer or path) to Pinata */
-  async uploadToPinata(fileData, fileName, metadata = {}) {
-    try {
-      const formData = new FormData();
+  /** Local store, if configured (served by the /ipfs route) */
+  getLocalProvider() {
+    return this.providers.find(provider => provider.name === 'local') || null;
+  }
 
-      if (Buffer.isBuffer(fileData)) {
-        formData.append('file', fileData, { filename: fileName });
-      } else {
-        formData.append('file', fs.createReadStream(fileData), fileName);
-      }
+  url(cid) {
+    return this.providers[0].url(cid);
+  }
 
-      const pinataMetadata = { name: fileName, keyvalues: metadata };
-      formData.append('pinataMetadata', JSON.stringify(pinataMetadata));
-      formData.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
-
-      const response = await axios.post(
-        'https://api.pinata.cloud/pinning/pinFileToIPFS',
-        formData,
-        {
-          headers: {
-            ...formData.getHeaders(),
-            pinata_api_key: this.pinataApiKey,
-            pinata_secret_api_key: this.pinataSecretKey,
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity,
-        }
-      );
+  /** Gateway URL for an ipfs:// URI (other URLs pass through) */
+  resolveUri(uri) {
+    return uri?.startsWith('ipfs://') ? this.url(uri.slice('ipfs://'.length)) : uri;
+  }
 
-      return {
-        hash: response.data.IpfsHash,
-        url: `${this.gatewayUrl}${response.data.IpfsHash}`,
-        size: response.data.PinSize,
-        timestamp: response.data.Timestamp,
-      };
-    } catch (error) {
-      console.error('❌ Failed to upload to Pinata:', error.response?.data || error.message);
-      throw error;
+  /**
+   * Upload a file (Buffer or path), falling back to the next provider on
+   * failure. Paths are streamed rather than read into memory. A provider
+   * that reports a CID other than the locally computed one has failed.
+   * `metadata.type` and `metadata.creator` go to the pin registry.
+   */
+  async uploadFile(fileData, fileName, metadata = {}) {
+    const expectedCid = await computeCid(fileData);
+    let lastError;
+
+    for (const provider of this.orderedProviders) {
+      try {
+        const options = { name: fileName, metadata };
+        const { cid, size } = Buffer.isBuffer(fileData)
+          ? await provider.add(fileData, options)
+          : await provider.addFile(fileData, options);
+        if (!sameCid(cid, expectedCid)) {
+          throw createError(502, `${provider.name} returned CID ${cid} for ${fileName}; expected ${expectedCid}`);
+        }
+        await pinService.record(expectedCid, { name: fileName, kind: metadata.type, size, creator: metadata.creator });
+        return {
+          hash: expectedCid,
+          uri: ipfsUri(expectedCid),
+          url: provider.url(expectedCid),
+          size,
+          provider: provider.name,
+          timestamp: new Date().toISOString(),
+        };
+      } catch (error) {
+        lastError = error;
+        console.warn(`⚠️  Upload to ${provider.name} failed:`, error.response?.data || error.message);
+      }
     }
+    throw lastError;
   }
 
   /** Upload JSON metadata */
-  async uploadMetadata(metadata, fileName = 'metadata.json') {
+  async uploadMetadata(metadata, fileName = 'metadata.json', { creator } = {}) {
     const json = JSON.stringify(metadata, null, 2);
     const buffer = Buffer.from(json, 'utf8');
-    return this.uploadToPinata(buffer, fileName, { type: 'metadata' });
+    return this.uploadFile(buffer, fileName, { type: 'metadata', creator });
   }
 
-  /** Upload comic pages (with thumbnail/web/print + CBZ) */
-  async uploadComicPages(pageFiles, comicMetadata) {
+  /**
+   * Upload comic pages (thumbnail/web/print JPEGs, plus the
+   * responsive AVIF/WebP/JPEG matrix from formats/renditions.js) and
+   * the download formats built from the print renditions: CBZ, EPUB3
+   * fixed-layout and PDF. Each export is streamed to a temp file
+   * page by page, then streamed to storage. `onProgress(page, total)`
+   * is called as each page is done.
+   */
+  async uploadComicPages(pageFiles, comicMetadata, { onProgress } = {}) {
+    const matrix = renditionMatrix();
+    const { creator } = comicMetadata;
+    const exports = EXPORT_FORMATS.map(format => {
+      const file = path.join(os.tmpdir(), `comicpad-${randomUUID()}.${format.extension}`);
+      return { ...format, file, writer: new format.Writer(file, comicMetadata, { totalPages: pageFiles.length }) };
+    });
+
     try {
       const processedPages = [];
 
@@ -127,38 +161,75 @@ class IPFSService {
         const printBuffer = await this.resizeImage(pageFile, 'print');
 
         const [thumb, web, print] = await Promise.all([
-          this.uploadToPinata(thumbBuffer, `page-${pageNumber}-thumb.jpg`, { type: 'thumbnail' }),
-          this.uploadToPinata(webBuffer, `page-${pageNumber}-web.jpg`, { type: 'web' }),
-          this.uploadToPinata(printBuffer, `page-${pageNumber}-print.jpg`, { type: 'print' }),
+          this.uploadFile(thumbBuffer, `page-${pageNumber}-thumb.jpg`, { type: 'thumbnail', creator }),
+          this.uploadFile(webBuffer, `page-${pageNumber}-web.jpg`, { type: 'web', creator }),
+          this.uploadFile(printBuffer, `page-${pageNumber}-print.jpg`, { type: 'print', creator }),
         ]);
 
+        const { width, height, channels } = await sharp(printBuffer).metadata();
+        for (const { writer } of exports) {
+          await writer.addPage(printBuffer, { width, height, channels });
+        }
+
+        const renditions = await this.uploadRenditions(pageFile, pageNumber, { matrix, creator });
+        const largest = renditions.reduce((widest, rendition) => (rendition.width > widest.width ? rendition : widest));
+        // Kept off the NFT metadata: creators can correct them after publishing
+        const panels = await detectPanels(printBuffer, { direction: comicMetadata.readingDirection });
+
         processedPages.push({
           pageNumber,
+          width: largest.width,
+          height: largest.height,
+          // Wide pages are shown alone and full width in double-page view
+          spread: isSpread(largest),
           thumbnail: thumb,
           web: web,
           print: print,
+          renditions,
+          panels,
+          panelSource: 'detected',
         });
+        onProgress?.(pageNumber, pageFiles.length);
       }
 
-      const cbzBuffer = await this.createCBZArchive(processedPages, comicMetadata);
-      const cbz = await this.uploadToPinata(
-        cbzBuffer,
-        `${comicMetadata.name.replace(/\s+/g, '-')}.cbz`,
-        { type: 'cbz', pages: pageFiles.length }
-      );
-
-      return {
+      const result = {
         pages: processedPages,
-        cbz,
         totalPages: pageFiles.length,
         uploadedAt: new Date().toISOString(),
       };
+      const baseName = comicMetadata.name.replace(/\s+/g, '-');
+
+      for (const { key, format, extension, mediaType, file, writer } of exports) {
+        await writer.finalize();
+        const uploaded = await this.uploadFile(file, `${baseName}.${extension}`, { type: key, pages: pageFiles.length, creator });
+        result[key] = { ...uploaded, format, mediaType };
+      }
+
+      return result;
     } catch (error) {
       console.error('❌ uploadComicPages failed:', error);
+      await Promise.all(exports.map(({ writer }) => writer.abort()));
       throw error;
+    } finally {
+      await Promise.all(exports.map(({ file }) => fs.promises.rm(file, { force: true })));
     }
   }
 
+  /**
+   * Encode one page at every width × format of the rendition matrix
+   * and upload each. Returns [{ format, mediaType, width, height,
+   * hash, uri, url, size }].
+   */
+  async uploadRenditions(pageFile, pageNumber, { matrix = renditionMatrix(), creator } = {}) {
+    const rendered = await renderRenditions(pageFile, matrix);
+    return Promise.all(
+      rendered.map(async ({ format, mediaType, extension, width, height, buffer }) => {
+        const uploaded = await this.uploadFile(buffer, `page-${pageNumber}-${width}w.${extension}`, { type: 'rendition', creator });
+        return { format, mediaType, width, height, hash: uploaded.hash, uri: uploaded.uri, url: uploaded.url, size: uploaded.size };
+      })
+    );
+  }
+
   /** Resize images for each display mode */
   async resizeImage(input, format) {
     const sizes = {
@@ -192,50 +263,42 @@ class IPFSService {
     }
   }
 
-  /** Create a .cbz (zip) archive for the comic */
-  async createCBZArchive(pages, metadata) {
-    return new Promise((resolve, reject) => {
-      const archive = archiver('zip', { zlib: { level: 9 } });
-      const chunks = [];
-
-      archive.on('data', (chunk) => chunks.push(chunk));
-      archive.on('end', () => resolve(Buffer.concat(chunks)));
-      archive.on('error', reject);
-
-      // Add metadata file
-      archive.append(JSON.stringify(metadata, null, 2), { name: 'metadata.json' });
-
-      // Add placeholder page entries
-      pages.forEach((p) => {
-        archive.append(`Page ${p.pageNumber}`, { name: `page-${p.pageNumber}.jpg` });
-      });
-
-      archive.finalize();
-    });
-  }
-
-  /** Retrieve raw data from IPFS */
+  /**
+   * Retrieve raw data, trying each provider in turn. Bytes that don't
+   * match the CID are discarded and the next provider is tried; if none
+   * has the real content, a 502 says which provider served bad bytes.
+   */
   async retrieveFromIPFS(hash) {
-    const url = `${this.gatewayUrl}${hash}`;
-    try {
-      const res = await axios.get(url, { responseType: 'arraybuffer' });
-      return Buffer.from(res.data);
-    } catch (err) {
-      console.error(`❌ retrieveFromIPFS failed for ${hash}:`, err.message);
-      throw err;
+    if (!isCid(hash)) throw createError(400, `Invalid CID: ${hash}`);
+
+    let lastError;
+    let mismatch;
+    for (const provider of this.orderedProviders) {
+      try {
+        const content = await provider.get(hash);
+        if (await verifyCid(hash, content)) return content;
+        mismatch = createError(502, `Content from ${provider.name} does not match CID ${hash}`);
+        console.warn(`⚠️  ${mismatch.message}`);
+      } catch (error) {
+        lastError = error;
+      }
     }
+    // Bad bytes matter more than a fallback that simply doesn't have the content
+    const error = mismatch || lastError;
+    console.error(`❌ retrieveFromIPFS failed for ${hash}:`, error.message);
+    throw error;
   }
 
   /** Get file metadata */
   async getFileMetadata(hash) {
     try {
-      const response = await axios.head(`${this.gatewayUrl}${hash}`);
+      const response = await axios.head(this.url(hash));
       return {
         hash,
         contentType: response.headers['content-type'],
         size: response.headers['content-length'],
         lastModified: response.headers['last-modified'],
-        url: `${this.gatewayUrl}${hash}`,
+        url: this.url(hash),
       };
     } catch (error) {
       console.error('❌ getFileMetadata failed:', error.message);
@@ -243,37 +306,65 @@ class IPFSService {
     }
   }
 
-  /** Pin an existing hash on Pinata */
-  async pinHash(hash, name) {
+  /**
+   * Pin an existing hash on the primary provider and record it in
+   * the pin registry (`kind`, `creator`, and `owner` such as
+   * "comic:<id>").
+   */
+  async pinHash(hash, name, { kind, creator, owner } = {}) {
     try {
-      const response = await axios.post(
-        'https://api.pinata.cloud/pinning/pinByHash',
-        { hashToPin: hash, pinataMetadata: { name } },
-        {
-          headers: {
-            'pinata_api_key': this.pinataApiKey,
-            'pinata_secret_api_key': this.pinataSecretKey,
-          },
-        }
-      );
-      return {
-        hash,
-        name,
-        requestId: response.data.requestId,
-        pinnedAt: new Date().toISOString(),
-      };
+      const { pinnedAt } = await this.providers[0].pin(hash, { name });
+      await pinService.record(hash, { name, kind, creator, owner });
+      return { hash, name, provider: this.providers[0].name, pinnedAt };
     } catch (err) {
       console.error('❌ pinHash failed:', err.message);
       throw err;
     }
   }
 
+  /**
+   * Make sure the primary provider still holds `hash`: pin it again
+   * (Kubo and Pinata fetch it by CID), or copy it back from another
+   * provider. Returns { hash, status: 'pinned' | 'repinned' | 'missing' }.
+   */
+  async ensurePinned(hash, name) {
+    const primary = this.providers[0];
+    if (await primary.has(hash).catch(() => false)) return { hash, status: 'pinned' };
+
+    try {
+      await primary.pin(hash, { name });
+      if (await primary.has(hash)) return { hash, status: 'repinned' };
+    } catch (error) {
+      console.warn(`⚠️  Re-pinning ${hash} on ${primary.name} failed: ${error.message}`);
+    }
+
+    try {
+      // Verified against the CID on the way out, so only real content is restored
+      const content = await this.retrieveFromIPFS(hash);
+      await primary.add(content, { name });
+      return { hash, status: 'repinned' };
+    } catch (error) {
+      return { hash, status: 'missing', error: error.message };
+    }
+  }
+
+  /** Unpin `hash` from every provider and drop it from the registry */
+  async unpinHash(hash) {
+    if (!isCid(hash)) throw createError(400, `Invalid CID: ${hash}`);
+
+    const unpinnedFrom = [];
+    for (const provider of this.providers) {
+      if (await provider.unpin(hash)) unpinnedFrom.push(provider.name);
+    }
+    await pinService.remove(hash);
+    return { hash, providers: unpinnedFrom };
+  }
+
   /** Status report */
   getStatus() {
     return {
       isInitialized: this.isInitialized,
-      pinataConfigured: !!(this.pinataApiKey && this.pinataSecretKey),
-      web3Configured: !!this.web3Token,
+      providers: this.providers.map(provider => provider.getStatus()),
       gatewayUrl: this.gatewayUrl,
       timestamp: new Date().toISOString(),
     };
@@ -0,0 +1,303 @@
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import storage from "../storage/index.js";
+import { createError } from "../utils/errors.js";
+
+export const JOB_STATUS = {
+  QUEUED: "queued", // waiting to run (or to retry, once runAt passes)
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed" // out of attempts; can be retried by hand
+};
+
+const FINISHED = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED];
+
+// Owner of jobs the server queues for itself (see schedule)
+export const SYSTEM_OWNER = "system";
+
+/* -----------------------------------------------------------
+   🧵 Job Service
+
+   A durable queue for work too slow for one HTTP request. A job
+   type is a list of named stages; each stage gets the job's input
+   and what the earlier stages returned, and its own result is
+   saved before the next one starts. A stage that throws is
+   retried with backoff (JOB_MAX_ATTEMPTS, JOB_RETRY_DELAY_MS)
+   before the job fails. Jobs live in storage, so one interrupted
+   by a restart is picked up again on start() and resumes after
+   its last completed stage. Every change is published to
+   subscribers (the SSE route in routes/jobs.js).
+----------------------------------------------------------- */
+class JobService {
+  constructor() {
+    this.storage = storage;
+    this.definitions = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS || 2000);
+    this.concurrency = Number(process.env.JOB_CONCURRENCY || 1);
+    this.maxAttempts = Number(process.env.JOB_MAX_ATTEMPTS || 3);
+    this.retryDelayMs = Number(process.env.JOB_RETRY_DELAY_MS || 5000);
+    this.running = new Set();
+    this.polling = false;
+    this.pollAgain = false;
+    this.timer = null;
+    this.schedules = [];
+  }
+
+  /** Register a job type: { type, stages: [{ name, run({ input, results, progress }) }] } */
+  register(definition) {
+    this.definitions.set(definition.type, definition);
+  }
+
+  /**
+   * Start working the queue. Jobs still marked running were
+   * interrupted (this is the only worker), so they go back in
+   * the queue to resume where they stopped.
+   */
+  async start() {
+    if (this.timer) return;
+
+    const interrupted = await this.storage.find("jobs", { status: JOB_STATUS.RUNNING });
+    for (const job of interrupted) {
+      await this.save(job, { status: JOB_STATUS.QUEUED, runAt: new Date().toISOString() });
+    }
+    if (interrupted.length > 0) console.log(`🔁 Resuming ${interrupted.length} interrupted job(s)`);
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    this.poll();
+    console.log(`✅ Job queue running (${this.concurrency} at a time)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.schedules.forEach(clearInterval);
+    this.schedules = [];
+  }
+
+  /**
+   * Queue a `type` job every `intervalMs` (owner "system"),
+   * skipping a round while the last one is still queued or running.
+   */
+  schedule(type, intervalMs, input = {}) {
+    const tick = async () => {
+      try {
+        const pending = await this.storage.findOne("jobs", {
+          type,
+          status: { $in: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] }
+        });
+        if (!pending) await this.enqueue(type, input, { owner: SYSTEM_OWNER });
+      } catch (error) {
+        console.error(`❌ Scheduling ${type} failed:`, error.message);
+      }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    this.schedules.push(timer);
+  }
+
+  async enqueue(type, input, { owner } = {}) {
+    const definition = this.definitions.get(type);
+    if (!definition) throw createError(400, `Unknown job type: ${type}`);
+
+    const now = new Date().toISOString();
+    const job = await this.storage.insert("jobs", {
+      id: randomUUID(),
+      type,
+      owner,
+      status: JOB_STATUS.QUEUED,
+      input,
+      stages: definition.stages.map(({ name }) => ({ name, status: "pending", attempts: 0 })),
+      results: {},
+      progress: null,
+      error: null,
+      result: null,
+      runAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    this.publish(job);
+    this.poll();
+    return this.view(job);
+  }
+
+  /** A job, if `owner` queued it */
+  async getJob(id, owner) {
+    const job = await this.storage.findById("jobs", id);
+    if (!job || job.owner !== owner) throw createError(404, "Job not found");
+    return this.view(job);
+  }
+
+  async listJobs(owner, { limit = 20 } = {}) {
+    const jobs = await this.storage.find("jobs", { owner }, { sort: { createdAt: -1 }, limit });
+    return jobs.map(job => this.view(job));
+  }
+
+  /** Queue a failed job again; it resumes at the stage that failed */
+  async retry(id, owner) {
+    const job = await this.storage.findById("jobs", id);
+    if (!job || job.owner !== owner) throw createError(404, "Job not found");
+
+    const stages = job.stages.map(stage => (stage.status === "failed" ? { ...stage, status: "pending", attempts: 0 } : stage));
+    const queued = await this.save(
+      job,
+      { status: JOB_STATUS.QUEUED, stages, error: null, runAt: new Date().toISOString() },
+      { where: { status: JOB_STATUS.FAILED } }
+    );
+    if (!queued) throw createError(409, "Only failed jobs can be retried");
+
+    this.poll();
+    return this.view(queued);
+  }
+
+  /** Listen for changes to one job; returns an unsubscribe function */
+  subscribe(id, listener) {
+    this.events.on(id, listener);
+    return () => this.events.off(id, listener);
+  }
+
+  /** Start due jobs, up to the concurrency limit */
+  async poll() {
+    if (!this.timer) return;
+    if (this.polling) {
+      this.pollAgain = true;
+      return;
+    }
+    this.polling = true;
+
+    try {
+      while (this.running.size < this.concurrency) {
+        const [next] = await this.storage.find(
+          "jobs",
+          { status: JOB_STATUS.QUEUED, runAt: { $lte: new Date().toISOString() } },
+          { sort: { runAt: 1 }, limit: 1 }
+        );
+        if (!next) break;
+
+        const claimed = await this.save(next, { status: JOB_STATUS.RUNNING }, { where: { status: JOB_STATUS.QUEUED } });
+        if (!claimed) continue;
+
+        const run = this.run(claimed).finally(() => {
+          this.running.delete(run);
+          this.poll();
+        });
+        this.running.add(run);
+      }
+    } catch (error) {
+      console.error("❌ Job queue poll failed:", error.message);
+    } finally {
+      this.polling = false;
+    }
+
+    if (this.pollAgain) {
+      this.pollAgain = false;
+      this.poll();
+    }
+  }
+
+  /** Run a claimed job's remaining stages in order */
+  async run(job) {
+    const definition = this.definitions.get(job.type);
+    if (!definition) {
+      return this.save(job, { status: JOB_STATUS.FAILED, error: `Unknown job type: ${job.type}` });
+    }
+
+    for (const { name, run } of definition.stages) {
+      const index = job.stages.findIndex(stage => stage.name === name);
+      if (job.stages[index].status === "completed") continue;
+
+      const attempts = job.stages[index].attempts + 1;
+      job = await this.save(job, {
+        stages: updateStage(job.stages, index, { status: "running", attempts, startedAt: new Date().toISOString() }),
+        progress: { stage: name }
+      });
+
+      // Progress saves are queued behind each other and settled before the stage is marked done
+      let reported = Promise.resolve();
+      const progress = (current, total, message) => {
+        const update = { stage: name, current, total, ...(message && { message }) };
+        reported = reported.then(() => this.save(job, { progress: update })).catch(() => {});
+      };
+
+      try {
+        const output = (await run({ input: job.input, results: job.results, progress })) ?? null;
+        await reported;
+
+        job = await this.save(job, {
+          stages: updateStage(job.stages, index, { status: "completed", completedAt: new Date().toISOString(), error: null }),
+          results: { ...job.results, [name]: output }
+        });
+      } catch (error) {
+        await reported;
+        console.error(`❌ Job ${job.id} stage "${name}" failed (attempt ${attempts}):`, error.message);
+
+        if (attempts < this.maxAttempts) {
+          const delay = this.retryDelayMs * 2 ** (attempts - 1);
+          setTimeout(() => this.poll(), delay);
+          return this.save(job, {
+            status: JOB_STATUS.QUEUED,
+            stages: updateStage(job.stages, index, { status: "pending", error: error.message }),
+            runAt: new Date(Date.now() + delay).toISOString()
+          });
+        }
+
+        return this.save(job, {
+          status: JOB_STATUS.FAILED,
+          stages: updateStage(job.stages, index, { status: "failed", error: error.message }),
+          error: error.message
+        });
+      }
+    }
+
+    const last = definition.stages[definition.stages.length - 1].name;
+    return this.save(job, {
+      status: JOB_STATUS.COMPLETED,
+      result: definition.result ? definition.result(job.results) : job.results[last],
+      progress: null
+    });
+  }
+
+  async save(job, changes, { where } = {}) {
+    const updated = await this.storage.update(
+      "jobs",
+      job.id,
+      { ...changes, updatedAt: new Date().toISOString() },
+      { where }
+    );
+    if (updated) this.publish(updated);
+    return updated;
+  }
+
+  publish(job) {
+    this.events.emit(job.id, this.view(job));
+  }
+
+  isFinished(job) {
+    return FINISHED.includes(job.status);
+  }
+
+  /** What clients see: everything but the raw input and intermediate results */
+  view(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      stages: job.stages.map(({ name, status, attempts, error }) => ({ name, status, attempts, ...(error && { error }) })),
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      runAt: job.runAt,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    };
+  }
+}
+
+const updateStage = (stages, index, changes) =>
+  stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage));
+
+export default new JobService();
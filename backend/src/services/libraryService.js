@@ -0,0 +1,200 @@
+import storage from "../storage/index.js";
+import hederaService from "./hederaService.js";
+import { coverOf } from "../formats/renditions.js";
+
+const holdingKey = ({ tokenId, serial }) => `${tokenId}:${Number(serial)}`;
+
+/* -----------------------------------------------------------
+   📚 Library Service
+
+   A reader's library is their on-chain holdings joined with the
+   local comic catalog. The join is kept per wallet in
+   `libraries` and refreshed incrementally: holdings already
+   matched to a comic are reused, only new serials are looked up,
+   and serials that left the wallet are dropped. Reading progress
+   is merged in on every request, so it is always current.
+----------------------------------------------------------- */
+class LibraryService {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /** How long a holdings snapshot is served before asking the ledger again */
+  get refreshIntervalMs() {
+    return Number(process.env.LIBRARY_REFRESH_INTERVAL_MS || 60 * 1000);
+  }
+
+  /**
+   * The wallet's comics grouped by series, each issue with its
+   * reading progress. `refresh` forces a holdings refresh.
+   */
+  async getLibrary(wallet, { refresh = false } = {}) {
+    let snapshot = await this.storage.findById("libraries", wallet);
+    const age = snapshot?.refreshedAt ? Date.now() - new Date(snapshot.refreshedAt).getTime() : Infinity;
+    if (refresh || age >= this.refreshIntervalMs) {
+      snapshot = await this.refreshHoldings(wallet, snapshot);
+    }
+
+    const comicIds = [...new Set(snapshot.holdings.map(holding => holding.comicId))];
+    const [comics, progress] = await Promise.all([
+      this.storage.find("comics", { id: { $in: comicIds } }),
+      this.storage.find("reading_progress", { accountId: wallet })
+    ]);
+
+    return this.buildLibrary(wallet, snapshot, comics, progress);
+  }
+
+  /**
+   * Re-read holdings and update the snapshot. Only serials that
+   * weren't matched to a comic before hit the catalog.
+   */
+  async refreshHoldings(wallet, snapshot = null) {
+    const nfts = await hederaService.getAccountNFTs(wallet);
+
+    // Only tokens minted through the platform can be comics
+    const tokenIds = [...new Set(nfts.map(nft => nft.tokenId))];
+    const collections = tokenIds.length
+      ? await this.storage.find("collections", { id: { $in: tokenIds } })
+      : [];
+    const platformTokens = new Set(collections.map(collection => collection.id));
+
+    const known = new Map((snapshot?.holdings || []).map(holding => [holdingKey(holding), holding]));
+    const holdings = [];
+    let added = 0;
+
+    for (const nft of nfts) {
+      if (!platformTokens.has(nft.tokenId)) continue;
+
+      const existing = known.get(holdingKey(nft));
+      if (existing) {
+        holdings.push(existing);
+        continue;
+      }
+
+      const comic = await this.findCatalogEntry(nft);
+      if (!comic) continue; // not in the catalog yet; picked up on a later refresh
+      holdings.push({
+        tokenId: nft.tokenId,
+        serial: Number(nft.serial),
+        comicId: comic.id,
+        acquiredAt: nft.modifiedAt || new Date().toISOString()
+      });
+      added++;
+    }
+
+    const held = new Set(holdings.map(holdingKey));
+    const removed = [...known.keys()].filter(key => !held.has(key));
+    const updated = await this.storage.upsert("libraries", {
+      id: wallet,
+      holdings,
+      refreshedAt: new Date().toISOString()
+    });
+
+    if (added || removed.length) {
+      console.log(`📚 Library ${wallet}: +${added} / -${removed.length} (${holdings.length} held)`);
+    }
+    return updated;
+  }
+
+  /**
+   * Comic for a held serial. Issues minted in batches share one
+   * catalog entry (and metadata URI), so fall back to the URI, read
+   * from the ledger when the caller doesn't pass the NFT's metadata.
+   */
+  async findCatalogEntry({ tokenId, serial, metadata }) {
+    const exact = await this.storage.findOne("comics", {
+      tokenId,
+      serialNumber: { $in: [Number(serial), String(serial)] }
+    });
+    if (exact) return exact;
+
+    const uri = metadata !== undefined
+      ? metadata
+      : (await hederaService.getNFTInfo(tokenId, Number(serial)).catch(() => null))?.metadata;
+    if (!uri) return null;
+
+    return this.storage.findOne("comics", { tokenId, metadataUri: uri });
+  }
+
+  /** Force the next getLibrary() for these wallets to re-read holdings */
+  async markStale(...wallets) {
+    for (const wallet of wallets.filter(Boolean)) {
+      await this.storage.update("libraries", wallet, { refreshedAt: null });
+    }
+  }
+
+  buildLibrary(wallet, snapshot, comics, progress) {
+    const comicsById = new Map(comics.map(comic => [comic.id, comic]));
+    const progressByComic = new Map(progress.map(entry => [entry.comicId, entry]));
+    const issues = new Map();
+
+    for (const holding of snapshot.holdings) {
+      const comic = comicsById.get(holding.comicId);
+      if (!comic) continue; // removed from the catalog
+
+      // Several serials of the same issue show up once
+      if (issues.has(comic.id)) {
+        issues.get(comic.id).serials.push(holding.serial);
+        continue;
+      }
+
+      const read = progressByComic.get(comic.id);
+      issues.set(comic.id, {
+        comicId: comic.id,
+        tokenId: comic.tokenId,
+        serials: [holding.serial],
+        title: comic.title,
+        series: comic.series || comic.title,
+        issueNumber: comic.issueNumber ?? null,
+        coverImage: comic.pagesResult?.pages?.[0]?.thumbnail?.url || null,
+        cover: coverOf(comic),
+        totalPages: comic.pagesResult?.totalPages || read?.totalPages || 0,
+        progress: read
+          ? {
+              currentPage: read.currentPage,
+              totalPages: read.totalPages,
+              percent: read.percent,
+              completed: !!read.completed
+            }
+          : null,
+        lastReadAt: read?.lastReadAt || null,
+        acquiredAt: holding.acquiredAt
+      });
+    }
+
+    const bySeries = new Map();
+    for (const issue of issues.values()) {
+      if (!bySeries.has(issue.series)) bySeries.set(issue.series, []);
+      bySeries.get(issue.series).push(issue);
+    }
+
+    const latest = list =>
+      list.reduce((max, issue) => (issue.lastReadAt && (!max || issue.lastReadAt > max) ? issue.lastReadAt : max), null);
+    const series = [...bySeries.entries()].map(([name, list]) => {
+      list.sort((a, b) => Number(a.issueNumber) - Number(b.issueNumber) || a.comicId.localeCompare(b.comicId));
+      const completed = list.filter(issue => issue.progress?.completed).length;
+      return {
+        series: name,
+        issues: list,
+        issueCount: list.length,
+        completedCount: completed,
+        progress: Math.round((completed / list.length) * 100),
+        lastReadAt: latest(list)
+      };
+    });
+
+    // Recently read series first, then the rest alphabetically
+    series.sort((a, b) =>
+      (b.lastReadAt || "").localeCompare(a.lastReadAt || "") || a.series.localeCompare(b.series)
+    );
+
+    return {
+      wallet,
+      series,
+      totalIssues: issues.size,
+      refreshedAt: snapshot.refreshedAt
+    };
+  }
+}
+
+export default new LibraryService();
@@ -0,0 +1,570 @@
+import storage from "../storage/index.js";
+import hederaService from "./hederaService.js";
+import settingsService from "./settingsService.js";
+import libraryService from "./libraryService.js";
+import { createError } from "../utils/errors.js";
+import { coverOf } from "../formats/renditions.js";
+
+export const LISTING_STATUS = {
+  ACTIVE: "active",
+  SOLD: "sold",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+  // An auction that has ended with a winner, its transfer under way
+  SETTLING: "settling"
+};
+
+/** Fields a seller may change on an active listing */
+const EDITABLE_FIELDS = ["price", "description", "duration"];
+
+const TINYBARS_PER_HBAR = 100_000_000;
+
+export const toTinybars = hbar => Math.round(hbar * TINYBARS_PER_HBAR);
+
+/** How long a buyer has to sign a prepared purchase (Hedera's default valid duration) */
+const PURCHASE_WINDOW_MS = 120 * 1000;
+
+/* -----------------------------------------------------------
+   🛒 Marketplace Service
+----------------------------------------------------------- */
+class MarketplaceService {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /** Basis points, e.g. 250 = 2.5% (admin-editable platform setting) */
+  get platformFeeBps() {
+    return settingsService.get("platformFeeBps");
+  }
+
+  /* -----------------------------------------------------------
+     🏷️ Create Listing
+     Lists one serial of an issue. The serial defaults to the comic
+     record's own; batch-minted copies share one record, so sellers
+     of those name theirs. The seller must hold it on the ledger
+     and have approved the marketplace to transfer it (see
+     prepareApproval), so a sale can settle without them.
+  ----------------------------------------------------------- */
+  async createListing({
+    comicId,
+    seller,
+    tokenId,
+    serialNumber,
+    price,
+    currency = "HBAR",
+    type = "fixed",
+    duration = 86400,
+    description = "",
+    reservePrice
+  }) {
+    const comic = await this.storage.findById("comics", comicId);
+    if (!comic) throw createError(404, "Comic not found");
+
+    tokenId = tokenId || comic.tokenId;
+    const serial = Number(serialNumber ?? comic.serialNumber);
+    if (tokenId !== comic.tokenId) throw createError(400, "Token does not belong to this comic");
+    if (!Number.isInteger(serial) || serial < 1) throw createError(400, "Invalid serial number");
+
+    const { owns, spender } = await hederaService.checkNFTOwnership({ accountId: seller, tokenId, serial });
+    if (!owns) throw createError(403, "You do not own this NFT");
+    if (spender !== hederaService.getOperatorAccountId()) {
+      throw createError(409, "Approve the marketplace to transfer this NFT before listing it");
+    }
+
+    // One active listing per serial; other copies of the issue can be listed alongside it
+    const existing = await this.storage.findOne("listings", {
+      tokenId,
+      serialNumber: serial,
+      status: LISTING_STATUS.ACTIVE,
+      expiresAt: { $gt: new Date().toISOString() }
+    });
+    if (existing) throw createError(409, "This copy already has an active listing");
+
+    const now = Date.now();
+    return this.storage.insert("listings", {
+      id: `${tokenId}-${serial}-${now}`,
+      comicId,
+      tokenId,
+      serialNumber: serial,
+      seller,
+      price: Number(price),
+      currency,
+      type,
+      duration: Number(duration),
+      description,
+      status: LISTING_STATUS.ACTIVE,
+      ...(type === "auction" && {
+        reservePrice: reservePrice !== undefined ? Number(reservePrice) : null,
+        reserveMet: reservePrice === undefined,
+        bidCount: 0,
+        extensions: 0
+      }),
+      comic: {
+        title: comic.title,
+        series: comic.series,
+        issueNumber: comic.issueNumber,
+        creator: comic.creator,
+        coverImage: comic.coverImage,
+        cover: coverOf(comic),
+        genres: comic.genres || [],
+        rarity: comic.rarity,
+        currentSupply: comic.currentSupply,
+        maxSupply: comic.maxSupply
+      },
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + duration * 1000).toISOString(),
+      highestBid: null
+    });
+  }
+
+  /* -----------------------------------------------------------
+     ✅ Approval
+     Before listing, the seller grants the marketplace's operator
+     an allowance for the serial (AccountAllowanceApproveTransaction):
+     step 1 builds it for their wallet to sign, step 2 submits it.
+  ----------------------------------------------------------- */
+  async prepareApproval({ seller, tokenId, serialNumber }) {
+    const serial = Number(serialNumber);
+    const { owns } = await hederaService.checkNFTOwnership({ accountId: seller, tokenId, serial });
+    if (!owns) throw createError(403, "You do not own this NFT");
+
+    const prepared = await hederaService.buildNftAllowanceTransaction({ tokenId, serial, ownerId: seller });
+    return {
+      approvalId: prepared.transactionId,
+      transactionBytes: prepared.transactionBytes,
+      spender: prepared.allowance.spender
+    };
+  }
+
+  async completeApproval({ seller, tokenId, serialNumber, approvalId, signedTransaction }) {
+    const allowance = {
+      tokenId,
+      serial: Number(serialNumber),
+      owner: seller,
+      spender: hederaService.getOperatorAccountId()
+    };
+
+    try {
+      const result = await hederaService.executeAllowanceTransaction(signedTransaction, {
+        transactionId: approvalId,
+        allowance
+      });
+      return { ...allowance, transactionId: result.transactionId, status: result.status };
+    } catch (error) {
+      throw createError(400, `Approval failed: ${error.message}`);
+    }
+  }
+
+  /* -----------------------------------------------------------
+     🔍 Queries
+  ----------------------------------------------------------- */
+  async getListing(listingId) {
+    await this.expireListings();
+    const listing = await this.storage.findById("listings", listingId);
+    if (!listing) throw createError(404, "Listing not found");
+    return listing;
+  }
+
+  async getListings({
+    type,
+    currency,
+    minPrice,
+    maxPrice,
+    seller,
+    status = LISTING_STATUS.ACTIVE,
+    limit = 20,
+    offset = 0
+  } = {}) {
+    await this.expireListings();
+
+    const filter = {};
+    if (status && status !== "all") filter.status = status;
+    if (type) filter.type = type;
+    if (currency) filter.currency = currency;
+    if (seller) filter.seller = seller;
+
+    const min = parseFloat(minPrice);
+    const max = parseFloat(maxPrice);
+    if (!Number.isNaN(min) || !Number.isNaN(max)) {
+      filter.price = {
+        ...(!Number.isNaN(min) && { $gte: min }),
+        ...(!Number.isNaN(max) && { $lte: max })
+      };
+    }
+
+    const [listings, total] = await Promise.all([
+      this.storage.find("listings", filter, {
+        sort: { createdAt: -1 },
+        limit,
+        offset
+      }),
+      this.storage.count("listings", filter)
+    ]);
+
+    return { listings, total, limit, offset, hasMore: offset + limit < total };
+  }
+
+  /* -----------------------------------------------------------
+     ✏️ Edit / Cancel
+  ----------------------------------------------------------- */
+  async updateListing(listingId, seller, changes) {
+    const listing = await this.getActiveListing(listingId, seller);
+
+    const updates = Object.fromEntries(
+      Object.entries(changes).filter(
+        ([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined
+      )
+    );
+    if (Object.keys(updates).length === 0) {
+      throw createError(400, `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(", ")}`);
+    }
+
+    if (listing.type === "auction" && listing.highestBid) {
+      if (updates.price !== undefined || updates.duration !== undefined) {
+        throw createError(409, "Cannot change the price or duration of an auction that has bids");
+      }
+    }
+
+    if (updates.price !== undefined) updates.price = Number(updates.price);
+
+    // A new duration runs from now, so shortening an older listing can't end it on the spot
+    if (updates.duration !== undefined) {
+      updates.duration = Number(updates.duration);
+      updates.expiresAt = new Date(Date.now() + updates.duration * 1000).toISOString();
+    }
+
+    const updated = await this.storage.update(
+      "listings",
+      listingId,
+      { ...updates, updatedAt: new Date().toISOString() },
+      { where: { status: LISTING_STATUS.ACTIVE } }
+    );
+    if (!updated) throw createError(409, "Listing is no longer active");
+    return updated;
+  }
+
+  /**
+   * Cancel a listing. Sellers cannot cancel an auction once it has bids;
+   * a moderator (`moderatedBy`) can take down any active listing.
+   */
+  async cancelListing(listingId, seller, { moderatedBy, reason } = {}) {
+    const listing = await this.getActiveListing(listingId, moderatedBy ? null : seller);
+    if (!moderatedBy && listing.type === "auction" && listing.highestBid) {
+      throw createError(409, "Cannot cancel an auction that has bids");
+    }
+
+    const cancelled = await this.storage.update(
+      "listings",
+      listingId,
+      {
+        status: LISTING_STATUS.CANCELLED,
+        cancelledAt: new Date().toISOString(),
+        ...(moderatedBy && { cancelledBy: moderatedBy, moderationReason: reason || null })
+      },
+      { where: { status: LISTING_STATUS.ACTIVE } }
+    );
+    if (!cancelled) throw createError(409, "Listing is no longer active");
+    return cancelled;
+  }
+
+  /* -----------------------------------------------------------
+     💰 Sale
+  ----------------------------------------------------------- */
+  async markSold(
+    listingId,
+    { buyer, price, transactionId, ...details },
+    { fromStatus = LISTING_STATUS.ACTIVE } = {}
+  ) {
+    const sold = await this.storage.update(
+      "listings",
+      listingId,
+      {
+        ...details,
+        status: LISTING_STATUS.SOLD,
+        buyer,
+        soldPrice: price,
+        transactionId,
+        soldAt: new Date().toISOString()
+      },
+      { where: { status: fromStatus } }
+    );
+    if (!sold) throw createError(409, "Listing is no longer active");
+
+    await libraryService.markStale(sold.seller, buyer); // the NFT changed hands
+    return sold;
+  }
+
+  /**
+   * Step 1 of a purchase: reserve the listing for this buyer and build the
+   * atomic HBAR + NFT transfer for them to sign.
+   */
+  async preparePurchase(listingId, buyer) {
+    const listing = await this.getListing(listingId);
+    if (listing.status !== LISTING_STATUS.ACTIVE) {
+      throw createError(409, `Listing is ${listing.status}`);
+    }
+    if (listing.type !== "fixed") {
+      throw createError(400, "Auction listings are sold through bids");
+    }
+    if (buyer === listing.seller) throw createError(400, "You cannot buy your own listing");
+
+    return this.reservePurchase(listing, buyer, listing.price);
+  }
+
+  /**
+   * Build the transfer of `price` HBAR for the listed NFT and hold the
+   * listing for this buyer while they sign it.
+   */
+  async reservePurchase(listing, buyer, price) {
+    const purchase = await this.quotePurchase(listing, buyer, price);
+    const prepared = await hederaService.buildPurchaseTransaction(purchase);
+
+    const now = Date.now();
+    const pendingPurchase = {
+      buyer,
+      transactionId: prepared.transactionId,
+      transfers: prepared.transfers,
+      amounts: {
+        price: purchase.price,
+        platformFee: purchase.platformFee,
+        sellerProceeds: purchase.price - purchase.platformFee,
+        unit: "tinybar"
+      },
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + PURCHASE_WINDOW_MS).toISOString()
+    };
+
+    // Only one buyer may hold the listing at a time
+    const reserved = await this.storage.update(
+      "listings",
+      listing.id,
+      { pendingPurchase },
+      {
+        where: {
+          status: listing.status,
+          $or: [
+            { pendingPurchase: null },
+            { "pendingPurchase.expiresAt": { $lte: new Date(now).toISOString() } }
+          ]
+        }
+      }
+    );
+    if (!reserved) throw createError(409, "Another buyer is completing this purchase");
+
+    return {
+      listingId: listing.id,
+      purchaseId: prepared.transactionId,
+      transactionBytes: prepared.transactionBytes,
+      amounts: pendingPurchase.amounts,
+      expiresAt: pendingPurchase.expiresAt
+    };
+  }
+
+  /**
+   * The HBAR + NFT transfer for selling `listing` to `buyer` at `price`
+   * HBAR, in tinybars with the platform fee split out. The seller must
+   * still hold the NFT under the marketplace's allowance.
+   */
+  async quotePurchase(listing, buyer, price) {
+    if (listing.currency !== "HBAR") {
+      throw createError(400, "Only HBAR purchases are supported");
+    }
+
+    const ownership = await hederaService.checkNFTOwnership({
+      accountId: listing.seller,
+      tokenId: listing.tokenId,
+      serial: listing.serialNumber
+    });
+    if (!ownership.owns) throw createError(400, "Seller does not own this NFT");
+    if (ownership.spender !== hederaService.getOperatorAccountId()) {
+      throw createError(409, "Seller has withdrawn the marketplace's approval to transfer this NFT");
+    }
+
+    const feeAccountId =
+      process.env.PLATFORM_FEE_ACCOUNT_ID || hederaService.getOperatorAccountId();
+    const tinybars = toTinybars(price);
+    return {
+      tokenId: listing.tokenId,
+      serial: listing.serialNumber,
+      sellerId: listing.seller,
+      buyerId: buyer,
+      price: tinybars,
+      platformFee: feeAccountId ? Math.floor((tinybars * this.platformFeeBps) / 10000) : 0,
+      feeAccountId
+    };
+  }
+
+  /**
+   * Sell `listing` to `buyer` with no one signing but the operator: the
+   * payment under the buyer's HBAR allowance, the NFT under the
+   * seller's. How ended auctions settle; `details` are recorded on
+   * the listing alongside the sale.
+   */
+  async sellWithAllowances(listing, { buyer, price, ...details }) {
+    const purchase = await this.quotePurchase(listing, buyer, price);
+    const result = await hederaService.executeApprovedPurchase(purchase);
+
+    return this.markSold(
+      listing.id,
+      {
+        ...details,
+        buyer,
+        price,
+        transactionId: result.transactionId,
+        receipt: {
+          transactionId: result.transactionId,
+          status: result.status,
+          price: purchase.price,
+          platformFee: purchase.platformFee,
+          sellerProceeds: purchase.price - purchase.platformFee,
+          unit: "tinybar",
+          transfers: result.transfers,
+          executedAt: new Date().toISOString()
+        }
+      },
+      { fromStatus: listing.status }
+    );
+  }
+
+  /**
+   * Step 2: submit the buyer-signed transaction and record its
+   * transaction ID against the listing as the sale receipt.
+   */
+  async completePurchase(listingId, { buyer, purchaseId, signedTransaction }) {
+    const listing = await this.getListing(listingId);
+    if (listing.status !== LISTING_STATUS.ACTIVE) {
+      throw createError(409, `Listing is ${listing.status}`);
+    }
+
+    return this.executePurchase(listing, { buyer, purchaseId, signedTransaction, price: listing.price });
+  }
+
+  /**
+   * Submit the transaction reserved by reservePurchase and mark the
+   * listing sold; `details` are recorded on the listing alongside.
+   */
+  async executePurchase(listing, { buyer, purchaseId, signedTransaction, price, ...details }) {
+    const pending = listing.pendingPurchase;
+
+    if (!pending || pending.transactionId !== purchaseId || pending.buyer !== buyer) {
+      throw createError(409, "No matching purchase in progress. Start the purchase again.");
+    }
+    if (Date.now() > new Date(pending.expiresAt).getTime()) {
+      await this.storage.update("listings", listing.id, { pendingPurchase: null });
+      throw createError(410, "Purchase window expired. Start the purchase again.");
+    }
+
+    let result;
+    try {
+      result = await hederaService.executePurchaseTransaction(signedTransaction, pending);
+    } catch (error) {
+      await this.storage.update("listings", listing.id, { pendingPurchase: null });
+      throw createError(402, `Purchase failed: ${error.message}`);
+    }
+
+    return this.markSold(
+      listing.id,
+      {
+        ...details,
+        buyer,
+        price,
+        transactionId: result.transactionId,
+        pendingPurchase: null,
+        receipt: {
+          transactionId: result.transactionId,
+          status: result.status,
+          ...pending.amounts,
+          transfers: pending.transfers,
+          executedAt: new Date().toISOString()
+        }
+      },
+      { fromStatus: listing.status }
+    );
+  }
+
+  /**
+   * Move fixed-price listings past their expiry into the expired state.
+   * Auctions are closed by auctionService, which settles them instead.
+   */
+  async expireListings(now = new Date()) {
+    const expired = await this.storage.find("listings", {
+      type: "fixed",
+      status: LISTING_STATUS.ACTIVE,
+      expiresAt: { $lte: now.toISOString() }
+    });
+
+    for (const listing of expired) {
+      await this.storage.update(
+        "listings",
+        listing.id,
+        { status: LISTING_STATUS.EXPIRED, expiredAt: now.toISOString() },
+        { where: { status: LISTING_STATUS.ACTIVE } }
+      );
+    }
+    return expired.length;
+  }
+
+  async getActiveListing(listingId, seller) {
+    const listing = await this.getListing(listingId);
+    if (seller && listing.seller !== seller) {
+      throw createError(403, "Only the seller can modify this listing");
+    }
+    if (listing.status !== LISTING_STATUS.ACTIVE) {
+      throw createError(409, `Listing is ${listing.status}`);
+    }
+    return listing;
+  }
+
+  /* -----------------------------------------------------------
+     📊 Stats
+  ----------------------------------------------------------- */
+  async getStats() {
+    await this.expireListings();
+
+    const [totalListings, activeListings, sold] = await Promise.all([
+      this.storage.count("listings"),
+      this.storage.count("listings", { status: LISTING_STATUS.ACTIVE }),
+      this.storage.find(
+        "listings",
+        { status: LISTING_STATUS.SOLD },
+        { sort: { soldAt: -1 } }
+      )
+    ]);
+
+    const totalVolume = sold.reduce((sum, l) => sum + (l.soldPrice ?? l.price), 0);
+
+    const volumeByCollection = new Map();
+    for (const listing of sold) {
+      const entry = volumeByCollection.get(listing.tokenId) || {
+        tokenId: listing.tokenId,
+        volume: 0,
+        sales: 0
+      };
+      entry.volume += listing.soldPrice ?? listing.price;
+      entry.sales++;
+      volumeByCollection.set(listing.tokenId, entry);
+    }
+
+    return {
+      totalListings,
+      activeListings,
+      totalVolume,
+      averagePrice: sold.length > 0 ? totalVolume / sold.length : 0,
+      totalSales: sold.length,
+      topCollections: [...volumeByCollection.values()]
+        .sort((a, b) => b.volume - a.volume)
+        .slice(0, 5),
+      recentActivity: sold.slice(0, 10).map(l => ({
+        listingId: l.id,
+        comicId: l.comicId,
+        price: l.soldPrice ?? l.price,
+        currency: l.currency,
+        buyer: l.buyer,
+        seller: l.seller,
+        soldAt: l.soldAt
+      }))
+    };
+  }
+}
+
+export default new MarketplaceService();
@@ -0,0 +1,202 @@
+import axios from "axios";
+import { createError } from "../utils/errors.js";
+
+const NETWORK_URLS = {
+  mainnet: "https://mainnet-public.mirrornode.hedera.com",
+  testnet: "https://testnet.mirrornode.hedera.com",
+  previewnet: "https://previewnet.mirrornode.hedera.com"
+};
+
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Mirror node metadata is base64; ours is a UTF-8 URI */
+function decodeMetadata(metadata) {
+  return metadata ? Buffer.from(metadata, "base64").toString("utf8") : null;
+}
+
+/** "1700000000.123456789" → ISO string */
+function fromConsensusTimestamp(timestamp) {
+  return timestamp ? new Date(Number(timestamp.split(".")[0]) * 1000).toISOString() : null;
+}
+
+/* -----------------------------------------------------------
+   🪞 Mirror Node Client
+
+   Read-only REST client for the Hedera mirror node:
+   - follows `links.next` to page through results
+   - retries 429 / 5xx / network errors with backoff
+     (honours Retry-After)
+   - caches GET responses for a short TTL; call invalidate()
+     after a write so the next read goes to the network
+----------------------------------------------------------- */
+export class MirrorNodeClient {
+  constructor({
+    baseUrl = process.env.MIRROR_NODE_URL || NETWORK_URLS[process.env.HEDERA_NETWORK] || NETWORK_URLS.testnet,
+    retries = Number(process.env.MIRROR_NODE_RETRIES || 3),
+    retryDelayMs = 250,
+    cacheTtlMs = Number(process.env.MIRROR_NODE_CACHE_TTL_MS || 10 * 1000),
+    maxCacheEntries = 500,
+    timeoutMs = 10 * 1000
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.cacheTtlMs = cacheTtlMs;
+    this.maxCacheEntries = maxCacheEntries;
+    this.cache = new Map();
+    this.http = axios.create({ baseURL: this.baseUrl, timeout: timeoutMs });
+  }
+
+  /* -----------------------------------------------------------
+     🌐 Transport
+  ----------------------------------------------------------- */
+  /** GET a mirror node path (e.g. `/api/v1/tokens/0.0.1`), cached */
+  async get(path, params = {}) {
+    const url = this.http.getUri({ url: path, params });
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt > Date.now()) return cached.data;
+
+    const data = await this.request(url);
+    if (this.cacheTtlMs > 0) {
+      this.cache.delete(url); // re-insert so Map order tracks recency
+      this.cache.set(url, { data, expiresAt: Date.now() + this.cacheTtlMs });
+      if (this.cache.size > this.maxCacheEntries) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    return data;
+  }
+
+  async request(url) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.http.get(url);
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        if (status === 404) throw createError(404, `Mirror node: not found (${url})`);
+
+        const retryable = !status || RETRYABLE_STATUS.has(status);
+        if (!retryable || attempt >= this.retries) {
+          throw createError(
+            status && status < 500 ? status : 502,
+            `Mirror node request failed: ${error.response?.data?._status?.messages?.[0]?.message || error.message}`
+          );
+        }
+
+        const retryAfter = Number(error.response?.headers?.["retry-after"]);
+        const delay = retryAfter > 0 ? retryAfter * 1000 : this.retryDelayMs * 2 ** attempt;
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Collect `key` across pages by following `links.next`.
+   * Stops once `max` items are gathered.
+   */
+  async paginate(path, key, { params = {}, max = Infinity } = {}) {
+    const items = [];
+    let next = this.http.getUri({ url: path, params });
+
+    while (next && items.length < max) {
+      const page = await this.get(next);
+      items.push(...(page[key] || []));
+      next = page.links?.next || null;
+    }
+    return items.slice(0, max);
+  }
+
+  /** Drop cached responses whose URL contains `fragment` (all if omitted) */
+  invalidate(fragment) {
+    if (!fragment) return this.cache.clear();
+    for (const url of this.cache.keys()) {
+      if (url.includes(fragment)) this.cache.delete(url);
+    }
+  }
+
+  /* -----------------------------------------------------------
+     🎴 NFTs
+  ----------------------------------------------------------- */
+  async getAccountNfts(accountId, { tokenId, max } = {}) {
+    const nfts = await this.paginate(`/api/v1/accounts/${accountId}/nfts`, "nfts", {
+      params: { limit: 100, ...(tokenId && { "token.id": tokenId }) },
+      max
+    });
+    return nfts.map(toNft);
+  }
+
+  async getNft(tokenId, serial) {
+    return toNft(await this.get(`/api/v1/tokens/${tokenId}/nfts/${serial}`));
+  }
+
+  /** Transfers of one serial, newest first */
+  async getNftTransactions(tokenId, serial, { max } = {}) {
+    const transactions = await this.paginate(
+      `/api/v1/tokens/${tokenId}/nfts/${serial}/transactions`,
+      "transactions",
+      { params: { limit: 100 }, max }
+    );
+    return transactions.map(tx => ({
+      transactionId: tx.transaction_id,
+      type: tx.type,
+      sender: tx.sender_account_id || null,
+      receiver: tx.receiver_account_id || null,
+      isApproval: !!tx.is_approval,
+      timestamp: fromConsensusTimestamp(tx.consensus_timestamp)
+    }));
+  }
+
+  /* -----------------------------------------------------------
+     ✅ Allowances
+  ----------------------------------------------------------- */
+  /** Tinybars `spenderId` may still move out of `ownerId` (0 if none) */
+  async getHbarAllowance(ownerId, spenderId) {
+    const { allowances = [] } = await this.get(`/api/v1/accounts/${ownerId}/allowances/crypto`, {
+      "spender.id": spenderId
+    });
+    return allowances[0] ? Number(allowances[0].amount) : 0;
+  }
+
+  /* -----------------------------------------------------------
+     💸 Tokens
+  ----------------------------------------------------------- */
+  async getTokenCustomFees(tokenId) {
+    const token = await this.get(`/api/v1/tokens/${tokenId}`);
+    const fees = token.custom_fees || {};
+
+    return {
+      tokenId,
+      royaltyFees: (fees.royalty_fees || []).map(fee => ({
+        numerator: fee.amount.numerator,
+        denominator: fee.amount.denominator,
+        collector: fee.collector_account_id,
+        fallbackFee: fee.fallback_fee
+          ? { amount: fee.fallback_fee.amount, tokenId: fee.fallback_fee.denominating_token_id || null }
+          : null
+      })),
+      fixedFees: (fees.fixed_fees || []).map(fee => ({
+        amount: fee.amount,
+        tokenId: fee.denominating_token_id || null, // null = HBAR (tinybars)
+        collector: fee.collector_account_id
+      }))
+    };
+  }
+}
+
+function toNft(nft) {
+  return {
+    tokenId: nft.token_id,
+    serial: Number(nft.serial_number),
+    owner: nft.account_id,
+    spender: nft.spender || null,
+    metadata: decodeMetadata(nft.metadata),
+    deleted: !!nft.deleted,
+    createdAt: fromConsensusTimestamp(nft.created_timestamp),
+    modifiedAt: fromConsensusTimestamp(nft.modified_timestamp)
+  };
+}
+
+export default new MirrorNodeClient();
@@ -0,0 +1,145 @@
+import storage from "../storage/index.js";
+
+export const PIN_STATUS = {
+  PINNED: "pinned", // on the primary provider when last checked
+  MISSING: "missing" // gone from the primary and no provider could restore it
+};
+
+/* -----------------------------------------------------------
+   📌 Pin Service
+
+   The registry of every CID the platform has stored: what it is
+   (`kind`: thumbnail, web, print, rendition, cbz, epub, pdf,
+   metadata), whose it is (`creator`) and what uses it
+   (`owners`: "comic:<id>" / "collection:<id>"). ipfsService
+   records each upload here unowned; publishing claims the CIDs
+   for the comic or collection once it is saved, so whatever a
+   failed publish left behind stays unowned. The reconcile-pins
+   job (jobs/reconcilePins.js) re-pins missing content, unpins
+   orphans older than PIN_ORPHAN_GRACE_MS and reports usage.
+----------------------------------------------------------- */
+class PinService {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /** How long unowned content is kept: long enough to retry a failed publish */
+  get orphanGraceMs() {
+    return Number(process.env.PIN_ORPHAN_GRACE_MS || 7 * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Record a stored CID. Storing the same bytes again keeps one
+   * entry; owners accumulate. Uploads made while storage is down
+   * (scripts, tests) aren't tracked.
+   */
+  async record(cid, { name, kind, size, creator, owner } = {}) {
+    if (!this.storage.isConnected) return null;
+
+    const now = new Date().toISOString();
+    const existing = await this.storage.findById("pins", cid);
+    if (existing) {
+      const owners = owner && !existing.owners.includes(owner) ? [...existing.owners, owner] : existing.owners;
+      return this.storage.update("pins", cid, {
+        owners,
+        owned: owners.length > 0,
+        creator: existing.creator || creator || null,
+        size: existing.size || Number(size) || 0,
+        status: PIN_STATUS.PINNED,
+        updatedAt: now
+      });
+    }
+
+    const pin = {
+      id: cid,
+      cid,
+      name: name || cid,
+      kind: kind || "file",
+      size: Number(size) || 0,
+      creator: creator || null,
+      owners: owner ? [owner] : [],
+      owned: Boolean(owner),
+      status: PIN_STATUS.PINNED,
+      verifiedAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+    try {
+      return await this.storage.insert("pins", pin);
+    } catch (error) {
+      // The same bytes uploaded twice at once: the other insert won, merge into it
+      if (await this.storage.findById("pins", cid)) return this.record(cid, { name, kind, size, creator, owner });
+      throw error;
+    }
+  }
+
+  /** Mark `cids` as used by `owner` ("comic:<id>" / "collection:<id>") */
+  async claim(cids, owner, { creator } = {}) {
+    const claimed = [];
+    for (const cid of new Set(cids.filter(Boolean))) {
+      const pin = await this.record(cid, { owner, creator });
+      if (pin) claimed.push(pin);
+    }
+    return claimed;
+  }
+
+  async getPin(cid) {
+    return this.storage.findById("pins", cid);
+  }
+
+  /** Registry entries, newest first (filters: status, creator, kind, owned) */
+  async listPins({ status, creator, kind, owned, limit = 50, offset = 0 } = {}) {
+    const filter = {
+      ...(status && { status }),
+      ...(creator && { creator }),
+      ...(kind && { kind }),
+      ...(owned !== undefined && { owned })
+    };
+    const [pins, total] = await Promise.all([
+      this.storage.find("pins", filter, { sort: { createdAt: -1 }, limit, offset }),
+      this.storage.count("pins", filter)
+    ]);
+    return { pins, total, limit, offset };
+  }
+
+  /** Every entry to check against the providers, oldest check first */
+  async pinsToVerify() {
+    return this.storage.find("pins", {}, { sort: { verifiedAt: 1 } });
+  }
+
+  /** Unowned entries older than the grace period */
+  async orphans(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.orphanGraceMs).toISOString();
+    return this.storage.find("pins", { owned: false, createdAt: { $lt: cutoff } }, { sort: { createdAt: 1 } });
+  }
+
+  async markVerified(cid, status = PIN_STATUS.PINNED) {
+    const now = new Date().toISOString();
+    return this.storage.update("pins", cid, { status, verifiedAt: now, updatedAt: now });
+  }
+
+  async remove(cid) {
+    return this.storage.delete("pins", cid);
+  }
+
+  /**
+   * Storage per creator, largest first: [{ creator, pins, bytes,
+   * kinds: { [kind]: bytes }, orphaned, missing }]. Content with no
+   * known creator is reported under `creator: null`.
+   */
+  async usage() {
+    const byCreator = new Map();
+    for (const pin of await this.storage.find("pins", {})) {
+      const entry = byCreator.get(pin.creator) || { creator: pin.creator, pins: 0, bytes: 0, kinds: {}, orphaned: 0, missing: 0 };
+      entry.pins += 1;
+      entry.bytes += pin.size;
+      entry.kinds[pin.kind] = (entry.kinds[pin.kind] || 0) + pin.size;
+      if (!pin.owned) entry.orphaned += 1;
+      if (pin.status === PIN_STATUS.MISSING) entry.missing += 1;
+      byCreator.set(pin.creator, entry);
+    }
+    return [...byCreator.values()].sort((a, b) => b.bytes - a.bytes);
+  }
+}
+
+export default new PinService();
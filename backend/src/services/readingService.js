@@ -0,0 +1,127 @@
+import storage from "../storage/index.js";
+import { createError } from "../utils/errors.js";
+
+// One save never adds more than this much reading time (idle tabs, bad clocks)
+const MAX_READ_TIME_PER_SAVE_MS = 10 * 60 * 1000;
+const MAX_NOTE_LENGTH = 500;
+
+const progressId = (accountId, comicId) => `${accountId}:${comicId}`;
+const bookmarkId = (comicId, accountId, pageNumber) => `${comicId}-${accountId}-${pageNumber}`;
+
+function toPage(value, field) {
+  const page = Number(value);
+  if (!Number.isInteger(page) || page < 1) throw createError(400, `${field} must be a positive integer`);
+  return page;
+}
+
+/* -----------------------------------------------------------
+   📖 Reading Service
+
+   Per-account reading progress and bookmarks, stored server-side
+   so a reader can continue on another device. Progress is one
+   document per account and comic; bookmarks are one per page,
+   keyed `<comicId>-<accountId>-<page>` (the ID the reader uses to
+   delete them).
+----------------------------------------------------------- */
+class ReadingService {
+  constructor() {
+    this.storage = storage;
+  }
+
+  /* -----------------------------------------------------------
+     📍 Progress
+  ----------------------------------------------------------- */
+  async getProgress(accountId, comicId) {
+    return this.storage.findById("reading_progress", progressId(accountId, comicId));
+  }
+
+  async listProgress(accountId, { limit = 20, offset = 0 } = {}) {
+    return this.storage.find(
+      "reading_progress",
+      { accountId },
+      { sort: { lastReadAt: -1 }, limit, offset }
+    );
+  }
+
+  /**
+   * Record the page a reader is on. `readTime` (ms since the last
+   * save) is added to the total, capped by the real time elapsed.
+   * Completion sticks once the last page has been reached.
+   */
+  async saveProgress(accountId, { comicId, currentPage, totalPages, readTime = 0 }) {
+    const comic = await this.requireComic(comicId);
+    const pageCount = toPage(totalPages ?? comic.pagesResult?.totalPages, "totalPages");
+    const page = Math.min(toPage(currentPage, "currentPage"), pageCount);
+
+    const now = new Date();
+    const existing = await this.getProgress(accountId, comicId);
+    const sinceLastSave = existing ? now - new Date(existing.lastReadAt) : MAX_READ_TIME_PER_SAVE_MS;
+    const readTimeMs = Math.max(0, Math.min(Number(readTime) || 0, sinceLastSave, MAX_READ_TIME_PER_SAVE_MS));
+
+    const reachedEnd = page >= pageCount;
+    return this.storage.upsert("reading_progress", {
+      id: progressId(accountId, comicId),
+      accountId,
+      comicId,
+      currentPage: page,
+      totalPages: pageCount,
+      percent: Math.round((page / pageCount) * 100),
+      completed: !!existing?.completed || reachedEnd,
+      completedAt: existing?.completedAt || (reachedEnd ? now.toISOString() : null),
+      totalReadTimeMs: (existing?.totalReadTimeMs || 0) + readTimeMs,
+      startedAt: existing?.startedAt || now.toISOString(),
+      lastReadAt: now.toISOString()
+    });
+  }
+
+  /* -----------------------------------------------------------
+     🔖 Bookmarks
+  ----------------------------------------------------------- */
+  async listBookmarks(accountId, { comicId } = {}) {
+    return this.storage.find(
+      "bookmarks",
+      { accountId, ...(comicId && { comicId }) },
+      { sort: { createdAt: -1 } }
+    );
+  }
+
+  /** Bookmark a page; bookmarking it again updates the note */
+  async addBookmark(accountId, { comicId, pageNumber, note = "" }) {
+    const comic = await this.requireComic(comicId);
+    const page = toPage(pageNumber, "pageNumber");
+    const pageCount = comic.pagesResult?.totalPages;
+    if (pageCount && page > pageCount) throw createError(400, `Comic has ${pageCount} pages`);
+    if (typeof note !== "string" || note.length > MAX_NOTE_LENGTH) {
+      throw createError(400, `Note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    const id = bookmarkId(comicId, accountId, page);
+    const existing = await this.storage.findById("bookmarks", id);
+    return this.storage.upsert("bookmarks", {
+      id,
+      accountId,
+      comicId,
+      pageNumber: page,
+      note: note.trim(),
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  async removeBookmark(accountId, id) {
+    const bookmark = await this.storage.findById("bookmarks", id);
+    if (!bookmark || bookmark.accountId !== accountId) throw createError(404, "Bookmark not found");
+
+    await this.storage.delete("bookmarks", id);
+    return bookmark;
+  }
+
+  async requireComic(comicId) {
+    if (!comicId) throw createError(400, "comicId is required");
+    const comic = await this.storage.findById("comics", comicId);
+    if (!comic) throw createError(404, "Comic not found");
+    return comic;
+  }
+}
+
+export default new ReadingService();
@@ -0,0 +1,103 @@
+import storage from "../storage/index.js";
+import { createError } from "../utils/errors.js";
+
+const SETTINGS_ID = "settings:platform";
+
+/**
+ * Admin-editable platform settings. `min`/`max` bound the value;
+ * defaults come from the environment so existing deployments keep
+ * their configuration until an admin overrides it.
+ */
+const SETTINGS = {
+  platformFeeBps: {
+    default: Number(process.env.PLATFORM_FEE_PERCENTAGE || 250),
+    min: 0,
+    max: 5000
+  },
+  auctionMinIncrement: {
+    default: Number(process.env.AUCTION_MIN_INCREMENT || 1),
+    min: 0,
+    max: Number.MAX_SAFE_INTEGER
+  },
+  auctionMinIncrementPercent: {
+    default: Number(process.env.AUCTION_MIN_INCREMENT_PERCENT || 5),
+    min: 0,
+    max: 100
+  },
+  auctionExtensionWindowMs: {
+    default: Number(process.env.AUCTION_EXTENSION_WINDOW_MS || 5 * 60 * 1000),
+    min: 0,
+    max: 24 * 60 * 60 * 1000
+  }
+};
+
+/* -----------------------------------------------------------
+   ⚙️ Settings Service
+
+   Values are cached in memory and read synchronously by the
+   marketplace and auction services; writes go to the `meta`
+   collection and refresh the cache.
+----------------------------------------------------------- */
+class SettingsService {
+  constructor() {
+    this.storage = storage;
+    this.values = Object.fromEntries(
+      Object.entries(SETTINGS).map(([key, spec]) => [key, spec.default])
+    );
+    this.updatedAt = null;
+    this.updatedBy = null;
+  }
+
+  async load() {
+    const saved = await this.storage.findById("meta", SETTINGS_ID);
+    if (saved) this.apply(saved);
+    return this.getAll();
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  getAll() {
+    return { ...this.values, updatedAt: this.updatedAt, updatedBy: this.updatedBy };
+  }
+
+  async update(changes, updatedBy) {
+    const updates = {};
+    for (const [key, value] of Object.entries(changes)) {
+      const spec = SETTINGS[key];
+      if (!spec) throw createError(400, `Unknown setting: ${key}`);
+
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < spec.min || number > spec.max) {
+        throw createError(400, `${key} must be a number between ${spec.min} and ${spec.max}`);
+      }
+      updates[key] = number;
+    }
+    if (Object.keys(updates).length === 0) {
+      throw createError(400, `Nothing to update. Settings: ${Object.keys(SETTINGS).join(", ")}`);
+    }
+
+    const saved = await this.storage.upsert("meta", {
+      ...this.values,
+      ...updates,
+      id: SETTINGS_ID,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    });
+    this.apply(saved);
+
+    console.log(`⚙️  Settings updated by ${updatedBy}: ${Object.keys(updates).join(", ")}`);
+    return this.getAll();
+  }
+
+  apply(saved) {
+    for (const key of Object.keys(SETTINGS)) {
+      if (saved[key] !== undefined) this.values[key] = saved[key];
+    }
+    this.updatedAt = saved.updatedAt || null;
+    this.updatedBy = saved.updatedBy || null;
+  }
+}
+
+export default new SettingsService();
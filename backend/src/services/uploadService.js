@@ -0,0 +1,266 @@
+import fs from "fs";
+import path from "path";
+import { createHash, randomUUID } from "crypto";
+import { createError } from "../utils/errors.js";
+import { maxFileSize, formatSize, parseSize } from "../utils/sizes.js";
+
+const SESSION_ID = /^[0-9a-f-]{36}$/;
+const SHA256_HEX = /^[0-9a-f]{64}$/;
+
+// What a comic's cover and pages may be; the same set the multipart route accepts
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const FILE_ROLES = ["cover", "page"];
+
+/* -----------------------------------------------------------
+   ⏫ Upload Service
+
+   Resumable uploads for large page sets. A creator opens a
+   session listing every file (name, size, type, SHA-256), then
+   sends each file in chunks: every chunk names the offset it
+   starts at and carries its own checksum, so a dropped
+   connection costs one chunk, not the whole issue. The session
+   (UPLOAD_DIR/<id>/session.json) records how far each file got;
+   a client that lost track asks for it and carries on from
+   there. A file is complete when its bytes hash to the declared
+   SHA-256. Completed sessions are handed to comic creation
+   (POST /api/comics with `uploadId`) and expire after
+   UPLOAD_SESSION_TTL_MS.
+----------------------------------------------------------- */
+class UploadService {
+  constructor() {
+    // Chunk writes are serialized per session: offsets only make sense one at a time
+    this.locks = new Map();
+  }
+
+  get dir() {
+    return path.resolve(process.env.UPLOAD_DIR || "./src/data/upload-sessions");
+  }
+
+  get limits() {
+    return {
+      maxFileSize: maxFileSize(),
+      chunkSize: parseSize(process.env.UPLOAD_CHUNK_SIZE, 5 * 1024 * 1024) || 5 * 1024 * 1024,
+      maxFiles: Number(process.env.UPLOAD_MAX_FILES || 51),
+      ttlMs: Number(process.env.UPLOAD_SESSION_TTL_MS || 24 * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Open a session for `files` ([{ name, size, type, sha256, role }]).
+   * `role` is "cover" or "page"; pages keep the order given.
+   */
+  async createSession(owner, { files } = {}) {
+    const { maxFiles, maxFileSize, chunkSize, ttlMs } = this.limits;
+
+    if (!Array.isArray(files) || files.length === 0) throw createError(400, "List the files to upload");
+    if (files.length > maxFiles) throw createError(413, `At most ${maxFiles} files per upload`);
+
+    const declared = files.map((file, index) => {
+      const name = path.basename(String(file?.name || ""));
+      const size = Number(file?.size);
+      const sha256 = String(file?.sha256 || "").toLowerCase();
+      const role = file?.role || "page";
+
+      if (!name) throw createError(400, `File ${index} has no name`);
+      if (!Number.isInteger(size) || size <= 0) throw createError(400, `${name}: size must be a positive number of bytes`);
+      if (size > maxFileSize) throw createError(413, `${name} is too large. Max size: ${formatSize(maxFileSize)}.`);
+      if (!IMAGE_TYPES.includes(file.type)) throw createError(415, `${name}: only JPEG, PNG, and WEBP allowed`);
+      if (!SHA256_HEX.test(sha256)) throw createError(400, `${name}: sha256 must be a hex digest`);
+      if (!FILE_ROLES.includes(role)) throw createError(400, `${name}: role must be "cover" or "page"`);
+
+      return { index, name, size, type: file.type, sha256, role, offset: 0, complete: false };
+    });
+
+    if (declared.filter(file => file.role === "cover").length > 1) {
+      throw createError(400, "Only one cover per upload");
+    }
+
+    await this.purgeExpired();
+
+    const id = randomUUID();
+    const createdAt = new Date();
+    const session = {
+      id,
+      owner,
+      chunkSize,
+      files: declared,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + ttlMs).toISOString()
+    };
+
+    await fs.promises.mkdir(path.join(this.dir, id), { recursive: true });
+    await this.save(session);
+    return this.view(session);
+  }
+
+  /** Session state (per-file offsets) if `owner` opened it and it hasn't expired */
+  async getSession(id, owner) {
+    return this.view(await this.load(id, owner));
+  }
+
+  /**
+   * Append one chunk to file `index`. `offset` must be where the
+   * file currently ends (409 otherwise, with the actual offset so
+   * the client can resume); `checksum` is the chunk's SHA-256 hex.
+   * Returns the file's new state.
+   */
+  async writeChunk(id, owner, index, { offset, checksum, data }) {
+    return this.withLock(id, async () => {
+      const session = await this.load(id, owner);
+      const file = session.files[Number(index)];
+      if (!file) throw createError(404, "File not found in this upload");
+
+      if (file.complete) throw createError(409, `${file.name} is already uploaded`, { offset: file.offset });
+      if (Number(offset) !== file.offset) {
+        throw createError(409, `${file.name} continues at byte ${file.offset}`, { offset: file.offset });
+      }
+      if (!data?.length) throw createError(400, "Empty chunk");
+      if (data.length > session.chunkSize) {
+        throw createError(413, `Chunks are at most ${formatSize(session.chunkSize)}`);
+      }
+      if (file.offset + data.length > file.size) {
+        throw createError(400, `Chunk runs past the end of ${file.name} (${file.size} bytes)`);
+      }
+      if (String(checksum || "").toLowerCase() !== sha256(data)) {
+        throw createError(422, "Chunk checksum mismatch", { offset: file.offset });
+      }
+
+      const partPath = this.partPath(id, file.index);
+      const handle = await fs.promises.open(partPath, file.offset === 0 ? "w" : "r+");
+      try {
+        await handle.write(data, 0, data.length, file.offset);
+      } finally {
+        await handle.close();
+      }
+      file.offset += data.length;
+
+      if (file.offset === file.size) {
+        if ((await hashFile(partPath)) === file.sha256) {
+          file.complete = true;
+        } else {
+          // Every chunk matched but the file doesn't: start it over rather than keep bad bytes
+          file.offset = 0;
+          await this.save(session);
+          throw createError(422, `${file.name} doesn't match its SHA-256; upload it again`, { offset: 0 });
+        }
+      }
+
+      await this.save(session);
+      return publicFile(file);
+    });
+  }
+
+  /**
+   * The files of a finished upload, for comic creation: cover path
+   * and page paths in order, plus every file's { path, name, role }.
+   * The session stays until `discard`, so a failed mint can be
+   * retried without uploading again.
+   */
+  async claim(id, owner) {
+    const session = await this.load(id, owner);
+    const pending = session.files.filter(file => !file.complete);
+    if (pending.length > 0) {
+      throw createError(409, `Upload incomplete: ${pending.map(file => file.name).join(", ")}`);
+    }
+
+    const paths = session.files.map(file => ({ ...file, path: this.partPath(id, file.index) }));
+    return {
+      cover: paths.find(file => file.role === "cover")?.path,
+      pages: paths.filter(file => file.role === "page").map(file => file.path),
+      files: paths.map(({ path, name, role }) => ({ path, name, role }))
+    };
+  }
+
+  async discard(id, owner) {
+    await this.load(id, owner);
+    await fs.promises.rm(path.join(this.dir, id), { recursive: true, force: true });
+  }
+
+  /** Remove sessions past their expiry (and any without a readable session file) */
+  async purgeExpired() {
+    const entries = await fs.promises.readdir(this.dir).catch(() => []);
+    const now = Date.now();
+
+    for (const id of entries) {
+      const sessionDir = path.join(this.dir, id);
+      try {
+        const session = JSON.parse(await fs.promises.readFile(path.join(sessionDir, "session.json"), "utf8"));
+        if (new Date(session.expiresAt).getTime() > now) continue;
+      } catch {
+        const { mtimeMs } = await fs.promises.stat(sessionDir).catch(() => ({ mtimeMs: now }));
+        if (now - mtimeMs < this.limits.ttlMs) continue;
+      }
+      await fs.promises.rm(sessionDir, { recursive: true, force: true });
+    }
+  }
+
+  partPath(id, index) {
+    return path.join(this.dir, id, `${index}.part`);
+  }
+
+  async load(id, owner) {
+    if (!SESSION_ID.test(id)) throw createError(404, "Upload not found");
+
+    let session;
+    try {
+      session = JSON.parse(await fs.promises.readFile(path.join(this.dir, id, "session.json"), "utf8"));
+    } catch {
+      throw createError(404, "Upload not found");
+    }
+
+    if (session.owner !== owner || new Date(session.expiresAt) <= new Date()) {
+      throw createError(404, "Upload not found");
+    }
+    return session;
+  }
+
+  /** Write-then-rename, so a crash never leaves a half-written session file */
+  async save(session) {
+    const file = path.join(this.dir, session.id, "session.json");
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(session, null, 2));
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  view(session) {
+    return {
+      id: session.id,
+      chunkSize: session.chunkSize,
+      files: session.files.map(publicFile),
+      complete: session.files.every(file => file.complete),
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt
+    };
+  }
+
+  async withLock(id, task) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const run = previous.then(task, task);
+    const settled = run.catch(() => {});
+    this.locks.set(id, settled);
+    settled.then(() => {
+      if (this.locks.get(id) === settled) this.locks.delete(id);
+    });
+    return run;
+  }
+}
+
+const sha256 = data => createHash("sha256").update(data).digest("hex");
+
+async function hashFile(file) {
+  const hash = createHash("sha256");
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+const publicFile = ({ index, name, size, type, sha256, role, offset, complete }) => ({
+  index,
+  name,
+  size,
+  type,
+  sha256,
+  role,
+  offset,
+  complete
+});
+
+export default new UploadService();
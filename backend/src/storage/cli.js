@@ -0,0 +1,45 @@
+import storage from "./index.js";
+import { importLegacyJson } from "./jsonImporter.js";
+
+/**
+ * Usage:
+ *   node src/storage/cli.js migrate
+ *   node src/storage/cli.js import [path/to/comicsData.json] [--force]
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  await storage.connect();
+
+  switch (command) {
+    case "migrate": {
+      const applied = await storage.migrate();
+      console.log(
+        applied.length > 0
+          ? `✅ Applied migrations: ${applied.join(", ")}`
+          : "✅ Schema is up to date"
+      );
+      break;
+    }
+    case "import": {
+      await storage.migrate();
+      const file = args.find(a => !a.startsWith("--"));
+      const result = await importLegacyJson(storage, {
+        ...(file && { file }),
+        force: args.includes("--force")
+      });
+      if (!result.imported) console.log(`⏭️  Skipped import: ${result.reason} (${result.file})`);
+      break;
+    }
+    default:
+      console.log("Usage: node src/storage/cli.js <migrate|import> [file] [--force]");
+      process.exitCode = 1;
+  }
+
+  await storage.close();
+}
+
+main().catch(error => {
+  console.error("❌ Storage command failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+import path from "path";
+import dotenv from "dotenv";
+import SQLiteAdapter from "./sqliteAdapter.js";
+import MongoAdapter from "./mongoAdapter.js";
+
+dotenv.config();
+
+/**
+ * Build the storage adapter selected by DB_DRIVER (sqlite | mongodb).
+ * SQLite is the default so the backend runs with zero setup.
+ */
+export function createStorage(env = process.env) {
+  const driver = (env.DB_DRIVER || "sqlite").toLowerCase();
+
+  switch (driver) {
+    case "sqlite":
+      return new SQLiteAdapter({
+        filename:
+          env.SQLITE_PATH || path.join(process.cwd(), "src/data/comicpad.db")
+      });
+    case "mongo":
+    case "mongodb":
+      return new MongoAdapter({
+        uri: env.MONGODB_URI || "mongodb://localhost:27017/comicpad",
+        dbName: env.MONGODB_DB_NAME
+      });
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}". Use "sqlite" or "mongodb".`);
+  }
+}
+
+export default createStorage();
@@ -0,0 +1,54 @@
+import fs from "fs";
+import path from "path";
+
+export const LEGACY_DATA_FILE = path.join(process.cwd(), "src/data/comicsData.json");
+
+/**
+ * One-time import of the legacy comicsData.json file.
+ * A marker document in `meta` records the import so it never runs twice;
+ * pass { force: true } to re-import (existing ids are overwritten).
+ */
+export async function importLegacyJson(storage, { file = LEGACY_DATA_FILE, force = false } = {}) {
+  const markerId = `import:${path.basename(file)}`;
+
+  if (!fs.existsSync(file)) {
+    return { imported: false, reason: "file not found", file };
+  }
+
+  if (!force && (await storage.findById("meta", markerId))) {
+    return { imported: false, reason: "already imported", file };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8") || "{}");
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+
+  const collections = Array.isArray(data.collections) ? data.collections : [];
+  const comics = Array.isArray(data.comics) ? data.comics : [];
+
+  for (const collection of collections) {
+    if (collection.id) await storage.upsert("collections", collection);
+  }
+  for (const comic of comics) {
+    if (comic.id) await storage.upsert("comics", comic);
+  }
+
+  await storage.upsert("meta", {
+    id: markerId,
+    file,
+    collections: collections.length,
+    comics: comics.length,
+    importedAt: new Date().toISOString()
+  });
+
+  console.log(
+    `📥 Imported ${collections.length} collection(s) and ${comics.length} comic(s) from ${path.basename(file)}`
+  );
+
+  return { imported: true, collections: collections.length, comics: comics.length, file };
+}
+
+export default importLegacyJson;
@@ -0,0 +1,86 @@
+/* -----------------------------------------------------------
+   📜 Schema Migrations
+
+   Declarative and shared by every adapter. Each migration lists
+   the collections it creates and the document fields to index;
+   an index is either a field name or { fields: [...], unique }.
+   Adapters record applied versions, so never edit a shipped
+   migration — append a new one instead.
+----------------------------------------------------------- */
+const migrations = [
+  {
+    version: 1,
+    name: "initial-schema",
+    collections: {
+      meta: {},
+      collections: { indexes: ["creator", "createdAt"] },
+      comics: {
+        indexes: [
+          "collectionId",
+          "creator",
+          "createdAt",
+          { fields: ["tokenId", "serialNumber"] }
+        ]
+      },
+      listings: { indexes: ["comicId", "seller", "status", "createdAt"] },
+      bids: { indexes: ["listingId", "bidder", "createdAt"] }
+    }
+  },
+  {
+    version: 2,
+    name: "listing-lifecycle",
+    collections: {
+      listings: {
+        indexes: ["type", "currency", "price", { fields: ["status", "expiresAt"] }]
+      }
+    }
+  },
+  {
+    version: 3,
+    name: "auction-bids",
+    collections: {
+      bids: { indexes: ["status", { fields: ["listingId", "amount"] }] }
+    }
+  },
+  {
+    version: 4,
+    name: "wallet-auth",
+    collections: {
+      users: { indexes: ["username", "createdAt"] },
+      auth_challenges: { indexes: ["accountId", "expiresAt"] },
+      refresh_tokens: { indexes: ["accountId", "family", "expiresAt"] }
+    }
+  },
+  {
+    version: 5,
+    name: "reader-library",
+    collections: {
+      libraries: { indexes: ["refreshedAt"] },
+      reading_progress: { indexes: ["accountId", "comicId", "lastReadAt"] }
+    }
+  },
+  {
+    version: 6,
+    name: "reader-bookmarks",
+    collections: {
+      bookmarks: { indexes: ["accountId", "comicId", "createdAt"] }
+    }
+  },
+  {
+    version: 7,
+    name: "job-queue",
+    collections: {
+      jobs: { indexes: ["owner", "createdAt", { fields: ["status", "runAt"] }] }
+    }
+  },
+  {
+    version: 8,
+    name: "pin-registry",
+    collections: {
+      pins: { indexes: ["creator", "kind", "status", "verifiedAt", { fields: ["owned", "createdAt"] }] },
+      jobs: { indexes: ["type"] }
+    }
+  }
+];
+
+export default migrations;
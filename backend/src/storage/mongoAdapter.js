@@ -0,0 +1,197 @@
+import { randomUUID } from "crypto";
+import { MongoClient } from "mongodb";
+import {
+  StorageAdapter,
+  FILTER_OPERATORS,
+  assertFieldName,
+  isOperatorObject
+} from "./storageAdapter.js";
+
+/* -----------------------------------------------------------
+   🍃 MongoDB Adapter
+
+   Documents keep their `id` as Mongo's `_id`; it is mapped
+   back to `id` on the way out so callers never see `_id`.
+----------------------------------------------------------- */
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toMongoField = field => (field === "id" ? "_id" : assertFieldName(field));
+
+function translateCondition(condition) {
+  if (!isOperatorObject(condition)) return condition ?? null;
+
+  const translated = {};
+  for (const [op, value] of Object.entries(condition)) {
+    if (!FILTER_OPERATORS.includes(op)) throw new Error(`Unsupported filter operator: ${op}`);
+
+    switch (op) {
+      case "$ieq":
+      case "$has":
+        // Regex on an array field matches any element
+        translated.$regex = `^${escapeRegex(value)}$`;
+        translated.$options = "i";
+        break;
+      case "$contains":
+        translated.$regex = escapeRegex(value);
+        translated.$options = "i";
+        break;
+      default:
+        translated[op] = value;
+    }
+  }
+  return translated;
+}
+
+function translateFilter(filter = {}) {
+  const query = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === "$or") {
+      query.$or = condition.map(translateFilter);
+    } else {
+      query[toMongoField(key)] = translateCondition(condition);
+    }
+  }
+  return query;
+}
+
+function translateSort(sort = {}) {
+  return Object.fromEntries(
+    Object.entries(sort).map(([field, direction]) => [toMongoField(field), direction < 0 ? -1 : 1])
+  );
+}
+
+function fromMongo(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { ...rest, id: _id };
+}
+
+function toMongo(doc) {
+  const { id, ...rest } = doc;
+  return { _id: String(id ?? randomUUID()), ...rest };
+}
+
+export class MongoAdapter extends StorageAdapter {
+  constructor({ uri, dbName }) {
+    super("mongodb");
+    this.uri = uri;
+    this.dbName = dbName;
+    this.client = null;
+    this.db = null;
+  }
+
+  async connect() {
+    this.client = new MongoClient(this.uri);
+    await this.client.connect();
+    this.db = this.client.db(this.dbName);
+    this.isConnected = true;
+    console.log(`✅ MongoDB storage ready (${this.db.databaseName})`);
+    return true;
+  }
+
+  async close() {
+    await this.client?.close();
+    this.client = null;
+    this.db = null;
+    this.isConnected = false;
+  }
+
+  collection(name) {
+    this.assertConnected();
+    return this.db.collection(assertFieldName(name));
+  }
+
+  async getAppliedMigrations() {
+    const applied = await this.collection("schema_migrations").find({}).toArray();
+    return applied.map(m => m._id);
+  }
+
+  async applyMigration(migration) {
+    const existing = await this.db.listCollections({}, { nameOnly: true }).toArray();
+    const existingNames = new Set(existing.map(c => c.name));
+
+    for (const [name, spec] of Object.entries(migration.collections || {})) {
+      if (!existingNames.has(name)) await this.db.createCollection(name);
+
+      for (const index of spec.indexes || []) {
+        const { fields, unique = false } =
+          typeof index === "string" ? { fields: [index] } : index;
+        await this.collection(name).createIndex(
+          Object.fromEntries(fields.map(f => [toMongoField(f), 1])),
+          { unique }
+        );
+      }
+    }
+
+    if (migration.mongo) await migration.mongo(this.db);
+
+    await this.collection("schema_migrations").insertOne({
+      _id: migration.version,
+      name: migration.name,
+      appliedAt: new Date().toISOString()
+    });
+  }
+
+  async findById(collection, id) {
+    return fromMongo(await this.collection(collection).findOne({ _id: String(id) }));
+  }
+
+  async findOne(collection, filter = {}) {
+    return fromMongo(await this.collection(collection).findOne(translateFilter(filter)));
+  }
+
+  async find(collection, filter = {}, { sort, limit, offset = 0 } = {}) {
+    let cursor = this.collection(collection)
+      .find(translateFilter(filter))
+      .sort(translateSort(sort))
+      .skip(offset);
+    if (limit !== undefined) cursor = cursor.limit(limit);
+    return (await cursor.toArray()).map(fromMongo);
+  }
+
+  async count(collection, filter = {}) {
+    return this.collection(collection).countDocuments(translateFilter(filter));
+  }
+
+  async insert(collection, doc) {
+    const record = toMongo(doc);
+    await this.collection(collection).insertOne(record);
+    return fromMongo(record);
+  }
+
+  async upsert(collection, doc) {
+    const record = toMongo(doc);
+    await this.collection(collection).replaceOne({ _id: record._id }, record, { upsert: true });
+    return fromMongo(record);
+  }
+
+  async update(collection, id, changes, { where } = {}) {
+    const { id: _ignored, ...fields } = changes;
+    if (Object.keys(fields).length === 0) {
+      return this.findOne(collection, { ...where, id });
+    }
+
+    const result = await this.collection(collection).findOneAndUpdate(
+      { ...translateFilter(where), _id: String(id) },
+      { $set: fields },
+      { returnDocument: "after" }
+    );
+    return fromMongo(result);
+  }
+
+  async increment(collection, id, field, amount = 1) {
+    const result = await this.collection(collection).findOneAndUpdate(
+      { _id: String(id) },
+      { $inc: { [toMongoField(field)]: amount } },
+      { returnDocument: "after" }
+    );
+    return fromMongo(result);
+  }
+
+  async delete(collection, id) {
+    const result = await this.collection(collection).deleteOne({ _id: String(id) });
+    return result.deletedCount > 0;
+  }
+}
+
+export default MongoAdapter;
@@ -0,0 +1,269 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import Database from "better-sqlite3";
+import {
+  StorageAdapter,
+  FILTER_OPERATORS,
+  assertFieldName,
+  isOperatorObject
+} from "./storageAdapter.js";
+
+/* -----------------------------------------------------------
+   🪶 SQLite Adapter (embedded, default)
+
+   One table per collection: (id TEXT PRIMARY KEY, data JSON).
+   Indexed fields become expression indexes on json_extract().
+----------------------------------------------------------- */
+const quote = name => `"${assertFieldName(name)}"`;
+const fieldExpr = field =>
+  field === "id" ? "id" : `json_extract(data, '$.${assertFieldName(field)}')`;
+
+/** SQLite has no booleans — json_extract() yields 1/0 */
+const toSqlValue = value =>
+  typeof value === "boolean" ? (value ? 1 : 0) : value;
+
+const escapeLike = text => String(text).replace(/[\\%_]/g, c => `\\${c}`);
+
+function compileCondition(field, condition, params) {
+  const expr = fieldExpr(field);
+
+  if (!isOperatorObject(condition)) {
+    if (condition === null || condition === undefined) return `${expr} IS NULL`;
+    params.push(toSqlValue(condition));
+    return `${expr} = ?`;
+  }
+
+  const clauses = Object.entries(condition).map(([op, value]) => {
+    if (!FILTER_OPERATORS.includes(op)) throw new Error(`Unsupported filter operator: ${op}`);
+
+    switch (op) {
+      case "$eq":
+        return compileCondition(field, value, params);
+      case "$ne":
+        if (value === null) return `${expr} IS NOT NULL`;
+        params.push(toSqlValue(value));
+        return `(${expr} IS NULL OR ${expr} != ?)`;
+      case "$gt":
+      case "$gte":
+      case "$lt":
+      case "$lte": {
+        const sqlOp = { $gt: ">", $gte: ">=", $lt: "<", $lte: "<=" }[op];
+        params.push(toSqlValue(value));
+        return `${expr} ${sqlOp} ?`;
+      }
+      case "$in":
+        if (!Array.isArray(value) || value.length === 0) return "0";
+        params.push(...value.map(toSqlValue));
+        return `${expr} IN (${value.map(() => "?").join(", ")})`;
+      case "$ieq":
+        params.push(String(value));
+        return `lower(${expr}) = lower(?)`;
+      case "$contains":
+        params.push(`%${escapeLike(value)}%`);
+        return `${expr} LIKE ? ESCAPE '\\'`;
+      case "$has":
+        params.push(String(value));
+        return `EXISTS (SELECT 1 FROM json_each(data, '$.${assertFieldName(field)}') WHERE lower(json_each.value) = lower(?))`;
+      default:
+        throw new Error(`Unsupported filter operator: ${op}`);
+    }
+  });
+
+  return clauses.length === 1 ? clauses[0] : `(${clauses.join(" AND ")})`;
+}
+
+function compileFilter(filter = {}, params = []) {
+  const clauses = Object.entries(filter).map(([key, condition]) => {
+    if (key === "$or") {
+      if (!Array.isArray(condition) || condition.length === 0) return "0";
+      return `(${condition.map(f => compileFilter(f, params)).join(" OR ")})`;
+    }
+    return compileCondition(key, condition, params);
+  });
+
+  return clauses.length > 0 ? clauses.join(" AND ") : "1";
+}
+
+function compileSort(sort = {}) {
+  const parts = Object.entries(sort).map(
+    ([field, direction]) => `${fieldExpr(field)} ${direction < 0 ? "DESC" : "ASC"}`
+  );
+  return parts.length > 0 ? ` ORDER BY ${parts.join(", ")}` : "";
+}
+
+const parseRow = row => (row ? JSON.parse(row.data) : null);
+
+export class SQLiteAdapter extends StorageAdapter {
+  constructor({ filename }) {
+    super("sqlite");
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async connect() {
+    if (this.filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("busy_timeout = 5000");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    this.isConnected = true;
+    console.log(`✅ SQLite storage ready (${this.filename})`);
+    return true;
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+    this.isConnected = false;
+  }
+
+  async getAppliedMigrations() {
+    this.assertConnected();
+    return this.db
+      .prepare("SELECT version FROM schema_migrations")
+      .all()
+      .map(r => r.version);
+  }
+
+  async applyMigration(migration) {
+    this.assertConnected();
+
+    const run = this.db.transaction(() => {
+      for (const [name, spec] of Object.entries(migration.collections || {})) {
+        this.db.exec(
+          `CREATE TABLE IF NOT EXISTS ${quote(name)} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`
+        );
+
+        for (const index of spec.indexes || []) {
+          const { fields, unique = false } =
+            typeof index === "string" ? { fields: [index] } : index;
+          const indexName = `idx_${name}_${fields.join("_").replace(/\./g, "_")}`;
+          this.db.exec(
+            `CREATE ${unique ? "UNIQUE " : ""}INDEX IF NOT EXISTS ${quote(indexName)} ` +
+              `ON ${quote(name)} (${fields.map(fieldExpr).join(", ")})`
+          );
+        }
+      }
+
+      if (migration.sqlite) migration.sqlite(this.db);
+
+      this.db
+        .prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)")
+        .run(migration.version, migration.name, new Date().toISOString());
+    });
+
+    run();
+  }
+
+  async findById(collection, id) {
+    this.assertConnected();
+    const row = this.db
+      .prepare(`SELECT data FROM ${quote(collection)} WHERE id = ?`)
+      .get(String(id));
+    return parseRow(row);
+  }
+
+  async findOne(collection, filter = {}) {
+    const [doc] = await this.find(collection, filter, { limit: 1 });
+    return doc || null;
+  }
+
+  async find(collection, filter = {}, { sort, limit, offset = 0 } = {}) {
+    this.assertConnected();
+    const params = [];
+    let sql = `SELECT data FROM ${quote(collection)} WHERE ${compileFilter(filter, params)}`;
+    sql += compileSort(sort);
+    if (limit !== undefined) {
+      sql += " LIMIT ? OFFSET ?";
+      params.push(limit, offset);
+    } else if (offset) {
+      sql += " LIMIT -1 OFFSET ?";
+      params.push(offset);
+    }
+    return this.db.prepare(sql).all(...params).map(parseRow);
+  }
+
+  async count(collection, filter = {}) {
+    this.assertConnected();
+    const params = [];
+    const row = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM ${quote(collection)} WHERE ${compileFilter(filter, params)}`)
+      .get(...params);
+    return row.total;
+  }
+
+  async insert(collection, doc) {
+    this.assertConnected();
+    const record = { ...doc, id: String(doc.id ?? randomUUID()) };
+    this.db
+      .prepare(`INSERT INTO ${quote(collection)} (id, data) VALUES (?, ?)`)
+      .run(record.id, JSON.stringify(record));
+    return record;
+  }
+
+  async upsert(collection, doc) {
+    this.assertConnected();
+    const record = { ...doc, id: String(doc.id ?? randomUUID()) };
+    this.db
+      .prepare(
+        `INSERT INTO ${quote(collection)} (id, data) VALUES (?, ?) ` +
+          "ON CONFLICT(id) DO UPDATE SET data = excluded.data"
+      )
+      .run(record.id, JSON.stringify(record));
+    return record;
+  }
+
+  async update(collection, id, changes, { where } = {}) {
+    this.assertConnected();
+
+    const run = this.db.transaction(() => {
+      const params = [String(id)];
+      const condition = where ? ` AND ${compileFilter(where, params)}` : "";
+      const row = this.db
+        .prepare(`SELECT data FROM ${quote(collection)} WHERE id = ?${condition}`)
+        .get(...params);
+      if (!row) return null;
+
+      const updated = { ...JSON.parse(row.data), ...changes, id: String(id) };
+      this.db
+        .prepare(`UPDATE ${quote(collection)} SET data = ? WHERE id = ?`)
+        .run(JSON.stringify(updated), String(id));
+      return updated;
+    });
+
+    return run();
+  }
+
+  async increment(collection, id, field, amount = 1) {
+    this.assertConnected();
+    const expr = fieldExpr(field);
+    this.db
+      .prepare(
+        `UPDATE ${quote(collection)} SET data = json_set(data, '$.${assertFieldName(field)}', ` +
+          `COALESCE(${expr}, 0) + ?) WHERE id = ?`
+      )
+      .run(amount, String(id));
+    return this.findById(collection, id);
+  }
+
+  async delete(collection, id) {
+    this.assertConnected();
+    const result = this.db
+      .prepare(`DELETE FROM ${quote(collection)} WHERE id = ?`)
+      .run(String(id));
+    return result.changes > 0;
+  }
+}
+
+export default SQLiteAdapter;
@@ -0,0 +1,114 @@
+import migrations from "./migrations.js";
+
+/* -----------------------------------------------------------
+   🗄️ Storage Adapter Interface
+
+   Every backend stores plain JSON documents keyed by `id`,
+   grouped into named collections (SQL tables / Mongo collections).
+
+   Filters use a small Mongo-like syntax understood by all adapters:
+     { field: value }                 equality (dotted paths allowed)
+     { field: { $ne | $gt | $gte | $lt | $lte: value } }
+     { field: { $in: [values] } }
+     { field: { $ieq: "text" } }      case-insensitive equality
+     { field: { $contains: "text" } } case-insensitive substring
+     { field: { $has: "value" } }     array field contains value (case-insensitive)
+     { $or: [filter, filter] }
+----------------------------------------------------------- */
+export const FILTER_OPERATORS = [
+  "$eq",
+  "$ne",
+  "$gt",
+  "$gte",
+  "$lt",
+  "$lte",
+  "$in",
+  "$ieq",
+  "$contains",
+  "$has"
+];
+
+export class StorageAdapter {
+  constructor(driver) {
+    this.driver = driver;
+    this.isConnected = false;
+  }
+
+  /** Connect and bring the schema up to date */
+  async initialize() {
+    if (!this.isConnected) await this.connect();
+    const applied = await this.migrate();
+    if (applied.length > 0) {
+      console.log(`✅ Applied ${applied.length} migration(s): ${applied.join(", ")}`);
+    }
+    return true;
+  }
+
+  /** Apply every migration newer than the recorded schema version */
+  async migrate() {
+    const appliedVersions = await this.getAppliedMigrations();
+    const pending = migrations
+      .filter(m => !appliedVersions.includes(m.version))
+      .sort((a, b) => a.version - b.version);
+
+    const applied = [];
+    for (const migration of pending) {
+      await this.applyMigration(migration);
+      applied.push(`${migration.version}-${migration.name}`);
+    }
+    return applied;
+  }
+
+  assertConnected() {
+    if (!this.isConnected) {
+      throw new Error(`Storage (${this.driver}) is not connected`);
+    }
+  }
+
+  /* Adapter contract — implemented by each driver */
+  async connect() { throw new Error("connect() not implemented"); }
+  async close() { throw new Error("close() not implemented"); }
+  async getAppliedMigrations() { throw new Error("getAppliedMigrations() not implemented"); }
+  async applyMigration() { throw new Error("applyMigration() not implemented"); }
+
+  /** Get a document by id, or null */
+  async findById() { throw new Error("findById() not implemented"); }
+  /** Get the first document matching a filter, or null */
+  async findOne() { throw new Error("findOne() not implemented"); }
+  /** List documents: find(collection, filter, { sort: { field: 1|-1 }, limit, offset }) */
+  async find() { throw new Error("find() not implemented"); }
+  async count() { throw new Error("count() not implemented"); }
+  /** Insert a new document (fails if the id already exists) */
+  async insert() { throw new Error("insert() not implemented"); }
+  /** Insert or fully replace a document */
+  async upsert() { throw new Error("upsert() not implemented"); }
+  /**
+   * Shallow-merge `changes` into a document. When `where` is given the
+   * update only applies if the document still matches it (compare-and-set).
+   * Returns the updated document, or null if nothing matched.
+   */
+  async update() { throw new Error("update() not implemented"); }
+  /** Atomically add `amount` to a numeric field; returns the updated document */
+  async increment() { throw new Error("increment() not implemented"); }
+  async delete() { throw new Error("delete() not implemented"); }
+}
+
+/** Field names end up inside SQL / query documents, so keep them boring */
+export function assertFieldName(field) {
+  if (!/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(field)) {
+    throw new Error(`Invalid field name: ${field}`);
+  }
+  return field;
+}
+
+export function isOperatorObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every(k => k.startsWith("$"))
+  );
+}
+
+export default StorageAdapter;
@@ -0,0 +1,13 @@
+/**
+ * Create an Error carrying an HTTP status code.
+ * Routes (and the global error handler in server.js) respond with
+ * `error.status`, falling back to 500 for unexpected errors.
+ */
+export function createError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details !== undefined) error.details = details;
+  return error;
+}
+
+export default createError;
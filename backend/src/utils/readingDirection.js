@@ -0,0 +1,14 @@
+import { createError } from "./errors.js";
+
+/** How an issue's pages are read: left to right, or right to left (manga) */
+export const READING_DIRECTIONS = { LTR: "ltr", RTL: "rtl" };
+
+/** A reading direction from a request; missing means left to right, anything unknown is a 400 */
+export function parseReadingDirection(value) {
+  if (value === undefined || value === null || value === "") return READING_DIRECTIONS.LTR;
+  const direction = String(value).trim().toLowerCase();
+  if (!Object.values(READING_DIRECTIONS).includes(direction)) {
+    throw createError(400, `readingDirection must be "ltr" or "rtl"`);
+  }
+  return direction;
+}
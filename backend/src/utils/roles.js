@@ -0,0 +1,52 @@
+/* -----------------------------------------------------------
+   🛡️ Roles & Permissions
+
+   Accounts hold one or more roles; routes check permissions,
+   never role names, so a role can be widened without touching
+   the guards.
+----------------------------------------------------------- */
+export const ROLES = {
+  COLLECTOR: "collector",
+  CREATOR: "creator",
+  MODERATOR: "moderator",
+  ADMIN: "admin"
+};
+
+export const PERMISSIONS = {
+  TRADE: "marketplace:trade",
+  CREATE_COLLECTION: "collections:create",
+  PUBLISH_COMICS: "comics:publish",
+  MODERATE_COMICS: "comics:moderate",
+  MODERATE_LISTINGS: "listings:moderate",
+  VIEW_USERS: "users:read",
+  MANAGE_ROLES: "roles:manage",
+  MANAGE_SETTINGS: "settings:manage",
+  MANAGE_STORAGE: "storage:manage"
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.COLLECTOR]: [PERMISSIONS.TRADE],
+  [ROLES.CREATOR]: [PERMISSIONS.TRADE, PERMISSIONS.CREATE_COLLECTION, PERMISSIONS.PUBLISH_COMICS],
+  [ROLES.MODERATOR]: [PERMISSIONS.MODERATE_LISTINGS, PERMISSIONS.VIEW_USERS],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+/** Roles every new account starts with */
+export const DEFAULT_ROLES = [ROLES.COLLECTOR];
+
+export function isValidRole(role) {
+  return Object.values(ROLES).includes(role);
+}
+
+export function permissionsFor(roles = []) {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+}
+
+export function hasPermission(roles, permission) {
+  return permissionsFor(roles).includes(permission);
+}
+
+/** Role → permissions table, for the admin API */
+export function describeRoles() {
+  return Object.values(ROLES).map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }));
+}
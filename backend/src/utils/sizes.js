@@ -0,0 +1,19 @@
+const UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+
+/** "50MB", "512kb", "1048576" → bytes */
+export function parseSize(value, fallback = 0) {
+  const match = String(value ?? "").trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+  if (!match) return fallback;
+  return Math.round(Number(match[1]) * UNITS[match[2] || "B"]);
+}
+
+/** Bytes → "50MB" (whole units where possible) */
+export function formatSize(bytes) {
+  for (const unit of ["GB", "MB", "KB"]) {
+    if (bytes >= UNITS[unit]) return `${+(bytes / UNITS[unit]).toFixed(1)}${unit}`;
+  }
+  return `${bytes}B`;
+}
+
+/** Largest single file the API accepts (MAX_FILE_SIZE, default 50MB) */
+export const maxFileSize = () => parseSize(process.env.MAX_FILE_SIZE, 50 * UNITS.MB) || 50 * UNITS.MB;
@@ -0,0 +1,184 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PrivateKey } from "@hashgraph/sdk";
+
+// Point storage at a throwaway database before the services load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-auth-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.JWT_SECRET = "test-secret";
+
+const { default: storage } = await import("../src/storage/index.js");
+const { default: hederaService } = await import("../src/services/hederaService.js");
+const { default: authService } = await import("../src/services/authService.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function expectError(promise, status) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.status === status;
+  }
+}
+
+const sign = (key, message) => Buffer.from(key.sign(Buffer.from(message, "utf8"))).toString("hex");
+
+async function runTests() {
+  console.log("\n🧪 Wallet Auth Tests\n");
+  hederaService.demoMode = true;
+
+  try {
+    await storage.initialize();
+
+    const accountId = "0.0.4242";
+    const key = PrivateKey.generateED25519();
+    const publicKey = key.publicKey.toString();
+
+    logTest("Rejects malformed account IDs", await expectError(authService.createChallenge("alice"), 400));
+
+    // Wrong key
+    const forged = await authService.createChallenge(accountId);
+    logTest(
+      "Rejects a signature from another key",
+      await expectError(
+        authService.login({
+          accountId,
+          nonce: forged.nonce,
+          signature: sign(PrivateKey.generateED25519(), forged.message),
+          publicKey
+        }),
+        401
+      )
+    );
+    logTest(
+      "Challenge is consumed by a failed attempt",
+      await expectError(
+        authService.login({ accountId, nonce: forged.nonce, signature: sign(key, forged.message), publicKey }),
+        401
+      )
+    );
+
+    // Happy path; a challenge requested by someone else meanwhile must not cancel it
+    const challenge = await authService.createChallenge(accountId);
+    await authService.createChallenge(accountId);
+    const session = await authService.login({
+      accountId,
+      nonce: challenge.nonce,
+      signature: sign(key, challenge.message),
+      publicKey
+    });
+    const caller = authService.verifyAccessToken(session.token);
+    logTest(
+      "Valid signature issues a session",
+      caller.accountId === accountId && session.user.accountId === accountId && !!session.refreshToken
+    );
+
+    logTest(
+      "Nonce cannot be replayed",
+      await expectError(
+        authService.login({
+          accountId,
+          nonce: challenge.nonce,
+          signature: sign(key, challenge.message),
+          publicKey
+        }),
+        401
+      )
+    );
+
+    // Expired challenges are swept when a new one is issued
+    const stale = await authService.createChallenge("0.0.4444");
+    await storage.update("auth_challenges", stale.nonce, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    await authService.createChallenge("0.0.4445");
+    logTest("Expired challenges are purged", !(await storage.findById("auth_challenges", stale.nonce)));
+
+    // Demo mode pins the key from the first sign-in
+    const takeover = await authService.createChallenge(accountId);
+    const otherKey = PrivateKey.generateED25519();
+    logTest(
+      "Later sign-ins must use the first sign-in's key",
+      await expectError(
+        authService.login({
+          accountId,
+          nonce: takeover.nonce,
+          signature: sign(otherKey, takeover.message),
+          publicKey: otherKey.publicKey.toString()
+        }),
+        401
+      )
+    );
+
+    hederaService.demoFallback = true;
+    const fallback = await authService.createChallenge("0.0.4343");
+    logTest(
+      "Sign-in is refused when demo mode is only a fallback",
+      await expectError(
+        authService.login({
+          accountId: "0.0.4343",
+          nonce: fallback.nonce,
+          signature: sign(key, fallback.message),
+          publicKey
+        }),
+        503
+      )
+    );
+    hederaService.demoFallback = false;
+
+    // Wallet-prefixed messages (HashPack / WalletConnect)
+    const prefixed = await authService.createChallenge(accountId);
+    const walletMessage = `\x19Hedera Signed Message:\n${prefixed.message.length}${prefixed.message}`;
+    const walletSession = await authService.login({
+      accountId,
+      nonce: prefixed.nonce,
+      signature: Buffer.from(key.sign(Buffer.from(walletMessage, "utf8"))).toString("base64"),
+      publicKey
+    });
+    logTest("Accepts wallet-prefixed base64 signatures", !!walletSession.token);
+
+    logTest("Rejects a tampered access token", (() => {
+      try {
+        authService.verifyAccessToken(`${session.token}x`);
+        return false;
+      } catch (error) {
+        return error.status === 401;
+      }
+    })());
+
+    // Refresh rotation + reuse detection
+    const rotated = await authService.refresh(session.refreshToken);
+    logTest("Refresh rotates the token", rotated.refreshToken !== session.refreshToken && !!rotated.token);
+
+    logTest("Reusing a rotated refresh token fails", await expectError(authService.refresh(session.refreshToken), 401));
+    logTest(
+      "Reuse revokes the whole session",
+      await expectError(authService.refresh(rotated.refreshToken), 401)
+    );
+
+    const profile = await authService.updateProfile(accountId, { username: "inkslinger", roles: ["admin"] });
+    logTest("Profile update ignores protected fields", profile.username === "inkslinger" && profile.roles.join() === "collector");
+  } catch (error) {
+    logTest("Auth suite", false, error.stack);
+  } finally {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,126 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { readZip } from "./fixtures/comicArchives.js";
+
+// Local content store in a temp dir
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-cbz-"));
+process.env.IPFS_PROVIDER = "local";
+process.env.LOCAL_IPFS_DIR = path.join(tmpDir, "ipfs");
+
+const { default: ipfsService } = await import("../src/services/ipfsService.js");
+const { buildComicInfoXml, parseComicInfoXml, pageFileName } = await import("../src/formats/cbz.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function runTests() {
+  console.log("\n🧪 CBZ Archive Tests\n");
+
+  try {
+    await ipfsService.initialize();
+
+    logTest("Zero-pads page names", pageFileName(0, 12) === "001.jpg" && pageFileName(1233, 1500) === "1234.jpg");
+
+    const xml = buildComicInfoXml({ name: "Ink & Ash", series: "Ink", issueNumber: 3, publicationDate: "2025-02-14" });
+    logTest(
+      "ComicInfo.xml escapes text and splits the date",
+      xml.includes("<Title>Ink &amp; Ash</Title>") && xml.includes("<Year>2025</Year>") && xml.includes("<Month>2</Month>")
+    );
+
+    const spreadXml = buildComicInfoXml({ name: "Wide" }, [
+      { width: 600, height: 900 },
+      { width: 1800, height: 900 }
+    ]);
+    logTest(
+      "Wide pages are marked as double-page spreads",
+      spreadXml.includes('<Page Image="0" Type="FrontCover" ImageWidth="600" ImageHeight="900" />') &&
+        spreadXml.includes('<Page Image="1" ImageWidth="1800" ImageHeight="900" DoublePage="true" />'),
+      spreadXml
+    );
+
+    const mangaXml = buildComicInfoXml({ name: "Tsuki", language: "ja", readingDirection: "rtl", ageRating: "Teen" });
+    logTest(
+      "Right-to-left issues are marked as manga, and read back as such",
+      /<LanguageISO>ja<\/LanguageISO>\n  <Manga>YesAndRightToLeft<\/Manga>\n  <AgeRating>/.test(mangaXml) &&
+        !xml.includes("<Manga>") &&
+        parseComicInfoXml(mangaXml).readingDirection === "rtl" &&
+        parseComicInfoXml(xml).readingDirection === "ltr",
+      mangaXml
+    );
+
+    // Three distinguishable pages
+    const colors = ["#c0392b", "#27ae60", "#2980b9"];
+    const pageFiles = [];
+    for (const [index, color] of colors.entries()) {
+      const file = path.join(tmpDir, `page-${index + 1}.png`);
+      await sharp({ create: { width: 600, height: 900, channels: 3, background: color } }).png().toFile(file);
+      pageFiles.push(file);
+    }
+
+    const result = await ipfsService.uploadComicPages(pageFiles, {
+      name: "Ink #1",
+      series: "Ink",
+      issueNumber: 1,
+      description: "The first issue",
+      genres: ["Noir", "Drama"],
+      writers: ["A. Writer"],
+      artists: ["P. Artist"],
+      publicationDate: "2025-01-05"
+    });
+
+    const entries = readZip(await ipfsService.retrieveFromIPFS(result.cbz.hash));
+    const names = entries.map(entry => entry.name);
+    logTest(
+      "Archive holds zero-padded pages then ComicInfo.xml",
+      names.join() === "001.jpg,002.jpg,003.jpg,ComicInfo.xml",
+      names.join()
+    );
+
+    const firstPage = await sharp(entries[0].data).metadata();
+    const { dominant } = await sharp(entries[1].data).stats();
+    logTest(
+      "Pages are the real print renditions",
+      firstPage.format === "jpeg" && firstPage.width === 600 && dominant.g > dominant.r && dominant.g > dominant.b,
+      JSON.stringify({ format: firstPage.format, width: firstPage.width, dominant })
+    );
+    logTest("Page images are stored, not re-compressed", entries.slice(0, 3).every(entry => entry.method === 0));
+
+    const comicInfo = entries[3].data.toString("utf8");
+    logTest(
+      "ComicInfo.xml describes the issue",
+      comicInfo.includes("<Series>Ink</Series>") &&
+        comicInfo.includes("<Number>1</Number>") &&
+        comicInfo.includes("<Writer>A. Writer</Writer>") &&
+        comicInfo.includes("<Penciller>P. Artist</Penciller>") &&
+        comicInfo.includes("<Genre>Noir, Drama</Genre>") &&
+        comicInfo.includes("<PageCount>3</PageCount>") &&
+        comicInfo.includes('<Page Image="0" Type="FrontCover"') &&
+        comicInfo.includes('ImageWidth="600" ImageHeight="900"')
+    );
+
+    const leftovers = fs.readdirSync(os.tmpdir()).filter(name => /^comicpad-.*\.(cbz|epub|pdf)$/.test(name));
+    logTest("Temporary archives are removed", leftovers.length === 0, leftovers.join());
+  } catch (error) {
+    logTest("CBZ suite", false, error.stack);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,154 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { readZip } from "./fixtures/comicArchives.js";
+
+// Local content store in a temp dir
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-export-"));
+process.env.IPFS_PROVIDER = "local";
+process.env.LOCAL_IPFS_DIR = path.join(tmpDir, "ipfs");
+
+const { default: ipfsService } = await import("../src/services/ipfsService.js");
+const { EPUBWriter } = await import("../src/formats/epub.js");
+const { readPdfInfo, rasterizePdf } = await import("../src/formats/pdf.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function runTests() {
+  console.log("\n🧪 EPUB & PDF Export Tests\n");
+
+  try {
+    await ipfsService.initialize();
+
+    const colors = ["#c0392b", "#27ae60", "#2980b9"];
+    const pageFiles = [];
+    for (const [index, color] of colors.entries()) {
+      const file = path.join(tmpDir, `page-${index + 1}.png`);
+      await sharp({ create: { width: 600, height: 900, channels: 3, background: color } }).png().toFile(file);
+      pageFiles.push(file);
+    }
+
+    const result = await ipfsService.uploadComicPages(pageFiles, {
+      name: "Ink & Ash #2",
+      series: "Ink",
+      issueNumber: 2,
+      description: "The second issue",
+      writers: ["A. Writer"],
+      artists: ["P. Artist"],
+      genres: ["Noir"],
+      publicationDate: "2025-02-01",
+      identifier: "urn:comicpad:0.0.9001:2"
+    });
+
+    logTest(
+      "Every export is stored with its media type",
+      result.cbz.mediaType === "application/vnd.comicbook+zip" &&
+        result.epub.mediaType === "application/epub+zip" &&
+        result.pdf.mediaType === "application/pdf" &&
+        [result.cbz, result.epub, result.pdf].every(item => item.hash && item.url.endsWith(item.hash)),
+      JSON.stringify({ cbz: result.cbz, epub: result.epub, pdf: result.pdf })
+    );
+
+    // EPUB: container layout
+    const entries = readZip(await ipfsService.retrieveFromIPFS(result.epub.hash));
+    const entry = name => entries.find(candidate => candidate.name === name)?.data.toString("utf8");
+    logTest(
+      "EPUB starts with an uncompressed mimetype",
+      entries[0].name === "mimetype" && entries[0].method === 0 && entries[0].data.toString() === "application/epub+zip"
+    );
+    logTest(
+      "EPUB container points at the package",
+      entry("META-INF/container.xml").includes('full-path="OEBPS/package.opf"')
+    );
+
+    const opf = entry("OEBPS/package.opf");
+    logTest(
+      "Package is fixed-layout with cover and reading direction",
+      opf.includes('<meta property="rendition:layout">pre-paginated</meta>') &&
+        opf.includes('href="images/001.jpg" media-type="image/jpeg" properties="cover-image"') &&
+        opf.includes('<spine page-progression-direction="ltr">') &&
+        opf.includes("<dc:title>Ink &amp; Ash #2</dc:title>") &&
+        opf.includes("urn:comicpad:0.0.9001:2") &&
+        opf.includes('property="role" scheme="marc:relators">aut</meta>') &&
+        /<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/.test(opf),
+      opf
+    );
+
+    const nav = entry("OEBPS/nav.xhtml");
+    logTest(
+      "Navigation lists the cover and every page",
+      nav.includes('epub:type="toc"') && nav.includes('href="pages/001.xhtml">Cover</a>') && (nav.match(/<li>/g) || []).length === 2 + 3 + 2,
+      nav
+    );
+
+    const firstPage = entry("OEBPS/pages/001.xhtml");
+    logTest(
+      "Pages are sized to their image",
+      firstPage.includes('content="width=600, height=900"') && entries.some(e => e.name === "OEBPS/images/003.jpg" && e.method === 0)
+    );
+
+    // Right-to-left books flip the spine
+    const rtlFile = path.join(tmpDir, "rtl.epub");
+    const rtl = new EPUBWriter(rtlFile, { name: "Manga", readingDirection: "rtl" }, { totalPages: 3 });
+    await rtl.addPage(await fs.promises.readFile(pageFiles[0]), { width: 600, height: 900, extension: "png" });
+    await rtl.addPage(await fs.promises.readFile(pageFiles[1]), { width: 600, height: 900, extension: "png" });
+    await rtl.addPage(await fs.promises.readFile(pageFiles[2]), { width: 1800, height: 900, extension: "png" });
+    await rtl.finalize();
+    const rtlOpf = readZip(fs.readFileSync(rtlFile)).find(e => e.name === "OEBPS/package.opf").data.toString();
+    logTest("Right-to-left books set page-progression-direction", rtlOpf.includes('page-progression-direction="rtl"'));
+    logTest(
+      "The cover and double-page spreads stand alone in the spine",
+      rtlOpf.includes('<itemref idref="page-001" properties="rendition:page-spread-center" />') &&
+        rtlOpf.includes('<itemref idref="page-002" />') &&
+        rtlOpf.includes('<itemref idref="page-003" properties="rendition:page-spread-center" />'),
+      rtlOpf
+    );
+
+    // PDF: readable by a real PDF engine, pages in order at print size
+    const pdfFile = path.join(tmpDir, "issue.pdf");
+    fs.writeFileSync(pdfFile, await ipfsService.retrieveFromIPFS(result.pdf.hash));
+    const info = await readPdfInfo(pdfFile);
+    logTest(
+      "PDF has every page and the issue's details",
+      info.pageCount === 3 && info.title === "Ink & Ash #2" && info.author === "A. Writer, P. Artist",
+      JSON.stringify(info)
+    );
+
+    const rendered = [];
+    for await (const page of rasterizePdf(pdfFile, { dpi: 300 })) {
+      const { dominant } = await sharp(page.buffer).stats();
+      rendered.push({ width: page.width, height: page.height, dominant });
+    }
+    const [red, green, blue] = rendered.map(({ dominant: { r, g, b } }) => ({ r, g, b }));
+    logTest(
+      "PDF pages render the print renditions in order",
+      rendered[0].width === 600 && rendered[0].height === 900 && red.r > red.g && green.g > green.r && blue.b > blue.r,
+      JSON.stringify(rendered)
+    );
+
+    const leftovers = fs.readdirSync(os.tmpdir()).filter(name => /^comicpad-.*\.(cbz|epub|pdf)$/.test(name));
+    logTest("Temporary exports are removed", leftovers.length === 0, leftovers.join());
+  } catch (error) {
+    logTest("Export suite", false, error.stack);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,119 @@
+import fs from "fs";
+import zlib from "zlib";
+import archiver from "archiver";
+
+/**
+ * Builders for the archive formats Creator Studio imports. Each
+ * takes `[{ name, data }]` (or page colours for PDFs) and writes a
+ * real file that the production readers must parse. readZip()
+ * goes the other way, for checking the archives we export.
+ */
+export async function writeZip(file, entries) {
+  const archive = archiver("zip");
+  const output = fs.createWriteStream(file);
+  const closed = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    archive.on("error", reject);
+  });
+  archive.pipe(output);
+  for (const { name, data } of entries) archive.append(data, { name });
+  await archive.finalize();
+  await closed;
+  return file;
+}
+
+/** RAR 4.x archive with every file stored (method 0x30, no compression) */
+export async function writeRar(file, entries) {
+  const block = (type, flags, body, extra = Buffer.alloc(0)) => {
+    const header = Buffer.alloc(7 + body.length);
+    header.writeUInt8(type, 2);
+    header.writeUInt16LE(flags, 3);
+    header.writeUInt16LE(header.length, 5);
+    body.copy(header, 7);
+    header.writeUInt16LE(zlib.crc32(header.subarray(2)) & 0xffff, 0);
+    return Buffer.concat([header, extra]);
+  };
+
+  const parts = [Buffer.from("Rar!\x1a\x07\x00", "latin1"), block(0x73, 0, Buffer.alloc(6))];
+
+  for (const { name, data } of entries) {
+    const fileName = Buffer.from(name, "utf8");
+    const body = Buffer.alloc(25 + fileName.length);
+    body.writeUInt32LE(data.length, 0); // packed size
+    body.writeUInt32LE(data.length, 4); // unpacked size
+    body.writeUInt8(2, 8); // host OS: Windows
+    body.writeUInt32LE(zlib.crc32(data) >>> 0, 9);
+    body.writeUInt32LE(0x5a210000, 13); // DOS timestamp
+    body.writeUInt8(20, 17); // version needed: 2.0
+    body.writeUInt8(0x30, 18); // method: store
+    body.writeUInt16LE(fileName.length, 19);
+    body.writeUInt32LE(0x20, 21); // archive attribute
+    fileName.copy(body, 25);
+    parts.push(block(0x74, 0x8000, body, data));
+  }
+
+  parts.push(block(0x7b, 0x4000, Buffer.alloc(0)));
+  await fs.promises.writeFile(file, Buffer.concat(parts));
+  return file;
+}
+
+/** PDF whose pages are solid rectangles of the given RGB colours (0–1) */
+export async function writePdf(file, pages, { title, author, width = 300, height = 450 } = {}) {
+  const objects = [];
+  const add = body => objects.push(body); // 1-based object number
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const info = add(
+    `<< ${title ? `/Title (${title})` : ""} ${author ? `/Author (${author})` : ""} >>`
+  );
+
+  const kids = pages.map(([r, g, b]) => {
+    const content = `${r} ${g} ${b} rg 0 0 ${width} ${height} re f`;
+    const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${width} ${height}] /Contents ${stream} 0 R >>`);
+  });
+
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+  let body = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = body.length;
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  body += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  await fs.promises.writeFile(file, body, "latin1");
+  return file;
+}
+
+/** Read every entry of a zip via its central directory */
+export function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries.push({ name, method, data: method === 0 ? raw : zlib.inflateRawSync(raw) });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
@@ -0,0 +1,67 @@
+import http from "http";
+import { computeCid, rawCid } from "../../src/ipfs/cid.js";
+
+/**
+ * Minimal stand-in for a Kubo node's RPC API (/api/v0/add, cat,
+ * pin/add, pin/ls, version). Blobs are kept in memory. Set
+ * `failing = true` to make every call return 500, `misreport = true`
+ * to answer adds with the wrong CID, or `corrupt = true` to serve
+ * altered bytes from cat.
+ */
+export async function startKuboFixture() {
+  const blobs = new Map();
+  const fixture = { failing: false, misreport: false, corrupt: false, blobs };
+
+  const readBody = req =>
+    new Promise(resolve => {
+      const chunks = [];
+      req.on("data", chunk => chunks.push(chunk));
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+    });
+
+  /** First file part of a multipart/form-data body */
+  const firstPart = (body, contentType) => {
+    const boundary = Buffer.from(`--${contentType.split("boundary=")[1]}`);
+    const start = body.indexOf("\r\n\r\n", body.indexOf(boundary)) + 4;
+    const end = body.indexOf(Buffer.concat([Buffer.from("\r\n"), boundary]), start);
+    return body.subarray(start, end);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://fixture");
+    const body = await readBody(req);
+    const send = (status, payload) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (fixture.failing) return send(500, { Message: "node is failing", Code: 0 });
+
+    const arg = url.searchParams.get("arg");
+    switch (url.pathname) {
+      case "/api/v0/version":
+        return send(200, { Version: "0.0.0-fixture" });
+      case "/api/v0/add": {
+        const content = firstPart(body, req.headers["content-type"]);
+        const cid = await computeCid(content);
+        blobs.set(cid, content);
+        const reported = fixture.misreport ? rawCid(Buffer.concat([content, Buffer.from("!")])) : cid;
+        return send(200, { Name: "file", Hash: reported, Size: String(content.length) });
+      }
+      case "/api/v0/cat":
+        if (!blobs.has(arg)) return send(500, { Message: "not found" });
+        res.writeHead(200, { "Content-Type": "application/octet-stream" });
+        return res.end(fixture.corrupt ? Buffer.concat([blobs.get(arg), Buffer.from("!")]) : blobs.get(arg));
+      case "/api/v0/pin/add":
+      case "/api/v0/pin/ls":
+        return blobs.has(arg) ? send(200, { Keys: { [arg]: { Type: "recursive" } } }) : send(500, { Message: "not pinned" });
+      default:
+        return send(404, { Message: "unknown command" });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  fixture.url = `http://127.0.0.1:${server.address().port}`;
+  fixture.close = () => new Promise(resolve => server.close(resolve));
+  return fixture;
+}
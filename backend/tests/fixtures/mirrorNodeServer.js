@@ -0,0 +1,87 @@
+import http from "http";
+
+/**
+ * Minimal stand-in for the Hedera mirror node REST API.
+ * Serves NFTs, per-serial transactions, token info and HBAR
+ * allowances (`{ owner, spender, amount }`) from memory,
+ * paginates with `links.next` like the real service, and can be
+ * told to fail upcoming requests to exercise retries.
+ */
+export async function startMirrorNodeFixture({
+  nfts = [],
+  tokens = {},
+  transactions = {},
+  allowances = [],
+  pageSize = 2
+} = {}) {
+  const failures = [];
+  const requests = [];
+
+  const page = (items, url, key) => {
+    const limit = Math.min(Number(url.searchParams.get("limit")) || pageSize, pageSize);
+    const offset = Number(url.searchParams.get("offset")) || 0;
+    const slice = items.slice(offset, offset + limit);
+
+    let next = null;
+    if (offset + limit < items.length) {
+      const nextUrl = new URL(url);
+      nextUrl.searchParams.set("offset", offset + limit);
+      next = `${nextUrl.pathname}${nextUrl.search}`;
+    }
+    return { [key]: slice, links: { next } };
+  };
+
+  const routes = [
+    [/^\/api\/v1\/accounts\/([\d.]+)\/nfts$/, ([accountId], url) => {
+      const tokenId = url.searchParams.get("token.id");
+      const owned = nfts.filter(nft => nft.account_id === accountId && (!tokenId || nft.token_id === tokenId));
+      return page(owned, url, "nfts");
+    }],
+    [/^\/api\/v1\/accounts\/([\d.]+)\/allowances\/crypto$/, ([accountId], url) => {
+      const spender = url.searchParams.get("spender.id");
+      const granted = allowances
+        .filter(a => a.owner === accountId && (!spender || a.spender === spender))
+        .map(a => ({ owner: a.owner, spender: a.spender, amount: a.amount, amount_granted: a.amount }));
+      return page(granted, url, "allowances");
+    }],
+    [/^\/api\/v1\/tokens\/([\d.]+)\/nfts\/(\d+)\/transactions$/, ([tokenId, serial], url) =>
+      page(transactions[`${tokenId}:${serial}`] || [], url, "transactions")],
+    [/^\/api\/v1\/tokens\/([\d.]+)\/nfts\/(\d+)$/, ([tokenId, serial]) =>
+      nfts.find(nft => nft.token_id === tokenId && nft.serial_number === Number(serial))],
+    [/^\/api\/v1\/tokens\/([\d.]+)$/, ([tokenId]) => tokens[tokenId]]
+  ];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://fixture");
+    requests.push(`${url.pathname}${url.search}`);
+
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    const failure = failures.shift();
+    if (failure) return send(failure.status, { _status: { messages: [{ message: "Injected failure" }] } }, failure.headers);
+
+    for (const [pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+      const body = handler(match.slice(1), url);
+      return body ? send(200, body) : send(404, { _status: { messages: [{ message: "Not found" }] } });
+    }
+    send(404, { _status: { messages: [{ message: "Not found" }] } });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    nfts,
+    requests,
+    /** Make the next `count` requests fail with `status` */
+    failNext(count, status = 503, headers = {}) {
+      for (let i = 0; i < count; i++) failures.push({ status, headers });
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
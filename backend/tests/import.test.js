@@ -0,0 +1,181 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import sharp from "sharp";
+import { writeZip, writeRar, writePdf } from "./fixtures/comicArchives.js";
+
+// Throwaway database and staging dir before the services load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-import-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.JWT_SECRET = "test-secret";
+process.env.IMPORT_DIR = path.join(tmpDir, "imports");
+process.env.IMPORT_PDF_DPI = "72";
+
+const { default: storage } = await import("../src/storage/index.js");
+const { default: authService } = await import("../src/services/authService.js");
+const { default: importService } = await import("../src/services/importService.js");
+const { default: importRoutes } = await import("../src/routes/imports.js");
+const { parseComicInfoXml, buildComicInfoXml } = await import("../src/formats/cbz.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function signIn(accountId, roles) {
+  const user = await storage.insert("users", { id: accountId, accountId, roles });
+  const { token } = await authService.issueTokens(user);
+  return { Authorization: `Bearer ${token}` };
+}
+
+const page = color => sharp({ create: { width: 120, height: 180, channels: 3, background: color } }).png().toBuffer();
+
+async function dominant(buffer) {
+  const { dominant: { r, g, b } } = await sharp(buffer).stats();
+  return r > g && r > b ? "red" : g > r && g > b ? "green" : "blue";
+}
+
+async function runTests() {
+  console.log("\n🧪 Archive Import Tests\n");
+
+  try {
+    await storage.initialize();
+    const app = express();
+    app.use(express.json());
+    app.use("/api/comics/import", importRoutes);
+
+    const creator = await signIn("0.0.8101", ["creator"]);
+    const other = await signIn("0.0.8102", ["creator"]);
+    const collector = await signIn("0.0.8103", ["collector"]);
+
+    const comicInfo = buildComicInfoXml({
+      name: "Ink & Ash",
+      series: "Ink",
+      issueNumber: 7,
+      description: "Rain over the harbour",
+      writers: ["A. Writer", "B. Writer"],
+      pencillers: ["P. Artist"],
+      inkers: ["I. Inker"],
+      publicationDate: "2025-03-09"
+    });
+    const parsed = parseComicInfoXml(comicInfo);
+    logTest(
+      "ComicInfo.xml round-trips",
+      parsed.title === "Ink & Ash" &&
+        parsed.issueNumber === "7" &&
+        parsed.writers.join() === "A. Writer,B. Writer" &&
+        parsed.artists.join() === "P. Artist,I. Inker" &&
+        parsed.publicationDate.startsWith("2025-03-09"),
+      JSON.stringify(parsed)
+    );
+
+    // Pages deliberately out of lexical order, plus junk a reader must skip
+    const [red, green, blue] = await Promise.all(["#d00000", "#00c000", "#0000e0"].map(page));
+    const entries = [
+      { name: "Ink 07/page10.png", data: blue },
+      { name: "Ink 07/page2.png", data: green },
+      { name: "Ink 07/page1.png", data: red },
+      { name: "__MACOSX/Ink 07/._page1.png", data: Buffer.from("resource fork") },
+      { name: "Ink 07/Thumbs.db", data: Buffer.from("junk") },
+      { name: "ComicInfo.xml", data: Buffer.from(comicInfo) }
+    ];
+
+    const cbz = await writeZip(path.join(tmpDir, "ink-07.cbz"), entries);
+    const anonymous = await request(app).post("/api/comics/import").attach("archive", cbz);
+    const forbidden = await request(app).post("/api/comics/import").set(collector).attach("archive", cbz);
+    logTest("Importing requires a creator", anonymous.status === 401 && forbidden.status === 403);
+
+    const imported = await request(app).post("/api/comics/import").set(creator).attach("archive", cbz);
+    const manifest = imported.body.data;
+    logTest(
+      "CBZ pages are extracted in natural order",
+      imported.status === 201 &&
+        manifest.format === "cbz" &&
+        manifest.pages.map(p => p.source).join() === "Ink 07/page1.png,Ink 07/page2.png,Ink 07/page10.png",
+      JSON.stringify(imported.body)
+    );
+    logTest(
+      "ComicInfo.xml prefills title, number and credits",
+      manifest.hasComicInfo && manifest.metadata.title === "Ink & Ash" && manifest.metadata.issueNumber === "7" &&
+        manifest.metadata.writers.length === 2
+    );
+
+    const colors = [];
+    for (const { index } of manifest.pages) {
+      const response = await request(app)
+        .get(`/api/comics/import/${manifest.id}/pages/${index}`)
+        .set(creator)
+        .buffer(true)
+        .parse((res, done) => {
+          const chunks = [];
+          res.on("data", chunk => chunks.push(chunk));
+          res.on("end", () => done(null, Buffer.concat(chunks)));
+        });
+      colors.push(await dominant(response.body));
+    }
+    logTest("Staged pages are served in reading order", colors.join() === "red,green,blue", colors.join());
+
+    const peek = await request(app).get(`/api/comics/import/${manifest.id}`).set(other);
+    logTest("Other accounts can't see an import", peek.status === 404);
+
+    // Same pages as a CBR, no ComicInfo
+    const cbr = await writeRar(path.join(tmpDir, "ink-07.cbr"), entries.slice(0, 3));
+    const rar = await request(app).post("/api/comics/import").set(creator).attach("archive", cbr);
+    logTest(
+      "CBR archives are extracted",
+      rar.status === 201 && rar.body.data.format === "cbr" && rar.body.data.pages.length === 3 && !rar.body.data.hasComicInfo,
+      JSON.stringify(rar.body)
+    );
+
+    // PDFs are rasterized, and the info dictionary fills what it can
+    const pdf = await writePdf(path.join(tmpDir, "ink-07.pdf"), [[0, 0, 1], [1, 0, 0]], { title: "Ink PDF", author: "A. Writer" });
+    const rendered = await request(app).post("/api/comics/import").set(creator).attach("archive", pdf);
+    const pdfPages = rendered.body.data?.pages || [];
+    const firstPdfPage = await fs.promises.readFile(
+      await importService.getPagePath(rendered.body.data?.id, 0, "0.0.8101")
+    );
+    logTest(
+      "PDF pages are rasterized",
+      rendered.status === 201 &&
+        pdfPages.length === 2 &&
+        pdfPages[0].width === 300 &&
+        pdfPages[0].height === 450 &&
+        (await dominant(firstPdfPage)) === "blue" &&
+        rendered.body.data.metadata.title === "Ink PDF",
+      JSON.stringify(rendered.body)
+    );
+
+    // A renamed text file is rejected by its contents, not its name
+    const fake = path.join(tmpDir, "fake.cbz");
+    fs.writeFileSync(fake, "not an archive");
+    const rejected = await request(app).post("/api/comics/import").set(creator).attach("archive", fake);
+    logTest("Files that aren't archives are rejected", rejected.status === 415, JSON.stringify(rejected.body));
+
+    const discarded = await request(app).delete(`/api/comics/import/${manifest.id}`).set(creator);
+    const gone = await request(app).get(`/api/comics/import/${manifest.id}`).set(creator);
+    logTest(
+      "Discarding removes the staged pages",
+      discarded.status === 200 && gone.status === 404 && !fs.existsSync(path.join(process.env.IMPORT_DIR, manifest.id))
+    );
+  } catch (error) {
+    logTest("Import suite", false, error.stack);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,136 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { startKuboFixture } from "./fixtures/kuboServer.js";
+
+// Kubo primary with the local store as fallback, all in a temp dir
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-ipfs-"));
+const kubo = await startKuboFixture();
+process.env.IPFS_PROVIDER = "kubo";
+process.env.IPFS_FALLBACK_PROVIDER = "local";
+process.env.KUBO_API_URL = kubo.url;
+process.env.LOCAL_IPFS_DIR = path.join(tmpDir, "ipfs");
+
+const { default: ipfsService } = await import("../src/services/ipfsService.js");
+const { default: ipfsRoutes } = await import("../src/routes/ipfs.js");
+const { createContentProviders } = await import("../src/ipfs/index.js");
+const { rawCid, computeCid, verifyCid } = await import("../src/ipfs/cid.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function runTests() {
+  console.log("\n🧪 IPFS Provider Tests\n");
+
+  try {
+    logTest(
+      "Computes CIDv1 for raw blocks",
+      rawCid(Buffer.from("hello world")) === "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e"
+    );
+
+    logTest(
+      "Matches Kubo's CIDs for the same bytes",
+      (await computeCid(Buffer.from("hello world"))) === rawCid(Buffer.from("hello world")) &&
+        (await computeCid(Buffer.from("hello world\n"), { version: 0 })) === "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o"
+    );
+
+    // Three 256 KiB chunks under a UnixFS root
+    const large = Buffer.alloc(700 * 1024, 7);
+    const largeCid = await computeCid(large);
+    const tampered = Buffer.from(large);
+    tampered[500 * 1024] = 8;
+    logTest(
+      "Verifies multi-chunk content against its CID",
+      largeCid.startsWith("bafybei") && (await verifyCid(largeCid, large)) && !(await verifyCid(largeCid, tampered)),
+      largeCid
+    );
+
+    const defaults = createContentProviders({});
+    logTest("Defaults to the local store without credentials", defaults.length === 1 && defaults[0].name === "local");
+
+    await ipfsService.initialize();
+    logTest(
+      "Initializes primary and fallback providers",
+      ipfsService.providers.map(provider => `${provider.name}:${provider.isReady}`).join() === "kubo:true,local:true"
+    );
+
+    const page = Buffer.from("page one");
+    const onKubo = await ipfsService.uploadFile(page, "page-1.jpg");
+    logTest(
+      "Uploads to the primary provider",
+      onKubo.provider === "kubo" && kubo.blobs.has(onKubo.hash) && onKubo.hash === rawCid(page)
+    );
+    logTest(
+      "Uploads carry an ipfs:// URI for metadata",
+      onKubo.uri === `ipfs://${onKubo.hash}` && ipfsService.resolveUri(onKubo.uri) === onKubo.url
+    );
+
+    kubo.misreport = true;
+    const misreported = await ipfsService.uploadFile(Buffer.from("page two"), "page-2.jpg");
+    kubo.misreport = false;
+    logTest(
+      "A provider reporting the wrong CID counts as a failure",
+      misreported.provider === "local" && misreported.hash === (await computeCid(Buffer.from("page two")))
+    );
+
+    kubo.failing = true;
+    const metadata = await ipfsService.uploadMetadata({ name: "Ink #1" }, "ink-1.json");
+    logTest("Falls back when the primary fails", metadata.provider === "local" && metadata.url.endsWith(`/ipfs/${metadata.hash}`));
+
+    const again = await ipfsService.uploadMetadata({ name: "Ink #1" }, "ink-1.json");
+    logTest("Local store is content-addressed", again.hash === metadata.hash);
+
+    const fromFallback = await ipfsService.retrieveFromIPFS(metadata.hash);
+    logTest("Reads fall through to the fallback", JSON.parse(fromFallback.toString()).name === "Ink #1");
+
+    kubo.failing = false;
+    logTest("Reads from the primary", (await ipfsService.retrieveFromIPFS(onKubo.hash)).equals(page));
+
+    kubo.corrupt = true;
+    const corrupted = await ipfsService.retrieveFromIPFS(onKubo.hash).catch(error => error);
+    kubo.corrupt = false;
+    logTest(
+      "Rejects content that doesn't match its CID",
+      corrupted.status === 502 && corrupted.message.includes("does not match CID"),
+      corrupted.message
+    );
+
+    const app = express();
+    app.use("/ipfs", ipfsRoutes);
+    const served = await request(app).get(`/ipfs/${metadata.hash}`);
+    logTest(
+      "Serves local content with its type and immutable caching",
+      served.status === 200 &&
+        served.headers["content-type"].startsWith("application/json") &&
+        served.headers["cache-control"].includes("immutable") &&
+        served.body.name === "Ink #1"
+    );
+
+    const traversal = await request(app).get("/ipfs/..%2F..%2Fetc%2Fpasswd");
+    const unknown = await request(app).get(`/ipfs/${rawCid(Buffer.from("missing"))}`);
+    logTest("Rejects invalid and unknown CIDs", traversal.status === 400 && unknown.status === 404);
+  } catch (error) {
+    logTest("IPFS suite", false, error.stack);
+  } finally {
+    await kubo.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,269 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import sharp from "sharp";
+
+// Throwaway database, content store and demo ledger; fast polling and retries
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-jobs-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.JWT_SECRET = "test-secret";
+process.env.DEMO_LEDGER_FILE = path.join(tmpDir, "ledger.json");
+process.env.IPFS_PROVIDER = "local";
+process.env.LOCAL_IPFS_DIR = path.join(tmpDir, "ipfs");
+process.env.JOB_POLL_INTERVAL_MS = "50";
+process.env.JOB_RETRY_DELAY_MS = "20";
+process.env.JOB_MAX_ATTEMPTS = "2";
+
+const { default: storage } = await import("../src/storage/index.js");
+const { default: authService } = await import("../src/services/authService.js");
+const { default: hederaService } = await import("../src/services/hederaService.js");
+const { default: ipfsService } = await import("../src/services/ipfsService.js");
+const { default: jobService } = await import("../src/services/jobService.js");
+const { default: jobRoutes } = await import("../src/routes/jobs.js");
+const { default: publishComicJob, PUBLISH_COMIC } = await import("../src/jobs/publishComic.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function signIn(accountId, roles) {
+  const user = await storage.insert("users", { id: accountId, accountId, roles });
+  const { token } = await authService.issueTokens(user);
+  return { Authorization: `Bearer ${token}` };
+}
+
+/** Resolve with the job once it completes or fails */
+function settled(id) {
+  return new Promise(resolve => {
+    const unsubscribe = jobService.subscribe(id, job => {
+      if (jobService.isFinished(job)) {
+        unsubscribe();
+        resolve(job);
+      }
+    });
+  });
+}
+
+// A job type that records what ran, and fails on demand
+const calls = [];
+const failures = { double: 0, always: false, gate: null };
+jobService.register({
+  type: "test-steps",
+  stages: [
+    {
+      name: "first",
+      run: ({ input }) => {
+        calls.push(`first:${input.n}`);
+        return input.n * 10;
+      }
+    },
+    {
+      name: "second",
+      run: async ({ input, results, progress }) => {
+        calls.push(`second:${input.n}`);
+        await failures.gate;
+        if (failures.always) throw new Error("Still broken");
+        if (failures.double > 0) {
+          failures.double--;
+          throw new Error("Flaky upstream");
+        }
+        progress(1, 2);
+        progress(2, 2, "done");
+        return results.first + 1;
+      }
+    }
+  ]
+});
+
+async function runTests() {
+  console.log("\n🧪 Job Queue Tests\n");
+
+  try {
+    await storage.initialize();
+    await hederaService.initialize(); // no credentials → demo ledger
+    await ipfsService.initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/jobs", jobRoutes);
+    const creator = await signIn("0.0.8301", ["creator"]);
+    const other = await signIn("0.0.8302", ["creator"]);
+
+    // Interrupted by a "restart": the first stage finished, the second never did
+    const now = new Date().toISOString();
+    await storage.insert("jobs", {
+      id: "interrupted-job",
+      type: "test-steps",
+      owner: "0.0.8301",
+      status: "running",
+      input: { n: 4 },
+      stages: [
+        { name: "first", status: "completed", attempts: 1 },
+        { name: "second", status: "running", attempts: 1 }
+      ],
+      results: { first: 40 },
+      progress: { stage: "second" },
+      runAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+    const resumed = settled("interrupted-job");
+    await jobService.start();
+    const afterRestart = await resumed;
+    logTest(
+      "Interrupted jobs resume after their last completed stage",
+      afterRestart.status === "completed" && afterRestart.result === 41 && calls.join() === "second:4",
+      JSON.stringify({ afterRestart, calls })
+    );
+
+    // Stages run in order, each seeing the earlier results
+    calls.length = 0;
+    const updates = [];
+    const queued = await jobService.enqueue("test-steps", { n: 1 }, { owner: "0.0.8301" });
+    const unsubscribe = jobService.subscribe(queued.id, job => updates.push(job));
+    const done = await settled(queued.id);
+    unsubscribe();
+    logTest(
+      "Runs stages in order and returns the last result",
+      queued.status === "queued" && done.status === "completed" && done.result === 11 && calls.join() === "first:1,second:1",
+      JSON.stringify(done)
+    );
+    logTest(
+      "Publishes stage changes and progress",
+      updates.some(job => job.status === "running") &&
+        updates.some(job => job.progress?.current === 2 && job.progress.message === "done") &&
+        done.stages.every(stage => stage.status === "completed"),
+      JSON.stringify(updates.map(job => job.progress))
+    );
+
+    // A flaky stage is retried; the stage before it isn't run again
+    calls.length = 0;
+    failures.double = 1;
+    const flaky = await jobService.enqueue("test-steps", { n: 2 }, { owner: "0.0.8301" });
+    const recovered = await settled(flaky.id);
+    logTest(
+      "Retries a failed stage without repeating earlier ones",
+      recovered.status === "completed" &&
+        recovered.stages[1].attempts === 2 &&
+        calls.join() === "first:2,second:2,second:2",
+      JSON.stringify({ recovered, calls })
+    );
+
+    // Out of attempts: the job fails, then a manual retry picks it up at the failed stage
+    calls.length = 0;
+    failures.always = true;
+    const broken = await jobService.enqueue("test-steps", { n: 3 }, { owner: "0.0.8301" });
+    const failed = await settled(broken.id);
+    logTest(
+      "Fails after the last attempt with the stage's error",
+      failed.status === "failed" && failed.error === "Still broken" && failed.stages[1].status === "failed",
+      JSON.stringify(failed)
+    );
+
+    failures.always = false;
+    calls.length = 0;
+    const strangerRetry = await request(app).post(`/api/jobs/${broken.id}/retry`).set(other);
+    const retried = settled(broken.id);
+    const retry = await request(app).post(`/api/jobs/${broken.id}/retry`).set(creator);
+    const afterRetry = await retried;
+    logTest(
+      "Failed jobs can be retried by their owner",
+      strangerRetry.status === 404 && retry.status === 202 && afterRetry.status === "completed" && calls.join() === "second:3",
+      JSON.stringify({ status: retry.status, afterRetry, calls })
+    );
+
+    const again = await request(app).post(`/api/jobs/${broken.id}/retry`).set(creator);
+    const hidden = await request(app).get(`/api/jobs/${broken.id}`).set(other);
+    logTest("Only failed jobs retry, and jobs are private", again.status === 409 && hidden.status === 404);
+
+    // Server-Sent Events: current state first, then changes until the job finishes
+    let release;
+    failures.gate = new Promise(resolve => (release = resolve));
+    const streamed = await jobService.enqueue("test-steps", { n: 5 }, { owner: "0.0.8301" });
+    setTimeout(release, 200);
+    const events = await request(app)
+      .get(`/api/jobs/${streamed.id}/events`)
+      .set(creator)
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = "";
+        res.on("data", chunk => (text += chunk));
+        res.on("end", () => callback(null, text));
+      });
+    const jobEvents = events.body
+      .split("\n\n")
+      .filter(block => block.startsWith("event: job"))
+      .map(block => JSON.parse(block.split("\ndata: ")[1]));
+    logTest(
+      "Streams job events until the job finishes",
+      events.headers["content-type"].startsWith("text/event-stream") &&
+        jobEvents.length > 1 &&
+        jobEvents[jobEvents.length - 1].status === "completed" &&
+        jobEvents[jobEvents.length - 1].result === 51,
+      events.body
+    );
+
+    // The real thing: publish an issue through every stage
+    const collection = await hederaService.createCollection({ name: "Ink", symbol: "INK", maxSupply: 0 });
+    await storage.insert("collections", { id: collection.tokenId, name: "Ink", creator: "0.0.8301" });
+    const pages = [];
+    for (const [index, color] of ["#c0392b", "#2980b9"].entries()) {
+      const file = path.join(tmpDir, `page-${index + 1}.png`);
+      await sharp({ create: { width: 300, height: 450, channels: 3, background: color } }).png().toFile(file);
+      pages.push(file);
+    }
+
+    jobService.register(publishComicJob);
+    const publish = await jobService.enqueue(
+      PUBLISH_COMIC,
+      { collectionId: collection.tokenId, title: "Ink", issueNumber: 1, creator: "0.0.8301", pages, writers: [], artists: [], webtoon: true },
+      { owner: "0.0.8301" }
+    );
+    const published = await settled(publish.id);
+    const comic = published.result && (await storage.findById("comics", published.result.comicId));
+    logTest(
+      "Publishes a comic as a job",
+      published.status === "completed" &&
+        published.stages.map(stage => stage.name).join() === "content,metadata,mint,deliver,record" &&
+        comic?.serialNumber === 1 &&
+        comic.pagesResult.pages.length === 2 &&
+        published.result.metadataUri === comic.metadataUri,
+      JSON.stringify(published)
+    );
+
+    const metadata = JSON.parse((await ipfsService.retrieveFromIPFS(comic.metadataHash)).toString());
+    logTest(
+      "Webtoon issues are marked in their record and NFT metadata",
+      comic.webtoon === true && metadata.properties.webtoon === true,
+      JSON.stringify(metadata.properties)
+    );
+
+    const listed = await request(app).get("/api/jobs").set(creator);
+    logTest(
+      "Lists your jobs, newest first",
+      listed.status === 200 && listed.body.data[0].id === publish.id && listed.body.data.every(job => !("input" in job))
+    );
+  } catch (error) {
+    logTest("Job suite", false, error.stack);
+  } finally {
+    jobService.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,254 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Point storage at a throwaway database before the services load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-ledger-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.PLATFORM_FEE_PERCENTAGE = "250";
+process.env.DEMO_LEDGER_FILE = path.join(tmpDir, "ledger.json");
+
+const { default: storage } = await import("../src/storage/index.js");
+const { default: hederaService } = await import("../src/services/hederaService.js");
+const { default: comicService } = await import("../src/services/comicService.js");
+const { default: marketplaceService } = await import("../src/services/marketplaceService.js");
+const { default: DemoLedger } = await import("../src/services/demoLedger.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function expectLedgerError(promise, code) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.details?.code === code;
+  }
+}
+
+async function expectStatus(promise, status) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.status === status;
+  }
+}
+
+const CREATOR = "0.0.7001";
+const BUYER = "0.0.7002";
+const hbarOf = async accountId => hederaService.ledger.getBalance(accountId).hbar;
+
+// The seller's wallet signs the allowance listing needs (demo bytes need no signature)
+async function approveMarketplace(seller, tokenId, serialNumber) {
+  const approval = await marketplaceService.prepareApproval({ seller, tokenId, serialNumber });
+  return marketplaceService.completeApproval({
+    seller,
+    tokenId,
+    serialNumber,
+    approvalId: approval.approvalId,
+    signedTransaction: approval.transactionBytes
+  });
+}
+
+async function runTests() {
+  console.log("\n🧪 Demo Ledger Workflow Tests\n");
+
+  try {
+    await storage.initialize();
+    await hederaService.initialize(); // no credentials → demo ledger
+    const operator = hederaService.getOperatorAccountId();
+
+    // Create → mint
+    const first = await hederaService.createCollection({ name: "Ink", symbol: "INK", maxSupply: 2, royaltyPercentage: 10 });
+    const second = await hederaService.createCollection({ name: "Ash", symbol: "ASH", maxSupply: 0 });
+    logTest("Token IDs are handed out in sequence", Number(second.tokenId.split(".")[2]) === Number(first.tokenId.split(".")[2]) + 1);
+
+    const minted = await hederaService.mintNFT({ tokenId: first.tokenId, metadataURIs: ["ipfs://a", "ipfs://b"] });
+    logTest("Serials are sequential", minted.serials.join() === "1,2" && minted.transactionId.startsWith(`${operator}@`));
+
+    logTest(
+      "Max supply is enforced",
+      await expectLedgerError(hederaService.mintNFT({ tokenId: first.tokenId, metadataURIs: ["ipfs://c"] }), "TOKEN_MAX_SUPPLY_REACHED")
+    );
+
+    const owner = await comicService.deliverToCreator(first.tokenId, 1, CREATOR);
+    const creatorOwns = await hederaService.checkOwnership({ accountId: CREATOR, tokenId: first.tokenId });
+    logTest("Minted NFT is delivered to its creator", owner === CREATOR && creatorOwns.quantity === 1);
+
+    logTest(
+      "Only the owner can transfer an NFT",
+      await expectLedgerError(
+        hederaService.transferNFT({ tokenId: first.tokenId, serial: 1, fromAccountId: BUYER, toAccountId: BUYER }),
+        "SENDER_DOES_NOT_OWN_NFT_SERIAL_NO"
+      )
+    );
+
+    // List → buy
+    await storage.insert("comics", { id: `${first.tokenId}-1`, tokenId: first.tokenId, serialNumber: 1, title: "Ink #1" });
+    const listFirst = () =>
+      marketplaceService.createListing({
+        comicId: `${first.tokenId}-1`,
+        seller: CREATOR,
+        price: 100,
+        type: "fixed",
+        duration: 3600
+      });
+    const unapproved = await expectStatus(listFirst(), 409);
+    const approval = await approveMarketplace(CREATOR, first.tokenId, 1);
+    const listing = await listFirst();
+    logTest(
+      "Listing needs the seller's allowance for the marketplace",
+      unapproved && approval.spender === operator && (await hederaService.getNFTInfo(first.tokenId, 1)).spender === operator
+    );
+
+    const [creatorBefore, buyerBefore, operatorBefore] = await Promise.all([hbarOf(CREATOR), hbarOf(BUYER), hbarOf(operator)]);
+    const purchase = await marketplaceService.preparePurchase(listing.id, BUYER);
+    const sold = await marketplaceService.completePurchase(listing.id, {
+      buyer: BUYER,
+      purchaseId: purchase.purchaseId,
+      signedTransaction: purchase.transactionBytes
+    });
+
+    const [creatorAfter, buyerAfter, operatorAfter] = await Promise.all([hbarOf(CREATOR), hbarOf(BUYER), hbarOf(operator)]);
+    // 100 ℏ: 2.5 ℏ platform fee, then 10% royalty on the seller's 97.5 ℏ
+    logTest(
+      "Purchase moves HBAR with platform fee and royalty",
+      buyerBefore - buyerAfter === 100 &&
+        creatorAfter - creatorBefore === 87.75 &&
+        operatorAfter - operatorBefore === 12.25,
+      `${buyerBefore - buyerAfter} / ${creatorAfter - creatorBefore} / ${operatorAfter - operatorBefore}`
+    );
+
+    // Read
+    const buyerAccess = await comicService.verifyOwnership(BUYER, first.tokenId, 1);
+    const sellerAccess = await comicService.verifyOwnership(CREATOR, first.tokenId, 1);
+    logTest(
+      "Buyer can read, seller no longer can",
+      sold.status === "sold" && buyerAccess.isOwner && !sellerAccess.isOwner,
+      JSON.stringify({ status: sold.status, buyerAccess, sellerAccess })
+    );
+
+    const history = await hederaService.getNFTHistory(first.tokenId, 1);
+    logTest(
+      "A sale uses up the seller's allowance",
+      (await hederaService.getNFTInfo(first.tokenId, 1)).spender === null &&
+        (await expectLedgerError(
+          hederaService.transferNFT({ tokenId: first.tokenId, serial: 1, fromAccountId: BUYER, toAccountId: CREATOR }),
+          "SPENDER_DOES_NOT_HAVE_ALLOWANCE"
+        ))
+    );
+
+    logTest(
+      "NFT history records mint, delivery and sale",
+      history.map(entry => entry.type).join() === "CRYPTOTRANSFER,CRYPTOTRANSFER,TOKENMINT" &&
+        history[0].receiver === BUYER &&
+        (await hederaService.getNFTInfo(first.tokenId, 1)).owner === BUYER
+    );
+
+    // Atomicity: a transfer that fails on balance changes nothing
+    const ledger = hederaService.ledger;
+    const poor = "0.0.7003";
+    ledger.account(poor).balance = 0;
+    const failed = await expectLedgerError(
+      Promise.resolve().then(() =>
+        ledger.transfer({
+          hbar: [{ accountId: poor, amount: -1 }, { accountId: BUYER, amount: 1 }],
+          nft: [{ tokenId: first.tokenId, serial: 1, sender: BUYER, receiver: poor }]
+        })
+      ),
+      "INSUFFICIENT_ACCOUNT_BALANCE"
+    );
+    const stillOwned = ledger.getNft(first.tokenId, 1).owner === BUYER;
+    logTest("Failed transfers are all-or-nothing", failed && stillOwned);
+
+    // Association: accounts without free slots must associate first
+    const strict = "0.0.7004";
+    ledger.account(strict).autoAssociationsLeft = 0;
+    const rejected = await expectLedgerError(
+      hederaService.transferNFT({ tokenId: first.tokenId, serial: 2, fromAccountId: operator, toAccountId: strict }),
+      "TOKEN_NOT_ASSOCIATED_TO_ACCOUNT"
+    );
+    await hederaService.associateToken({ accountId: strict, tokenId: first.tokenId });
+    const delivered = await hederaService.transferNFT({ tokenId: first.tokenId, serial: 2, fromAccountId: operator, toAccountId: strict });
+    logTest("Token association is enforced", rejected && delivered.status === "SUCCESS");
+
+    // Listings are per serial, and only the holder of a serial can list it
+    const listSerial = (seller, serialNumber) =>
+      marketplaceService.createListing({
+        comicId: `${first.tokenId}-1`,
+        seller,
+        serialNumber,
+        price: 50,
+        type: "fixed",
+        duration: 3600
+      });
+    const formerOwner = await expectStatus(listSerial(CREATOR, 1), 403);
+    await approveMarketplace(strict, first.tokenId, 2);
+    const otherCopy = await listSerial(strict, 2);
+    const duplicate = await expectStatus(listSerial(strict, 2), 409);
+    logTest(
+      "Only the holder can list a serial, once at a time",
+      formerOwner && otherCopy.serialNumber === 2 && otherCopy.tokenId === first.tokenId && duplicate
+    );
+
+    // A listing edited days after it went up runs for the new duration from now
+    await storage.update("listings", otherCopy.id, { createdAt: new Date(Date.now() - 2 * 86400 * 1000).toISOString() });
+    const edited = await marketplaceService.updateListing(otherCopy.id, strict, { duration: 3600 });
+    logTest(
+      "Changing the duration counts from the edit",
+      edited.status === "active" && new Date(edited.expiresAt).getTime() > Date.now() + 3500 * 1000,
+      edited.expiresAt
+    );
+
+    // The seller is also the fee account: one combined HBAR leg, not two
+    process.env.PLATFORM_FEE_ACCOUNT_ID = strict;
+    const [strictBefore, buyerBeforeSecond] = await Promise.all([hbarOf(strict), hbarOf(BUYER)]);
+    const ownFee = await marketplaceService.preparePurchase(otherCopy.id, BUYER);
+    const ownFeeLegs = (await storage.findById("listings", otherCopy.id)).pendingPurchase.transfers.hbar;
+    await marketplaceService.completePurchase(otherCopy.id, {
+      buyer: BUYER,
+      purchaseId: ownFee.purchaseId,
+      signedTransaction: ownFee.transactionBytes
+    });
+    delete process.env.PLATFORM_FEE_ACCOUNT_ID;
+    const [strictAfter, buyerAfterSecond] = await Promise.all([hbarOf(strict), hbarOf(BUYER)]);
+    // 50 ℏ to the seller (fee included), less the 10% royalty
+    logTest(
+      "A seller who collects the platform fee gets one HBAR leg",
+      ownFeeLegs.length === 2 &&
+        ownFeeLegs.find(leg => leg.accountId === strict).amount === 50 * 100_000_000 &&
+        strictAfter - strictBefore === 45 &&
+        buyerBeforeSecond - buyerAfterSecond === 50,
+      JSON.stringify(ownFeeLegs)
+    );
+
+    // Persistence
+    const reloaded = new DemoLedger().load(process.env.DEMO_LEDGER_FILE);
+    logTest(
+      "Ledger state survives a restart",
+      reloaded.getNft(first.tokenId, 1).owner === BUYER && reloaded.getToken(second.tokenId)?.symbol === "ASH"
+    );
+  } catch (error) {
+    logTest("Ledger suite", false, error.stack);
+  } finally {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,148 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Point storage at a throwaway database before the services load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-library-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.DEMO_LEDGER_FILE = path.join(tmpDir, "ledger.json");
+
+const { default: storage } = await import("../src/storage/index.js");
+const { default: hederaService } = await import("../src/services/hederaService.js");
+const { default: libraryService } = await import("../src/services/libraryService.js");
+const { default: comicService } = await import("../src/services/comicService.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+const READER = "0.0.7101";
+const OTHER = "0.0.7102";
+
+/** Mint `count` serials of one issue and store its catalog entry */
+async function publishIssue(tokenId, { series, issueNumber, count = 1 }) {
+  const metadataUri = `ipfs://${series}-${issueNumber}`;
+  const { serials } = await hederaService.mintNFT({ tokenId, metadataURIs: Array(count).fill(metadataUri) });
+  const comic = await storage.insert("comics", {
+    id: `${tokenId}-${serials[0]}`,
+    tokenId,
+    collectionId: tokenId,
+    serialNumber: Number(serials[0]),
+    title: `${series} #${issueNumber}`,
+    series,
+    issueNumber,
+    metadataUri,
+    pagesResult: { totalPages: 20, pages: [] }
+  });
+  return { comic, serials: serials.map(Number) };
+}
+
+async function runTests() {
+  console.log("\n🧪 Reader Library Tests\n");
+
+  try {
+    await storage.initialize();
+    await hederaService.initialize(); // demo ledger
+    const operator = hederaService.getOperatorAccountId();
+    const give = (tokenId, serial, to = READER) =>
+      hederaService.transferNFT({ tokenId, serial, fromAccountId: operator, toAccountId: to });
+
+    const { tokenId: ink } = await hederaService.createCollection({ name: "Ink", symbol: "INK" });
+    const { tokenId: ash } = await hederaService.createCollection({ name: "Ash", symbol: "ASH" });
+    const { tokenId: stray } = await hederaService.createCollection({ name: "Stray", symbol: "STR" });
+    await storage.insert("collections", { id: ink, name: "Ink" });
+    await storage.insert("collections", { id: ash, name: "Ash" });
+
+    const ink2 = await publishIssue(ink, { series: "Ink", issueNumber: 2 });
+    const ink1 = await publishIssue(ink, { series: "Ink", issueNumber: 1, count: 2 });
+    const ash1 = await publishIssue(ash, { series: "Ash", issueNumber: 1 });
+    await hederaService.mintNFT({ tokenId: stray, metadataURIs: ["ipfs://stray"] });
+
+    await give(ink, ink2.serials[0]);
+    await give(ink, ink1.serials[0]);
+    await give(ink, ink1.serials[1]); // batch-minted copy, no catalog entry of its own
+    await give(ash, ash1.serials[0]);
+    await give(stray, 1);
+
+    const library = await libraryService.getLibrary(READER);
+    const inkSeries = library.series.find(entry => entry.series === "Ink");
+    logTest(
+      "Groups holdings by series in issue order",
+      library.series.length === 2 && inkSeries.issues.map(issue => issue.issueNumber).join() === "1,2",
+      JSON.stringify(library.series.map(entry => entry.series))
+    );
+    logTest(
+      "Batch-minted serials join through the metadata URI",
+      inkSeries.issues[0].serials.join() === ink1.serials.join() && library.totalIssues === 3
+    );
+    logTest("Ignores NFTs outside the catalog", !JSON.stringify(library).includes(stray));
+
+    const { comic: batchCopy } = await comicService.getComicDetails(ink, ink1.serials[1]);
+    logTest("Reader opens batch-minted serials through their issue", batchCopy.id === ink1.comic.id);
+
+    // Progress is merged on every request, no refresh needed
+    await storage.insert("reading_progress", {
+      id: `${READER}:${ash1.comic.id}`,
+      accountId: READER,
+      comicId: ash1.comic.id,
+      currentPage: 20,
+      totalPages: 20,
+      percent: 100,
+      completed: true,
+      lastReadAt: new Date().toISOString()
+    });
+    const withProgress = await libraryService.getLibrary(READER);
+    const ashSeries = withProgress.series[0];
+    logTest(
+      "Includes progress and puts recently read series first",
+      ashSeries.series === "Ash" && ashSeries.issues[0].progress.completed && ashSeries.progress === 100 && !!ashSeries.lastReadAt
+    );
+
+    // Incremental refresh: known holdings don't hit the catalog again
+    let lookups = 0;
+    const findCatalogEntry = libraryService.findCatalogEntry.bind(libraryService);
+    libraryService.findCatalogEntry = nft => {
+      lookups++;
+      return findCatalogEntry(nft);
+    };
+
+    const ink3 = await publishIssue(ink, { series: "Ink", issueNumber: 3 });
+    await give(ink, ink3.serials[0]);
+    // The reader sends one on from their own wallet
+    hederaService.ledger.transfer({ nft: [{ tokenId: ash, serial: Number(ash1.serials[0]), sender: READER, receiver: OTHER }] });
+
+    const cached = await libraryService.getLibrary(READER);
+    logTest("Serves the snapshot within the refresh interval", cached.totalIssues === 3 && lookups === 0);
+
+    const refreshed = await libraryService.getLibrary(READER, { refresh: true });
+    logTest(
+      "Refresh looks up only new serials and drops sold ones",
+      lookups === 1 && refreshed.totalIssues === 3 && !refreshed.series.some(entry => entry.series === "Ash"),
+      `${lookups} lookups, ${refreshed.totalIssues} issues`
+    );
+
+    await libraryService.markStale(OTHER);
+    const other = await libraryService.getLibrary(OTHER);
+    logTest("New owners see their purchase", other.series[0]?.series === "Ash");
+  } catch (error) {
+    logTest("Library suite", false, error.stack);
+  } finally {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
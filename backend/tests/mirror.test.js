@@ -0,0 +1,155 @@
+import { startMirrorNodeFixture } from "./fixtures/mirrorNodeServer.js";
+
+const { MirrorNodeClient } = await import("../src/services/mirrorNodeClient.js");
+const { default: hederaService } = await import("../src/services/hederaService.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function expectError(promise, status) {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return error.status === status;
+  }
+}
+
+const TOKEN = "0.0.5005";
+const OTHER_TOKEN = "0.0.5006";
+const READER = "0.0.7001";
+const CREATOR = "0.0.7002";
+
+const nft = (tokenId, serial, owner) => ({
+  token_id: tokenId,
+  serial_number: serial,
+  account_id: owner,
+  metadata: Buffer.from(`ipfs://meta-${serial}`).toString("base64"),
+  deleted: false,
+  spender: null,
+  created_timestamp: "1700000000.000000001",
+  modified_timestamp: "1700000100.000000001"
+});
+
+async function runTests() {
+  console.log("\n🧪 Mirror Node Client Tests\n");
+
+  const fixture = await startMirrorNodeFixture({
+    pageSize: 2,
+    nfts: [
+      nft(TOKEN, 1, READER),
+      nft(TOKEN, 2, READER),
+      nft(TOKEN, 3, CREATOR),
+      nft(TOKEN, 4, READER),
+      nft(OTHER_TOKEN, 1, READER)
+    ],
+    tokens: {
+      [TOKEN]: {
+        token_id: TOKEN,
+        custom_fees: {
+          royalty_fees: [{
+            amount: { numerator: 10, denominator: 100 },
+            collector_account_id: CREATOR,
+            fallback_fee: { amount: 100000000, denominating_token_id: null }
+          }],
+          fixed_fees: [{ amount: 5, denominating_token_id: "0.0.9", collector_account_id: "0.0.2" }]
+        }
+      }
+    },
+    allowances: [{ owner: READER, spender: "0.0.2", amount: 2500000000 }],
+    transactions: {
+      [`${TOKEN}:3`]: [
+        { transaction_id: "0.0.7002-1700000200-000000001", type: "CRYPTOTRANSFER", sender_account_id: READER, receiver_account_id: CREATOR, consensus_timestamp: "1700000200.000000001" },
+        { transaction_id: "0.0.2-1700000150-000000001", type: "CRYPTOTRANSFER", sender_account_id: "0.0.2", receiver_account_id: READER, consensus_timestamp: "1700000150.000000001" },
+        { transaction_id: "0.0.2-1700000100-000000001", type: "TOKENMINT", sender_account_id: null, receiver_account_id: "0.0.2", consensus_timestamp: "1700000100.000000001" }
+      ]
+    }
+  });
+
+  const mirror = new MirrorNodeClient({ baseUrl: fixture.url, retries: 2, retryDelayMs: 5, cacheTtlMs: 60 * 1000 });
+
+  try {
+    const holdings = await mirror.getAccountNfts(READER);
+    logTest(
+      "Follows links.next across pages",
+      holdings.length === 4 && fixture.requests.length === 2,
+      `${holdings.length} NFTs in ${fixture.requests.length} requests`
+    );
+    logTest("Decodes base64 metadata", holdings[0].metadata === "ipfs://meta-1" && holdings[0].serial === 1);
+
+    const filtered = await mirror.getAccountNfts(READER, { tokenId: OTHER_TOKEN });
+    logTest("Filters holdings by token", filtered.length === 1 && filtered[0].tokenId === OTHER_TOKEN);
+
+    const before = fixture.requests.length;
+    await mirror.getAccountNfts(READER);
+    logTest("Serves repeat reads from cache", fixture.requests.length === before);
+
+    mirror.invalidate(READER);
+    fixture.failNext(2, 503);
+    const retried = await mirror.getNft(TOKEN, 4);
+    logTest("Retries 5xx responses", retried.owner === READER && fixture.requests.length === before + 3);
+
+    fixture.failNext(1, 429, { "Retry-After": "0" });
+    logTest("Retries rate limiting", (await mirror.getNft(TOKEN, 3)).owner === CREATOR);
+
+    fixture.failNext(3, 503);
+    logTest("Gives up after the retry budget", await expectError(mirror.getNft(TOKEN, 2), 502));
+    logTest("Missing NFTs are a 404", await expectError(mirror.getNft(TOKEN, 99), 404));
+
+    const history = await mirror.getNftTransactions(TOKEN, 3);
+    logTest(
+      "Reads transfer history across pages",
+      history.length === 3 && history[0].receiver === CREATOR && history[2].type === "TOKENMINT"
+    );
+
+    const fees = await mirror.getTokenCustomFees(TOKEN);
+    logTest(
+      "Normalizes custom fees",
+      fees.royaltyFees[0].numerator === 10 &&
+        fees.royaltyFees[0].collector === CREATOR &&
+        fees.royaltyFees[0].fallbackFee.amount === 100000000 &&
+        fees.fixedFees[0].tokenId === "0.0.9"
+    );
+
+    logTest(
+      "Reads what a spender may still take from an account",
+      (await mirror.getHbarAllowance(READER, "0.0.2")) === 2500000000 &&
+        (await mirror.getHbarAllowance(READER, "0.0.3")) === 0 &&
+        (await mirror.getHbarAllowance(CREATOR, "0.0.2")) === 0
+    );
+
+    // hederaService reads ownership through the mirror node outside demo mode
+    hederaService.demoMode = false;
+    hederaService.mirror = mirror;
+    const owns = await hederaService.checkNFTOwnership({ accountId: READER, tokenId: TOKEN, serial: 1 });
+    const doesNotOwn = await hederaService.checkNFTOwnership({ accountId: READER, tokenId: TOKEN, serial: 3 });
+    const missing = await hederaService.checkNFTOwnership({ accountId: READER, tokenId: TOKEN, serial: 99 });
+    logTest("checkNFTOwnership is serial-accurate", owns.owns && !doesNotOwn.owns && doesNotOwn.owner === CREATOR && !missing.owns);
+
+    fixture.nfts[0].account_id = CREATOR; // sold on-chain
+    const stale = await hederaService.checkNFTOwnership({ accountId: READER, tokenId: TOKEN, serial: 1 });
+    mirror.invalidate(TOKEN);
+    const fresh = await hederaService.checkNFTOwnership({ accountId: READER, tokenId: TOKEN, serial: 1 });
+    logTest("Invalidation drops stale ownership", stale.owns && !fresh.owns);
+  } catch (error) {
+    logTest("Mirror suite", false, error.stack);
+  } finally {
+    await fixture.close();
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
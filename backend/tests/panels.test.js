@@ -0,0 +1,221 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import sharp from "sharp";
+
+// Throwaway database, demo ledger and local IPFS store; one small rendition per page
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-panels-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.JWT_SECRET = "test-secret";
+process.env.DEMO_LEDGER_FILE = path.join(tmpDir, "ledger.json");
+process.env.IPFS_PROVIDER = "local";
+process.env.LOCAL_IPFS_DIR = path.join(tmpDir, "ipfs");
+process.env.RENDITION_WIDTHS = "200";
+process.env.RENDITION_FORMATS = "webp";
+
+const { detectPanels, normalizePanels, WHOLE_PAGE } = await import("../src/formats/panels.js");
+const { default: storage } = await import("../src/storage/index.js");
+const { default: authService } = await import("../src/services/authService.js");
+const { default: hederaService } = await import("../src/services/hederaService.js");
+const { default: ipfsService } = await import("../src/services/ipfsService.js");
+const { default: comicService } = await import("../src/services/comicService.js");
+const { default: comicRoutes } = await import("../src/routes/comics.js");
+const { default: readerRoutes } = await import("../src/routes/reader.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function signIn(accountId, roles) {
+  const user = await storage.insert("users", { id: accountId, accountId, roles });
+  const { token } = await authService.issueTokens(user);
+  return { Authorization: `Bearer ${token}` };
+}
+
+const panel = (left, top, width, height, background = "#2c3e50") => ({
+  input: { create: { width, height, channels: 3, background } },
+  left,
+  top
+});
+
+/** An 800×1200 page: a wide panel over two side by side, plus a page number */
+const threePanelPage = (paper = "#ffffff", ink = "#2c3e50") =>
+  sharp({ create: { width: 800, height: 1200, channels: 3, background: paper } })
+    .composite([
+      panel(40, 40, 720, 500, ink),
+      panel(40, 580, 340, 580, ink),
+      panel(420, 580, 340, 580, ink),
+      panel(740, 1170, 20, 16, ink)
+    ])
+    .png()
+    .toBuffer();
+
+const close = (box, expected) => ["x", "y", "width", "height"].every(key => Math.abs(box[key] - expected[key]) < 0.01);
+
+async function runTests() {
+  console.log("\n🧪 Panel Detection Tests\n");
+
+  try {
+    const expected = [
+      { x: 0.05, y: 0.0333, width: 0.9, height: 0.4167 },
+      { x: 0.05, y: 0.4833, width: 0.425, height: 0.4833 },
+      { x: 0.525, y: 0.4833, width: 0.425, height: 0.4833 }
+    ];
+    const detected = await detectPanels(await threePanelPage());
+    logTest(
+      "Finds panels along the gutters, in reading order, ignoring the page number",
+      detected.length === 3 && detected.every((box, index) => close(box, expected[index])),
+      JSON.stringify(detected)
+    );
+
+    const manga = await detectPanels(await threePanelPage(), { direction: "rtl" });
+    logTest(
+      "Right-to-left pages read each tier from the right",
+      manga.length === 3 && [0, 2, 1].every((from, index) => close(manga[index], expected[from])),
+      JSON.stringify(manga)
+    );
+
+    const inverted = await detectPanels(await threePanelPage("#000000", "#ecf0f1"));
+    const splash = await detectPanels(await sharp({ create: { width: 800, height: 1200, channels: 3, background: "#8e44ad" } }).png().toBuffer());
+    logTest(
+      "Works on black gutters; pages without gutters are one whole-page panel",
+      inverted.length === 3 &&
+        inverted.every((box, index) => close(box, expected[index])) &&
+        JSON.stringify(splash) === JSON.stringify([WHOLE_PAGE]),
+      JSON.stringify({ inverted, splash })
+    );
+
+    const rejected = [
+      () => normalizePanels("all of it"),
+      () => normalizePanels([{ x: 0.5, y: 0, width: 0, height: 1 }]),
+      () => normalizePanels([{ x: 0.8, y: 0, width: 0.5, height: 1 }])
+    ].map(attempt => {
+      try {
+        attempt();
+        return null;
+      } catch (error) {
+        return error.status;
+      }
+    });
+    logTest(
+      "Validates edited panels",
+      rejected.every(status => status === 400) &&
+        JSON.stringify(normalizePanels([{ x: 0.12344, y: 0, width: 0.877, height: 0.5 }])) ===
+          JSON.stringify([{ x: 0.1234, y: 0, width: 0.8766, height: 0.5 }]),
+      JSON.stringify(rejected)
+    );
+
+    await storage.initialize();
+    await hederaService.initialize(); // no credentials → demo ledger
+    await ipfsService.initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/comics", comicRoutes);
+    app.use("/api/reader", readerRoutes);
+    const creator = await signIn("0.0.8501", ["creator"]);
+    const otherCreator = await signIn("0.0.8502", ["creator"]);
+    const admin = await signIn("0.0.8503", ["admin"]);
+
+    const collection = await comicService.createCollection({ name: "Gutter", symbol: "GUTR", creator: "0.0.8501" });
+    const pageFile = path.join(tmpDir, "page.png");
+    await fs.promises.writeFile(pageFile, await threePanelPage());
+    const comic = await comicService.createComic({
+      collectionId: collection.id,
+      title: "Gutter",
+      issueNumber: 1,
+      creator: "0.0.8501",
+      pages: [pageFile],
+      writers: [],
+      artists: []
+    });
+    const [published] = comic.pagesResult.pages;
+    const metadata = JSON.parse((await ipfsService.retrieveFromIPFS(comic.metadataHash)).toString());
+    logTest(
+      "Publishing stores detected panels with each page, not in the NFT metadata",
+      published.panels.length === 3 &&
+        published.panels.every((box, index) => close(box, expected[index])) &&
+        published.panelSource === "detected" &&
+        !JSON.stringify(metadata).includes("panels"),
+      JSON.stringify(published.panels)
+    );
+
+    const mangaIssue = await comicService.createComic({
+      collectionId: collection.id,
+      title: "Gutter",
+      issueNumber: 2,
+      creator: "0.0.8501",
+      pages: [pageFile],
+      writers: [],
+      artists: [],
+      readingDirection: "rtl"
+    });
+    const mangaMetadata = JSON.parse((await ipfsService.retrieveFromIPFS(mangaIssue.metadataHash)).toString());
+    const { comic: mangaDetails } = await comicService.getComicDetails(mangaIssue.tokenId, mangaIssue.serialNumber);
+    const { comic: westernDetails } = await comicService.getComicDetails(comic.tokenId, comic.serialNumber);
+    logTest(
+      "An issue's reading direction orders its panels and is kept in its metadata",
+      [0, 2, 1].every((from, index) => close(mangaIssue.pagesResult.pages[0].panels[index], expected[from])) &&
+        mangaMetadata.properties.reading_direction === "rtl" &&
+        mangaDetails.readingDirection === "rtl" &&
+        westernDetails.readingDirection === "ltr",
+      JSON.stringify(mangaIssue.pagesResult.pages[0].panels)
+    );
+
+    // What the reader loads decides which way it turns pages, taps and lays out spreads
+    const mangaRead = await request(app).get(`/api/reader/comic/${mangaIssue.tokenId}/${mangaIssue.serialNumber}`).set(creator);
+    const westernRead = await request(app).get(`/api/reader/comic/${comic.tokenId}/${comic.serialNumber}`).set(creator);
+    logTest(
+      "The reader opens manga right to left and other issues left to right",
+      mangaRead.status === 200 &&
+        mangaRead.body.comic.readingDirection === "rtl" &&
+        westernRead.status === 200 &&
+        westernRead.body.comic.readingDirection === "ltr",
+      JSON.stringify([mangaRead.status, mangaRead.body.comic?.readingDirection, westernRead.body.comic?.readingDirection])
+    );
+
+    const corrected = [expected[0], { x: 0.05, y: 0.4833, width: 0.9, height: 0.4833 }];
+    const url = `/api/comics/issues/${comic.id}/pages/1/panels`;
+    const saved = await request(app).put(url).set(creator).send({ panels: corrected });
+    const { comic: reread } = await comicService.getComicDetails(comic.tokenId, comic.serialNumber);
+    logTest(
+      "The creator can replace a page's panels; readers get the edit",
+      saved.status === 200 &&
+        saved.body.data.panelSource === "creator" &&
+        JSON.stringify(reread.pages[0].panels) === JSON.stringify(corrected) &&
+        reread.pages[0].web.hash === published.web.hash,
+      JSON.stringify(saved.body)
+    );
+
+    const stranger = await request(app).put(url).set(otherCreator).send({ panels: [WHOLE_PAGE] });
+    const invalid = await request(app).put(url).set(creator).send({ panels: [{ x: 2, y: 0, width: 1, height: 1 }] });
+    const missing = await request(app).put(`/api/comics/issues/${comic.id}/pages/9/panels`).set(creator).send({ panels: [WHOLE_PAGE] });
+    const moderated = await request(app).put(url).set(admin).send({ panels: [WHOLE_PAGE] });
+    logTest(
+      "Other creators are refused, bad boxes and pages rejected, admins allowed",
+      stranger.status === 403 && invalid.status === 400 && missing.status === 404 && moderated.status === 200,
+      JSON.stringify([stranger.status, invalid.status, missing.status, moderated.status])
+    );
+  } catch (error) {
+    logTest("Panel suite", false, error.stack);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,207 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import sharp from "sharp";
+
+// Throwaway database, demo ledger and two local stores (primary + backup); a one-minute grace period
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-pins-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.JWT_SECRET = "test-secret";
+process.env.DEMO_LEDGER_FILE = path.join(tmpDir, "ledger.json");
+process.env.IPFS_PROVIDER = "local";
+process.env.LOCAL_IPFS_DIR = path.join(tmpDir, "primary");
+process.env.RENDITION_WIDTHS = "200";
+process.env.RENDITION_FORMATS = "webp";
+process.env.PIN_ORPHAN_GRACE_MS = "60000";
+process.env.JOB_POLL_INTERVAL_MS = "50";
+
+const { default: storage } = await import("../src/storage/index.js");
+const { default: authService } = await import("../src/services/authService.js");
+const { default: hederaService } = await import("../src/services/hederaService.js");
+const { default: ipfsService } = await import("../src/services/ipfsService.js");
+const { default: comicService } = await import("../src/services/comicService.js");
+const { default: pinService, PIN_STATUS } = await import("../src/services/pinService.js");
+const { default: jobService, SYSTEM_OWNER } = await import("../src/services/jobService.js");
+const { default: adminRoutes } = await import("../src/routes/admin.js");
+const { default: reconcilePinsJob, RECONCILE_PINS } = await import("../src/jobs/reconcilePins.js");
+const { LocalProvider } = await import("../src/ipfs/localProvider.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function signIn(accountId, roles) {
+  const user = await storage.insert("users", { id: accountId, accountId, roles });
+  const { token } = await authService.issueTokens(user);
+  return { Authorization: `Bearer ${token}` };
+}
+
+/** Resolve with the job once it completes or fails */
+function settled(id) {
+  return new Promise(resolve => {
+    const unsubscribe = jobService.subscribe(id, job => {
+      if (jobService.isFinished(job)) {
+        unsubscribe();
+        resolve(job);
+      }
+    });
+  });
+}
+
+async function runTests() {
+  console.log("\n🧪 Pin Registry Tests\n");
+
+  try {
+    await storage.initialize();
+    await hederaService.initialize(); // no credentials → demo ledger
+    await ipfsService.initialize();
+    const [primary] = ipfsService.providers;
+    const backup = new LocalProvider({ dir: path.join(tmpDir, "backup") });
+    await backup.initialize();
+    ipfsService.providers.push(backup);
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/admin", adminRoutes);
+    const admin = await signIn("0.0.8401", ["admin"]);
+    const creator = await signIn("0.0.8402", ["creator"]);
+
+    const collection = await comicService.createCollection({ name: "Tide", symbol: "TIDE", creator: "0.0.8402" });
+    const page = path.join(tmpDir, "page.png");
+    await sharp({ create: { width: 300, height: 450, channels: 3, background: "#16a085" } }).png().toFile(page);
+    const comic = await comicService.createComic({
+      collectionId: collection.id,
+      title: "Tide",
+      issueNumber: 1,
+      creator: "0.0.8402",
+      pages: [page],
+      writers: [],
+      artists: []
+    });
+
+    const [first] = comic.pagesResult.pages;
+    const comicCids = [
+      first.thumbnail.hash,
+      first.web.hash,
+      first.print.hash,
+      ...first.renditions.map(rendition => rendition.hash),
+      comic.pagesResult.cbz.hash,
+      comic.pagesResult.epub.hash,
+      comic.pagesResult.pdf.hash,
+      comic.metadataHash
+    ];
+    const registered = await Promise.all(comicCids.map(cid => pinService.getPin(cid)));
+    const collectionPin = await pinService.getPin(collection.metadataHash);
+    logTest(
+      "Records every published CID with its kind, creator and owning comic",
+      registered.every(pin => pin?.owners.includes(`comic:${comic.id}`) && pin.owned && pin.creator === "0.0.8402") &&
+        registered.map(pin => pin.kind).join() === "thumbnail,web,print,rendition,rendition,cbz,epub,pdf,metadata" &&
+        registered.every(pin => pin.size > 0) &&
+        collectionPin?.owners.join() === `collection:${collection.id}`,
+      JSON.stringify(registered.map(pin => pin && { kind: pin.kind, owners: pin.owners, size: pin.size }))
+    );
+
+    // What a publish that failed half-way leaves behind: content no comic claims
+    const leftover = await ipfsService.uploadFile(Buffer.from("abandoned page"), "page-9-web.jpg", { type: "web", creator: "0.0.8402" });
+    const recent = await ipfsService.uploadFile(Buffer.from("still publishing"), "page-1-web.jpg", { type: "web", creator: "0.0.8402" });
+    await storage.update("pins", leftover.hash, { createdAt: new Date(Date.now() - 120000).toISOString() });
+    logTest(
+      "Uploads start out unowned",
+      (await pinService.getPin(leftover.hash)).owned === false &&
+        (await pinService.orphans()).map(pin => pin.cid).join() === leftover.hash
+    );
+
+    // Lost from the primary: one the backup still has, one gone everywhere
+    const restorable = first.web.hash;
+    await backup.add(await primary.get(restorable), { name: "page-1-web.jpg" });
+    await primary.unpin(restorable);
+    const lost = comic.pagesResult.pdf.hash;
+    await primary.unpin(lost);
+
+    jobService.register(reconcilePinsJob);
+    await jobService.start();
+    const queued = await request(app).post("/api/admin/pins/reconcile").set(admin);
+    const job = await settled(queued.body.data.id);
+    const usage = job.result?.usage.find(entry => entry.creator === "0.0.8402");
+    logTest(
+      "Reconciliation unpins old orphans, re-pins from a backup and reports what is lost",
+      queued.status === 202 &&
+        job.status === "completed" &&
+        job.result.unpinned === 1 &&
+        job.result.repinned === 1 &&
+        job.result.missing.join() === lost &&
+        !(await primary.has(leftover.hash)) &&
+        !(await pinService.getPin(leftover.hash)) &&
+        (await primary.has(recent.hash)) &&
+        (await primary.has(restorable)) &&
+        (await pinService.getPin(lost)).status === PIN_STATUS.MISSING &&
+        (await pinService.getPin(restorable)).status === PIN_STATUS.PINNED,
+      JSON.stringify(job)
+    );
+
+    const pins = await storage.find("pins", { creator: "0.0.8402" });
+    logTest(
+      "Reports storage per creator, by kind",
+      usage?.pins === pins.length &&
+        usage.bytes === pins.reduce((sum, pin) => sum + pin.size, 0) &&
+        usage.kinds.cbz === comic.pagesResult.cbz.size &&
+        usage.orphaned === 1 &&
+        usage.missing === 1,
+      JSON.stringify(usage)
+    );
+
+    const listed = await request(app).get("/api/admin/pins?status=missing").set(admin);
+    const report = await request(app).get("/api/admin/pins/usage").set(admin);
+    const denied = await request(app).get("/api/admin/pins/usage").set(creator);
+    logTest(
+      "Admins can browse the registry and usage; creators cannot",
+      listed.status === 200 &&
+        listed.body.data.total === 1 &&
+        listed.body.data.pins[0].cid === lost &&
+        report.status === 200 &&
+        report.body.data.some(entry => entry.creator === "0.0.8402") &&
+        denied.status === 403
+    );
+
+    const pinned = await ipfsService.pinHash(recent.hash, "page-1-web.jpg", { owner: "comic:manual" });
+    logTest(
+      "pinHash records its owner",
+      pinned.provider === "local" && (await pinService.getPin(recent.hash)).owners.join() === "comic:manual"
+    );
+
+    jobService.schedule(RECONCILE_PINS, 40);
+    const scheduled = await new Promise(resolve => {
+      const timer = setInterval(async () => {
+        const [job] = await storage.find("jobs", { owner: SYSTEM_OWNER, type: RECONCILE_PINS });
+        if (job) {
+          clearInterval(timer);
+          resolve(jobService.isFinished(job) ? job : settled(job.id));
+        }
+      }, 20);
+    });
+    jobService.stop();
+    logTest("Schedules reconciliation as a system job", scheduled.status === "completed", JSON.stringify(scheduled));
+  } catch (error) {
+    logTest("Pin suite", false, error.stack);
+  } finally {
+    jobService.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,116 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+
+// Point storage at a throwaway database before the services load
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-reading-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.JWT_SECRET = "test-secret";
+
+const { default: storage } = await import("../src/storage/index.js");
+const { default: authService } = await import("../src/services/authService.js");
+const { default: readerRoutes } = await import("../src/routes/reader.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function signIn(accountId) {
+  const user = await storage.insert("users", { id: accountId, accountId, roles: ["collector"] });
+  const { token } = await authService.issueTokens(user);
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function runTests() {
+  console.log("\n🧪 Reading Progress & Bookmarks Tests\n");
+
+  try {
+    await storage.initialize();
+    const app = express();
+    app.use(express.json());
+    app.use("/api/reader", readerRoutes);
+
+    const reader = await signIn("0.0.7201");
+    const other = await signIn("0.0.7202");
+    const comicId = "0.0.5005-1";
+    await storage.insert("comics", { id: comicId, tokenId: "0.0.5005", serialNumber: 1, pagesResult: { totalPages: 10 } });
+
+    const anonymous = await request(app).post("/api/reader/progress").send({ comicId, currentPage: 1 });
+    logTest("Progress requires sign-in", anonymous.status === 401);
+
+    const missing = await request(app).post("/api/reader/progress").set(reader).send({ comicId: "0.0.1-1", currentPage: 1 });
+    logTest("Unknown comics are a 404", missing.status === 404);
+
+    const invalid = await request(app).post("/api/reader/progress").set(reader).send({ comicId, currentPage: 0 });
+    logTest("Rejects invalid pages", invalid.status === 400);
+
+    // Save on one "device"
+    await request(app).post("/api/reader/progress").set(reader).send({ comicId, currentPage: 3, totalPages: 10, readTime: 0 });
+    const saved = await request(app)
+      .post("/api/reader/progress")
+      .set(reader)
+      .send({ comicId, currentPage: 4, totalPages: 10, readTime: 60 * 60 * 1000 });
+    logTest(
+      "Read time is capped by the time since the last save",
+      saved.status === 200 && saved.body.data.totalReadTimeMs < 5000 && saved.body.data.percent === 40,
+      JSON.stringify(saved.body.data)
+    );
+
+    // Add bookmarks, re-bookmarking updates the note
+    await request(app).post("/api/reader/bookmark").set(reader).send({ comicId, pageNumber: 2, note: "Splash page" });
+    const bookmarked = await request(app).post("/api/reader/bookmark").set(reader).send({ comicId, pageNumber: 4, note: "first" });
+    const renoted = await request(app).post("/api/reader/bookmark").set(reader).send({ comicId, pageNumber: 4, note: "Reveal" });
+    logTest(
+      "One bookmark per page, with notes",
+      bookmarked.status === 201 && renoted.body.data.id === `${comicId}-0.0.7201-4` && renoted.body.data.note === "Reveal"
+    );
+
+    // Pick up on another "device"
+    const resume = await request(app).get(`/api/reader/progress/${comicId}`).set(reader);
+    logTest(
+      "Resume returns the last page and bookmarks",
+      resume.body.data.progress.currentPage === 4 && resume.body.data.bookmarks.length === 2
+    );
+
+    const foreign = await request(app).get(`/api/reader/progress/${comicId}`).set(other);
+    logTest("Progress is per account", foreign.body.data.progress === null && foreign.body.data.bookmarks.length === 0);
+
+    const stolen = await request(app).delete(`/api/reader/bookmark/${comicId}-0.0.7201-4`).set(other);
+    logTest("Cannot delete someone else's bookmark", stolen.status === 404);
+
+    const removed = await request(app).delete(`/api/reader/bookmark/${comicId}-0.0.7201-4`).set(reader);
+    const remaining = await request(app).get(`/api/reader/bookmarks?comicId=${comicId}`).set(reader);
+    logTest("Deletes a bookmark", removed.status === 200 && remaining.body.data.length === 1);
+
+    // Finishing sticks, even after flipping back
+    await request(app).post("/api/reader/progress").set(reader).send({ comicId, currentPage: 10, totalPages: 10 });
+    const back = await request(app).post("/api/reader/progress").set(reader).send({ comicId, currentPage: 1, totalPages: 10 });
+    const list = await request(app).get("/api/reader/progress").set(reader);
+    logTest(
+      "Completion is kept once reached",
+      back.body.data.completed && !!back.body.data.completedAt && list.body.data[0].comicId === comicId
+    );
+  } catch (error) {
+    logTest("Reading suite", false, error.stack);
+  } finally {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,122 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+
+// Local content store in a temp dir; a small matrix to keep encoding quick
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-renditions-"));
+process.env.IPFS_PROVIDER = "local";
+process.env.LOCAL_IPFS_DIR = path.join(tmpDir, "ipfs");
+process.env.RENDITION_WIDTHS = "200,400,4000";
+
+const { default: ipfsService } = await import("../src/services/ipfsService.js");
+const { renditionMatrix, renderRenditions, widthsFor, coverOf } = await import("../src/formats/renditions.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function runTests() {
+  console.log("\n🧪 Responsive Rendition Tests\n");
+
+  try {
+    const matrix = renditionMatrix();
+    logTest(
+      "Reads the width × format matrix from the environment",
+      matrix.widths.join() === "200,400,4000" && matrix.formats.join() === "avif,webp,jpeg",
+      JSON.stringify(matrix)
+    );
+
+    process.env.RENDITION_FORMATS = "webp";
+    const webpOnly = renditionMatrix();
+    process.env.RENDITION_FORMATS = "webp,gif";
+    const invalid = (() => {
+      try {
+        renditionMatrix();
+        return null;
+      } catch (error) {
+        return error;
+      }
+    })();
+    delete process.env.RENDITION_FORMATS;
+    logTest(
+      "Always keeps a JPEG fallback and rejects unknown formats",
+      webpOnly.formats.join() === "webp,jpeg" && invalid?.message.includes("gif")
+    );
+
+    logTest(
+      "Never upscales past the source width",
+      widthsFor(600, matrix.widths).join() === "200,400,600" && widthsFor(150, matrix.widths).join() === "150"
+    );
+
+    const page = path.join(tmpDir, "page.png");
+    await sharp({ create: { width: 600, height: 900, channels: 3, background: "#8e44ad" } }).png().toFile(page);
+
+    const rendered = await renderRenditions(page, matrix);
+    const decoded = await Promise.all(rendered.map(({ buffer }) => sharp(buffer).metadata()));
+    logTest(
+      "Encodes every width in AVIF, WebP and JPEG",
+      rendered.map(r => `${r.format}@${r.width}x${r.height}`).join() ===
+        "avif@200x300,avif@400x600,avif@600x900,webp@200x300,webp@400x600,webp@600x900,jpeg@200x300,jpeg@400x600,jpeg@600x900" &&
+        decoded.map(meta => meta.format).join() === "heif,heif,heif,webp,webp,webp,jpeg,jpeg,jpeg",
+      rendered.map(r => `${r.format}@${r.width}x${r.height}`).join()
+    );
+
+    const avif = rendered.find(r => r.format === "avif" && r.width === 400).buffer.length;
+    const jpeg = rendered.find(r => r.format === "jpeg" && r.width === 400).buffer.length;
+    logTest("AVIF is smaller than JPEG at the same width", avif < jpeg, `${avif} vs ${jpeg}`);
+
+    await ipfsService.initialize();
+    const spread = path.join(tmpDir, "spread.png");
+    await sharp({ create: { width: 1200, height: 900, channels: 3, background: "#2980b9" } }).png().toFile(spread);
+    const result = await ipfsService.uploadComicPages([page, spread], { name: "Violet", issueNumber: 1 });
+    const [first] = result.pages;
+    const stored = await ipfsService.retrieveFromIPFS(first.renditions.find(r => r.format === "webp" && r.width === 200).hash);
+    logTest(
+      "Pages record their renditions on IPFS alongside the fixed sizes",
+      first.renditions.length === 9 &&
+        first.width === 600 &&
+        first.height === 900 &&
+        first.web.uri.startsWith("ipfs://") &&
+        first.renditions.every(r => r.uri === `ipfs://${r.hash}` && r.url.endsWith(r.hash) && r.mediaType.startsWith("image/")) &&
+        (await sharp(stored).metadata()).width === 200,
+      JSON.stringify(first.renditions)
+    );
+
+    logTest(
+      "Wide pages are flagged as double-page spreads",
+      result.pages.map(processed => processed.spread).join() === "false,true"
+    );
+
+    const cover = coverOf({ pagesResult: result });
+    const legacy = coverOf({ pagesResult: { pages: [{ thumbnail: { url: "https://gw/ipfs/thumb" } }] } });
+    logTest(
+      "Covers carry renditions for srcset, and older comics still get a URL",
+      cover.url === first.thumbnail.url &&
+        cover.renditions.length === 9 &&
+        !("hash" in cover.renditions[0]) &&
+        legacy.url === "https://gw/ipfs/thumb" &&
+        legacy.renditions.length === 0 &&
+        coverOf({}) === null
+    );
+  } catch (error) {
+    logTest("Rendition suite", false, error.stack);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
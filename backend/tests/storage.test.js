@@ -0,0 +1,90 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import SQLiteAdapter from "../src/storage/sqliteAdapter.js";
+import { importLegacyJson } from "../src/storage/jsonImporter.js";
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function runTests() {
+  console.log("\n🧪 Storage Adapter Tests (SQLite)\n");
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-storage-"));
+  const storage = new SQLiteAdapter({ filename: path.join(tmpDir, "test.db") });
+
+  try {
+    await storage.initialize();
+    const versions = await storage.getAppliedMigrations();
+    logTest("Migrations applied", versions.includes(1));
+    logTest("Migrations are idempotent", (await storage.migrate()).length === 0);
+
+    await storage.insert("comics", {
+      id: "0.0.1-1",
+      title: "Night Shift",
+      genres: ["Horror", "Manga"],
+      mintPrice: 5,
+      createdAt: "2024-01-01T00:00:00.000Z"
+    });
+    await storage.insert("comics", {
+      id: "0.0.1-2",
+      title: "Day Job",
+      genres: ["Comedy"],
+      mintPrice: 15,
+      createdAt: "2024-02-01T00:00:00.000Z"
+    });
+
+    const byGenre = await storage.find("comics", { genres: { $has: "manga" } });
+    logTest("$has matches array elements case-insensitively", byGenre.length === 1 && byGenre[0].id === "0.0.1-1");
+
+    const byText = await storage.find("comics", {
+      $or: [{ title: { $contains: "day" } }, { title: { $contains: "night" } }]
+    }, { sort: { createdAt: -1 } });
+    logTest("$or + $contains with sort", byText.map(c => c.id).join() === "0.0.1-2,0.0.1-1");
+
+    const priced = await storage.count("comics", { mintPrice: { $gte: 10, $lte: 20 } });
+    logTest("Range operators", priced === 1);
+
+    const incremented = await storage.increment("comics", "0.0.1-1", "views", 2);
+    logTest("Atomic increment", incremented.views === 2);
+
+    const rejected = await storage.update("comics", "0.0.1-1", { title: "X" }, { where: { mintPrice: 99 } });
+    const accepted = await storage.update("comics", "0.0.1-1", { title: "X" }, { where: { mintPrice: 5 } });
+    logTest("Conditional update", rejected === null && accepted.title === "X" && accepted.views === 2);
+
+    // Legacy JSON import runs once
+    const legacyFile = path.join(tmpDir, "comicsData.json");
+    fs.writeFileSync(legacyFile, JSON.stringify({
+      collections: [{ id: "0.0.9", name: "Legacy" }],
+      comics: [{ id: "0.0.9-1", collectionId: "0.0.9", title: "Old" }]
+    }));
+
+    const first = await importLegacyJson(storage, { file: legacyFile });
+    const second = await importLegacyJson(storage, { file: legacyFile });
+    logTest(
+      "Legacy JSON import runs once",
+      first.imported && !second.imported && (await storage.findById("comics", "0.0.9-1"))?.title === "Old"
+    );
+  } catch (error) {
+    logTest("Storage suite", false, error.message);
+  } finally {
+    await storage.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
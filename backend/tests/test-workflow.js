@@ -101,8 +101,9 @@ async function runCompleteTest() {
       await ipfsService.initialize();
       const status = ipfsService.getStatus();
       console.log('✅ IPFS service initialized');
-      console.log('   Pinata:', status.pinataConfigured ? '✓' : '✗');
-      console.log('   Web3.Storage:', status.web3Configured ? '✓' : '✗');
+      status.providers.forEach(provider => {
+        console.log(`   ${provider.provider}:`, provider.ready ? '✓' : '✗');
+      });
     } catch (error) {
       console.error('❌ IPFS initialization failed:', error.message);
       throw error;
@@ -131,7 +132,7 @@ async function runCompleteTest() {
 
       // Test image upload
       const testImage = createTestImage('TEST IMAGE');
-      const imageResult = await ipfsService.uploadToPinata(testImage, 'test-cover.jpg', {
+      const imageResult = await ipfsService.uploadFile(testImage, 'test-cover.jpg', {
         type: 'test-cover',
         uploadedBy: process.env.HEDERA_ACCOUNT_ID
       });
@@ -0,0 +1,171 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import multer from "multer";
+import request from "supertest";
+import sharp from "sharp";
+
+// Small limits so the fixtures stay cheap to encode
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-upload-security-"));
+process.env.IMAGE_MIN_SIZE = "100";
+process.env.IMAGE_MAX_SIZE = "2000";
+process.env.IMAGE_MAX_PIXELS = "1000000";
+
+const { sniffImageType, sanitizeImage, sanitizeImages, REJECTION } = await import("../src/formats/imageValidation.js");
+const { validateImageUploads } = await import("../src/middleware/validateUploads.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+const image = (width, height) => sharp({ create: { width, height, channels: 3, background: "#c0392b" } });
+
+async function write(name, data) {
+  const file = path.join(tmpDir, name);
+  await fs.promises.writeFile(file, data);
+  return file;
+}
+
+const rejectionOf = promise =>
+  promise.then(
+    () => null,
+    error => error
+  );
+
+async function runTests() {
+  console.log("\n🧪 Upload Security Tests\n");
+
+  try {
+    const png = await image(300, 400).png().toBuffer();
+    const jpeg = await image(300, 400).jpeg().toBuffer();
+    const webp = await image(300, 400).webp().toBuffer();
+    logTest(
+      "Detects JPEG, PNG and WebP from their magic bytes",
+      sniffImageType(png)?.type === "image/png" &&
+        sniffImageType(jpeg)?.type === "image/jpeg" &&
+        sniffImageType(webp)?.type === "image/webp" &&
+        sniffImageType(Buffer.from("<svg xmlns='http://www.w3.org/2000/svg'/>")) === null
+    );
+
+    // An HTML file named like a PNG, as a client could declare it
+    const disguised = await rejectionOf(sanitizeImage(await write("page.png", "<html><script>alert(1)</script></html>")));
+    const truncated = await rejectionOf(sanitizeImage(await write("cut.png", png.subarray(0, 60))));
+    logTest(
+      "Rejects non-images whatever their name, and truncated images",
+      disguised?.status === 422 &&
+        disguised.details.code === REJECTION.UNSUPPORTED_TYPE &&
+        truncated?.details?.code === REJECTION.UNREADABLE,
+      `${disguised?.message} / ${truncated?.message}`
+    );
+
+    const tiny = await rejectionOf(sanitizeImage(await write("tiny.png", await image(50, 80).png().toBuffer())));
+    const wide = await rejectionOf(sanitizeImage(await write("wide.png", await image(2400, 120).png().toBuffer())));
+    const bomb = await rejectionOf(sanitizeImage(await write("bomb.png", await image(1200, 1200).png().toBuffer())));
+    logTest(
+      "Rejects tiny, oversized and too-many-pixel images",
+      tiny?.details?.code === REJECTION.TOO_SMALL &&
+        wide?.details?.code === REJECTION.TOO_LARGE &&
+        bomb?.details?.code === REJECTION.TOO_MANY_PIXELS,
+      [tiny, wide, bomb].map(error => error?.message).join(" / ")
+    );
+
+    // Sideways phone photo with a location and a wide-gamut profile
+    const photo = await write(
+      "photo.jpg",
+      await image(400, 300)
+        .withExif({
+          IFD0: { Make: "PhoneCo", Copyright: "Someone" },
+          IFD3: { GPSLatitudeRef: "N", GPSLatitude: "51/1 30/1 0/1" }
+        })
+        .withIccProfile("p3")
+        .withMetadata({ orientation: 6 })
+        .jpeg()
+        .toBuffer()
+    );
+    const before = await sharp(photo).metadata();
+    const cleaned = await sanitizeImage(photo);
+    const after = await sharp(photo).metadata();
+    logTest(
+      "Strips EXIF/GPS, applies orientation and converts to sRGB",
+      before.exif && before.icc && before.orientation === 6 &&
+        cleaned.type === "image/jpeg" &&
+        after.width === 300 &&
+        after.height === 400 &&
+        !after.exif &&
+        !after.orientation &&
+        after.space === "srgb" &&
+        !after.icc,
+      JSON.stringify({ cleaned, exif: !!after.exif, icc: !!after.icc, orientation: after.orientation, space: after.space })
+    );
+
+    const batch = await rejectionOf(
+      sanitizeImages([
+        { path: await write("ok.webp", webp), field: "pages", name: "01.webp" },
+        { path: await write("bad.jpg", "not an image at all"), field: "pages", name: "02.jpg" },
+        { path: await write("small.jpg", await image(40, 40).jpeg().toBuffer()), field: "coverImage", name: "cover.jpg" }
+      ])
+    );
+    logTest(
+      "Reports every rejected file of a batch",
+      batch?.status === 422 &&
+        JSON.stringify(batch.details.errors.map(({ field, file, code }) => [field, file, code])) ===
+          JSON.stringify([
+            ["pages", "02.jpg", REJECTION.UNSUPPORTED_TYPE],
+            ["coverImage", "cover.jpg", REJECTION.TOO_SMALL]
+          ]),
+      JSON.stringify(batch?.details)
+    );
+
+    const uploadDir = path.join(tmpDir, "uploads");
+    const app = express();
+    app.post("/upload", multer({ dest: uploadDir }).array("pages"), validateImageUploads, (req, res) =>
+      res.json({ success: true, files: req.files.map(file => file.path) })
+    );
+
+    const accepted = await request(app)
+      .post("/upload")
+      .attach("pages", png, { filename: "01.png", contentType: "application/octet-stream" })
+      .attach("pages", jpeg, { filename: "02.jpg", contentType: "image/jpeg" });
+    logTest(
+      "Accepts images by content, whatever type the client declared",
+      accepted.status === 200 && accepted.body.files.length === 2 && accepted.body.files.every(file => fs.existsSync(file)),
+      JSON.stringify(accepted.body)
+    );
+
+    const rejected = await request(app)
+      .post("/upload")
+      .attach("pages", png, { filename: "01.png", contentType: "image/png" })
+      .attach("pages", Buffer.from("MZ\x90\x00 executable"), { filename: "02.png", contentType: "image/png" });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    logTest(
+      "Answers rejections with per-file errors and removes the request's files",
+      rejected.status === 422 &&
+        rejected.body.success === false &&
+        rejected.body.errors.length === 1 &&
+        rejected.body.errors[0].file === "02.png" &&
+        rejected.body.errors[0].code === REJECTION.UNSUPPORTED_TYPE &&
+        fs.readdirSync(uploadDir).length === 2,
+      JSON.stringify({ body: rejected.body, left: fs.readdirSync(uploadDir) })
+    );
+  } catch (error) {
+    logTest("Upload security suite", false, error.stack);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,170 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { createHash } from "crypto";
+
+// Throwaway database and session dir before the services load; small chunks to exercise resuming
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "comicpad-uploads-"));
+process.env.SQLITE_PATH = path.join(tmpDir, "test.db");
+process.env.JWT_SECRET = "test-secret";
+process.env.UPLOAD_DIR = path.join(tmpDir, "sessions");
+process.env.UPLOAD_CHUNK_SIZE = "64KB";
+process.env.MAX_FILE_SIZE = "1MB";
+
+const { default: storage } = await import("../src/storage/index.js");
+const { default: authService } = await import("../src/services/authService.js");
+const { default: uploadService } = await import("../src/services/uploadService.js");
+const { default: uploadRoutes } = await import("../src/routes/uploads.js");
+const { parseSize, formatSize } = await import("../src/utils/sizes.js");
+
+// Test results tracker
+const testResults = { passed: 0, failed: 0, total: 0 };
+
+function logTest(name, passed, message = "") {
+  testResults.total++;
+  if (passed) {
+    testResults.passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    testResults.failed++;
+    console.log(`❌ ${name}: ${message}`);
+  }
+}
+
+async function signIn(accountId, roles) {
+  const user = await storage.insert("users", { id: accountId, accountId, roles });
+  const { token } = await authService.issueTokens(user);
+  return { Authorization: `Bearer ${token}` };
+}
+
+const sha256 = data => createHash("sha256").update(data).digest("hex");
+
+const describe = (name, data, role = "page") => ({ name, size: data.length, type: "image/png", sha256: sha256(data), role });
+
+async function runTests() {
+  console.log("\n🧪 Resumable Upload Tests\n");
+
+  try {
+    await storage.initialize();
+    const app = express();
+    app.use(express.json());
+    app.use("/api/uploads", uploadRoutes);
+
+    const creator = await signIn("0.0.8201", ["creator"]);
+    const other = await signIn("0.0.8202", ["creator"]);
+    const collector = await signIn("0.0.8203", ["collector"]);
+
+    logTest(
+      "Parses and formats sizes",
+      parseSize("50MB") === 50 * 1024 * 1024 && parseSize("512kb") === 524288 && parseSize("nope", 7) === 7 && formatSize(52428800) === "50MB"
+    );
+
+    const cover = Buffer.alloc(40 * 1024, 1);
+    const pageOne = Buffer.from(Array.from({ length: 150 * 1024 }, (_, i) => i % 251));
+    const pageTwo = Buffer.alloc(10 * 1024, 2);
+    const files = [describe("cover.png", cover, "cover"), describe("001.png", pageOne), describe("002.png", pageTwo)];
+
+    const denied = await request(app).post("/api/uploads").set(collector).send({ files });
+    const tooBig = await request(app)
+      .post("/api/uploads")
+      .set(creator)
+      .send({ files: [{ ...files[1], size: 2 * 1024 * 1024 }] });
+    logTest(
+      "Sessions are for creators, within the file size limit",
+      denied.status === 403 && tooBig.status === 413 && tooBig.body.error.includes("1MB"),
+      `${denied.status} ${tooBig.status} ${tooBig.body.error}`
+    );
+
+    const created = await request(app).post("/api/uploads").set(creator).send({ files });
+    const { id, chunkSize } = created.body.data;
+    logTest(
+      "Opens a session with the chunk size to use",
+      created.status === 201 && chunkSize === 64 * 1024 && created.body.data.files.every(file => file.offset === 0),
+      JSON.stringify(created.body)
+    );
+
+    const sendChunk = (index, offset, data, checksum = sha256(data), headers = creator) =>
+      request(app)
+        .put(`/api/uploads/${id}/files/${index}`)
+        .set(headers)
+        .set("Content-Type", "application/octet-stream")
+        .set("Upload-Offset", String(offset))
+        .set("Upload-Checksum", `sha256 ${checksum}`)
+        .send(data);
+
+    const first = await sendChunk(1, 0, pageOne.subarray(0, chunkSize));
+    logTest(
+      "Accepts a chunk and reports the new offset",
+      first.status === 200 && first.body.data.offset === chunkSize && first.headers["upload-offset"] === String(chunkSize)
+    );
+
+    const corrupt = await sendChunk(1, chunkSize, pageOne.subarray(chunkSize, 2 * chunkSize), sha256(Buffer.from("x")));
+    logTest("Rejects a chunk whose checksum doesn't match", corrupt.status === 422 && corrupt.body.offset === chunkSize);
+
+    // The client lost track (say, the response never arrived) and resends the first chunk
+    const stale = await sendChunk(1, 0, pageOne.subarray(0, chunkSize));
+    const resumed = await request(app).get(`/api/uploads/${id}`).set(creator);
+    logTest(
+      "Out-of-order chunks get the offset to resume from",
+      stale.status === 409 && stale.body.offset === chunkSize && resumed.body.data.files[1].offset === chunkSize,
+      JSON.stringify(stale.body)
+    );
+
+    const stranger = await request(app).get(`/api/uploads/${id}`).set(other);
+    const strangerChunk = await sendChunk(2, 0, pageTwo, sha256(pageTwo), other);
+    logTest("Sessions are private to their creator", stranger.status === 404 && strangerChunk.status === 404);
+
+    const oversized = await sendChunk(1, chunkSize, pageOne.subarray(chunkSize, chunkSize + chunkSize + 1));
+    logTest("Rejects chunks over the chunk size", oversized.status === 413, `${oversized.status}`);
+
+    // Finish everything, resuming page one where it stopped
+    for (let offset = chunkSize; offset < pageOne.length; offset += chunkSize) {
+      await sendChunk(1, offset, pageOne.subarray(offset, offset + chunkSize));
+    }
+    await sendChunk(0, 0, cover);
+    await sendChunk(2, 0, pageTwo);
+
+    const done = await request(app).get(`/api/uploads/${id}`).set(creator);
+    const claimed = await uploadService.claim(id, "0.0.8201");
+    logTest(
+      "Completed files are reassembled byte for byte",
+      done.body.data.complete &&
+        fs.readFileSync(claimed.cover).equals(cover) &&
+        claimed.pages.length === 2 &&
+        fs.readFileSync(claimed.pages[0]).equals(pageOne) &&
+        fs.readFileSync(claimed.pages[1]).equals(pageTwo),
+      JSON.stringify(done.body.data)
+    );
+
+    // Every chunk checks out, but the whole file isn't what was declared
+    const declared = Buffer.alloc(1000, 3);
+    const mismatch = await uploadService.createSession("0.0.8201", { files: [describe("003.png", declared)] });
+    const sent = Buffer.alloc(1000, 4);
+    const wrongFile = await uploadService
+      .writeChunk(mismatch.id, "0.0.8201", 0, { offset: 0, checksum: sha256(sent), data: sent })
+      .catch(error => error);
+    const incomplete = await uploadService.claim(mismatch.id, "0.0.8201").catch(error => error);
+    logTest(
+      "A file that doesn't match its SHA-256 starts over",
+      wrongFile.status === 422 && wrongFile.details.offset === 0 && incomplete.status === 409,
+      wrongFile.message
+    );
+
+    const removed = await request(app).delete(`/api/uploads/${id}`).set(creator);
+    logTest(
+      "Discarding a session removes its chunks",
+      removed.status === 200 && !fs.existsSync(path.join(process.env.UPLOAD_DIR, id))
+    );
+  } catch (error) {
+    logTest("Upload suite", false, error.stack);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 ${testResults.passed}/${testResults.total} passed`);
+  process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,71 @@
+/*
+ * Comic Pad service worker.
+ *
+ * Serves the pages of issues downloaded for offline reading from
+ * Cache Storage (src/utils/offlineLibrary.ts puts them there), and
+ * keeps the app itself — the page and its built assets — so the
+ * reader opens without a network. API calls always go to the
+ * network; the reader falls back to its IndexedDB copy when they fail.
+ */
+
+const SHELL_CACHE = 'comic-pad-shell-v1'
+// Shared with offlineLibrary.ts
+const PAGES_CACHE = 'comic-pad-pages-v1'
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.add('/')))
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names.filter(name => ![SHELL_CACHE, PAGES_CACHE].includes(name)).map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Network first, so a new build is picked up; the stored copy when offline
+async function appPage(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) await cache.put('/', response.clone())
+    return response
+  } catch (error) {
+    return (await cache.match('/')) || Response.error()
+  }
+}
+
+// Built assets have content hashes in their names: once stored, never stale
+async function appAsset(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) await cache.put(request, response.clone())
+  return response
+}
+
+async function page(request) {
+  const cached = await caches.match(request, { cacheName: PAGES_CACHE, ignoreVary: true })
+  return cached || fetch(request)
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  const sameOrigin = url.origin === self.location.origin
+
+  if (request.mode === 'navigate') {
+    event.respondWith(appPage(request))
+  } else if (sameOrigin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(appAsset(request))
+  } else if (request.destination === 'image') {
+    event.respondWith(page(request))
+  }
+})
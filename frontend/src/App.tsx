@@ -1,17 +1,20 @@
-import React from 'react'
+import React, { useEffect } from 'react'
 import { Routes, Route } from 'react-router-dom'
 import styled from 'styled-components'
+import toast from 'react-hot-toast'
 
 import Header from './components/Layout/Header'
 import Footer from './components/Layout/Footer'
 import Home from './pages/Home'
 import Marketplace from './pages/Marketplace'
-import ComicReader from './pages/ComicReader'
+import ComicReader from './components/ComicReader/ComicReader'
 import CreatorStudio from './pages/CreatorStudio'
 import Profile from './pages/Profile'
 import Collection from './pages/Collection'
 import ComicDetail from './pages/ComicDetail'
 import NotFound from './pages/NotFound'
+import { useAuth } from './contexts/AuthContext'
+import { revalidateOfflineIssues } from './utils/offlineLibrary'
 
 const AppContainer = styled.div`
   min-height: 100vh;
@@ -27,6 +30,24 @@ const MainContent = styled.main`
 `
 
 function App() {
+  const { user } = useAuth()
+
+  // Offline copies are checked against ownership whenever the device is online
+  useEffect(() => {
+    if (!user) return
+    const revalidate = () => {
+      revalidateOfflineIssues(user.accountId)
+        .then(({ removed }) => {
+          if (removed > 0) toast(`Removed ${removed} offline ${removed === 1 ? 'issue' : 'issues'} you no longer own`)
+        })
+        .catch(error => console.error('Offline copy check failed:', error))
+    }
+
+    if (navigator.onLine) revalidate()
+    window.addEventListener('online', revalidate)
+    return () => window.removeEventListener('online', revalidate)
+  }, [user])
+
   return (
     <AppContainer>
       <Header />
@@ -36,7 +57,7 @@ function App() {
           <Route path="/marketplace" element={<Marketplace />} />
           <Route path="/marketplace/:id" element={<ComicDetail />} />
           <Route path="/collection/:id" element={<Collection />} />
-          <Route path="/reader/:comicId" element={<ComicReader />} />
+          <Route path="/reader/:tokenId/:serialNumber" element={<ComicReader />} />
           <Route path="/creator" element={<CreatorStudio />} />
           <Route path="/profile" element={<Profile />} />
           <Route path="/profile/:address" element={<Profile />} />
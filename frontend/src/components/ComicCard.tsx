@@ -4,6 +4,7 @@ import { motion } from 'framer-motion'
 import { Link } from 'react-router-dom'
 import { FiHeart, FiShoppingCart, FiEye, FiClock } from 'react-icons/fi'
 import { useTheme } from '../contexts/ThemeContext'
+import ResponsivePicture, { Cover } from './UI/ResponsivePicture'
 
 interface Comic {
   id: string
@@ -17,6 +18,7 @@ interface Comic {
   rarity: string
   genres: string[]
   coverImage: string
+  cover?: Cover | null
   createdAt: string
   isLive: boolean
 }
@@ -268,11 +270,14 @@ const ComicCard: React.FC<ComicCardProps> = ({ comic, onBuy, isBuying = false })
     >
       <Link to={`/marketplace/${comic.id}`}>
         <ImageContainer>
-          <ComicImage
-            src={comic.coverImage}
-            alt={`${comic.title} #${comic.issueNumber}`}
-            loading="lazy"
-          />
+          {/* Full width on phones; grid columns of 280px and up elsewhere */}
+          <ResponsivePicture renditions={comic.cover?.renditions} sizes="(min-width: 640px) 400px, 100vw">
+            <ComicImage
+              src={comic.cover?.url || comic.coverImage}
+              alt={`${comic.title} #${comic.issueNumber}`}
+              loading="lazy"
+            />
+          </ResponsivePicture>
           <Overlay />
           <RarityBadge $rarity={comic.rarity}>
             {comic.rarity}
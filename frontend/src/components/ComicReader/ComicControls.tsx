@@ -1,18 +1,46 @@
-import React from 'react'
+import React, { useState } from 'react'
 import styled from 'styled-components'
 import { motion, AnimatePresence } from 'framer-motion'
-import { FiChevronLeft, FiChevronRight, FiBookmark, FiBookmarkCheck } from 'react-icons/fi'
+import { FiChevronLeft, FiChevronRight, FiBookmark, FiGrid, FiEdit3, FiColumns, FiChevronsDown, FiDownload, FiCheckCircle } from 'react-icons/fi'
 import { useTheme } from '../../contexts/ThemeContext'
 
+// Pages are read left to right, or right to left (manga)
+export type ReadingDirection = 'ltr' | 'rtl'
+
 interface ComicControlsProps {
   currentPage: number
   totalPages: number
+  // Everything on screen: both pages of a spread in double-page view
+  visiblePages: number[]
+  hasPrev: boolean
+  hasNext: boolean
   onPageChange: (page: number) => void
   onNext: () => void
   onPrev: () => void
   onBookmark: () => void
   isBookmarked: boolean
   showControls: boolean
+  // Guided view: panel by panel
+  guided: boolean
+  onGuidedToggle: () => void
+  currentPanel?: number
+  totalPanels?: number
+  // Only offered to the comic's creator
+  onEditPanels?: () => void
+  direction: ReadingDirection
+  onDirectionToggle: () => void
+  // Continuous view: every page in one vertical scroll
+  continuous: boolean
+  onContinuousToggle: () => void
+  // Double-page view, and whether its pairs start one page later
+  twoUp: boolean
+  onTwoUpToggle: () => void
+  spreadOffset: boolean
+  onSpreadOffsetToggle: () => void
+  // Kept on this device for offline reading; unset when the browser can't
+  offlineStatus?: 'available' | 'saving' | 'saved'
+  offlineProgress?: number
+  onOfflineToggle: () => void
 }
 
 const ControlsContainer = styled(motion.div)<{ $visible: boolean }>`
@@ -72,6 +100,20 @@ const BookmarkButton = styled(ControlButton)<{ $isBookmarked: boolean }>`
     $isBookmarked ? theme.colors.success : theme.colors.border};
 `
 
+const ToggleButton = styled(ControlButton)<{ $active: boolean }>`
+  background: ${({ theme, $active }) => 
+    $active ? theme.colors.primary : theme.colors.surface};
+  color: ${({ theme, $active }) => 
+    $active ? theme.colors.white : theme.colors.text};
+  border: 1px solid ${({ theme, $active }) => 
+    $active ? theme.colors.primary : theme.colors.border};
+`
+
+const ButtonLabel = styled.span`
+  font-size: 0.75rem;
+  font-weight: 600;
+`
+
 const PageInput = styled.input`
   width: 60px;
   height: 40px;
@@ -116,19 +158,42 @@ const ProgressFill = styled.div<{ $progress: number }>`
 const ComicControls: React.FC<ComicControlsProps> = ({
   currentPage,
   totalPages,
+  visiblePages,
+  hasPrev,
+  hasNext,
   onPageChange,
   onNext,
   onPrev,
   onBookmark,
   isBookmarked,
-  showControls
+  showControls,
+  guided,
+  onGuidedToggle,
+  currentPanel,
+  totalPanels,
+  onEditPanels,
+  direction,
+  onDirectionToggle,
+  continuous,
+  onContinuousToggle,
+  twoUp,
+  onTwoUpToggle,
+  spreadOffset,
+  onSpreadOffsetToggle,
+  offlineStatus,
+  offlineProgress,
+  onOfflineToggle
 }) => {
   const { theme } = useTheme()
   const [pageInput, setPageInput] = useState(currentPage.toString())
 
-  const progress = (currentPage / totalPages) * 100
-  const isFirstPage = currentPage === 1
-  const isLastPage = currentPage === totalPages
+  const lastVisible = visiblePages[visiblePages.length - 1]
+  const progress = (lastVisible / totalPages) * 100
+  const isRtl = direction === 'rtl'
+  // Arrows point the way the pages turn: in right-to-left issues "next" is on the left
+  const PrevIcon = isRtl ? FiChevronRight : FiChevronLeft
+  const NextIcon = isRtl ? FiChevronLeft : FiChevronRight
+  const [prevKey, nextKey] = isRtl ? ['→', '←'] : ['←', '→']
 
   const handlePageInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     setPageInput(e.target.value)
@@ -162,7 +227,9 @@ const ComicControls: React.FC<ComicControlsProps> = ({
   return (
     <AnimatePresence>
       {showControls && (
+        // dir puts "previous" on the right and fills the progress bar from the right
         <ControlsContainer
+          dir={direction}
           $visible={showControls}
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -170,11 +237,11 @@ const ComicControls: React.FC<ComicControlsProps> = ({
           transition={{ duration: 0.3 }}
         >
           <ControlButton
-            $disabled={isFirstPage}
+            $disabled={!hasPrev}
             onClick={onPrev}
-            title="Previous page (←)"
+            title={guided ? `Previous panel (${prevKey})` : `Previous page (${prevKey})`}
           >
-            <FiChevronLeft size={20} />
+            <PrevIcon size={20} />
           </ControlButton>
 
           <PageInput
@@ -189,15 +256,16 @@ const ComicControls: React.FC<ComicControlsProps> = ({
           />
 
           <PageInfo>
-            of {totalPages}
+            {lastVisible !== currentPage && `–${lastVisible} `}of {totalPages}
+            {guided && totalPanels ? ` · panel ${currentPanel} of ${totalPanels}` : ''}
           </PageInfo>
 
           <ControlButton
-            $disabled={isLastPage}
+            $disabled={!hasNext}
             onClick={onNext}
-            title="Next page (→)"
+            title={guided ? `Next panel (${nextKey})` : `Next page (${nextKey})`}
           >
-            <FiChevronRight size={20} />
+            <NextIcon size={20} />
           </ControlButton>
 
           <BookmarkButton
@@ -205,9 +273,79 @@ const ComicControls: React.FC<ComicControlsProps> = ({
             onClick={onBookmark}
             title={isBookmarked ? 'Remove bookmark' : 'Add bookmark (B)'}
           >
-            {isBookmarked ? <FiBookmarkCheck size={20} /> : <FiBookmark size={20} />}
+            {/* Feather has no "bookmarked" icon: a filled bookmark stands in */}
+            <FiBookmark size={20} fill={isBookmarked ? 'currentColor' : 'none'} />
           </BookmarkButton>
 
+          <ToggleButton
+            $active={guided}
+            onClick={onGuidedToggle}
+            title={guided ? 'Show whole pages (G)' : 'Guided view: panel by panel (G)'}
+          >
+            <FiGrid size={20} />
+          </ToggleButton>
+
+          <ToggleButton
+            $active={isRtl}
+            onClick={onDirectionToggle}
+            title={isRtl ? 'Reading right to left — switch to left to right' : 'Reading left to right — switch to right to left'}
+          >
+            <ButtonLabel>{isRtl ? 'RTL' : 'LTR'}</ButtonLabel>
+          </ToggleButton>
+
+          <ToggleButton
+            $active={continuous}
+            onClick={onContinuousToggle}
+            title={continuous ? 'Show one page at a time (S)' : 'Scroll through every page (S)'}
+          >
+            <FiChevronsDown size={20} />
+          </ToggleButton>
+
+          <ToggleButton
+            $active={twoUp}
+            onClick={onTwoUpToggle}
+            title={twoUp ? 'Show one page at a time (D)' : 'Double-page view (D)'}
+          >
+            <FiColumns size={20} />
+          </ToggleButton>
+
+          {twoUp && (
+            <ToggleButton
+              $active={spreadOffset}
+              onClick={onSpreadOffsetToggle}
+              title={spreadOffset ? 'Undo the page pair shift' : 'Pages misaligned? Shift the pairs by one page'}
+            >
+              <ButtonLabel>+1</ButtonLabel>
+            </ToggleButton>
+          )}
+
+          {offlineStatus && (
+            <ToggleButton
+              $active={offlineStatus === 'saved'}
+              onClick={onOfflineToggle}
+              disabled={offlineStatus === 'saving'}
+              title={
+                offlineStatus === 'saved' ? 'Saved for offline reading — remove from this device'
+                  : offlineStatus === 'saving' ? 'Saving for offline reading...'
+                  : 'Download for offline reading'
+              }
+            >
+              {offlineStatus === 'saving' ? (
+                <ButtonLabel>{offlineProgress ?? 0}%</ButtonLabel>
+              ) : offlineStatus === 'saved' ? (
+                <FiCheckCircle size={20} />
+              ) : (
+                <FiDownload size={20} />
+              )}
+            </ToggleButton>
+          )}
+
+          {onEditPanels && (
+            <ControlButton onClick={onEditPanels} title="Edit this page's panels">
+              <FiEdit3 size={20} />
+            </ControlButton>
+          )}
+
           <ProgressBar>
             <ProgressFill $progress={progress} />
           </ProgressBar>
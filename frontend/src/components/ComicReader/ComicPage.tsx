@@ -1,16 +1,43 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import styled from 'styled-components'
 import { motion } from 'framer-motion'
 import { useTheme } from '../../contexts/ThemeContext'
+import ResponsivePicture, { Rendition } from '../UI/ResponsivePicture'
+
+// Older payloads sent bare URLs; pages now carry { url, uri, ... }
+export type ImageRef = string | { url: string }
+
+export const urlOf = (image: ImageRef) => typeof image === 'string' ? image : image?.url
+
+// A panel's box on its page, as fractions of the page (0..1)
+export interface Panel {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+export const WHOLE_PAGE: Panel = { x: 0, y: 0, width: 1, height: 1 }
+
+// Room left around a panel in guided view
+const PANEL_MARGIN = 0.94
 
 interface ComicPageProps {
   pageData: {
     pageNumber: number
-    thumbnail: string
-    web: string
-    print: string
+    thumbnail: ImageRef
+    web: ImageRef
+    print: ImageRef
+    width?: number
+    height?: number
+    renditions?: Rendition[]
+    panels?: Panel[]
   }
+  // Guided view: the panel to zoom to; the whole page when unset
+  panel?: Panel | null
   viewMode: 'single' | 'double' | 'continuous'
+  // Which side of its half a page of a spread sits on, so the pair meets at the fold
+  align?: 'start' | 'center' | 'end'
   zoom: 'fit-width' | 'fit-height' | 'fit-page' | number
   isLoading: boolean
   onLoadStart: () => void
@@ -27,6 +54,16 @@ const PageContainer = styled.div<{ $zoom: number | string; $viewMode: string }>`
   overflow: hidden;
 `
 
+// Carries the page as guided view zooms and pans between panels
+const Stage = styled(motion.div)<{ $align: 'start' | 'center' | 'end' }>`
+  display: flex;
+  justify-content: ${({ $align }) => $align === 'center' ? 'center' : `flex-${$align}`};
+  align-items: center;
+  width: 100%;
+  height: 100%;
+  transform-origin: center;
+`
+
 const PageImage = styled.img<{ $zoom: number | string; $loaded: boolean }>`
   max-width: 100%;
   max-height: 100%;
@@ -105,7 +142,9 @@ const PageNumber = styled.div`
 
 const ComicPage: React.FC<ComicPageProps> = ({
   pageData,
+  panel,
   viewMode,
+  align = 'center',
   zoom,
   isLoading,
   onLoadStart,
@@ -115,29 +154,53 @@ const ComicPage: React.FC<ComicPageProps> = ({
   const [imageLoaded, setImageLoaded] = useState(false)
   const [imageError, setImageError] = useState(false)
   const [imageSrc, setImageSrc] = useState('')
+  const [useRenditions, setUseRenditions] = useState(true)
+  const [box, setBox] = useState({ width: 0, height: 0 })
+  const [natural, setNatural] = useState({ width: pageData.width || 0, height: pageData.height || 0 })
+  const containerRef = useRef<HTMLDivElement>(null)
+  const guided = !!panel
+
+  // Guided view needs the space the page is drawn in
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container || typeof ResizeObserver === 'undefined') return
+    const observer = new ResizeObserver(([entry]) => {
+      setBox({ width: entry.contentRect.width, height: entry.contentRect.height })
+    })
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [])
+
+  useEffect(() => {
+    setNatural({ width: pageData.width || 0, height: pageData.height || 0 })
+  }, [pageData])
 
   // Determine which image quality to load based on zoom
   useEffect(() => {
     const loadImage = () => {
       onLoadStart()
       setImageError(false)
+      setUseRenditions(true)
       
-      // Choose image quality based on zoom level
-      let src = pageData.web // Default to web quality
+      // Choose image quality based on zoom level; with renditions this
+      // is only the fallback, the browser picks from the srcset
+      let src = urlOf(pageData.web) // Default to web quality
       
-      if (typeof zoom === 'number' && zoom > 1.5) {
-        src = pageData.print // High zoom needs print quality
+      if (guided || (typeof zoom === 'number' && zoom > 1.5)) {
+        src = urlOf(pageData.print) // Panels and high zoom need print quality
       } else if (zoom === 'fit-page') {
-        src = pageData.thumbnail // Fit page can use thumbnail
+        src = urlOf(pageData.thumbnail) // Fit page can use thumbnail
       }
       
       setImageSrc(src)
     }
 
     loadImage()
-  }, [pageData, zoom, onLoadStart])
+  }, [pageData, zoom, guided, onLoadStart])
 
-  const handleImageLoad = () => {
+  const handleImageLoad = (e: React.SyntheticEvent<HTMLImageElement>) => {
+    const { naturalWidth, naturalHeight } = e.currentTarget
+    if (!natural.width && naturalWidth) setNatural({ width: naturalWidth, height: naturalHeight })
     setImageLoaded(true)
     onLoadEnd()
   }
@@ -146,19 +209,50 @@ const ComicPage: React.FC<ComicPageProps> = ({
     setImageError(true)
     onLoadEnd()
     
-    // Fallback to thumbnail if web/print fails
-    if (imageSrc !== pageData.thumbnail) {
-      setImageSrc(pageData.thumbnail)
+    // Fallback to thumbnail if a rendition or web/print fails
+    setUseRenditions(false)
+    if (imageSrc !== urlOf(pageData.thumbnail)) {
+      setImageSrc(urlOf(pageData.thumbnail))
       setImageError(false)
     }
   }
 
+  // How wide the page is drawn, so the browser fetches the smallest
+  // rendition that stays sharp: half the screen per page in double view
+  const sizes = (() => {
+    const base = viewMode === 'double' ? 50 : 100
+    // Zoomed-in panels are drawn well beyond the screen's width
+    if (guided) return `${base * 2}vw`
+    if (typeof zoom === 'number') return `${Math.round(base * zoom)}vw`
+    if (zoom === 'fit-width' || !pageData.width || !pageData.height) return `${base}vw`
+    // Fit to height: the width follows from the page's aspect ratio
+    return `min(${base}vw, ${Math.round(100 * pageData.width / pageData.height)}vh)`
+  })()
+
+  // Fit the page to the container, then scale the panel up to fill it
+  // and move its centre to the container's centre
+  const transform = (() => {
+    if (!panel || !box.width || !natural.width) return { x: 0, y: 0, scale: 1 }
+    const fit = Math.min(box.width / natural.width, box.height / natural.height)
+    const shown = { width: natural.width * fit, height: natural.height * fit }
+    const scale = PANEL_MARGIN * Math.min(
+      box.width / (panel.width * shown.width),
+      box.height / (panel.height * shown.height)
+    )
+    return {
+      x: -(panel.x + panel.width / 2 - 0.5) * shown.width * scale,
+      y: -(panel.y + panel.height / 2 - 0.5) * shown.height * scale,
+      scale
+    }
+  })()
+
+  // In guided view a tap anywhere moves on, as on the page's edges
   const handleImageClick = (e: React.MouseEvent) => {
-    e.stopPropagation()
+    if (!guided) e.stopPropagation()
   }
 
   return (
-    <PageContainer $zoom={zoom} $viewMode={viewMode}>
+    <PageContainer ref={containerRef} $zoom={zoom} $viewMode={viewMode}>
       {isLoading && !imageLoaded && (
         <LoadingOverlay>
           <LoadingSpinner />
@@ -174,16 +268,27 @@ const ComicPage: React.FC<ComicPageProps> = ({
           </div>
         </ErrorOverlay>
       ) : (
-        <PageImage
-          src={imageSrc}
-          alt={`Page ${pageData.pageNumber}`}
-          $zoom={zoom}
-          $loaded={imageLoaded}
-          onLoad={handleImageLoad}
-          onError={handleImageError}
-          onClick={handleImageClick}
-          draggable={false}
-        />
+        <Stage
+          $align={align}
+          initial={false}
+          animate={transform}
+          transition={{ duration: 0.45, ease: 'easeInOut' }}
+        >
+          <ResponsivePicture renditions={useRenditions ? pageData.renditions : undefined} sizes={sizes}>
+            <PageImage
+              src={imageSrc}
+              alt={`Page ${pageData.pageNumber}`}
+              width={pageData.width}
+              height={pageData.height}
+              $zoom={guided ? 'fit-page' : zoom}
+              $loaded={imageLoaded}
+              onLoad={handleImageLoad}
+              onError={handleImageError}
+              onClick={handleImageClick}
+              draggable={false}
+            />
+          </ResponsivePicture>
+        </Stage>
       )}
 
       <PageNumber>
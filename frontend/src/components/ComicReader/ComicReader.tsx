@@ -1,38 +1,53 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react'
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import styled from 'styled-components'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useParams, useNavigate } from 'react-router-dom'
-import { useQuery, useMutation } from 'react-query'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
 import axios from 'axios'
 import toast from 'react-hot-toast'
 
-import { useAuth } from '../contexts/AuthContext'
-import { useHedera } from '../contexts/HederaContext'
-import { useTheme } from '../contexts/ThemeContext'
-
-import ComicControls from './ComicReader/ComicControls'
-import ComicPage from './ComicReader/ComicPage'
-import ComicSidebar from './ComicReader/ComicSidebar'
-import ComicToolbar from './ComicReader/ComicToolbar'
-import LoadingSpinner from './UI/LoadingSpinner'
+import { useAuth } from '../../contexts/AuthContext'
+
+import ComicControls, { ReadingDirection } from './ComicControls'
+import ComicPage, { Panel, WHOLE_PAGE } from './ComicPage'
+import PanelEditor from './PanelEditor'
+import ContinuousView from './ContinuousView'
+import ComicSidebar from './ComicSidebar'
+import ComicToolbar, { Zoom } from './ComicToolbar'
+import LoadingSpinner from '../UI/LoadingSpinner'
+import { buildSpreads } from '../../utils/spreads'
+import {
+  OfflineComic,
+  formatBytes,
+  findOfflineIssue,
+  getOfflineIssue,
+  isOfflineSupported,
+  removeOfflineIssue,
+  saveForOffline
+} from '../../utils/offlineLibrary'
 
 interface ComicData {
   id: string
+  tokenId: string
+  serialNumber: number
   title: string
   series: string
   issueNumber: number
+  creator?: string
+  readingDirection?: ReadingDirection
+  // Pages form one vertical strip; opens in continuous view
+  webtoon?: boolean
+  // Opened from the copy downloaded to this device
+  offline?: boolean
   pages: Array<{
     pageNumber: number
     thumbnail: string
     web: string
     print: string
+    panels?: Panel[]
+    spread?: boolean
   }>
-  metadata: {
-    totalPages: number
-    format: string
-    resolution: string
-    downloadUrl: string
-  }
+  totalPages: number
 }
 
 interface ComicReaderProps {
@@ -68,6 +83,8 @@ const PageContainer = styled.div`
 
 const PageWrapper = styled(motion.div)`
   position: relative;
+  width: 100%;
+  height: 100%;
   max-width: 100%;
   max-height: 100%;
   display: flex;
@@ -75,6 +92,18 @@ const PageWrapper = styled(motion.div)`
   align-items: center;
 `
 
+// Two facing pages, each hugging the fold
+const Spread = styled.div`
+  display: flex;
+  width: 100%;
+  height: 100%;
+
+  & > * {
+    flex: 1 1 0;
+    min-width: 0;
+  }
+`
+
 const NavigationOverlay = styled.div<{ $visible: boolean }>`
   position: absolute;
   top: 0;
@@ -131,80 +160,169 @@ const ProgressBar = styled.div`
   z-index: 20;
 `
 
-const ProgressFill = styled.div<{ $progress: number }>`
+// Fills from the right for right-to-left issues
+const ProgressFill = styled.div<{ $progress: number; $rtl: boolean }>`
   height: 100%;
+  margin-left: ${({ $rtl }) => $rtl ? 'auto' : '0'};
   width: ${({ $progress }) => $progress}%;
   background: ${({ theme }) => theme.colors.primary};
   transition: width 0.3s ease;
 `
 
 const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
-  const { comicId } = useParams<{ comicId: string }>()
+  // The serial this reader holds: batch-minted copies share one comic
+  const { tokenId, serialNumber } = useParams<{ tokenId: string; serialNumber: string }>()
   const navigate = useNavigate()
   const { user, isAuthenticated } = useAuth()
-  const { account, isConnected } = useHedera()
-  const { theme } = useTheme()
 
   // State
   const [currentPage, setCurrentPage] = useState(1)
   const [isFullscreen, setIsFullscreen] = useState(false)
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const [viewMode, setViewMode] = useState<'single' | 'double' | 'continuous'>('single')
-  const [zoom, setZoom] = useState<'fit-width' | 'fit-height' | 'fit-page' | number>(1)
+  const [zoom, setZoom] = useState<Zoom>(1)
   const [showControls, setShowControls] = useState(true)
   const [isLoading, setIsLoading] = useState(false)
   const [bookmarks, setBookmarks] = useState<number[]>([])
   const [readingProgress, setReadingProgress] = useState(0)
+  // Guided view steps through a page's panels; phones start in it
+  const [guided, setGuided] = useState(() => window.matchMedia('(max-width: 640px)').matches)
+  const [panelIndex, setPanelIndex] = useState(0)
+  const [editingPanels, setEditingPanels] = useState(false)
+  // The issue's own reading direction unless this reader chose otherwise (kept per comic)
+  const [directionOverride, setDirectionOverride] = useState<ReadingDirection | null>(null)
+  // Double-page view pairs pages one later when offset, to fix misaligned pairs (kept per comic)
+  const [spreadOffset, setSpreadOffset] = useState(false)
+  // Percent downloaded while saving for offline reading
+  const [savingOffline, setSavingOffline] = useState<number | null>(null)
+  const queryClient = useQueryClient()
 
   // Refs
   const containerRef = useRef<HTMLDivElement>(null)
   const controlsTimeoutRef = useRef<NodeJS.Timeout>()
+  const lastSavedAtRef = useRef(Date.now())
+  const progressSaveTimeoutRef = useRef<NodeJS.Timeout>()
+  const pendingProgressRef = useRef<{ comicId: string; currentPage: number; totalPages: number } | null>(null)
+  const webtoonOpenedRef = useRef<string>()
 
   // Fetch comic data
   const { data: comicData, isLoading: comicLoading, error } = useQuery<ComicData>(
-    ['comic', comicId],
+    ['comic', tokenId, serialNumber],
     async () => {
-      const response = await axios.get(`/api/reader/comic/${comicId}`, {
-        params: {
-          userAddress: account?.accountId,
-          tokenId: comicData?.tokenId,
-          serialNumber: comicData?.serialNumber
-        }
-      })
-      return response.data.data
+      try {
+        const response = await axios.get(`/api/reader/comic/${tokenId}/${serialNumber}`)
+        return response.data.comic
+      } catch (error: any) {
+        // No network: open the copy on this device, if it's this account's
+        const copy = !error.response && user && isOfflineSupported()
+          ? await findOfflineIssue(tokenId!, Number(serialNumber), user.accountId)
+          : undefined
+        if (!copy) throw error
+        return { ...copy.comic, offline: true }
+      }
     },
     {
-      enabled: !!comicId,
+      enabled: !!tokenId && !!serialNumber,
       retry: 1,
+      onSuccess: comic => {
+        if (comic.offline) toast('Offline: reading the copy saved on this device')
+      },
       onError: (error: any) => {
         toast.error(error.response?.data?.error || 'Failed to load comic')
       }
     }
   )
 
+  // Progress, bookmarks and reading preferences belong to the issue, whichever serial is read
+  const comicId = comicData?.id
+  const directionKey = `comic_pad_direction_${comicId}`
+  const offsetKey = `comic_pad_spread_offset_${comicId}`
+
+  useEffect(() => {
+    if (!comicId) return
+    setDirectionOverride(localStorage.getItem(directionKey) as ReadingDirection | null)
+    setSpreadOffset(localStorage.getItem(offsetKey) === 'true')
+  }, [comicId, directionKey, offsetKey])
+
+  const { data: offlineCopy, refetch: refetchOfflineCopy } = useQuery(
+    ['offline-issue', comicId, user?.accountId],
+    () => getOfflineIssue(comicId!, user!.accountId),
+    { enabled: !!comicId && !!user && isOfflineSupported() }
+  )
+
+  // Resume where this account left off (on any device)
+  useQuery(
+    ['reading-progress', comicId],
+    async () => {
+      const response = await axios.get(`/api/reader/progress/${comicId}`)
+      return response.data.data as {
+        progress: { currentPage: number } | null
+        bookmarks: Array<{ pageNumber: number }>
+      }
+    },
+    {
+      enabled: !!comicId && isAuthenticated && !comicData?.offline,
+      refetchOnWindowFocus: false,
+      onSuccess: ({ progress, bookmarks }) => {
+        if (progress) setCurrentPage(progress.currentPage)
+        setBookmarks(bookmarks.map(bookmark => bookmark.pageNumber))
+      }
+    }
+  )
+
   // Save reading progress
   const saveProgressMutation = useMutation(
-    async (progress: { currentPage: number; totalPages: number; readTime: number }) => {
+    async (progress: { comicId: string; currentPage: number; totalPages: number }) => {
       await axios.post('/api/reader/progress', {
-        comicId,
-        userAddress: account?.accountId,
         ...progress,
-        readTime: Date.now() - (readingProgress || Date.now())
+        readTime: Date.now() - lastSavedAtRef.current
       })
     },
     {
       onSuccess: () => {
-        setReadingProgress(Date.now())
+        lastSavedAtRef.current = Date.now()
       }
     }
   )
 
+  // Progress is saved once the reader settles on a page rather than on every
+  // turn, and whatever is still pending when they leave the issue or the tab
+  const flushProgress = useCallback(() => {
+    clearTimeout(progressSaveTimeoutRef.current)
+    const pending = pendingProgressRef.current
+    pendingProgressRef.current = null
+    if (pending) saveProgressMutation.mutate(pending)
+  }, [saveProgressMutation])
+
+  const scheduleProgressSave = useCallback((pageNumber: number) => {
+    if (!comicData || comicData.offline || !isAuthenticated) return
+    pendingProgressRef.current = {
+      comicId: comicData.id,
+      currentPage: pageNumber,
+      totalPages: comicData.totalPages
+    }
+    clearTimeout(progressSaveTimeoutRef.current)
+    progressSaveTimeoutRef.current = setTimeout(flushProgress, 2000)
+  }, [comicData, isAuthenticated, flushProgress])
+
+  const flushProgressRef = useRef(flushProgress)
+  flushProgressRef.current = flushProgress
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushProgressRef.current()
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange)
+  }, [])
+
+  useEffect(() => () => flushProgressRef.current(), [comicId])
+
   // Add bookmark
   const addBookmarkMutation = useMutation(
     async (pageNumber: number) => {
       await axios.post('/api/reader/bookmark', {
         comicId,
-        userAddress: account?.accountId,
         pageNumber,
         note: `Bookmark for page ${pageNumber}`
       })
@@ -220,7 +338,7 @@ const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
   // Remove bookmark
   const removeBookmarkMutation = useMutation(
     async (pageNumber: number) => {
-      await axios.delete(`/api/reader/bookmark/${comicId}-${account?.accountId}-${pageNumber}`)
+      await axios.delete(`/api/reader/bookmark/${comicId}-${user?.accountId}-${pageNumber}`)
     },
     {
       onSuccess: (_, pageNumber) => {
@@ -230,34 +348,189 @@ const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
     }
   )
 
-  // Navigation functions
-  const goToPage = useCallback((pageNumber: number) => {
+  // Pages published before panel detection read as one whole-page panel
+  const panelsOf = useCallback((pageNumber: number): Panel[] => {
+    const panels = comicData?.pages.find(p => p.pageNumber === pageNumber)?.panels
+    return panels?.length ? panels : [WHOLE_PAGE]
+  }, [comicData])
+
+  // Guided view reads a page at a time, so it takes over from double-page and continuous view
+  const isDouble = viewMode === 'double' && !guided
+  const isContinuous = viewMode === 'continuous' && !guided
+  const spreads = useMemo(
+    () => (comicData ? buildSpreads(comicData.pages, { offset: spreadOffset }) : []),
+    [comicData, spreadOffset]
+  )
+
+  // The pages on screen with `pageNumber`: its whole spread in double-page view
+  const spreadOf = useCallback((pageNumber: number) => (
+    (isDouble && spreads.find(spread => spread.includes(pageNumber))) || [pageNumber]
+  ), [isDouble, spreads])
+
+  const visiblePages = spreadOf(currentPage)
+  const lastVisiblePage = visiblePages[visiblePages.length - 1]
+  const spreadIndex = spreads.indexOf(visiblePages)
+
+  // Navigation functions; `lastPanel` lands on the page's last panel (going back)
+  const goToPage = useCallback((pageNumber: number, { lastPanel = false } = {}) => {
     if (!comicData) return
     
-    const clampedPage = Math.max(1, Math.min(pageNumber, comicData.metadata.totalPages))
-    setCurrentPage(clampedPage)
+    const clampedPage = Math.max(1, Math.min(pageNumber, comicData.totalPages))
+    const shown = spreadOf(clampedPage)
+    setCurrentPage(shown[0])
+    setPanelIndex(lastPanel ? panelsOf(shown[0]).length - 1 : 0)
     
-    // Save progress
-    if (isAuthenticated && account) {
-      saveProgressMutation.mutate({
-        currentPage: clampedPage,
-        totalPages: comicData.metadata.totalPages,
-        readTime: 0
-      })
-    }
-  }, [comicData, isAuthenticated, account, saveProgressMutation])
+    // Every page of a spread on screen counts as read
+    scheduleProgressSave(shown[shown.length - 1])
+  }, [comicData, spreadOf, panelsOf, scheduleProgressSave])
+
+  const hasNext = isDouble
+    ? spreadIndex < spreads.length - 1
+    : (guided && panelIndex < panelsOf(currentPage).length - 1) || currentPage < (comicData?.totalPages || 0)
+  const hasPrev = isDouble
+    ? spreadIndex > 0
+    : (guided && panelIndex > 0) || currentPage > 1
 
   const nextPage = useCallback(() => {
-    if (comicData && currentPage < comicData.metadata.totalPages) {
+    if (guided && panelIndex < panelsOf(currentPage).length - 1) {
+      setPanelIndex(panelIndex + 1)
+    } else if (isDouble) {
+      if (spreadIndex < spreads.length - 1) goToPage(spreads[spreadIndex + 1][0])
+    } else if (comicData && currentPage < comicData.totalPages) {
       goToPage(currentPage + 1)
     }
-  }, [currentPage, comicData, goToPage])
+  }, [guided, panelIndex, panelsOf, isDouble, spreadIndex, spreads, currentPage, comicData, goToPage])
 
   const prevPage = useCallback(() => {
-    if (currentPage > 1) {
-      goToPage(currentPage - 1)
+    if (guided && panelIndex > 0) {
+      setPanelIndex(panelIndex - 1)
+    } else if (isDouble) {
+      if (spreadIndex > 0) goToPage(spreads[spreadIndex - 1][0])
+    } else if (currentPage > 1) {
+      goToPage(currentPage - 1, { lastPanel: guided })
+    }
+  }, [guided, panelIndex, isDouble, spreadIndex, spreads, currentPage, goToPage])
+
+  // Continuous view follows the scroll
+  const handleScrolledToPage = useCallback((pageNumber: number) => {
+    setCurrentPage(pageNumber)
+    scheduleProgressSave(pageNumber)
+  }, [scheduleProgressSave])
+
+  // Webtoons open scrolling rather than page by page or panel by panel
+  useEffect(() => {
+    if (!comicData?.webtoon || webtoonOpenedRef.current === comicData.id) return
+    webtoonOpenedRef.current = comicData.id
+    setViewMode('continuous')
+    setGuided(false)
+  }, [comicData])
+
+  const toggleContinuous = useCallback(() => {
+    setViewMode(mode => mode === 'continuous' ? 'single' : 'continuous')
+  }, [])
+
+  const toggleTwoUp = useCallback(() => {
+    setViewMode(mode => mode === 'double' ? 'single' : 'double')
+  }, [])
+
+  const toggleSpreadOffset = useCallback(() => {
+    localStorage.setItem(offsetKey, String(!spreadOffset))
+    setSpreadOffset(!spreadOffset)
+  }, [spreadOffset, offsetKey])
+
+  const issueDirection = comicData?.readingDirection || 'ltr'
+  const isRtl = (directionOverride || issueDirection) === 'rtl'
+
+  // Left and right as the reader sees them: in right-to-left issues the next page is on the left
+  const goLeft = isRtl ? nextPage : prevPage
+  const goRight = isRtl ? prevPage : nextPage
+
+  const toggleDirection = useCallback(() => {
+    const next: ReadingDirection = isRtl ? 'ltr' : 'rtl'
+    // Back to the issue's own direction: forget the override
+    if (next === issueDirection) {
+      localStorage.removeItem(directionKey)
+      setDirectionOverride(null)
+    } else {
+      localStorage.setItem(directionKey, next)
+      setDirectionOverride(next)
     }
-  }, [currentPage, goToPage])
+  }, [isRtl, issueDirection, directionKey])
+
+  const toggleGuided = useCallback(() => {
+    setGuided(prev => !prev)
+    setPanelIndex(0)
+  }, [])
+
+  // Keep this issue on the device for reading without a network, or free the space again
+  const toggleOffline = useCallback(async () => {
+    if (!comicData || !user || savingOffline !== null) return
+
+    try {
+      if (offlineCopy) {
+        await removeOfflineIssue(comicData.id, user.accountId)
+        toast.success('Removed from this device')
+      } else {
+        setSavingOffline(0)
+        // Saved under the serial this account holds, which ownership is re-checked against
+        const issue = await saveForOffline(comicData as unknown as OfflineComic, {
+          accountId: user.accountId,
+          serialNumber: Number(serialNumber),
+          onProgress: (done, total) => setSavingOffline(Math.round((done / total) * 100))
+        })
+        toast.success(`Saved for offline reading (${formatBytes(issue.bytes)})`)
+      }
+      refetchOfflineCopy()
+    } catch (error: any) {
+      toast.error(error.message || 'Failed to save for offline reading')
+    } finally {
+      setSavingOffline(null)
+    }
+  }, [user, serialNumber, comicData, offlineCopy, savingOffline, refetchOfflineCopy])
+
+  // Show the creator's corrections straight away
+  const handlePanelsSaved = useCallback((panels: Panel[]) => {
+    queryClient.setQueryData<ComicData | undefined>(['comic', tokenId, serialNumber], comic => comic && {
+      ...comic,
+      pages: comic.pages.map(page => page.pageNumber === currentPage ? { ...page, panels } : page)
+    })
+    setPanelIndex(0)
+    setEditingPanels(false)
+  }, [queryClient, tokenId, serialNumber, currentPage])
+
+  // Fullscreen functions
+  const toggleFullscreen = useCallback(() => {
+    if (!document.fullscreenElement) {
+      containerRef.current?.requestFullscreen()
+      setIsFullscreen(true)
+    } else {
+      document.exitFullscreen()
+      setIsFullscreen(false)
+    }
+  }, [])
+
+  const exitFullscreen = useCallback(() => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen()
+      setIsFullscreen(false)
+    }
+  }, [])
+
+  // Bookmark functions
+  const toggleBookmark = useCallback(() => {
+    if (!isAuthenticated) {
+      toast.error('Please sign in to add bookmarks')
+      return
+    }
+
+    // A spread is bookmarked as a unit: by its first page, cleared of any of its pages
+    const marked = visiblePages.filter(page => bookmarks.includes(page))
+    if (marked.length > 0) {
+      marked.forEach(page => removeBookmarkMutation.mutate(page))
+    } else {
+      addBookmarkMutation.mutate(visiblePages[0])
+    }
+  }, [visiblePages, bookmarks, isAuthenticated, addBookmarkMutation, removeBookmarkMutation])
 
   // Keyboard navigation
   useEffect(() => {
@@ -265,16 +538,21 @@ const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
       if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) {
         return
       }
+      // The panel editor handles its own keys
+      if (editingPanels) return
 
       switch (e.key) {
         case 'ArrowRight':
+          e.preventDefault()
+          goRight()
+          break
         case ' ':
           e.preventDefault()
           nextPage()
           break
         case 'ArrowLeft':
           e.preventDefault()
-          prevPage()
+          goLeft()
           break
         case 'f':
         case 'F11':
@@ -285,6 +563,18 @@ const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
           e.preventDefault()
           toggleBookmark()
           break
+        case 'g':
+          e.preventDefault()
+          toggleGuided()
+          break
+        case 'd':
+          e.preventDefault()
+          toggleTwoUp()
+          break
+        case 's':
+          e.preventDefault()
+          toggleContinuous()
+          break
         case 'Escape':
           if (isFullscreen) {
             exitFullscreen()
@@ -297,54 +587,27 @@ const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
 
     window.addEventListener('keydown', handleKeyPress)
     return () => window.removeEventListener('keydown', handleKeyPress)
-  }, [nextPage, prevPage, isFullscreen, sidebarOpen])
+  }, [
+    nextPage, goLeft, goRight, toggleGuided, toggleTwoUp, toggleContinuous, toggleFullscreen, exitFullscreen,
+    toggleBookmark, editingPanels, isFullscreen, sidebarOpen
+  ])
 
   // Mouse/touch navigation
   const handlePageClick = useCallback((e: React.MouseEvent) => {
-    if (!comicData) return
+    // Clicks while editing panels belong to the editor, not to page turns;
+    // the continuous strip is scrolled, not clicked through
+    if (!comicData || editingPanels || isContinuous) return
     
     const rect = e.currentTarget.getBoundingClientRect()
     const x = e.clientX - rect.left
     const isLeftSide = x < rect.width / 2
     
     if (isLeftSide) {
-      prevPage()
-    } else {
-      nextPage()
-    }
-  }, [nextPage, prevPage, comicData])
-
-  // Fullscreen functions
-  const toggleFullscreen = useCallback(() => {
-    if (!document.fullscreenElement) {
-      containerRef.current?.requestFullscreen()
-      setIsFullscreen(true)
-    } else {
-      document.exitFullscreen()
-      setIsFullscreen(false)
-    }
-  }, [])
-
-  const exitFullscreen = useCallback(() => {
-    if (document.fullscreenElement) {
-      document.exitFullscreen()
-      setIsFullscreen(false)
-    }
-  }, [])
-
-  // Bookmark functions
-  const toggleBookmark = useCallback(() => {
-    if (!isAuthenticated || !account) {
-      toast.error('Please connect your wallet to add bookmarks')
-      return
-    }
-
-    if (bookmarks.includes(currentPage)) {
-      removeBookmarkMutation.mutate(currentPage)
+      goLeft()
     } else {
-      addBookmarkMutation.mutate(currentPage)
+      goRight()
     }
-  }, [currentPage, bookmarks, isAuthenticated, account, addBookmarkMutation, removeBookmarkMutation])
+  }, [goLeft, goRight, comicData, editingPanels, isContinuous])
 
   // Auto-hide controls
   useEffect(() => {
@@ -374,14 +637,14 @@ const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
   // Calculate progress
   useEffect(() => {
     if (comicData) {
-      const progress = (currentPage / comicData.metadata.totalPages) * 100
+      const progress = (lastVisiblePage / comicData.totalPages) * 100
       setReadingProgress(progress)
     }
-  }, [currentPage, comicData])
+  }, [lastVisiblePage, comicData])
 
   if (comicLoading) {
     return (
-      <ComicReaderContainer className={className}>
+      <ComicReaderContainer $isFullscreen={false} className={className}>
         <LoadingSpinner size="large" />
       </ComicReaderContainer>
     )
@@ -389,7 +652,7 @@ const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
 
   if (error || !comicData) {
     return (
-      <ComicReaderContainer className={className}>
+      <ComicReaderContainer $isFullscreen={false} className={className}>
         <div style={{ textAlign: 'center', padding: '2rem' }}>
           <h2>Comic not found</h2>
           <p>The comic you're looking for doesn't exist or you don't have access to it.</p>
@@ -402,78 +665,130 @@ const ComicReader: React.FC<ComicReaderProps> = ({ className }) => {
   }
 
   const currentPageData = comicData.pages.find(p => p.pageNumber === currentPage)
+  const spreadPageData = comicData.pages.filter(p => visiblePages.includes(p.pageNumber))
+  const currentPanels = panelsOf(currentPage)
+  const isCreator = !!user && comicData.creator === user.accountId
 
   return (
     <ComicReaderContainer ref={containerRef} $isFullscreen={isFullscreen} className={className}>
       <ComicToolbar
         comic={comicData}
-        currentPage={currentPage}
-        totalPages={comicData.metadata.totalPages}
-        viewMode={viewMode}
         zoom={zoom}
         isFullscreen={isFullscreen}
         sidebarOpen={sidebarOpen}
-        showControls={showControls}
-        onViewModeChange={setViewMode}
+        showControls={showControls && !editingPanels}
         onZoomChange={setZoom}
         onFullscreenToggle={toggleFullscreen}
         onSidebarToggle={() => setSidebarOpen(!sidebarOpen)}
-        onGoToPage={goToPage}
       />
 
       <ReaderContent $sidebarOpen={sidebarOpen}>
-        <PageContainer onClick={handlePageClick}>
-          <AnimatePresence mode="wait">
-            {currentPageData && (
-              <PageWrapper
-                key={currentPage}
-                initial={{ opacity: 0, x: 20 }}
-                animate={{ opacity: 1, x: 0 }}
-                exit={{ opacity: 0, x: -20 }}
-                transition={{ duration: 0.3 }}
-              >
-                <ComicPage
-                  pageData={currentPageData}
-                  viewMode={viewMode}
-                  zoom={zoom}
-                  isLoading={isLoading}
-                  onLoadStart={() => setIsLoading(true)}
-                  onLoadEnd={() => setIsLoading(false)}
-                />
-              </PageWrapper>
-            )}
-          </AnimatePresence>
-
-          <NavigationOverlay $visible={showControls && isFullscreen}>
-            <LeftNav onClick={prevPage} />
-            <RightNav onClick={nextPage} />
+        {/* dir also lays spreads out right to left */}
+        <PageContainer onClick={handlePageClick} dir={isRtl ? 'rtl' : 'ltr'}>
+          {editingPanels && currentPageData ? (
+            <PanelEditor
+              key={currentPage}
+              comicId={comicData.id}
+              pageData={currentPageData}
+              onSaved={handlePanelsSaved}
+              onClose={() => setEditingPanels(false)}
+            />
+          ) : isContinuous ? (
+            <ContinuousView
+              pages={comicData.pages}
+              currentPage={currentPage}
+              seamless={!!comicData.webtoon}
+              onPageChange={handleScrolledToPage}
+            />
+          ) : (
+            <AnimatePresence mode="wait">
+              {currentPageData && (
+                <PageWrapper
+                  key={visiblePages.join('-')}
+                  initial={{ opacity: 0, x: isRtl ? -20 : 20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  exit={{ opacity: 0, x: isRtl ? 20 : -20 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  {spreadPageData.length === 2 ? (
+                    <Spread>
+                      {spreadPageData.map((page, index) => (
+                        <ComicPage
+                          key={page.pageNumber}
+                          pageData={page}
+                          viewMode="double"
+                          align={index === 0 ? 'end' : 'start'}
+                          zoom={zoom}
+                          isLoading={isLoading}
+                          onLoadStart={() => setIsLoading(true)}
+                          onLoadEnd={() => setIsLoading(false)}
+                        />
+                      ))}
+                    </Spread>
+                  ) : (
+                    <ComicPage
+                      pageData={currentPageData}
+                      panel={guided ? currentPanels[panelIndex] : null}
+                      viewMode={isDouble ? 'single' : viewMode}
+                      zoom={zoom}
+                      isLoading={isLoading}
+                      onLoadStart={() => setIsLoading(true)}
+                      onLoadEnd={() => setIsLoading(false)}
+                    />
+                  )}
+                </PageWrapper>
+              )}
+            </AnimatePresence>
+          )}
+
+          <NavigationOverlay $visible={showControls && isFullscreen && !editingPanels && !isContinuous}>
+            <LeftNav onClick={e => { e.stopPropagation(); goLeft() }} />
+            <RightNav onClick={e => { e.stopPropagation(); goRight() }} />
           </NavigationOverlay>
         </PageContainer>
 
         <ComicSidebar
           isOpen={sidebarOpen}
-          comic={comicData}
-          currentPage={currentPage}
+          pages={comicData.pages}
+          visiblePages={visiblePages}
           bookmarks={bookmarks}
           onPageSelect={goToPage}
-          onBookmarkToggle={toggleBookmark}
           onClose={() => setSidebarOpen(false)}
         />
       </ReaderContent>
 
       <ComicControls
         currentPage={currentPage}
-        totalPages={comicData.metadata.totalPages}
+        totalPages={comicData.totalPages}
+        visiblePages={visiblePages}
+        hasPrev={hasPrev}
+        hasNext={hasNext}
         onPageChange={goToPage}
         onNext={nextPage}
         onPrev={prevPage}
         onBookmark={toggleBookmark}
-        isBookmarked={bookmarks.includes(currentPage)}
-        showControls={showControls}
+        isBookmarked={visiblePages.some(page => bookmarks.includes(page))}
+        showControls={showControls && !editingPanels}
+        guided={guided}
+        onGuidedToggle={toggleGuided}
+        currentPanel={panelIndex + 1}
+        totalPanels={currentPanels.length}
+        onEditPanels={isCreator ? () => setEditingPanels(true) : undefined}
+        direction={isRtl ? 'rtl' : 'ltr'}
+        onDirectionToggle={toggleDirection}
+        continuous={viewMode === 'continuous'}
+        onContinuousToggle={toggleContinuous}
+        twoUp={viewMode === 'double'}
+        onTwoUpToggle={toggleTwoUp}
+        spreadOffset={spreadOffset}
+        onSpreadOffsetToggle={toggleSpreadOffset}
+        offlineStatus={!isOfflineSupported() ? undefined : savingOffline !== null ? 'saving' : offlineCopy ? 'saved' : 'available'}
+        offlineProgress={savingOffline ?? undefined}
+        onOfflineToggle={toggleOffline}
       />
 
       <ProgressBar>
-        <ProgressFill $progress={readingProgress} />
+        <ProgressFill $progress={readingProgress} $rtl={isRtl} />
       </ProgressBar>
     </ComicReaderContainer>
   )
@@ -0,0 +1,205 @@
+import React, { useEffect, useRef } from 'react'
+import styled from 'styled-components'
+import { motion, AnimatePresence } from 'framer-motion'
+import { FiBookmark, FiX } from 'react-icons/fi'
+import { ImageRef, urlOf } from './ComicPage'
+
+interface ComicSidebarProps {
+  isOpen: boolean
+  pages: Array<{ pageNumber: number; thumbnail: ImageRef }>
+  // Everything on screen: both pages of a spread in double-page view
+  visiblePages: number[]
+  bookmarks: number[]
+  onPageSelect: (pageNumber: number) => void
+  onClose: () => void
+}
+
+// Matches the margin ComicReader leaves for it
+const SIDEBAR_WIDTH = 300
+
+const SidebarContainer = styled(motion.aside)`
+  position: absolute;
+  top: 0;
+  left: 0;
+  bottom: 0;
+  width: ${SIDEBAR_WIDTH}px;
+  display: flex;
+  flex-direction: column;
+  background: ${({ theme }) => theme.colors.surface};
+  border-right: 1px solid ${({ theme }) => theme.colors.border};
+  z-index: 25;
+`
+
+const SidebarHeader = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  padding: 1rem;
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border};
+  color: ${({ theme }) => theme.colors.text};
+  font-weight: 600;
+`
+
+const CloseButton = styled.button`
+  display: flex;
+  border: none;
+  background: none;
+  color: ${({ theme }) => theme.colors.textSecondary};
+  cursor: pointer;
+
+  &:hover {
+    color: ${({ theme }) => theme.colors.text};
+  }
+`
+
+const Section = styled.div`
+  padding: 1rem;
+  overflow-y: auto;
+
+  & + & {
+    border-top: 1px solid ${({ theme }) => theme.colors.border};
+  }
+`
+
+const SectionTitle = styled.h4`
+  margin: 0 0 0.75rem;
+  font-size: 0.75rem;
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+  color: ${({ theme }) => theme.colors.textSecondary};
+`
+
+const BookmarkItem = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  width: 100%;
+  padding: 0.5rem;
+  border: none;
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: none;
+  color: ${({ theme }) => theme.colors.text};
+  font-size: 0.875rem;
+  text-align: left;
+  cursor: pointer;
+
+  &:hover {
+    background: ${({ theme }) => theme.colors.background};
+  }
+`
+
+const Thumbnails = styled.div`
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: 0.5rem;
+`
+
+const Thumbnail = styled.button<{ $current: boolean }>`
+  position: relative;
+  padding: 0;
+  border: 2px solid ${({ theme, $current }) => $current ? theme.colors.primary : 'transparent'};
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: ${({ theme }) => theme.colors.background};
+  overflow: hidden;
+  cursor: pointer;
+
+  img {
+    display: block;
+    width: 100%;
+    aspect-ratio: 2 / 3;
+    object-fit: cover;
+  }
+
+  span {
+    position: absolute;
+    bottom: 0;
+    right: 0;
+    padding: 0 0.25rem;
+    font-size: 0.625rem;
+    background: ${({ theme }) => theme.colors.surface};
+    color: ${({ theme }) => theme.colors.text};
+  }
+
+  svg {
+    position: absolute;
+    top: 0.25rem;
+    right: 0.25rem;
+    color: ${({ theme }) => theme.colors.success};
+  }
+`
+
+/**
+ * Page list down the side of the reader: this account's bookmarks
+ * first, then every page as a thumbnail. Picking either turns there.
+ */
+const ComicSidebar: React.FC<ComicSidebarProps> = ({
+  isOpen,
+  pages,
+  visiblePages,
+  bookmarks,
+  onPageSelect,
+  onClose
+}) => {
+  const currentRef = useRef<HTMLButtonElement>(null)
+
+  // Keep the page being read in view as the reader turns pages
+  useEffect(() => {
+    if (isOpen) currentRef.current?.scrollIntoView({ block: 'nearest' })
+  }, [isOpen, visiblePages])
+
+  const sortedBookmarks = [...bookmarks].sort((a, b) => a - b)
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <SidebarContainer
+          initial={{ x: -SIDEBAR_WIDTH }}
+          animate={{ x: 0 }}
+          exit={{ x: -SIDEBAR_WIDTH }}
+          transition={{ duration: 0.3 }}
+        >
+          <SidebarHeader>
+            Pages
+            <CloseButton onClick={onClose} title="Close (Esc)">
+              <FiX size={18} />
+            </CloseButton>
+          </SidebarHeader>
+
+          {sortedBookmarks.length > 0 && (
+            <Section>
+              <SectionTitle>Bookmarks</SectionTitle>
+              {sortedBookmarks.map(pageNumber => (
+                <BookmarkItem key={pageNumber} onClick={() => onPageSelect(pageNumber)}>
+                  <FiBookmark size={14} /> Page {pageNumber}
+                </BookmarkItem>
+              ))}
+            </Section>
+          )}
+
+          <Section>
+            <Thumbnails>
+              {pages.map(page => {
+                const current = visiblePages.includes(page.pageNumber)
+                return (
+                  <Thumbnail
+                    key={page.pageNumber}
+                    ref={current && page.pageNumber === visiblePages[0] ? currentRef : undefined}
+                    $current={current}
+                    onClick={() => onPageSelect(page.pageNumber)}
+                    title={`Page ${page.pageNumber}`}
+                  >
+                    <img src={urlOf(page.thumbnail)} alt="" loading="lazy" draggable={false} />
+                    <span>{page.pageNumber}</span>
+                    {bookmarks.includes(page.pageNumber) && <FiBookmark size={12} />}
+                  </Thumbnail>
+                )
+              })}
+            </Thumbnails>
+          </Section>
+        </SidebarContainer>
+      )}
+    </AnimatePresence>
+  )
+}
+
+export default ComicSidebar
@@ -0,0 +1,172 @@
+import React from 'react'
+import styled from 'styled-components'
+import { motion, AnimatePresence } from 'framer-motion'
+import { useNavigate } from 'react-router-dom'
+import { FiArrowLeft, FiList, FiMaximize, FiMinimize, FiWifiOff } from 'react-icons/fi'
+
+export type Zoom = 'fit-width' | 'fit-height' | 'fit-page' | number
+
+interface ComicToolbarProps {
+  comic: {
+    title: string
+    series?: string
+    issueNumber?: number
+    offline?: boolean
+  }
+  zoom: Zoom
+  isFullscreen: boolean
+  sidebarOpen: boolean
+  showControls: boolean
+  onZoomChange: (zoom: Zoom) => void
+  onFullscreenToggle: () => void
+  onSidebarToggle: () => void
+}
+
+const ZOOM_OPTIONS: Array<{ value: Zoom; label: string }> = [
+  { value: 'fit-page', label: 'Fit page' },
+  { value: 'fit-width', label: 'Fit width' },
+  { value: 'fit-height', label: 'Fit height' },
+  { value: 1, label: '100%' },
+  { value: 1.5, label: '150%' },
+  { value: 2, label: '200%' }
+]
+
+const ToolbarContainer = styled(motion.div)`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  padding: 0.75rem 1.5rem;
+  background: ${({ theme }) => theme.colors.surface};
+  border-bottom: 1px solid ${({ theme }) => theme.colors.border};
+  z-index: 30;
+`
+
+const ToolbarButton = styled.button<{ $active?: boolean }>`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  width: 36px;
+  height: 36px;
+  border: 1px solid ${({ theme, $active }) => $active ? theme.colors.primary : theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme, $active }) => $active ? theme.colors.primary : theme.colors.background};
+  color: ${({ theme, $active }) => $active ? theme.colors.white : theme.colors.text};
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover {
+    border-color: ${({ theme }) => theme.colors.primary};
+  }
+`
+
+const Title = styled.div`
+  flex: 1;
+  min-width: 0;
+  color: ${({ theme }) => theme.colors.text};
+  font-weight: 600;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+
+  small {
+    margin-left: 0.5rem;
+    font-weight: 400;
+    color: ${({ theme }) => theme.colors.textSecondary};
+  }
+`
+
+const OfflineBadge = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: 0.25rem;
+  margin-left: 0.75rem;
+  font-size: 0.75rem;
+  font-weight: 500;
+  color: ${({ theme }) => theme.colors.textSecondary};
+`
+
+const ZoomSelect = styled.select`
+  height: 36px;
+  padding: 0 0.5rem;
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.background};
+  color: ${({ theme }) => theme.colors.text};
+  font-size: 0.875rem;
+
+  &:focus {
+    outline: none;
+    border-color: ${({ theme }) => theme.colors.primary};
+  }
+`
+
+/**
+ * The bar above the page: back to the library, the issue's title,
+ * the page list, zoom and fullscreen. Page turning and view modes
+ * live in ComicControls below the page.
+ */
+const ComicToolbar: React.FC<ComicToolbarProps> = ({
+  comic,
+  zoom,
+  isFullscreen,
+  sidebarOpen,
+  showControls,
+  onZoomChange,
+  onFullscreenToggle,
+  onSidebarToggle
+}) => {
+  const navigate = useNavigate()
+
+  const handleZoomChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const option = ZOOM_OPTIONS.find(({ value }) => String(value) === e.target.value)
+    if (option) onZoomChange(option.value)
+  }
+
+  return (
+    <AnimatePresence>
+      {showControls && (
+        <ToolbarContainer
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -20 }}
+          transition={{ duration: 0.3 }}
+        >
+          <ToolbarButton onClick={() => navigate('/profile')} title="Back to your library">
+            <FiArrowLeft size={18} />
+          </ToolbarButton>
+
+          <ToolbarButton $active={sidebarOpen} onClick={onSidebarToggle} title="Pages and bookmarks">
+            <FiList size={18} />
+          </ToolbarButton>
+
+          <Title>
+            {comic.title}
+            {comic.issueNumber ? ` #${comic.issueNumber}` : ''}
+            {comic.series && comic.series !== comic.title && <small>{comic.series}</small>}
+            {comic.offline && (
+              <OfflineBadge>
+                <FiWifiOff size={12} /> Offline copy
+              </OfflineBadge>
+            )}
+          </Title>
+
+          <ZoomSelect value={String(zoom)} onChange={handleZoomChange} title="Zoom">
+            {ZOOM_OPTIONS.map(({ value, label }) => (
+              <option key={label} value={String(value)}>{label}</option>
+            ))}
+          </ZoomSelect>
+
+          <ToolbarButton
+            $active={isFullscreen}
+            onClick={onFullscreenToggle}
+            title={isFullscreen ? 'Exit fullscreen (F)' : 'Fullscreen (F)'}
+          >
+            {isFullscreen ? <FiMinimize size={18} /> : <FiMaximize size={18} />}
+          </ToolbarButton>
+        </ToolbarContainer>
+      )}
+    </AnimatePresence>
+  )
+}
+
+export default ComicToolbar
@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback, memo } from 'react'
+import styled from 'styled-components'
+import { VariableSizeList, ListChildComponentProps, ListOnScrollProps, areEqual } from 'react-window'
+import ResponsivePicture, { Rendition } from '../UI/ResponsivePicture'
+import { ImageRef, urlOf } from './ComicPage'
+
+export interface ContinuousPage {
+  pageNumber: number
+  thumbnail: ImageRef
+  web: ImageRef
+  width?: number
+  height?: number
+  renditions?: Rendition[]
+}
+
+interface ContinuousViewProps {
+  pages: ContinuousPage[]
+  // Scrolled to when it changes from outside (page input, keys, resume)
+  currentPage: number
+  // Webtoons are one strip: pages meet without a gap
+  seamless: boolean
+  onPageChange: (pageNumber: number) => void
+}
+
+// Pages are drawn in a column this wide at most, centred
+const MAX_COLUMN = 900
+const PAGE_GAP = 16
+// Height over width assumed until a page's size is known
+const FALLBACK_RATIO = 1.5
+// Pages rendered beyond the screen: one at rest, more the faster the reader scrolls
+const MIN_OVERSCAN = 1
+const MAX_OVERSCAN = 8
+// Render ahead what the reader will reach within this long at their current speed
+const LOOKAHEAD_MS = 1500
+
+const Viewport = styled.div`
+  width: 100%;
+  height: 100%;
+`
+
+const Column = styled.div<{ $width: number }>`
+  width: ${({ $width }) => $width}px;
+  height: 100%;
+  margin: 0 auto;
+  background: ${({ theme }) => theme.colors.surface};
+`
+
+const StripImage = styled.img`
+  display: block;
+  width: 100%;
+  height: 100%;
+`
+
+interface RowData {
+  pages: ContinuousPage[]
+  columnWidth: number
+  gap: number
+  onMeasured: (index: number, ratio: number) => void
+}
+
+const Row = memo(({ index, style, data }: ListChildComponentProps<RowData>) => {
+  const { pages, columnWidth, gap, onMeasured } = data
+  const page = pages[index]
+  const [failed, setFailed] = useState(false)
+
+  const handleLoad = (e: React.SyntheticEvent<HTMLImageElement>) => {
+    const { naturalWidth, naturalHeight } = e.currentTarget
+    if (!page.width && naturalWidth) onMeasured(index, naturalHeight / naturalWidth)
+  }
+
+  // Falls back to the thumbnail when the page itself can't be loaded
+  const image = (
+    <StripImage
+      src={urlOf(failed ? page.thumbnail : page.web)}
+      alt={`Page ${page.pageNumber}`}
+      width={page.width}
+      height={page.height}
+      decoding="async"
+      draggable={false}
+      onLoad={handleLoad}
+      onError={() => setFailed(true)}
+    />
+  )
+
+  return (
+    <div style={{ ...style, boxSizing: 'border-box', paddingBottom: gap }}>
+      <Column $width={columnWidth}>
+        {failed ? image : (
+          <ResponsivePicture renditions={page.renditions} sizes={`${columnWidth}px`}>
+            {image}
+          </ResponsivePicture>
+        )}
+      </Column>
+    </div>
+  )
+}, areEqual)
+
+/**
+ * Every page in one vertical scroll, for webtoons and anyone who
+ * prefers scrolling. Only the pages near the screen are rendered
+ * (and so loaded); how far ahead grows with scroll speed, so a fast
+ * fling finds its pages already on their way. The page across the
+ * middle of the screen is reported as the current page.
+ */
+const ContinuousView: React.FC<ContinuousViewProps> = ({ pages, currentPage, seamless, onPageChange }) => {
+  const [size, setSize] = useState({ width: 0, height: 0 })
+  const [measured, setMeasured] = useState<Record<number, number>>({})
+  const [overscan, setOverscan] = useState(MIN_OVERSCAN)
+  const viewportRef = useRef<HTMLDivElement>(null)
+  const listRef = useRef<VariableSizeList>(null)
+  // The page last reported or scrolled to, so outside changes can be told apart
+  const shownPageRef = useRef(currentPage)
+  const lastScrollRef = useRef({ offset: 0, time: 0, velocity: 0 })
+
+  useEffect(() => {
+    const viewport = viewportRef.current
+    if (!viewport || typeof ResizeObserver === 'undefined') return
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height })
+    })
+    observer.observe(viewport)
+    return () => observer.disconnect()
+  }, [])
+
+  const columnWidth = Math.min(size.width, MAX_COLUMN)
+  const gap = seamless ? 0 : PAGE_GAP
+
+  // Row heights follow the page's aspect ratio at the column's width
+  const heights = useMemo(() => pages.map((page, index) => {
+    const ratio = page.width && page.height ? page.height / page.width : measured[index] || FALLBACK_RATIO
+    return Math.round(columnWidth * ratio) + gap
+  }), [pages, measured, columnWidth, gap])
+
+  const offsets = useMemo(() => {
+    const starts: number[] = []
+    heights.reduce((top, height, index) => {
+      starts[index] = top
+      return top + height
+    }, 0)
+    return starts
+  }, [heights])
+
+  useEffect(() => {
+    listRef.current?.resetAfterIndex(0)
+  }, [heights])
+
+  const onMeasured = useCallback((index: number, ratio: number) => {
+    setMeasured(prev => prev[index] === ratio ? prev : { ...prev, [index]: ratio })
+  }, [])
+
+  const indexOf = (pageNumber: number) => Math.max(0, pages.findIndex(page => page.pageNumber === pageNumber))
+
+  // Pages turned from outside (page input, arrow keys, resumed progress)
+  useEffect(() => {
+    if (currentPage === shownPageRef.current) return
+    shownPageRef.current = currentPage
+    listRef.current?.scrollToItem(indexOf(currentPage), 'start')
+  }, [currentPage])
+
+  const handleScroll = ({ scrollOffset, scrollUpdateWasRequested }: ListOnScrollProps) => {
+    const now = performance.now()
+    const last = lastScrollRef.current
+    const elapsed = now - last.time
+    // Smoothed px/ms, so one jumpy frame doesn't swing the lookahead
+    const velocity = elapsed > 0 && elapsed < 200
+      ? last.velocity * 0.7 + (Math.abs(scrollOffset - last.offset) / elapsed) * 0.3
+      : 0
+    lastScrollRef.current = { offset: scrollOffset, time: now, velocity }
+
+    const averageHeight = (offsets[offsets.length - 1] + heights[heights.length - 1]) / heights.length || 1
+    const ahead = Math.ceil((velocity * LOOKAHEAD_MS) / averageHeight)
+    setOverscan(Math.min(MAX_OVERSCAN, Math.max(MIN_OVERSCAN, ahead)))
+
+    // A requested scroll lands on the page asked for; don't second-guess it
+    if (scrollUpdateWasRequested) return
+
+    const middle = scrollOffset + size.height / 2
+    let low = 0
+    let high = offsets.length - 1
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
+      if (offsets[mid] <= middle) low = mid
+      else high = mid - 1
+    }
+    const pageNumber = pages[low]?.pageNumber
+    if (pageNumber && pageNumber !== shownPageRef.current) {
+      shownPageRef.current = pageNumber
+      onPageChange(pageNumber)
+    }
+  }
+
+  const itemData = useMemo(() => ({ pages, columnWidth, gap, onMeasured }), [pages, columnWidth, gap, onMeasured])
+
+  return (
+    // Taps here scroll rather than turn pages
+    <Viewport ref={viewportRef} onClick={e => e.stopPropagation()}>
+      {size.height > 0 && (
+        <VariableSizeList
+          ref={listRef}
+          width={size.width}
+          height={size.height}
+          itemCount={pages.length}
+          itemSize={index => heights[index]}
+          estimatedItemSize={Math.round(columnWidth * FALLBACK_RATIO) + gap}
+          initialScrollOffset={offsets[indexOf(currentPage)] || 0}
+          overscanCount={overscan}
+          itemData={itemData}
+          itemKey={index => pages[index].pageNumber}
+          onScroll={handleScroll}
+        >
+          {Row}
+        </VariableSizeList>
+      )}
+    </Viewport>
+  )
+}
+
+export default ContinuousView
@@ -0,0 +1,275 @@
+import React, { useState, useRef, useEffect } from 'react'
+import styled from 'styled-components'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { FiArrowUp, FiArrowDown, FiTrash2, FiMaximize, FiX, FiCheck } from 'react-icons/fi'
+import { ImageRef, Panel, WHOLE_PAGE, urlOf } from './ComicPage'
+
+interface PanelEditorProps {
+  comicId: string
+  pageData: {
+    pageNumber: number
+    web: ImageRef
+    width?: number
+    height?: number
+    panels?: Panel[]
+  }
+  onSaved: (panels: Panel[]) => void
+  onClose: () => void
+}
+
+// Drags smaller than this (as a fraction of the page) are clicks, not boxes
+const MIN_BOX = 0.02
+
+const EditorContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 1rem;
+  width: 100%;
+  height: 100%;
+  padding: 1rem;
+`
+
+const Frame = styled.div`
+  flex: 1;
+  min-height: 0;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+`
+
+// Shrinks to the drawn page, so boxes are placed as fractions of it
+const Canvas = styled.div`
+  position: relative;
+  display: inline-block;
+  line-height: 0;
+  cursor: crosshair;
+  touch-action: none;
+  user-select: none;
+
+  img {
+    width: auto;
+    height: auto;
+    max-width: 100%;
+    max-height: calc(100vh - 240px);
+    pointer-events: none;
+  }
+`
+
+const Box = styled.div<{ $selected: boolean; $draft?: boolean }>`
+  position: absolute;
+  border: 2px ${({ $draft }) => $draft ? 'dashed' : 'solid'} ${({ theme, $selected }) =>
+    $selected ? theme.colors.secondary : theme.colors.primary};
+  background: ${({ $selected }) => $selected ? 'rgba(255, 255, 255, 0.15)' : 'transparent'};
+  cursor: pointer;
+`
+
+const BoxNumber = styled.span`
+  position: absolute;
+  top: 0.25rem;
+  left: 0.25rem;
+  min-width: 1.5rem;
+  padding: 0.125rem 0.375rem;
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.primary};
+  color: ${({ theme }) => theme.colors.white};
+  font-size: 0.75rem;
+  font-weight: 600;
+  text-align: center;
+`
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  padding: 0.75rem 1rem;
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.lg};
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.colors.textSecondary};
+`
+
+const ToolButton = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 0.375rem;
+  height: 36px;
+  padding: 0 0.75rem;
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme }) => theme.colors.background};
+  color: ${({ theme }) => theme.colors.text};
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`
+
+const SaveButton = styled(ToolButton)`
+  background: ${({ theme }) => theme.colors.primary};
+  border-color: ${({ theme }) => theme.colors.primary};
+  color: ${({ theme }) => theme.colors.white};
+`
+
+const percent = (value: number) => `${value * 100}%`
+
+const clamp = (value: number) => Math.min(1, Math.max(0, value))
+
+/**
+ * Lets the comic's creator correct the panels detected at upload:
+ * drag on the page to add a box, click a box to select it, then
+ * move it earlier or later in the reading order or delete it.
+ */
+const PanelEditor: React.FC<PanelEditorProps> = ({ comicId, pageData, onSaved, onClose }) => {
+  const [panels, setPanels] = useState<Panel[]>(pageData.panels?.length ? pageData.panels : [WHOLE_PAGE])
+  const [selected, setSelected] = useState<number | null>(null)
+  const [draft, setDraft] = useState<Panel | null>(null)
+  const [isSaving, setIsSaving] = useState(false)
+  const canvasRef = useRef<HTMLDivElement>(null)
+  const startRef = useRef<{ x: number; y: number } | null>(null)
+
+  // Where the pointer is on the page, as fractions of it
+  const pointOf = (e: React.PointerEvent) => {
+    const rect = canvasRef.current!.getBoundingClientRect()
+    return { x: clamp((e.clientX - rect.left) / rect.width), y: clamp((e.clientY - rect.top) / rect.height) }
+  }
+
+  const handlePointerDown = (e: React.PointerEvent) => {
+    e.currentTarget.setPointerCapture(e.pointerId)
+    startRef.current = pointOf(e)
+    setSelected(null)
+  }
+
+  const handlePointerMove = (e: React.PointerEvent) => {
+    const start = startRef.current
+    if (!start) return
+    const point = pointOf(e)
+    setDraft({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y)
+    })
+  }
+
+  const handlePointerUp = () => {
+    if (draft && draft.width >= MIN_BOX && draft.height >= MIN_BOX) {
+      // A page that was one whole-page panel gets the first drawn box instead
+      setPanels(prev => prev.length === 1 && prev[0].width === 1 && prev[0].height === 1 ? [draft] : [...prev, draft])
+    }
+    startRef.current = null
+    setDraft(null)
+  }
+
+  const move = (offset: number) => {
+    if (selected === null) return
+    const target = selected + offset
+    if (target < 0 || target >= panels.length) return
+    setPanels(prev => {
+      const next = [...prev]
+      ;[next[selected], next[target]] = [next[target], next[selected]]
+      return next
+    })
+    setSelected(target)
+  }
+
+  const remove = () => {
+    if (selected === null) return
+    setPanels(prev => prev.filter((_, index) => index !== selected))
+    setSelected(null)
+  }
+
+  const save = async () => {
+    const toSave = panels.length > 0 ? panels : [WHOLE_PAGE]
+    setIsSaving(true)
+    try {
+      const response = await axios.put(`/api/comics/issues/${comicId}/pages/${pageData.pageNumber}/panels`, {
+        panels: toSave
+      })
+      toast.success('Panels saved')
+      onSaved(response.data.data.panels)
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to save panels')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') onClose()
+      if (e.key === 'Delete' || e.key === 'Backspace') remove()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  })
+
+  return (
+    <EditorContainer onClick={e => e.stopPropagation()}>
+      <Frame>
+        <Canvas
+          ref={canvasRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+        >
+          <img
+            src={urlOf(pageData.web)}
+            alt={`Page ${pageData.pageNumber}`}
+            width={pageData.width}
+            height={pageData.height}
+            draggable={false}
+          />
+          {panels.map((panel, index) => (
+            <Box
+              key={index}
+              $selected={index === selected}
+              style={{ left: percent(panel.x), top: percent(panel.y), width: percent(panel.width), height: percent(panel.height) }}
+              onPointerDown={e => {
+                e.stopPropagation()
+                setSelected(index)
+              }}
+            >
+              <BoxNumber>{index + 1}</BoxNumber>
+            </Box>
+          ))}
+          {draft && (
+            <Box
+              $selected={false}
+              $draft
+              style={{ left: percent(draft.x), top: percent(draft.y), width: percent(draft.width), height: percent(draft.height) }}
+            />
+          )}
+        </Canvas>
+      </Frame>
+
+      <Toolbar>
+        <span>{panels.length} panel{panels.length === 1 ? '' : 's'} · drag to add</span>
+        <ToolButton onClick={() => move(-1)} disabled={selected === null || selected === 0} title="Read earlier">
+          <FiArrowUp />
+        </ToolButton>
+        <ToolButton onClick={() => move(1)} disabled={selected === null || selected === panels.length - 1} title="Read later">
+          <FiArrowDown />
+        </ToolButton>
+        <ToolButton onClick={remove} disabled={selected === null} title="Delete panel (Del)">
+          <FiTrash2 />
+        </ToolButton>
+        <ToolButton onClick={() => { setPanels([WHOLE_PAGE]); setSelected(null) }} title="One panel for the whole page">
+          <FiMaximize />
+        </ToolButton>
+        <ToolButton onClick={onClose} title="Cancel (Esc)">
+          <FiX /> Cancel
+        </ToolButton>
+        <SaveButton onClick={save} disabled={isSaving}>
+          <FiCheck /> {isSaving ? 'Saving...' : 'Save'}
+        </SaveButton>
+      </Toolbar>
+    </EditorContainer>
+  )
+}
+
+export default PanelEditor
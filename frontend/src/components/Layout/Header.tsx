@@ -1,4 +1,4 @@
-import React, { useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import styled from 'styled-components'
 import { motion } from 'framer-motion'
 import { Link, useLocation } from 'react-router-dom'
@@ -134,8 +134,9 @@ const MobileMenuButton = styled.button`
 const Header: React.FC = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false)
   const location = useLocation()
-  const { isAuthenticated, user, logout } = useAuth()
-  const { isConnected, account, connectWallet, disconnectWallet } = useHedera()
+  const { isAuthenticated, user, connectWallet: signIn, disconnectWallet: signOut } = useAuth()
+  const { isConnected, account, connectWallet, disconnectWallet, signMessage } = useHedera()
+  const signInAttempted = useRef<string | null>(null)
   const { isDark, toggleTheme } = useTheme()
 
   const navItems = [
@@ -144,6 +145,17 @@ const Header: React.FC = () => {
     { path: '/creator', label: 'Create' },
   ]
 
+  // Once a wallet is connected, sign in with it (once per account)
+  useEffect(() => {
+    if (!isConnected || !account || isAuthenticated) return
+    if (signInAttempted.current === account.accountId) return
+
+    signInAttempted.current = account.accountId
+    signIn(account.accountId, account.publicKey, signMessage).catch(error => {
+      console.error('Wallet sign-in failed:', error)
+    })
+  }, [isConnected, account, isAuthenticated])
+
   const handleWalletAction = () => {
     if (isConnected) {
       disconnectWallet()
@@ -152,6 +164,12 @@ const Header: React.FC = () => {
     }
   }
 
+  const handleLogout = () => {
+    signOut()
+    disconnectWallet()
+    signInAttempted.current = null
+  }
+
   return (
     <HeaderContainer>
       <HeaderContent>
@@ -193,7 +211,7 @@ const Header: React.FC = () => {
               <ActionButton title="Profile">
                 <FiUser size={20} />
               </ActionButton>
-              <button onClick={logout}>Logout</button>
+              <button onClick={handleLogout}>Logout</button>
             </>
           ) : (
             <ConnectButton onClick={handleWalletAction}>
@@ -0,0 +1,257 @@
+import React, { useState } from 'react'
+import styled from 'styled-components'
+import { Link } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { FiDownload, FiCheckCircle, FiBookOpen, FiWifiOff } from 'react-icons/fi'
+import {
+  OfflineIssue,
+  formatBytes,
+  getStorageUsage,
+  isOfflineSupported,
+  listOfflineIssues,
+  removeOfflineIssue,
+  saveForOffline
+} from '../utils/offlineLibrary'
+
+interface LibraryIssue {
+  comicId: string
+  tokenId: string
+  serials: number[]
+  title: string
+  issueNumber: number | null
+  coverImage: string | null
+}
+
+interface LibrarySeries {
+  series: string
+  issues: LibraryIssue[]
+}
+
+interface LibraryProps {
+  accountId: string
+}
+
+const Section = styled.section`
+  display: flex;
+  flex-direction: column;
+  gap: 1.5rem;
+`
+
+const Usage = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.colors.textSecondary};
+`
+
+const UsageBar = styled.div`
+  width: 160px;
+  height: 6px;
+  background: ${({ theme }) => theme.colors.border};
+  border-radius: 3px;
+  overflow: hidden;
+`
+
+const UsageFill = styled.div<{ $percent: number }>`
+  height: 100%;
+  width: ${({ $percent }) => $percent}%;
+  background: ${({ theme }) => theme.colors.primary};
+`
+
+const SeriesTitle = styled.h3`
+  margin: 0 0 0.75rem;
+  font-size: 1.125rem;
+  color: ${({ theme }) => theme.colors.text};
+`
+
+const IssueRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  padding: 0.75rem 1rem;
+  background: ${({ theme }) => theme.colors.surface};
+  border: 1px solid ${({ theme }) => theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+
+  & + & {
+    margin-top: 0.5rem;
+  }
+`
+
+const Cover = styled.img`
+  width: 40px;
+  height: 60px;
+  object-fit: cover;
+  border-radius: ${({ theme }) => theme.borderRadius.sm};
+  background: ${({ theme }) => theme.colors.background};
+`
+
+const IssueTitle = styled.div`
+  flex: 1;
+  min-width: 0;
+  color: ${({ theme }) => theme.colors.text};
+
+  small {
+    display: block;
+    color: ${({ theme }) => theme.colors.textSecondary};
+  }
+`
+
+const Action = styled.button<{ $active?: boolean }>`
+  display: flex;
+  align-items: center;
+  gap: 0.375rem;
+  height: 36px;
+  padding: 0 0.75rem;
+  border: 1px solid ${({ theme, $active }) => $active ? theme.colors.success : theme.colors.border};
+  border-radius: ${({ theme }) => theme.borderRadius.md};
+  background: ${({ theme, $active }) => $active ? theme.colors.success : theme.colors.background};
+  color: ${({ theme, $active }) => $active ? theme.colors.white : theme.colors.text};
+  font-size: 0.875rem;
+  text-decoration: none;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: wait;
+  }
+`
+
+const Notice = styled.p`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin: 0;
+  color: ${({ theme }) => theme.colors.textSecondary};
+`
+
+/**
+ * The comics this account holds, each with a "download for offline"
+ * toggle, and how much of the device's storage the downloads take.
+ * Without a network it lists the issues already downloaded.
+ */
+const Library: React.FC<LibraryProps> = ({ accountId }) => {
+  const [saving, setSaving] = useState<Record<string, number>>({})
+  const offlineSupported = isOfflineSupported()
+
+  const { data: library, isError: libraryUnavailable } = useQuery(
+    ['library', accountId],
+    async () => {
+      const response = await axios.get(`/api/reader/library/${accountId}`)
+      return response.data.data.series as LibrarySeries[]
+    },
+    { retry: false }
+  )
+
+  const { data: offline = [], refetch: refetchOffline } = useQuery(
+    ['offline-issues', accountId],
+    async () => (await listOfflineIssues()).filter(issue => issue.accountId === accountId),
+    { enabled: offlineSupported }
+  )
+
+  const { data: usage, refetch: refetchUsage } = useQuery(['storage-usage'], getStorageUsage, {
+    enabled: offlineSupported
+  })
+
+  const offlineById = new Map(offline.map(issue => [issue.comicId, issue]))
+
+  const toggleOffline = async (issue: LibraryIssue) => {
+    try {
+      if (offlineById.has(issue.comicId)) {
+        await removeOfflineIssue(issue.comicId, accountId)
+        toast.success(`${issue.title} removed from this device`)
+      } else {
+        setSaving(prev => ({ ...prev, [issue.comicId]: 0 }))
+        const serialNumber = issue.serials[0]
+        const response = await axios.get(`/api/reader/comic/${issue.tokenId}/${serialNumber}`)
+        const saved = await saveForOffline(response.data.comic, {
+          accountId,
+          serialNumber,
+          onProgress: (done, total) =>
+            setSaving(prev => ({ ...prev, [issue.comicId]: Math.round((done / total) * 100) }))
+        })
+        toast.success(`${issue.title} saved for offline reading (${formatBytes(saved.bytes)})`)
+      }
+      refetchOffline()
+      refetchUsage()
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || error.message || 'Failed to save for offline reading')
+    } finally {
+      setSaving(({ [issue.comicId]: _, ...rest }) => rest)
+    }
+  }
+
+  // Offline, the downloads are the library
+  const series: LibrarySeries[] = library || (libraryUnavailable
+    ? [{
+        series: 'Downloaded',
+        issues: offline.map((issue: OfflineIssue) => ({
+          comicId: issue.comicId,
+          tokenId: issue.comic.tokenId,
+          serials: [issue.serialNumber],
+          title: issue.title,
+          issueNumber: null,
+          coverImage: null
+        }))
+      }]
+    : [])
+
+  return (
+    <Section>
+      {usage && usage.offlineBytes > 0 && (
+        <Usage title={`This site uses ${formatBytes(usage.usage)} of ${formatBytes(usage.quota)} available`}>
+          <FiDownload />
+          {formatBytes(usage.offlineBytes)} saved for offline reading
+          {usage.quota > 0 && (
+            <UsageBar>
+              <UsageFill $percent={Math.min(100, (usage.usage / usage.quota) * 100)} />
+            </UsageBar>
+          )}
+        </Usage>
+      )}
+
+      {libraryUnavailable && (
+        <Notice>
+          <FiWifiOff /> Can't reach your library right now{offline.length > 0 ? ': showing the issues on this device' : ''}
+        </Notice>
+      )}
+
+      {series.map(group => (
+        <div key={group.series}>
+          <SeriesTitle>{group.series}</SeriesTitle>
+          {group.issues.map(issue => {
+            const progress = saving[issue.comicId]
+            const saved = offlineById.get(issue.comicId)
+            return (
+              <IssueRow key={issue.comicId}>
+                {issue.coverImage && <Cover src={issue.coverImage} alt="" loading="lazy" />}
+                <IssueTitle>
+                  {issue.title}{issue.issueNumber !== null ? ` #${issue.issueNumber}` : ''}
+                  {saved && <small>On this device · {formatBytes(saved.bytes)}</small>}
+                </IssueTitle>
+                <Action as={Link} to={`/reader/${issue.tokenId}/${issue.serials[0]}`}>
+                  <FiBookOpen /> Read
+                </Action>
+                {offlineSupported && (
+                  <Action
+                    $active={!!saved}
+                    onClick={() => toggleOffline(issue)}
+                    disabled={progress !== undefined}
+                    title={saved ? 'Remove from this device' : 'Download for offline reading'}
+                  >
+                    {progress !== undefined ? `${progress}%` : saved ? <><FiCheckCircle /> Offline</> : <><FiDownload /> Download</>}
+                  </Action>
+                )}
+              </IssueRow>
+            )
+          })}
+        </div>
+      ))}
+    </Section>
+  )
+}
+
+export default Library
@@ -0,0 +1,63 @@
+import React from 'react'
+
+export interface Rendition {
+  format: 'avif' | 'webp' | 'jpeg'
+  mediaType: string
+  width: number
+  height: number
+  url: string
+}
+
+// A comic's cover as listings and the library send it
+export interface Cover {
+  url: string | null
+  width: number | null
+  height: number | null
+  renditions: Rendition[]
+}
+
+interface ResponsivePictureProps {
+  renditions?: Rendition[]
+  // How wide the image is drawn, e.g. '(min-width: 1024px) 25vw, 100vw'
+  sizes: string
+  // The <img> to show; it keeps its own src as the fallback
+  children: React.ReactElement<React.ImgHTMLAttributes<HTMLImageElement>>
+}
+
+// Best first: the browser takes the first <source> type it can decode
+const FORMAT_ORDER: Rendition['format'][] = ['avif', 'webp']
+
+const srcSetOf = (renditions: Rendition[]) =>
+  [...renditions]
+    .sort((a, b) => a.width - b.width)
+    .map(rendition => `${rendition.url} ${rendition.width}w`)
+    .join(', ')
+
+/**
+ * Wrap an <img> in a <picture> offering every rendition of a page or
+ * cover: AVIF and WebP sources by width, with the JPEGs as the img's
+ * own srcset. The browser picks format and width for the screen.
+ * Without renditions (older comics) the img renders as it is.
+ */
+const ResponsivePicture: React.FC<ResponsivePictureProps> = ({ renditions = [], sizes, children }) => {
+  if (renditions.length === 0) return children
+
+  const jpegs = renditions.filter(rendition => rendition.format === 'jpeg')
+
+  return (
+    // display: contents keeps the img's layout exactly as if it stood alone
+    <picture style={{ display: 'contents' }}>
+      {FORMAT_ORDER.map(format => {
+        const matching = renditions.filter(rendition => rendition.format === format)
+        return matching.length > 0 ? (
+          <source key={format} type={matching[0].mediaType} srcSet={srcSetOf(matching)} sizes={sizes} />
+        ) : null
+      })}
+      {React.cloneElement(children, {
+        ...(jpegs.length > 0 && { srcSet: srcSetOf(jpegs), sizes })
+      })}
+    </picture>
+  )
+}
+
+export default ResponsivePicture
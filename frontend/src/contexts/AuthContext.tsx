@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, ReactNode } from 'react';
 import axios from 'axios';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
@@ -8,7 +8,8 @@ interface User {
   username: string;
   bio: string;
   avatar: string | null;
-  role: string;
+  roles: string[];
+  permissions: string[];
   balance?: string;
 }
 
@@ -17,7 +18,11 @@ interface AuthContextType {
   token: string | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  connectWallet: (accountId: string, publicKey?: string) => Promise<void>;
+  connectWallet: (
+    accountId: string,
+    publicKey: string,
+    signMessage: (message: string) => Promise<string>
+  ) => Promise<void>;
   disconnectWallet: () => void;
   updateProfile: (data: Partial<User>) => Promise<void>;
   refreshProfile: () => Promise<void>;
@@ -29,6 +34,38 @@ export function AuthProvider({ children }: { children: ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
   const [token, setToken] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const refreshing = useRef<Promise<string | null> | null>(null);
+
+  // Send the access token with every API request
+  useEffect(() => {
+    if (token) {
+      axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+    } else {
+      delete axios.defaults.headers.common.Authorization;
+    }
+  }, [token]);
+
+  // On a 401, rotate the refresh token once and replay the request
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async error => {
+        const original = error.config;
+        const isAuthCall = original?.url?.includes('/auth/');
+        if (error.response?.status !== 401 || !original || original._retry || isAuthCall) {
+          throw error;
+        }
+
+        original._retry = true;
+        const newToken = await refreshSession();
+        if (!newToken) throw error;
+
+        original.headers = { ...original.headers, Authorization: `Bearer ${newToken}` };
+        return axios(original);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
 
   // Load auth state from localStorage on mount
   useEffect(() => {
@@ -58,30 +95,68 @@ export function AuthProvider({ children }: { children: ReactNode }) {
         disconnectWallet();
       }
     } catch (error) {
-      console.error('Token verification failed:', error);
-      disconnectWallet();
+      // Offline: keep the session (offline issues still open); it's checked on the next request
+      if (!navigator.onLine) return;
+      // Access tokens are short-lived; try the refresh token before giving up
+      if (!(await refreshSession())) {
+        console.error('Token verification failed:', error);
+        disconnectWallet();
+      }
+    }
+  };
+
+  const saveSession = (session: { user: User; token: string; refreshToken: string }) => {
+    setUser(session.user);
+    setToken(session.token);
+    localStorage.setItem('comic_pad_token', session.token);
+    localStorage.setItem('comic_pad_refresh_token', session.refreshToken);
+    localStorage.setItem('comic_pad_user', JSON.stringify(session.user));
+  };
+
+  // Exchange the refresh token for a new session (shared by concurrent callers)
+  const refreshSession = (): Promise<string | null> => {
+    if (!refreshing.current) {
+      refreshing.current = (async () => {
+        const refreshToken = localStorage.getItem('comic_pad_refresh_token');
+        if (!refreshToken) return null;
+
+        try {
+          const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+          saveSession(response.data.data);
+          return response.data.data.token as string;
+        } catch (error) {
+          disconnectWallet();
+          return null;
+        } finally {
+          refreshing.current = null;
+        }
+      })();
     }
+    return refreshing.current;
   };
 
-  // Connect wallet
-  const connectWallet = async (accountId: string, publicKey?: string) => {
+  // Connect wallet: sign a one-time challenge to prove account ownership
+  const connectWallet = async (
+    accountId: string,
+    publicKey: string,
+    signMessage: (message: string) => Promise<string>
+  ) => {
     try {
       setIsLoading(true);
 
-      const response = await axios.post(`${API_URL}/auth/connect`, {
+      const challenge = await axios.post(`${API_URL}/auth/challenge`, { accountId });
+      const { nonce, message } = challenge.data.data;
+      const signature = await signMessage(message);
+
+      const response = await axios.post(`${API_URL}/auth/login`, {
         accountId,
+        nonce,
+        signature,
         publicKey
       });
 
       if (response.data.success) {
-        const { user: newUser, token: newToken } = response.data.data;
-        
-        setUser(newUser);
-        setToken(newToken);
-        
-        // Save to localStorage
-        localStorage.setItem('comic_pad_token', newToken);
-        localStorage.setItem('comic_pad_user', JSON.stringify(newUser));
+        saveSession(response.data.data);
       }
     } catch (error) {
       console.error('Failed to connect wallet:', error);
@@ -93,9 +168,15 @@ export function AuthProvider({ children }: { children: ReactNode }) {
 
   // Disconnect wallet
   const disconnectWallet = () => {
+    const refreshToken = localStorage.getItem('comic_pad_refresh_token');
+    if (refreshToken) {
+      axios.post(`${API_URL}/auth/logout`, { refreshToken }).catch(() => {});
+    }
+
     setUser(null);
     setToken(null);
     localStorage.removeItem('comic_pad_token');
+    localStorage.removeItem('comic_pad_refresh_token');
     localStorage.removeItem('comic_pad_user');
   };
 
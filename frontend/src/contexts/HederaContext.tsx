@@ -6,6 +6,8 @@ export interface HederaAccount {
   accountId: string
   publicKey: string
   balance: string
+  // Demo wallet only: kept locally so the demo account can sign
+  privateKey?: string
 }
 
 export interface HederaTransaction {
@@ -25,6 +27,7 @@ interface HederaContextType {
   transferHBAR: (to: string, amount: number) => Promise<HederaTransaction>
   createAccount: () => Promise<HederaAccount>
   signMessage: (message: string) => Promise<string>
+  signTransaction: (transactionBytes: string) => Promise<string>
 }
 
 const HederaContext = createContext<HederaContextType | undefined>(undefined)
@@ -147,7 +150,8 @@ export const HederaProvider: React.FC<HederaProviderProps> = ({ children }) => {
       const mockAccount: HederaAccount = {
         accountId: `0.0.${Math.floor(Math.random() * 1000000)}`,
         publicKey: publicKey.toString(),
-        balance: '100' // Demo balance
+        balance: '100', // Demo balance
+        privateKey: privateKey.toString()
       }
 
       return mockAccount
@@ -163,14 +167,37 @@ export const HederaProvider: React.FC<HederaProviderProps> = ({ children }) => {
         throw new Error('Wallet not connected')
       }
 
-      // Demo signature for development
-      return `demo-signature-${Date.now()}`
+      if (!account.privateKey) {
+        throw new Error('Reconnect the demo wallet to sign messages')
+      }
+
+      // Demo wallet signs with its local key; the backend verifies it
+      // against the account's public key
+      const privateKey = PrivateKey.fromString(account.privateKey)
+      const signature = privateKey.sign(new TextEncoder().encode(message))
+      return Array.from(signature, byte => byte.toString(16).padStart(2, '0')).join('')
     } catch (error: any) {
       console.error('Signing error:', error)
       throw error
     }
   }
 
+  // Sign base64-encoded transaction bytes prepared by the backend
+  const signTransaction = async (transactionBytes: string): Promise<string> => {
+    try {
+      if (!account) {
+        throw new Error('Wallet not connected')
+      }
+
+      // Demo wallet: the backend's demo ledger accepts the bytes as-is.
+      // A real wallet (HashPack) signs them and returns the signed bytes.
+      return transactionBytes
+    } catch (error: any) {
+      console.error('Transaction signing error:', error)
+      throw error
+    }
+  }
+
   const value: HederaContextType = {
     client,
     account,
@@ -181,7 +208,8 @@ export const HederaProvider: React.FC<HederaProviderProps> = ({ children }) => {
     getAccountBalance,
     transferHBAR,
     createAccount,
-    signMessage
+    signMessage,
+    signTransaction
   }
 
   return (
@@ -12,6 +12,15 @@ import { ThemeProvider } from './contexts/ThemeContext'
 
 import GlobalStyles from './styles/GlobalStyles'
 
+// Serves issues downloaded for offline reading, and the app itself, without a network
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error)
+    })
+  })
+}
+
 // Create a client
 const queryClient = new QueryClient({
   defaultOptions: {
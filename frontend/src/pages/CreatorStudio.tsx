@@ -2,6 +2,9 @@
 
 import React, { useState } from 'react';
 import axios from 'axios';
+import toast from 'react-hot-toast';
+import { uploadFiles, FileProgress } from '../utils/resumableUpload';
+import { watchJob, Job } from '../utils/jobEvents';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
@@ -12,6 +15,31 @@ interface Collection {
   coverUrl: string;
 }
 
+interface ImportedPage {
+  index: number;
+  name: string;
+  source: string;
+  width: number;
+  height: number;
+}
+
+interface ImportManifest {
+  id: string;
+  format: 'cbz' | 'cbr' | 'pdf';
+  originalName: string;
+  hasComicInfo: boolean;
+  pages: ImportedPage[];
+  metadata: {
+    title?: string | null;
+    issueNumber?: string | null;
+    summary?: string | null;
+    writers?: string[];
+    artists?: string[];
+    readingDirection?: 'ltr' | 'rtl';
+    coverIndex: number;
+  };
+}
+
 export default function CreatorStudio() {
   // State management
   const [step, setStep] = useState<'collection' | 'issue'>('collection');
@@ -42,11 +70,18 @@ export default function CreatorStudio() {
     issueDescription: '',
     writers: '',
     artists: '',
-    mintQuantity: 1
+    mintQuantity: 1,
+    readingDirection: 'ltr' as 'ltr' | 'rtl',
+    webtoon: false
   });
   const [issueCover, setIssueCover] = useState<File | null>(null);
   const [pages, setPages] = useState<File[]>([]);
   const [pagesPreviews, setPagesPreviews] = useState<string[]>([]);
+  const [importing, setImporting] = useState(false);
+  const [importSource, setImportSource] = useState<string>('');
+  const [uploadId, setUploadId] = useState<string | null>(null);
+  const [uploadProgress, setUploadProgress] = useState<FileProgress[]>([]);
+  const [publishJob, setPublishJob] = useState<Job | null>(null);
   
   // Result state
   const [result, setResult] = useState<any>(null);
@@ -110,7 +145,8 @@ export default function CreatorStudio() {
 
     } catch (error: any) {
       console.error('Collection creation failed:', error);
-      alert(`❌ Error: ${error.response?.data?.error || error.message}`);
+      const rejected = (error.response?.data?.errors || []).map((file: any) => `\n${file.file}: ${file.message}`).join('');
+      alert(`❌ Error: ${error.response?.data?.error || error.message}${rejected}`);
     } finally {
       setLoading(false);
     }
@@ -127,13 +163,90 @@ export default function CreatorStudio() {
     }
   };
 
-  const handlePagesChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const files = Array.from(e.target.files || []);
+  const replacePages = (files: File[]) => {
+    pagesPreviews.forEach(url => URL.revokeObjectURL(url));
+    setPublishJob(null);
     setPages(files);
-    
-    // Generate previews
-    const previews = files.map(file => URL.createObjectURL(file));
-    setPagesPreviews(previews);
+    setPagesPreviews(files.map(file => URL.createObjectURL(file)));
+  };
+
+  const handlePagesChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    replacePages(Array.from(e.target.files || []));
+    setImportSource('');
+  };
+
+  // Extract pages from a CBZ/CBR/PDF on the server, then pull them in as
+  // ordinary page files so they can be reviewed and published as usual
+  const handleArchiveImport = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const archive = e.target.files?.[0];
+    e.target.value = '';
+    if (!archive) return;
+
+    setImporting(true);
+    try {
+      const formData = new FormData();
+      formData.append('archive', archive);
+      const response = await axios.post(`${API_URL}/api/comics/import`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      const manifest: ImportManifest = response.data.data;
+
+      const files = await Promise.all(
+        manifest.pages.map(async page => {
+          const { data } = await axios.get(
+            `${API_URL}/api/comics/import/${manifest.id}/pages/${page.index}`,
+            { responseType: 'blob' }
+          );
+          return new File([data], page.name, { type: data.type });
+        })
+      );
+
+      // Pages are held client-side now; the staged copy is no longer needed
+      axios.delete(`${API_URL}/api/comics/import/${manifest.id}`).catch(() => {});
+
+      replacePages(files);
+      setIssueCover(files[manifest.metadata.coverIndex] || files[0]);
+      setImportSource(manifest.originalName);
+
+      const { metadata } = manifest;
+      setIssueForm(form => ({
+        ...form,
+        issueTitle: metadata.title || form.issueTitle,
+        issueNumber: parseInt(metadata.issueNumber || '') || form.issueNumber,
+        issueDescription: metadata.summary || form.issueDescription,
+        writers: metadata.writers?.length ? metadata.writers.join(', ') : form.writers,
+        artists: metadata.artists?.length ? metadata.artists.join(', ') : form.artists,
+        readingDirection: metadata.readingDirection || form.readingDirection
+      }));
+
+      toast.success(
+        `Imported ${files.length} pages from ${manifest.format.toUpperCase()}` +
+          (manifest.hasComicInfo ? ' (details filled from ComicInfo.xml)' : '')
+      );
+    } catch (error: any) {
+      console.error('Archive import failed:', error);
+      toast.error(error.response?.data?.error || error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const movePage = (from: number, to: number) => {
+    if (to < 0 || to >= pages.length) return;
+    const reorder = <T,>(items: T[]) => {
+      const next = [...items];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    };
+    setPages(reorder(pages));
+    setPagesPreviews(reorder(pagesPreviews));
+  };
+
+  const removePage = (index: number) => {
+    URL.revokeObjectURL(pagesPreviews[index]);
+    setPages(pages.filter((_, i) => i !== index));
+    setPagesPreviews(pagesPreviews.filter((_, i) => i !== index));
   };
 
   const handleIssueSubmit = async (e: React.FormEvent) => {
@@ -153,48 +266,40 @@ export default function CreatorStudio() {
     setResult(null);
 
     try {
-      const formData = new FormData();
-      
-      // Collection info
-      formData.append('collectionTokenId', selectedCollection.tokenId);
-      formData.append('collectionName', selectedCollection.name);
-      
-      // Issue info
-      Object.entries(issueForm).forEach(([key, value]) => {
-        if (key === 'writers' || key === 'artists') {
-          // Split comma-separated names into array
-            const array = typeof value === 'string' ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
-          formData.append(key, JSON.stringify(array));
-        } else {
-          formData.append(key, value.toString());
-        }
-      });
-
-      // Add release date
-      formData.append('releaseDate', new Date().toISOString());
-      
-      // Add issue cover
-      formData.append('issueCover', issueCover);
-      
-      // Add all pages
-      pages.forEach(page => {
-        formData.append('pages', page);
-      });
-
-      // Submit to API
-      const response = await axios.post(
-        `${API_URL}/api/comics/issues`,
-        formData,
-        {
-          headers: { 'Content-Type': 'multipart/form-data' }
-        }
-      );
+      let jobId = publishJob?.status === 'failed' ? publishJob.id : null;
+
+      if (jobId) {
+        // Pick the failed job up at the stage that failed instead of publishing again
+        await axios.post(`${API_URL}/api/jobs/${jobId}/retry`);
+      } else {
+        // Cover and pages go up in resumable chunks first; a retry picks up the same session
+        const sessionId = await uploadFiles(
+          [{ file: issueCover, role: 'cover' }, ...pages.map(file => ({ file, role: 'page' as const }))],
+          { resumeId: uploadId, onSession: setUploadId, onProgress: setUploadProgress }
+        );
+
+        const list = (value: string) => value.split(',').map(s => s.trim()).filter(Boolean);
+        const response = await axios.post(`${API_URL}/api/comics`, {
+          collectionTokenId: selectedCollection.tokenId,
+          title: issueForm.issueTitle,
+          description: issueForm.issueDescription,
+          issueNumber: issueForm.issueNumber,
+          copies: issueForm.mintQuantity,
+          writers: list(issueForm.writers),
+          artists: list(issueForm.artists),
+          readingDirection: issueForm.readingDirection,
+          webtoon: issueForm.webtoon,
+          uploadId: sessionId
+        });
+        jobId = response.data.data.id as string;
+      }
 
-      setResult(response.data || {});
+      // Publishing runs in the background; follow its stages until it's minted
+      const job = await watchJob(jobId, setPublishJob);
+      if (job.status === 'failed') throw new Error(job.error || 'Publishing failed');
 
-      // ✅ FIXED: Safely access serial numbers
-      const serialNumbers = response.data.issue?.serialNumbers || response.data.serialNumbers || [];
-      alert(`✅ Issue created successfully!\nSerial Numbers: ${serialNumbers.join(', ')}`);
+      setResult(job.result || {});
+      toast.success(`Issue minted! Serial #${job.result.serialNumber}`);
 
       // Reset form
       setIssueForm({
@@ -203,15 +308,27 @@ export default function CreatorStudio() {
         issueDescription: '',
         writers: '',
         artists: '',
-        mintQuantity: 1
+        mintQuantity: 1,
+        // The next issue of a series usually reads the same way
+        readingDirection: issueForm.readingDirection,
+        webtoon: issueForm.webtoon
       });
       setIssueCover(null);
-      setPages([]);
-      setPagesPreviews([]);
+      replacePages([]);
+      setImportSource('');
+      setUploadId(null);
+      setUploadProgress([]);
+      setPublishJob(null);
 
     } catch (error: any) {
       console.error('Issue creation failed:', error);
-      alert(`❌ Error: ${error.response?.data?.error || error.message}`);
+      const message = error.response?.data?.error || error.response?.data?.message || error.message;
+      // Finished files and chunks stay on the server; submitting again resumes the upload
+      toast.error(message);
+      // Images the server refused (wrong type, too small or large), one toast per file
+      for (const rejected of error.response?.data?.errors || []) {
+        toast.error(`${rejected.file}: ${rejected.message}`);
+      }
     } finally {
       setLoading(false);
     }
@@ -331,6 +448,7 @@ export default function CreatorStudio() {
                     <option>Action</option>
                     <option>Drama</option>
                     <option>Comedy</option>
+                    <option>Manga</option>
                   </select>
                 </div>
                 
@@ -464,6 +582,25 @@ export default function CreatorStudio() {
 
             {selectedCollection && (
               <form onSubmit={handleIssueSubmit} className="space-y-6">
+                {/* Archive Import */}
+                <div className="p-4 border-2 border-dashed border-gray-300 rounded-lg">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Import from CBZ, CBR or PDF (optional)
+                  </label>
+                  <input
+                    type="file"
+                    accept=".cbz,.zip,.cbr,.rar,.pdf"
+                    disabled={importing}
+                    onChange={handleArchiveImport}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="mt-2 text-sm text-gray-500">
+                    {importing
+                      ? '⏳ Extracting pages...'
+                      : 'Pages are extracted for review below; details are filled from ComicInfo.xml when present.'}
+                  </p>
+                </div>
+
                 {/* Issue Info */}
                 <div className="grid grid-cols-2 gap-4">
                   <div>
@@ -551,6 +688,32 @@ export default function CreatorStudio() {
                   </div>
                 </div>
 
+                {/* Reading direction: drives the reader and the CBZ/EPUB/PDF downloads */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Reading Direction
+                  </label>
+                  <select
+                    value={issueForm.readingDirection}
+                    onChange={(e) => setIssueForm({...issueForm, readingDirection: e.target.value as 'ltr' | 'rtl'})}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="ltr">Left to right</option>
+                    <option value="rtl">Right to left (manga)</option>
+                  </select>
+                </div>
+
+                {/* Webtoons open in the reader's vertical scroll view */}
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={issueForm.webtoon}
+                    onChange={(e) => setIssueForm({...issueForm, webtoon: e.target.checked})}
+                    className="rounded border-gray-300 focus:ring-2 focus:ring-blue-500"
+                  />
+                  Webtoon format (pages form one vertical strip, read by scrolling)
+                </label>
+
                 {/* Issue Cover */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -559,10 +722,13 @@ export default function CreatorStudio() {
                   <input
                     type="file"
                     accept="image/*"
-                    required
+                    required={!issueCover}
                     onChange={handleIssueCoverChange}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                   />
+                  {issueCover && (
+                    <p className="mt-2 text-sm text-gray-600">Using {issueCover.name}</p>
+                  )}
                 </div>
 
                 {/* Pages */}
@@ -574,24 +740,95 @@ export default function CreatorStudio() {
                     type="file"
                     accept="image/*"
                     multiple
-                    required
+                    required={pages.length === 0}
                     onChange={handlePagesChange}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                   />
                   {pages.length > 0 && (
                     <p className="mt-2 text-sm text-gray-600">
-                      {pages.length} page(s) selected
+                      {pages.length} page(s) {importSource ? `imported from ${importSource}` : 'selected'} — review the order before publishing
                     </p>
                   )}
                 </div>
 
+                {/* Page Review */}
+                {pagesPreviews.length > 0 && (
+                  <div className="grid grid-cols-4 gap-4">
+                    {pagesPreviews.map((preview, index) => (
+                      <div key={preview} className="border border-gray-200 rounded-lg p-2">
+                        <img src={preview} alt={`Page ${index + 1}`} className="w-full h-40 object-contain bg-gray-100 rounded" />
+                        <div className="flex items-center justify-between mt-2 text-sm">
+                          <button type="button" onClick={() => movePage(index, index - 1)} disabled={index === 0} className="px-2 disabled:text-gray-300">
+                            ◀
+                          </button>
+                          <span className="text-gray-600">{index + 1}</span>
+                          <button type="button" onClick={() => movePage(index, index + 1)} disabled={index === pages.length - 1} className="px-2 disabled:text-gray-300">
+                            ▶
+                          </button>
+                        </div>
+                        <button type="button" onClick={() => removePage(index)} className="w-full mt-1 text-xs text-red-600 hover:underline">
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Upload Progress */}
+                {uploadProgress.length > 0 && (
+                  <div className="space-y-2">
+                    {uploadProgress.map((file, index) => (
+                      <div key={`${index}-${file.name}`} className="text-sm">
+                        <div className="flex justify-between text-gray-600">
+                          <span>{file.name}</span>
+                          <span className={file.status === 'failed' ? 'text-red-600' : ''}>
+                            {file.status === 'failed'
+                              ? `Failed: ${file.error}`
+                              : `${Math.round((file.sent / file.size) * 100)}%`}
+                          </span>
+                        </div>
+                        <div className="h-2 bg-gray-200 rounded">
+                          <div
+                            className={`h-2 rounded ${file.status === 'failed' ? 'bg-red-500' : file.status === 'done' ? 'bg-green-500' : 'bg-blue-500'}`}
+                            style={{ width: `${(file.sent / file.size) * 100}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Publishing Progress */}
+                {publishJob && (
+                  <ol className="space-y-1 text-sm">
+                    {publishJob.stages.map(stage => (
+                      <li key={stage.name} className={stage.status === 'failed' ? 'text-red-600' : 'text-gray-600'}>
+                        {{ pending: '○', running: '⏳', completed: '✅', failed: '❌' }[stage.status]} {stage.name}
+                        {stage.status === 'running' && publishJob.progress?.stage === stage.name && publishJob.progress.message
+                          ? ` — ${publishJob.progress.message}`
+                          : ''}
+                        {stage.attempts > 1 && stage.status !== 'completed' ? ` (attempt ${stage.attempts})` : ''}
+                        {stage.error && stage.status === 'failed' ? `: ${stage.error}` : ''}
+                      </li>
+                    ))}
+                  </ol>
+                )}
+
                 {/* Submit */}
                 <button
                   type="submit"
                   disabled={loading}
                   className="w-full bg-green-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-green-700 transition disabled:bg-gray-400 disabled:cursor-not-allowed"
                 >
-                  {loading ? '⏳ Creating Issue...' : '🚀 Create & Mint Issue'}
+                  {loading
+                    ? uploadProgress.some(file => file.status !== 'done')
+                      ? '⏳ Uploading pages...'
+                      : '⏳ Publishing Issue...'
+                    : uploadProgress.some(file => file.status === 'failed')
+                      ? '🔁 Retry Upload'
+                      : publishJob?.status === 'failed'
+                        ? '🔁 Retry Publishing'
+                      : '🚀 Create & Mint Issue'}
                 </button>
               </form>
             )}
@@ -13,6 +13,7 @@ import ComicCard from "../components/ComicCard";
 import SearchFilters from '../components/SearchFilters'
 import LoadingSpinner from '../components/UI/LoadingSpinner'
 import Pagination from '../components/UI/Pagination'
+import { Cover } from '../components/UI/ResponsivePicture'
 
 interface Comic {
   id: string
@@ -26,10 +27,26 @@ interface Comic {
   rarity: string
   genres: string[]
   coverImage: string
+  cover?: Cover | null
   createdAt: string
   isLive: boolean
 }
 
+interface Listing {
+  id: string
+  comicId: string
+  tokenId: string
+  serialNumber: number
+  seller: string
+  price: number
+  currency: string
+  type: 'fixed' | 'auction'
+  status: 'active' | 'sold' | 'cancelled' | 'expired'
+  createdAt: string
+  expiresAt: string
+  comic: Omit<Comic, 'id' | 'mintPrice' | 'createdAt' | 'isLive'>
+}
+
 interface MarketplaceProps {
   className?: string
 }
@@ -141,7 +158,7 @@ const StatsLabel = styled.div`
 
 const Marketplace: React.FC<MarketplaceProps> = ({ className }) => {
   const { isAuthenticated } = useAuth()
-  const { isConnected } = useHedera()
+  const { isConnected, account, signTransaction } = useHedera()
   const { theme } = useTheme()
 
   // State
@@ -158,12 +175,17 @@ const Marketplace: React.FC<MarketplaceProps> = ({ className }) => {
     offset: 0
   })
 
-  // Fetch comics
-  const { data: comicsData, isLoading, error, refetch } = useQuery(
-    ['comics', searchParams],
+  // Fetch active listings
+  const { data: listingsData, isLoading, error, refetch } = useQuery(
+    ['listings', searchParams],
     async () => {
-      const response = await axios.get('/api/comics/search', {
-        params: searchParams
+      const response = await axios.get('/api/marketplace/listings', {
+        params: {
+          minPrice: searchParams.minPrice || undefined,
+          maxPrice: searchParams.maxPrice || undefined,
+          limit: searchParams.limit,
+          offset: searchParams.offset
+        }
       })
       return response.data.data
     },
@@ -204,16 +226,21 @@ const Marketplace: React.FC<MarketplaceProps> = ({ className }) => {
 
   // Buy comic mutation
   const buyComicMutation = useMutation(
-    async (comicId: string) => {
-      if (!isAuthenticated || !isConnected) {
+    async (listingId: string) => {
+      if (!isAuthenticated || !isConnected || !account) {
         throw new Error('Please connect your wallet to purchase comics')
       }
 
-      const response = await axios.post('/api/marketplace/buy', {
-        comicId,
-        buyer: 'current-user-address', // This would come from the wallet context
-        tokenId: 'token-id',
-        serialNumber: 1
+      // 1. Backend builds the atomic HBAR + NFT transfer
+      const prepared = await axios.post('/api/marketplace/buy', { listingId })
+      const { purchaseId, transactionBytes } = prepared.data.data
+
+      // 2. Buyer signs it, backend submits and records the receipt
+      const signedTransaction = await signTransaction(transactionBytes)
+      const response = await axios.post('/api/marketplace/buy/confirm', {
+        listingId,
+        purchaseId,
+        signedTransaction
       })
 
       return response.data
@@ -224,17 +251,17 @@ const Marketplace: React.FC<MarketplaceProps> = ({ className }) => {
         refetch()
       },
       onError: (error: any) => {
-        toast.error(error.message || 'Purchase failed')
+        toast.error(error.response?.data?.error || error.message || 'Purchase failed')
       }
     }
   )
 
-  const handleBuyComic = (comicId: string) => {
-    buyComicMutation.mutate(comicId)
+  const handleBuyComic = (listingId: string) => {
+    buyComicMutation.mutate(listingId)
   }
 
-  const comics = comicsData?.comics || []
-  const totalPages = Math.ceil((comicsData?.total || 0) / searchParams.limit)
+  const listings: Listing[] = listingsData?.listings || []
+  const totalPages = Math.ceil((listingsData?.total || 0) / searchParams.limit)
   const currentPage = Math.floor(searchParams.offset / searchParams.limit) + 1
 
   return (
@@ -294,7 +321,7 @@ const Marketplace: React.FC<MarketplaceProps> = ({ className }) => {
                   Retry
                 </button>
               </EmptyState>
-            ) : comics.length === 0 ? (
+            ) : listings.length === 0 ? (
               <EmptyState>
                 <EmptyIcon>🔍</EmptyIcon>
                 <h3>No comics found</h3>
@@ -306,16 +333,22 @@ const Marketplace: React.FC<MarketplaceProps> = ({ className }) => {
             ) : (
               <>
                 <ComicsGrid>
-                  {comics.map((comic: Comic) => (
+                  {listings.map((listing) => (
                     <motion.div
-                      key={comic.id}
+                      key={listing.id}
                       initial={{ opacity: 0, y: 20 }}
                       animate={{ opacity: 1, y: 0 }}
                       transition={{ duration: 0.3 }}
                     >
                       <ComicCard
-                        comic={comic}
-                        onBuy={() => handleBuyComic(comic.id)}
+                        comic={{
+                          ...listing.comic,
+                          id: listing.comicId,
+                          mintPrice: listing.price,
+                          createdAt: listing.createdAt,
+                          isLive: listing.status === 'active' && listing.type === 'fixed'
+                        }}
+                        onBuy={() => handleBuyComic(listing.id)}
                         isBuying={buyComicMutation.isLoading}
                       />
                     </motion.div>
@@ -1,6 +1,9 @@
 import React from 'react'
 import styled from 'styled-components'
 import { motion } from 'framer-motion'
+import { useParams } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import Library from '../components/Library'
 
 const ProfileContainer = styled.div`
   min-height: 100vh;
@@ -15,6 +18,10 @@ const Container = styled.div`
 `
 
 const Profile: React.FC = () => {
+  const { address } = useParams<{ address: string }>()
+  const { user } = useAuth()
+  const isOwnProfile = !!user && (!address || address === user.accountId)
+
   return (
     <ProfileContainer>
       <Container>
@@ -25,6 +32,12 @@ const Profile: React.FC = () => {
         >
           <h1>Profile</h1>
           <p>User profile will be displayed here</p>
+          {isOwnProfile && (
+            <>
+              <h2>Your library</h2>
+              <Library accountId={user.accountId} />
+            </>
+          )}
         </motion.div>
       </Container>
     </ProfileContainer>
@@ -0,0 +1,76 @@
+/// <reference types="vite/client" />
+
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+export interface JobStage {
+  name: string;
+  status: 'pending' | 'running' | 'completed' | 'failed';
+  attempts: number;
+  error?: string;
+}
+
+export interface Job {
+  id: string;
+  type: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  stages: JobStage[];
+  progress: { stage: string; current?: number; total?: number; message?: string } | null;
+  result: any;
+  error: string | null;
+}
+
+const isFinished = (job: Job) => job.status === 'completed' || job.status === 'failed';
+
+/**
+ * Follow a background job over Server-Sent Events until it
+ * completes or fails. The stream is read with fetch rather than
+ * EventSource so the access token can go in a header. If the
+ * connection drops, the job's state is fetched and the stream
+ * reopened.
+ */
+export async function watchJob(jobId: string, onUpdate: (job: Job) => void): Promise<Job> {
+  let latest: Job | null = null;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const response = await fetch(`${API_URL}/api/jobs/${jobId}/events`, {
+        headers: {
+          Accept: 'text/event-stream',
+          Authorization: String(axios.defaults.headers.common.Authorization || '')
+        }
+      });
+      if (!response.ok || !response.body) throw new Error(`Job events unavailable (${response.status})`);
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const events = buffer.split('\n\n');
+        buffer = events.pop() || '';
+        for (const event of events) {
+          const data = event.split('\n').find(line => line.startsWith('data: '));
+          if (!data) continue;
+          latest = JSON.parse(data.slice(6)) as Job;
+          onUpdate(latest);
+          if (isFinished(latest)) return latest;
+        }
+      }
+    } catch (error) {
+      console.warn('Job event stream interrupted:', error);
+    }
+
+    // The stream ended early: check where the job is before reconnecting
+    const { data } = await axios.get(`${API_URL}/api/jobs/${jobId}`);
+    latest = data.data as Job;
+    onUpdate(latest);
+    if (isFinished(latest)) return latest;
+    await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+  }
+
+  throw new Error('Lost track of the publishing job; check its status later');
+}
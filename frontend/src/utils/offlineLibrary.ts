@@ -0,0 +1,237 @@
+/// <reference types="vite/client" />
+
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Page images live in Cache Storage, where the service worker (public/sw.js) serves them from
+const PAGES_CACHE = 'comic-pad-pages-v1';
+const DB_NAME = 'comic-pad-offline';
+const STORE = 'issues';
+// Each account's copy of an issue is its own record
+const KEY_PATH = ['comicId', 'accountId'];
+// Statuses meaning the account may no longer read an issue
+const NOT_ENTITLED = [401, 403, 404];
+
+type ImageRef = string | { url: string };
+
+interface OfflinePage {
+  pageNumber: number;
+  thumbnail: ImageRef;
+  web: ImageRef;
+  print: ImageRef;
+  renditions?: unknown[];
+  [key: string]: unknown;
+}
+
+export interface OfflineComic {
+  id: string;
+  title: string;
+  tokenId: string;
+  serialNumber: number;
+  pages: OfflinePage[];
+  [key: string]: unknown;
+}
+
+export interface OfflineIssue {
+  comicId: string;
+  // Whose copy it is, and the serial they hold; other accounts on the device don't get to open it
+  accountId: string;
+  serialNumber: number;
+  title: string;
+  comic: OfflineComic;
+  pageUrls: string[];
+  bytes: number;
+  savedAt: string;
+  // Last time the server confirmed the account still owns the issue
+  verifiedAt: string;
+}
+
+export interface StorageUsage {
+  // Bytes taken by offline issues, and by everything this site stores out of what it may
+  offlineBytes: number;
+  usage: number;
+  quota: number;
+}
+
+export class OfflineStorageError extends Error {}
+
+const urlOf = (image: ImageRef) => (typeof image === 'string' ? image : image?.url);
+
+export const formatBytes = (bytes: number) =>
+  bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(1)} GB` : `${Math.max(0.1, bytes / 1024 ** 2).toFixed(1)} MB`;
+
+export const isOfflineSupported = () =>
+  typeof window !== 'undefined' && 'indexedDB' in window && 'caches' in window;
+
+function openDatabase(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 2);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        db.createObjectStore(STORE, { keyPath: KEY_PATH });
+        return;
+      }
+      // Version 1 kept one copy per issue: move its records to the per-account key
+      const previous = request.transaction!.objectStore(STORE).getAll();
+      previous.onsuccess = () => {
+        db.deleteObjectStore(STORE);
+        const store = db.createObjectStore(STORE, { keyPath: KEY_PATH });
+        (previous.result as OfflineIssue[]).forEach(issue => store.put(issue));
+      };
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Run one request against the issues store and resolve with its result */
+async function withStore<T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  const db = await openDatabase();
+  try {
+    return await new Promise<T>((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = run(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export const getOfflineIssue = (comicId: string, accountId: string) =>
+  withStore<OfflineIssue | undefined>('readonly', store => store.get([comicId, accountId]));
+
+export const listOfflineIssues = () => withStore<OfflineIssue[]>('readonly', store => store.getAll());
+
+/** The account's offline copy of the serial it holds, found without the network */
+export const findOfflineIssue = async (tokenId: string, serialNumber: number, accountId: string) =>
+  (await listOfflineIssues()).find(
+    issue => issue.comic.tokenId === tokenId && issue.serialNumber === serialNumber && issue.accountId === accountId
+  );
+
+const isQuotaError = (error: unknown) => error instanceof DOMException && error.name === 'QuotaExceededError';
+
+/** Delete page images no other offline issue still uses (serials of one comic share them) */
+async function releasePages(urls: string[], keep: OfflineIssue[]) {
+  const inUse = new Set(keep.flatMap(issue => issue.pageUrls));
+  const cache = await caches.open(PAGES_CACHE);
+  await Promise.all(urls.filter(url => !inUse.has(url)).map(url => cache.delete(url)));
+}
+
+export async function removeOfflineIssue(comicId: string, accountId: string) {
+  const issue = await getOfflineIssue(comicId, accountId);
+  if (!issue) return;
+  await withStore('readwrite', store => store.delete([comicId, accountId]));
+  await releasePages(issue.pageUrls, await listOfflineIssues());
+}
+
+export async function getStorageUsage(): Promise<StorageUsage> {
+  const issues = isOfflineSupported() ? await listOfflineIssues() : [];
+  const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+  return {
+    offlineBytes: issues.reduce((total, issue) => total + issue.bytes, 0),
+    usage: estimate.usage || 0,
+    quota: estimate.quota || 0
+  };
+}
+
+/**
+ * Download an issue the account owns for reading without a network:
+ * each page's web image (and thumbnail, the reader's fallback) into
+ * Cache Storage, the comic itself into IndexedDB. Offline the reader
+ * draws pages from the web image alone, so the copy drops the
+ * renditions and points print quality at it too. Stops with an
+ * OfflineStorageError when the device runs out of room, removing
+ * what it had stored; asks for persistent storage so the browser
+ * doesn't evict copies on its own.
+ */
+export async function saveForOffline(
+  comic: OfflineComic,
+  {
+    accountId,
+    serialNumber = comic.serialNumber,
+    onProgress
+  }: { accountId: string; serialNumber?: number; onProgress?: (done: number, total: number) => void }
+): Promise<OfflineIssue> {
+  if (!isOfflineSupported()) throw new OfflineStorageError('This browser cannot keep comics offline');
+  await navigator.storage?.persist?.().catch(() => false);
+
+  const pageUrls = [...new Set(comic.pages.flatMap(page => [urlOf(page.web), urlOf(page.thumbnail)]).filter(Boolean))];
+  const cache = await caches.open(PAGES_CACHE);
+  const stored: string[] = [];
+  let bytes = 0;
+
+  try {
+    for (const url of pageUrls) {
+      const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+      if (!response.ok) throw new Error(`Page download failed (${response.status})`);
+      const blob = await response.clone().blob();
+
+      const { usage = 0, quota = Infinity } = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+      if (usage + blob.size > quota) throw new OfflineStorageError('Not enough storage left on this device');
+
+      await cache.put(url, response);
+      stored.push(url);
+      bytes += blob.size;
+      onProgress?.(stored.length, pageUrls.length);
+    }
+
+    const now = new Date().toISOString();
+    const issue: OfflineIssue = {
+      comicId: comic.id,
+      accountId,
+      serialNumber,
+      title: comic.title,
+      comic: {
+        ...comic,
+        pages: comic.pages.map(page => ({ ...page, renditions: [], print: page.web }))
+      },
+      pageUrls,
+      bytes,
+      savedAt: now,
+      verifiedAt: now
+    };
+    await withStore('readwrite', store => store.put(issue));
+    return issue;
+  } catch (error) {
+    await releasePages(stored, await listOfflineIssues()).catch(() => {});
+    if (isQuotaError(error)) throw new OfflineStorageError('Not enough storage left on this device');
+    throw error;
+  }
+}
+
+/**
+ * Ask the server whether each offline issue's account still owns
+ * it; copies the server no longer lets it read (sold, transferred or
+ * gone) are removed.
+ * Issues of other accounts, and any the server can't be reached
+ * about, are left for next time. Run whenever the device is back
+ * online.
+ */
+export async function revalidateOfflineIssues(accountId: string) {
+  if (!isOfflineSupported()) return { kept: 0, removed: 0 };
+  const issues = (await listOfflineIssues()).filter(issue => issue.accountId === accountId);
+  let kept = 0;
+  let removed = 0;
+
+  for (const issue of issues) {
+    try {
+      await axios.post(`${API_URL}/api/reader/access`, {
+        tokenId: issue.comic.tokenId,
+        serialNumber: issue.serialNumber
+      });
+      await withStore('readwrite', store => store.put({ ...issue, verifiedAt: new Date().toISOString() }));
+      kept++;
+    } catch (error: any) {
+      if (!NOT_ENTITLED.includes(error.response?.status)) continue;
+      await removeOfflineIssue(issue.comicId, accountId);
+      removed++;
+    }
+  }
+
+  return { kept, removed };
+}
@@ -0,0 +1,146 @@
+/// <reference types="vite/client" />
+
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+export type UploadRole = 'cover' | 'page';
+
+export interface UploadEntry {
+  file: File;
+  role: UploadRole;
+}
+
+export interface FileProgress {
+  name: string;
+  size: number;
+  sent: number;
+  status: 'pending' | 'uploading' | 'done' | 'failed';
+  error?: string;
+}
+
+interface SessionFile {
+  index: number;
+  name: string;
+  size: number;
+  sha256: string;
+  role: UploadRole;
+  offset: number;
+  complete: boolean;
+}
+
+interface UploadSession {
+  id: string;
+  chunkSize: number;
+  files: SessionFile[];
+}
+
+interface UploadOptions {
+  // Session from an earlier attempt; reused when it still describes the same files
+  resumeId?: string | null;
+  retries?: number;
+  onSession?: (id: string) => void;
+  onProgress?: (progress: FileProgress[]) => void;
+}
+
+const toHex = (buffer: ArrayBuffer) =>
+  Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const sha256 = async (data: Blob) => toHex(await crypto.subtle.digest('SHA-256', await data.arrayBuffer()));
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function findSession(id: string, declared: Omit<SessionFile, 'index' | 'offset' | 'complete'>[]) {
+  try {
+    const { data } = await axios.get(`${API_URL}/api/uploads/${id}`);
+    const session: UploadSession = data.data;
+    const same =
+      session.files.length === declared.length &&
+      session.files.every((file, i) => file.sha256 === declared[i].sha256 && file.role === declared[i].role);
+    return same ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Upload files through a resumable upload session (see the backend's
+ * /api/uploads): each file goes in checksummed chunks, a failed chunk
+ * is retried with backoff, and a server that already has part of a
+ * file says where to carry on. Resolves with the session id to hand
+ * to comic creation; if a file still fails, rejects after reporting
+ * it, and calling again with `resumeId` picks up where this stopped.
+ */
+export async function uploadFiles(entries: UploadEntry[], options: UploadOptions = {}) {
+  const { resumeId, retries = 3, onSession, onProgress } = options;
+
+  const declared = await Promise.all(
+    entries.map(async ({ file, role }) => ({
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      sha256: await sha256(file),
+      role
+    }))
+  );
+
+  let session = resumeId ? await findSession(resumeId, declared) : null;
+  if (!session) {
+    const { data } = await axios.post(`${API_URL}/api/uploads`, { files: declared });
+    session = data.data as UploadSession;
+  }
+  onSession?.(session.id);
+
+  const progress: FileProgress[] = session.files.map(file => ({
+    name: file.name,
+    size: file.size,
+    sent: file.offset,
+    status: file.complete ? 'done' : 'pending'
+  }));
+  const report = () => onProgress?.(progress.map(item => ({ ...item })));
+  report();
+
+  for (const [index, { file }] of entries.entries()) {
+    const state = progress[index];
+    if (state.status === 'done') continue;
+
+    state.status = 'uploading';
+    report();
+
+    let attempts = 0;
+    while (state.sent < file.size) {
+      const chunk = file.slice(state.sent, state.sent + session.chunkSize);
+      try {
+        const { data } = await axios.put(`${API_URL}/api/uploads/${session.id}/files/${index}`, chunk, {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Upload-Offset': String(state.sent),
+            'Upload-Checksum': `sha256 ${await sha256(chunk)}`
+          }
+        });
+        state.sent = data.data.offset;
+        attempts = 0;
+      } catch (error: any) {
+        const body = error.response?.data;
+        // 409/422 say where the server has this file up to: carry on from there
+        if (typeof body?.offset === 'number') {
+          state.sent = body.offset;
+          if (state.sent >= file.size) break;
+        }
+        if (++attempts > retries) {
+          state.status = 'failed';
+          state.error = body?.error || error.message;
+          report();
+          throw new Error(`${file.name}: ${state.error}`);
+        }
+        await wait(500 * 2 ** attempts);
+      }
+      report();
+    }
+
+    state.status = 'done';
+    report();
+  }
+
+  return session.id;
+}
@@ -0,0 +1,36 @@
+export interface SpreadPage {
+  pageNumber: number;
+  // Set at upload for pages wider than tall (double-page art)
+  spread?: boolean;
+}
+
+/**
+ * Group pages into what double-page view shows at once, as lists of
+ * page numbers in reading order: the cover alone, wide spreads alone,
+ * the rest in facing pairs. `offset` starts the pairing one page
+ * later, for issues whose pairs come out misaligned (an inside cover
+ * or an odd page before a spread).
+ */
+export function buildSpreads(pages: SpreadPage[], { offset = false } = {}): number[][] {
+  const ordered = [...pages].sort((a, b) => a.pageNumber - b.pageNumber);
+  const spreads: number[][] = [];
+  let index = 0;
+
+  const alone = () => spreads.push([ordered[index++].pageNumber]);
+
+  if (ordered.length > 0) alone(); // the cover
+  if (offset && index < ordered.length) alone();
+
+  while (index < ordered.length) {
+    const page = ordered[index];
+    const next = ordered[index + 1];
+    if (page.spread || !next || next.spread) {
+      alone();
+    } else {
+      spreads.push([page.pageNumber, next.pageNumber]);
+      index += 2;
+    }
+  }
+
+  return spreads;
+}